@@ -50,6 +50,7 @@ gcloud services enable firebase.googleapis.com
 gcloud services enable identitytoolkit.googleapis.com
 gcloud services enable cloudbuild.googleapis.com
 gcloud services enable cloudresourcemanager.googleapis.com
+gcloud services enable secretmanager.googleapis.com
 
 echo -e "${GREEN}✅ APIs enabled successfully${NC}"
 
@@ -137,6 +138,22 @@ gcloud projects add-iam-policy-binding $PROJECT_ID \
 
 echo -e "${GREEN}✅ IAM permissions configured${NC}"
 
+# Create the blind index key once; replacing it would invalidate every stored tag index
+echo -e "${BLUE}🔑 Setting up the blind index key...${NC}"
+BLIND_INDEX_SECRET="blind-index-key"
+
+gcloud secrets describe $BLIND_INDEX_SECRET >/dev/null 2>&1 || {
+    openssl rand -hex 32 | tr -d '\n' | gcloud secrets create $BLIND_INDEX_SECRET \
+        --replication-policy=automatic \
+        --data-file=-
+}
+
+gcloud secrets add-iam-policy-binding $BLIND_INDEX_SECRET \
+    --member="serviceAccount:$SERVICE_ACCOUNT" \
+    --role="roles/secretmanager.secretAccessor" --quiet
+
+echo -e "${GREEN}✅ Blind index key stored in Secret Manager${NC}"
+
 # Create environment file
 echo -e "${BLUE}⚙️  Creating environment configuration...${NC}"
 cat > .env << EOF
@@ -167,6 +184,7 @@ PORT=8080
 
 # Security Configuration
 JWT_SECRET=$(openssl rand -hex 32)
+BLIND_INDEX_KEY=$(gcloud secrets versions access latest --secret=$BLIND_INDEX_SECRET)
 CORS_ORIGIN=https://$STATIC_BUCKET.storage.googleapis.com
 MAX_FILE_SIZE=10485760
 ALLOWED_FILE_TYPES=pdf,doc,docx,jpg,jpeg,png
@@ -196,6 +214,7 @@ gcloud functions deploy secure-document-api \
     --timeout=540s \
     --max-instances=100 \
     --set-env-vars="NODE_ENV=production,GCP_PROJECT_ID=$PROJECT_ID,BUCKET_NAME=$DOCUMENTS_BUCKET,KMS_KEY_RING=$KMS_KEY_RING,KMS_KEY_NAME=$KMS_KEY_NAME" \
+    --set-secrets="BLIND_INDEX_KEY=$BLIND_INDEX_SECRET:latest" \
     --region=$REGION
 
 FUNCTION_URL=$(gcloud functions describe secure-document-api --region=$REGION --format="value(httpsTrigger.url)")
@@ -248,6 +267,7 @@ echo -e "1. Set up Firebase Authentication in the Firebase Console"
 echo -e "2. Update firebase-config.json with your Firebase config"
 echo -e "3. Create initial admin user through Firebase Console"
 echo -e "4. Test the application endpoints"
+echo -e "5. Before turning on watermarking (WATERMARK_*) for image documents, run the API where ImageMagick's convert is installed; this deployment does not provide it"
 echo ""
 echo -e "${BLUE}📖 API Endpoints:${NC}"
 echo -e "• Health Check: $FUNCTION_URL/health"
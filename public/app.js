@@ -224,6 +224,18 @@ class SecureDigitalLocker {
         
         this.loadDocuments();
         this.updateStatistics();
+
+        // Register this browser's key so documents can be encrypted for this user, unless
+        // another browser already holds the key registered for them
+        if (!this.isDemo && window.crypto?.subtle) {
+            this.getEncryptionKeyPair().catch(error => {
+                if (error.code === 'ENCRYPTION_KEY_ELSEWHERE') {
+                    this.showToast('Your encrypted documents can only be opened in the browser you set up encryption in', 'warning');
+                } else {
+                    console.warn('Browser encryption unavailable:', error);
+                }
+            });
+        }
     }
 
     async loadDocuments() {
@@ -269,9 +281,13 @@ class SecureDigitalLocker {
                 <td class="px-6 py-4 whitespace-nowrap">
                     <div class="flex items-center">
                         <div class="flex-shrink-0 h-10 w-10">
+                            ${doc.hasPreview ? `
+                            <img data-preview-id="${doc.id}" alt="" class="h-10 w-10 rounded-lg object-cover bg-blue-100">
+                            ` : `
                             <div class="h-10 w-10 rounded-lg bg-blue-100 flex items-center justify-center">
                                 <i class="fas fa-file-alt text-blue-600"></i>
                             </div>
+                            `}
                         </div>
                         <div class="ml-4">
                             <div class="text-sm font-medium text-gray-900">${doc.filename}</div>
@@ -305,6 +321,27 @@ class SecureDigitalLocker {
                 </td>
             </tr>
         `).join('');
+
+        this.loadThumbnails(tbody);
+    }
+
+    async loadThumbnails(container) {
+        // Previews need the auth header, so they are fetched rather than linked
+        const token = localStorage.getItem('token');
+        for (const img of container.querySelectorAll('img[data-preview-id]')) {
+            try {
+                const response = await fetch(`${this.API_BASE_URL}/api/documents/${img.dataset.previewId}/preview`, {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+                if (response.ok) {
+                    img.src = URL.createObjectURL(await response.blob());
+                }
+            } catch (error) {
+                // Keep the placeholder
+            }
+        }
     }
 
     filterDocuments() {
@@ -385,16 +422,26 @@ class SecureDigitalLocker {
             return;
         }
 
-        formData.append('file', file);
-        formData.append('documentType', documentType);
-        formData.append('employeeId', employeeId);
-        formData.append('description', description);
-
         const submitBtn = document.getElementById('submitUpload');
         this.showLoading(submitBtn, 'Uploading...');
 
         try {
             const token = localStorage.getItem('token');
+
+            // Fields must precede the file: the server encrypts the file as it streams in
+            formData.append('documentType', documentType);
+            formData.append('employeeId', employeeId);
+            formData.append('description', description);
+
+            const wantsClientEncryption = document.getElementById('uploadClientEncryption').checked;
+            const encrypted = await this.encryptForUploadIfNeeded(file, documentType, employeeId, wantsClientEncryption);
+            if (encrypted) {
+                formData.append('clientEncryption', JSON.stringify(encrypted.envelope));
+                formData.append('document', encrypted.file);
+            } else {
+                formData.append('document', file);
+            }
+
             const response = await fetch(`${this.API_BASE_URL}/api/documents/upload`, {
                 method: 'POST',
                 headers: {
@@ -420,24 +467,268 @@ class SecureDigitalLocker {
         }
     }
 
-    viewDocument(docId) {
+    // Client-side (zero-knowledge) encryption
+    //
+    // Files are encrypted with a fresh AES-256-GCM key before upload. The stored blob is
+    // IV (12 bytes) | ciphertext | tag, bound to the document ID as additional data. The
+    // AES key is wrapped with RSA-OAEP-256 for every recipient's registered public key;
+    // each user's private key never leaves this browser's IndexedDB.
+
+    async encryptForUploadIfNeeded(file, documentType, employeeId, wantsClientEncryption) {
+        let { mode, recipients, missingKeys } = await this.fetchRecipients(employeeId, documentType);
+        if (mode === 'disabled' || (mode === 'allowed' && !wantsClientEncryption)) {
+            return null;
+        }
+
+        // Make sure the uploader can decrypt the document too
+        let registered;
+        try {
+            ({ registered } = await this.getEncryptionKeyPair());
+        } catch (error) {
+            if (error.code !== 'ENCRYPTION_KEY_ELSEWHERE' || !confirm(
+                'Your encryption key is held by another browser. Replace it with a key for this browser? ' +
+                'Documents encrypted for the old key can then only be opened in the browser that holds it.'
+            )) {
+                throw error;
+            }
+            ({ registered } = await this.getEncryptionKeyPair({ replace: true }));
+        }
+        if (!registered) {
+            ({ recipients, missingKeys } = await this.fetchRecipients(employeeId, documentType));
+        }
+
+        if (missingKeys.length > 0) {
+            throw new Error('The employee has not set up browser encryption yet');
+        }
+
+        const documentId = crypto.randomUUID();
+        const documentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.clientEncryptionAAD(documentId) },
+            documentKey,
+            await file.arrayBuffer()
+        );
+
+        const wrappedKeys = await Promise.all(recipients.map(async recipient => {
+            const publicKey = await crypto.subtle.importKey(
+                'jwk', recipient.publicKey, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['wrapKey']
+            );
+            const wrappedKey = await crypto.subtle.wrapKey('raw', documentKey, publicKey, { name: 'RSA-OAEP' });
+            return {
+                uid: recipient.uid,
+                keyFingerprint: recipient.keyFingerprint,
+                wrappedKey: this.toBase64(wrappedKey),
+            };
+        }));
+
+        return {
+            // Keep the original name and type so the server's file type checks still apply
+            file: new File([iv, ciphertext], file.name, { type: file.type }),
+            envelope: {
+                version: 1,
+                documentId,
+                recipients: wrappedKeys,
+            },
+        };
+    }
+
+    async fetchRecipients(employeeId, documentType) {
+        const token = localStorage.getItem('token');
+        const params = new URLSearchParams({ employeeId, documentType });
+        const response = await fetch(`${this.API_BASE_URL}/api/documents/recipients?${params}`, {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to look up recipients');
+        }
+
+        return data.data;
+    }
+
+    async decryptDownload(docId, ciphertext, wrappedKey) {
+        const { keyPair } = await this.getEncryptionKeyPair();
+        const documentKey = await crypto.subtle.unwrapKey(
+            'raw',
+            this.fromBase64(wrappedKey),
+            keyPair.privateKey,
+            { name: 'RSA-OAEP' },
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['decrypt']
+        );
+
+        const bytes = new Uint8Array(ciphertext);
+        return await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: bytes.subarray(0, 12), additionalData: this.clientEncryptionAAD(docId) },
+            documentKey,
+            bytes.subarray(12)
+        );
+    }
+
+    clientEncryptionAAD(documentId) {
+        return new TextEncoder().encode(`sdl-client-v1:${documentId}`);
+    }
+
+    // A key is only generated when none is registered yet, or when the user chose to replace it
+    async getEncryptionKeyPair({ replace = false } = {}) {
+        const db = await this.openKeyStore();
+        const storeKey = this.currentUser.uid;
+        let keyPair = await this.keyStoreRequest(db, 'readonly', store => store.get(storeKey));
+
+        if (keyPair) {
+            return { keyPair, registered: true };
+        }
+
+        const token = localStorage.getItem('token');
+        if (!replace) {
+            const response = await fetch(`${this.API_BASE_URL}/api/auth/encryption-key`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'Failed to look up encryption key');
+            }
+            if (data.registered) {
+                const error = new Error('Your encryption key is held by another browser');
+                error.code = 'ENCRYPTION_KEY_ELSEWHERE';
+                throw error;
+            }
+        }
+
+        // The private key is generated non-extractable so it can never leave this browser
+        keyPair = await crypto.subtle.generateKey(
+            { name: 'RSA-OAEP', modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+
+        const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+        const response = await fetch(`${this.API_BASE_URL}/api/auth/encryption-key`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                publicKey: { kty: publicKey.kty, n: publicKey.n, e: publicKey.e, alg: publicKey.alg },
+                replace
+            })
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            // Another browser registered its key since we looked
+            const error = new Error(data.message || data.error || 'Failed to register encryption key');
+            if (data.code === 'ENCRYPTION_KEY_EXISTS') {
+                error.code = 'ENCRYPTION_KEY_ELSEWHERE';
+            }
+            throw error;
+        }
+
+        await this.keyStoreRequest(db, 'readwrite', store => store.put(keyPair, storeKey));
+        return { keyPair, registered: false };
+    }
+
+    openKeyStore() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('secure-digital-locker', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('encryptionKeys');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    keyStoreRequest(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction('encryptionKeys', mode).objectStore('encryptionKeys'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    toBase64(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    }
+
+    fromBase64(value) {
+        return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+    }
+
+    async viewDocument(docId) {
         if (this.isDemo) {
             this.showToast('Document viewing is available in the full version', 'info');
             return;
         }
-        
-        const token = localStorage.getItem('token');
-        window.open(`${this.API_BASE_URL}/api/documents/${docId}/view`, '_blank');
+
+        // Documents without a rendered first page can only be downloaded
+        const doc = this.documents.find(d => d.id === docId);
+        if (!doc?.hasPreview) {
+            return this.downloadDocument(docId);
+        }
+
+        // Opened before the fetch so popup blockers allow it
+        const preview = window.open('', '_blank');
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`${this.API_BASE_URL}/api/documents/${docId}/preview?size=page`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message || data.error || 'Preview failed');
+            }
+
+            preview.location = URL.createObjectURL(await response.blob());
+        } catch (error) {
+            preview.close();
+            this.showToast('Preview error: ' + error.message, 'error');
+        }
     }
 
-    downloadDocument(docId) {
+    async downloadDocument(docId) {
         if (this.isDemo) {
             this.showToast('Document download is available in the full version', 'info');
             return;
         }
         
-        const token = localStorage.getItem('token');
-        window.open(`${this.API_BASE_URL}/api/documents/${docId}/download`, '_blank');
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`${this.API_BASE_URL}/api/documents/${docId}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message || data.error || 'Download failed');
+            }
+
+            let content = await response.arrayBuffer();
+            if (response.headers.get('X-Client-Encryption')) {
+                content = await this.decryptDownload(docId, content, response.headers.get('X-Wrapped-Key'));
+            }
+
+            const doc = this.documents.find(d => d.id === docId);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([content], { type: doc?.mimeType || 'application/octet-stream' }));
+            link.download = doc?.name || doc?.filename || docId;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.showToast('Download error: ' + error.message, 'error');
+        }
     }
 
     async deleteDocument(docId) {
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * Create a password-protected master keyfile for the local key provider.
+ *
+ * Usage: KMS_LOCAL_KEYFILE_PASSWORD=... node scripts/create-keyfile.js <path>
+ */
+const LocalKeyfileProvider = require('../src/services/keyProviders/localKeyfileProvider');
+
+const keyfilePath = process.argv[2] || process.env.KMS_LOCAL_KEYFILE;
+const password = process.env.KMS_LOCAL_KEYFILE_PASSWORD;
+
+if (!keyfilePath || !password) {
+  console.error('Usage: KMS_LOCAL_KEYFILE_PASSWORD=... node scripts/create-keyfile.js <path>');
+  process.exit(1);
+}
+
+try {
+  LocalKeyfileProvider.createKeyfile(keyfilePath, password);
+  console.log(`Keyfile created at ${keyfilePath}`);
+} catch (error) {
+  console.error('Error creating keyfile:', error.message);
+  process.exit(1);
+}
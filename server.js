@@ -9,6 +9,11 @@ const { manageSession } = require('./src/middleware/auth');
 const documentRoutes = require('./src/routes/documents');
 const authRoutes = require('./src/routes/auth');
 const adminRoutes = require('./src/routes/admin');
+const uploadSessionService = require('./src/services/uploadSessionService');
+const documentService = require('./src/services/documentService');
+const retentionService = require('./src/services/retentionService');
+const integrityScrubService = require('./src/services/integrityScrubService');
+const malwareScanService = require('./src/services/malwareScanService');
 
 const app = express();
 
@@ -35,8 +40,8 @@ app.use(cors({
   origin: config.app.corsOrigin,
   credentials: true,
   optionsSuccessStatus: 200,
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
-  exposedHeaders: ['X-Session-Expires', 'X-User-Role'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'Content-Range'],
+  exposedHeaders: ['X-Session-Expires', 'X-User-Role', 'X-Client-Encryption', 'X-Key-Fingerprint', 'X-Wrapped-Key', 'X-Document-Version'],
 }));
 
 // Body parsing middleware
@@ -146,7 +151,7 @@ const server = app.listen(PORT, () => {
 Environment: ${config.app.nodeEnv}
 Port: ${PORT}
 Project: ${config.gcp.projectId}
-Bucket: ${config.storage.bucketName}
+Storage: ${config.storage.driver} (${config.storage.driver === 'local' ? config.storage.localPath : config.storage.bucketName})
 
 📊 Endpoints:
 • Health: http://localhost:${PORT}/health
@@ -165,4 +170,39 @@ Bucket: ${config.storage.bucketName}
   `);
 });
 
+// Garbage-collect abandoned resumable uploads
+if (config.uploads.gcIntervalMinutes > 0) {
+  setInterval(() => {
+    uploadSessionService.collectExpiredSessions().catch(error => console.error('Upload session GC error:', error));
+  }, config.uploads.gcIntervalMinutes * 60 * 1000).unref();
+}
+
+// Purge documents whose time in the recycle bin has run out
+if (config.recycleBin.purgeIntervalMinutes > 0) {
+  setInterval(() => {
+    documentService.purgeExpiredDocuments().catch(error => console.error('Recycle bin purge error:', error));
+  }, config.recycleBin.purgeIntervalMinutes * 60 * 1000).unref();
+}
+
+// Dispose of documents at the end of their retention period
+if (config.retention.sweepIntervalMinutes > 0) {
+  setInterval(() => {
+    retentionService.sweep().catch(error => console.error('Retention sweep error:', error));
+  }, config.retention.sweepIntervalMinutes * 60 * 1000).unref();
+}
+
+// Re-verify a rotating sample of stored documents
+if (config.integrityScrub.intervalMinutes > 0) {
+  setInterval(() => {
+    integrityScrubService.scrub().catch(error => console.error('Integrity scrub error:', error));
+  }, config.integrityScrub.intervalMinutes * 60 * 1000).unref();
+}
+
+// Rescan documents once the scanner's signatures have been updated
+if (config.malwareScan.scanner !== 'none' && config.malwareScan.rescanIntervalMinutes > 0) {
+  setInterval(() => {
+    malwareScanService.rescan().catch(error => console.error('Malware rescan error:', error));
+  }, config.malwareScan.rescanIntervalMinutes * 60 * 1000).unref();
+}
+
 module.exports = app;
\ No newline at end of file
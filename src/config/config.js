@@ -9,28 +9,94 @@ const config = {
     keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
   },
 
-  // Cloud Storage Configuration
+  // Document Storage Configuration
   storage: {
+    driver: process.env.STORAGE_DRIVER || 'gcs', // gcs, local, s3
     bucketName: process.env.BUCKET_NAME,
     bucketLocation: process.env.BUCKET_LOCATION || 'US',
+    autoCreateBucket: process.env.STORAGE_AUTO_CREATE_BUCKET !== 'false',
+    localPath: process.env.STORAGE_LOCAL_PATH || './data/storage',
+    // S3-compatible services such as MinIO need an endpoint and path-style URLs
+    s3: {
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    },
+    // Replaced and deleted generations in versioned buckets; current objects follow retention policies
+    noncurrentVersionDays: parseInt(process.env.STORAGE_NONCURRENT_VERSION_DAYS) || 30,
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
     allowedFileTypes: (process.env.ALLOWED_FILE_TYPES || 'pdf,doc,docx,jpg,jpeg,png').split(','),
+    // Ciphertext does not compress, so eligible content is compressed before encryption
+    compression: {
+      codec: process.env.STORAGE_COMPRESSION_CODEC || 'none', // br, gzip or none
+      mimeTypes: (process.env.STORAGE_COMPRESSION_TYPES ?? 'application/msword,application/rtf,text/plain,text/csv').split(',').filter(Boolean),
+    },
+  },
+
+  // Resumable Upload Configuration
+  uploads: {
+    sessionTtlMinutes: parseInt(process.env.UPLOAD_SESSION_TTL_MINUTES) || 24 * 60, // Idle sessions expire after 1 day
+    minChunkSize: parseInt(process.env.UPLOAD_MIN_CHUNK_SIZE) || 256 * 1024, // Applies to every chunk but the last
+    maxChunkSize: parseInt(process.env.UPLOAD_MAX_CHUNK_SIZE) || 8 * 1024 * 1024, // 8MB
+    stagingPrefix: 'upload-sessions/', // Storage prefix for encrypted chunks awaiting finalization
+    gcIntervalMinutes: parseInt(process.env.UPLOAD_SESSION_GC_INTERVAL_MINUTES ?? '0'), // Off unless set; 60 collects hourly
+  },
+
+  // Recycle Bin Configuration
+  recycleBin: {
+    retentionDays: parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS) || 30, // Deleted documents can be restored for 30 days
+    purgeIntervalMinutes: parseInt(process.env.RECYCLE_BIN_PURGE_INTERVAL_MINUTES ?? '0'), // Off unless set; 60 purges hourly
   },
 
-  // Cloud KMS Configuration
+  // Key Management Configuration
   kms: {
+    provider: process.env.KMS_PROVIDER || 'cloud-kms', // cloud-kms, local
+    localKeyfile: process.env.KMS_LOCAL_KEYFILE,
+    localKeyfilePassword: process.env.KMS_LOCAL_KEYFILE_PASSWORD,
     keyRing: process.env.KMS_KEY_RING,
     keyName: process.env.KMS_KEY_NAME,
     location: process.env.KMS_LOCATION || 'global',
     keyId: `projects/${process.env.GCP_PROJECT_ID}/locations/${process.env.KMS_LOCATION || 'global'}/keyRings/${process.env.KMS_KEY_RING}/cryptoKeys/${process.env.KMS_KEY_NAME}`,
   },
 
+  // Document Encryption Configuration
+  encryption: {
+    chunkSize: parseInt(process.env.ENCRYPTION_CHUNK_SIZE) || 64 * 1024, // 64KB plaintext per GCM chunk
+    // Firestore metadata fields stored encrypted, and those also given a blind index for exact-match queries
+    metadataFields: (process.env.ENCRYPTED_METADATA_FIELDS ?? 'originalName,description,tags').split(',').filter(Boolean),
+    blindIndexFields: (process.env.BLIND_INDEX_FIELDS ?? 'tags').split(',').filter(Boolean),
+    blindIndexKey: process.env.BLIND_INDEX_KEY,
+    // Wrap each employee's DEKs with their own KEK so erasure can crypto-shred them
+    employeeKeys: process.env.EMPLOYEE_KEYS_ENABLED !== 'false',
+    // In-memory cache of unwrapped DEKs; disable for high-assurance deployments
+    dekCache: {
+      enabled: process.env.DEK_CACHE_ENABLED !== 'false',
+      maxEntries: parseInt(process.env.DEK_CACHE_MAX_ENTRIES) || 1000,
+      ttlSeconds: parseInt(process.env.DEK_CACHE_TTL_SECONDS) || 300, // 5 minutes
+    },
+  },
+
+  // Right-to-erasure Configuration
+  erasure: {
+    signingKeyFile: process.env.ERASURE_SIGNING_KEY_FILE, // PEM private key used to sign erasure certificates
+  },
+
   // Firestore Configuration
   firestore: {
     collections: {
       auditLogs: process.env.FIRESTORE_COLLECTION_AUDIT || 'audit_logs',
       users: process.env.FIRESTORE_COLLECTION_USERS || 'users',
       documents: process.env.FIRESTORE_COLLECTION_DOCUMENTS || 'document_metadata',
+      keyRotationJobs: process.env.FIRESTORE_COLLECTION_KEY_ROTATION || 'key_rotation_jobs',
+      employeeKeys: process.env.FIRESTORE_COLLECTION_EMPLOYEE_KEYS || 'employee_keys',
+      uploadSessions: process.env.FIRESTORE_COLLECTION_UPLOAD_SESSIONS || 'upload_sessions',
+      legalHolds: process.env.FIRESTORE_COLLECTION_LEGAL_HOLDS || 'legal_holds',
+      employeeOffboarding: process.env.FIRESTORE_COLLECTION_EMPLOYEE_OFFBOARDING || 'employee_offboarding',
+      reconciliationJobs: process.env.FIRESTORE_COLLECTION_RECONCILIATION || 'reconciliation_jobs',
+      integrityScrubRuns: process.env.FIRESTORE_COLLECTION_INTEGRITY_SCRUB || 'integrity_scrub_runs',
+      documentHashes: process.env.FIRESTORE_COLLECTION_DOCUMENT_HASHES || 'document_hashes',
     },
   },
 
@@ -75,26 +141,136 @@ const config = {
     OTHER: 'other',
   },
 
+  // Per-document-type policies; types without an entry use the defaults
+  documentTypePolicies: {
+    default: {
+      clientEncryption: 'disabled', // disabled, allowed or required (zero-knowledge browser encryption)
+      // Disposal date: `days` after the document was uploaded or the employee was offboarded; null keeps it indefinitely
+      retention: { from: 'upload', days: parseInt(process.env.RETENTION_DEFAULT_DAYS) || 7 * 365 },
+      watermark: process.env.WATERMARK_DEFAULT === 'true', // Stamp downloaded PDFs and images with the downloader
+    },
+    offer_letter: {
+      retention: { from: 'offboarding', days: parseInt(process.env.RETENTION_OFFER_LETTER_DAYS) || 7 * 365 },
+      watermark: process.env.WATERMARK_OFFER_LETTER === 'true',
+    },
+    id_proof: {
+      clientEncryption: process.env.CLIENT_ENCRYPTION_ID_PROOF || 'allowed',
+      retention: { from: 'offboarding', days: parseInt(process.env.RETENTION_ID_PROOF_DAYS) || 365 },
+    },
+    salary_slip: {
+      retention: { from: 'upload', days: parseInt(process.env.RETENTION_SALARY_SLIP_DAYS) || 8 * 365 },
+      watermark: process.env.WATERMARK_SALARY_SLIP === 'true',
+    },
+    certification: {
+      retention: { from: 'offboarding', days: parseInt(process.env.RETENTION_CERTIFICATION_DAYS) || 2 * 365 },
+    },
+    contract: {
+      retention: { from: 'offboarding', days: parseInt(process.env.RETENTION_CONTRACT_DAYS) || 7 * 365 },
+      watermark: process.env.WATERMARK_CONTRACT === 'true',
+    },
+    performance_review: {
+      clientEncryption: process.env.CLIENT_ENCRYPTION_PERFORMANCE_REVIEW || 'allowed',
+      retention: { from: 'offboarding', days: parseInt(process.env.RETENTION_PERFORMANCE_REVIEW_DAYS) || 3 * 365 },
+    },
+  },
+
+  // Retention Sweeper Configuration
+  retention: {
+    sweepIntervalMinutes: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MINUTES ?? '0'), // Off unless set; 1440 sweeps daily
+    batchSize: parseInt(process.env.RETENTION_SWEEP_BATCH_SIZE) || 200,
+  },
+
+  // Integrity Scrub Configuration
+  integrityScrub: {
+    intervalMinutes: parseInt(process.env.INTEGRITY_SCRUB_INTERVAL_MINUTES ?? '0'), // Off unless set; 60 scrubs hourly
+    sampleSize: parseInt(process.env.INTEGRITY_SCRUB_SAMPLE_SIZE) || 25, // Documents verified per run, every version included
+  },
+
+  // Storage Reconciliation Configuration
+  reconciliation: {
+    graceMinutes: parseInt(process.env.RECONCILIATION_GRACE_MINUTES) || 60, // Newer objects may belong to uploads still in flight
+    pageSize: parseInt(process.env.RECONCILIATION_PAGE_SIZE) || 500,
+    maxFindings: parseInt(process.env.RECONCILIATION_MAX_FINDINGS) || 1000, // Findings recorded per job; counts are always complete
+  },
+
+  // Malware Scanning Configuration
+  malwareScan: {
+    scanner: process.env.MALWARE_SCANNER || 'none', // clamd or none
+    action: process.env.MALWARE_SCAN_ACTION || 'reject', // reject or quarantine infected uploads
+    rescanIntervalMinutes: parseInt(process.env.MALWARE_RESCAN_INTERVAL_MINUTES ?? '0'), // 0 disables the in-process rescanner
+    rescanBatchSize: parseInt(process.env.MALWARE_RESCAN_BATCH_SIZE) || 50, // Documents rescanned per run
+    clamd: {
+      socketPath: process.env.CLAMD_SOCKET || null,
+      host: process.env.CLAMD_HOST || '127.0.0.1',
+      port: parseInt(process.env.CLAMD_PORT) || 3310,
+      timeoutMs: parseInt(process.env.CLAMD_TIMEOUT_MS) || 60 * 1000,
+    },
+  },
+
+  // Preview Configuration
+  previews: {
+    renderer: process.env.PREVIEW_RENDERER || 'none', // cli or none
+    thumbnailSize: parseInt(process.env.PREVIEW_THUMBNAIL_SIZE) || 256, // Longest side of thumbnails, in pixels
+    pageSize: parseInt(process.env.PREVIEW_PAGE_SIZE) || 1024, // Longest side of first-page renders, in pixels
+    cli: {
+      pdftoppmPath: process.env.PDFTOPPM_PATH || 'pdftoppm',
+      convertPath: process.env.IMAGEMAGICK_CONVERT_PATH || 'convert',
+      timeoutMs: parseInt(process.env.PREVIEW_TIMEOUT_MS) || 30 * 1000,
+      maxOutputSize: 8 * 1024 * 1024,
+    },
+  },
+
+  // Download Watermark Configuration (enabled per document type in documentTypePolicies)
+  watermark: {
+    convertPath: process.env.IMAGEMAGICK_CONVERT_PATH || 'convert',
+    timeoutMs: parseInt(process.env.WATERMARK_TIMEOUT_MS) || 30 * 1000,
+    maxSize: parseInt(process.env.WATERMARK_MAX_SIZE) || 25 * 1024 * 1024, // Bytes; a stamped copy is built in memory
+    maxOutputSize: 64 * 1024 * 1024,
+  },
+
+  // Bulk Export Configuration
+  export: {
+    maxDocuments: parseInt(process.env.EXPORT_MAX_DOCUMENTS) || 1000,
+    maxTotalSize: parseInt(process.env.EXPORT_MAX_TOTAL_SIZE) || 2 * 1024 * 1024 * 1024, // Bytes; archives are written without ZIP64
+  },
+
   // Audit Event Types
   auditEvents: {
     DOCUMENT_UPLOAD: 'document_upload',
     DOCUMENT_DOWNLOAD: 'document_download',
     DOCUMENT_DELETE: 'document_delete',
+    DOCUMENT_RESTORE: 'document_restore',
     DOCUMENT_VIEW: 'document_view',
     USER_LOGIN: 'user_login',
     USER_LOGOUT: 'user_logout',
     ROLE_CHANGE: 'role_change',
     ACCESS_DENIED: 'access_denied',
+    KEY_ROTATION: 'key_rotation',
+    INTEGRITY_FAILURE: 'integrity_failure',
+    EMPLOYEE_ERASURE: 'employee_erasure',
+    DOCUMENT_VERSION_UPLOAD: 'document_version_upload',
+    DOCUMENT_ROLLBACK: 'document_rollback',
+    UPLOAD_SESSION: 'upload_session',
+    LEGAL_HOLD: 'legal_hold',
+    RETENTION_DISPOSITION: 'retention_disposition',
+    EMPLOYEE_OFFBOARDING: 'employee_offboarding',
+    STORAGE_RECONCILIATION: 'storage_reconciliation',
+    INTEGRITY_SCRUB: 'integrity_scrub',
+    MALWARE_DETECTED: 'malware_detected',
+    MALWARE_RESCAN: 'malware_rescan',
+    DOCUMENT_EXPORT: 'document_export',
   },
 };
 
 // Validation
 const requiredEnvVars = [
   'GCP_PROJECT_ID',
-  'BUCKET_NAME',
-  'KMS_KEY_RING',
-  'KMS_KEY_NAME',
+  ...(config.storage.driver === 'local' ? [] : ['BUCKET_NAME']),
   'JWT_SECRET',
+  ...(config.encryption.blindIndexFields.length > 0 ? ['BLIND_INDEX_KEY'] : []),
+  ...(config.kms.provider === 'local'
+    ? ['KMS_LOCAL_KEYFILE', 'KMS_LOCAL_KEYFILE_PASSWORD']
+    : ['KMS_KEY_RING', 'KMS_KEY_NAME']),
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -102,4 +278,12 @@ if (missingVars.length > 0) {
   throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
 }
 
+if (!['br', 'gzip', 'none'].includes(config.storage.compression.codec)) {
+  throw new Error(`Unsupported STORAGE_COMPRESSION_CODEC: ${config.storage.compression.codec}`);
+}
+
+if (!['reject', 'quarantine'].includes(config.malwareScan.action)) {
+  throw new Error(`Unsupported MALWARE_SCAN_ACTION: ${config.malwareScan.action}`);
+}
+
 module.exports = config;
\ No newline at end of file
@@ -1,6 +1,14 @@
 const express = require('express');
 const firebaseService = require('../services/firebaseService');
 const auditService = require('../services/auditService');
+const keyRotationService = require('../services/keyRotationService');
+const uploadSessionService = require('../services/uploadSessionService');
+const documentService = require('../services/documentService');
+const retentionService = require('../services/retentionService');
+const reconciliationService = require('../services/reconciliationService');
+const integrityScrubService = require('../services/integrityScrubService');
+const malwareScanService = require('../services/malwareScanService');
+const encryptionService = require('../services/encryptionService');
 const config = require('../config/config');
 const { 
   authenticate, 
@@ -39,6 +47,52 @@ const auditFiltersSchema = Joi.object({
   startAfter: Joi.string().optional(),
 });
 
+const keyRotationSchema = Joi.object({
+  rotateKey: Joi.boolean().optional().default(false),
+  batchSize: Joi.number().integer().min(1).max(500).optional().default(50),
+});
+
+const integrityScrubSchema = Joi.object({
+  sampleSize: Joi.number().integer().min(1).max(500).optional(),
+});
+
+const malwareRescanSchema = Joi.object({
+  documentId: Joi.string().guid({ version: 'uuidv4' }).optional(),
+  batchSize: Joi.number().integer().min(1).max(500).optional(),
+});
+
+const reconciliationSchema = Joi.object({
+  repair: Joi.boolean().optional().default(false),
+});
+
+const jobIdSchema = Joi.object({
+  jobId: Joi.string().guid({ version: 'uuidv4' }).required(),
+});
+
+const employeeIdSchema = Joi.object({
+  employeeId: Joi.string().alphanum().min(3).max(50).required(),
+});
+
+const erasureSchema = Joi.object({
+  reason: Joi.string().max(500).required().messages({
+    'any.required': 'Reason is required for erasure',
+  }),
+  confirm: Joi.boolean().valid(true).required().messages({
+    'any.only': 'Erasure must be explicitly confirmed',
+    'any.required': 'Erasure must be explicitly confirmed',
+  }),
+});
+
+const offboardingSchema = Joi.object({
+  offboardedAt: Joi.date().iso().max('now').optional().messages({
+    'date.max': 'Offboarding date cannot be in the future',
+  }),
+});
+
+const retentionPreviewSchema = Joi.object({
+  withinDays: Joi.number().integer().min(0).max(3650).optional().default(0),
+});
+
 const userFiltersSchema = Joi.object({
   role: Joi.string().valid(...Object.values(config.roles)).optional(),
   isActive: Joi.boolean().optional(),
@@ -391,8 +445,10 @@ router.get('/system-info',
         uptime: process.uptime(),
         memoryUsage: process.memoryUsage(),
         gcpProject: config.gcp.projectId,
+        storageDriver: config.storage.driver,
         storageBucket: config.storage.bucketName,
         nodeVersion: process.version,
+        dataKeyCache: encryptionService.getDataKeyCacheStats(),
         timestamp: new Date().toISOString(),
       };
 
@@ -470,4 +526,596 @@ router.post('/cleanup-logs',
   }
 );
 
+/**
+ * POST /api/admin/upload-sessions/cleanup
+ * Remove expired resumable upload sessions and their staged chunks now
+ * (they are also collected periodically in the background)
+ */
+router.post('/upload-sessions/cleanup',
+  rateLimit({ maxRequests: 10, windowMs: 60 * 60 * 1000 }), // 10 cleanups per hour
+  async (req, res) => {
+    try {
+      const result = await uploadSessionService.collectExpiredSessions();
+
+      res.json({
+        success: true,
+        message: 'Expired upload sessions removed',
+        data: {
+          removedSessions: result.sessions,
+          removedObjects: result.objects,
+          performedBy: req.user.email,
+          timestamp: new Date().toISOString(),
+        },
+      });
+
+    } catch (error) {
+      console.error('Upload session cleanup error:', error);
+      res.status(500).json({
+        error: 'Failed to clean up upload sessions',
+        code: 'CLEANUP_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/recycle-bin/purge
+ * Permanently delete documents whose time in the recycle bin has run out now
+ * (they are also purged periodically in the background)
+ */
+router.post('/recycle-bin/purge',
+  rateLimit({ maxRequests: 10, windowMs: 60 * 60 * 1000 }), // 10 purges per hour
+  async (req, res) => {
+    try {
+      const result = await documentService.purgeExpiredDocuments();
+
+      res.json({
+        success: true,
+        message: 'Expired documents purged from the recycle bin',
+        data: {
+          purgedDocuments: result.purged,
+          heldDocuments: result.held,
+          failedDocuments: result.failed,
+          performedBy: req.user.email,
+          timestamp: new Date().toISOString(),
+        },
+      });
+
+    } catch (error) {
+      console.error('Recycle bin purge error:', error);
+      res.status(500).json({
+        error: 'Failed to purge recycle bin',
+        code: 'PURGE_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/retention/preview
+ * Dry run of the retention sweep: documents past their disposal date, or due within `withinDays`
+ */
+router.get('/retention/preview',
+  validateRequest(retentionPreviewSchema, 'query'),
+  async (req, res) => {
+    try {
+      const result = await retentionService.sweep({ dryRun: true, withinDays: req.query.withinDays }, req.user, req.requestContext);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Retention preview error:', error);
+      res.status(500).json({
+        error: 'Failed to preview retention sweep',
+        code: 'RETENTION_PREVIEW_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/retention/sweep
+ * Dispose of documents past their retention period now
+ * (they are also swept periodically in the background)
+ */
+router.post('/retention/sweep',
+  rateLimit({ maxRequests: 5, windowMs: 60 * 60 * 1000 }), // 5 sweeps per hour
+  async (req, res) => {
+    try {
+      const result = await retentionService.sweep({}, req.user, req.requestContext);
+
+      res.json({
+        success: true,
+        message: 'Retention sweep completed',
+        data: {
+          ...result,
+          performedBy: req.user.email,
+          timestamp: new Date().toISOString(),
+        },
+      });
+
+    } catch (error) {
+      console.error('Retention sweep error:', error);
+      res.status(500).json({
+        error: 'Failed to run retention sweep',
+        code: 'RETENTION_SWEEP_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/integrity-scrub
+ * Verify the next sample of stored documents now
+ * (samples are also scrubbed periodically in the background)
+ */
+router.post('/integrity-scrub',
+  rateLimit({ maxRequests: 10, windowMs: 60 * 60 * 1000 }), // 10 scrubs per hour
+  validateRequest(integrityScrubSchema, 'body'),
+  async (req, res) => {
+    try {
+      const result = await integrityScrubService.scrub(req.body, req.user, req.requestContext);
+
+      res.json({
+        success: true,
+        message: result.corrupted > 0
+          ? `${result.corrupted} corrupted documents found and quarantined`
+          : 'Integrity scrub completed',
+        data: {
+          ...result,
+          performedBy: req.user.email,
+        },
+      });
+
+    } catch (error) {
+      console.error('Integrity scrub error:', error);
+
+      if (error.message === 'An integrity scrub is already running') {
+        return res.status(409).json({
+          error: error.message,
+          code: 'INTEGRITY_SCRUB_IN_PROGRESS',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to run integrity scrub',
+        code: 'INTEGRITY_SCRUB_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/integrity-scrub
+ * List recent integrity scrub runs with the documents that failed
+ */
+router.get('/integrity-scrub',
+  async (req, res) => {
+    try {
+      const runs = await integrityScrubService.listRuns();
+
+      res.json({
+        success: true,
+        data: { runs },
+      });
+
+    } catch (error) {
+      console.error('Integrity scrub listing error:', error);
+      res.status(500).json({
+        error: 'Failed to list integrity scrub runs',
+        code: 'INTEGRITY_SCRUB_LIST_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/malware-rescan
+ * Rescan documents last scanned with an older engine version, or one document by ID
+ * (stale documents are also rescanned periodically in the background when configured)
+ */
+router.post('/malware-rescan',
+  rateLimit({ maxRequests: 10, windowMs: 60 * 60 * 1000 }), // 10 rescans per hour
+  validateRequest(malwareRescanSchema, 'body'),
+  async (req, res) => {
+    try {
+      const result = await malwareScanService.rescan(req.body, req.user, req.requestContext);
+
+      res.json({
+        success: true,
+        message: result.infected > 0
+          ? `${result.infected} infected documents found and quarantined`
+          : 'Malware rescan completed',
+        data: {
+          ...result,
+          performedBy: req.user.email,
+        },
+      });
+
+    } catch (error) {
+      console.error('Malware rescan error:', error);
+
+      if (error.message === 'Document not found') {
+        return res.status(404).json({
+          error: 'Document not found',
+          code: 'NOT_FOUND',
+        });
+      }
+
+      if (error.code === 'MALWARE_SCAN_DISABLED') {
+        return res.status(400).json({
+          error: error.message,
+          code: 'MALWARE_SCAN_DISABLED',
+        });
+      }
+
+      if (error.code === 'MALWARE_RESCAN_IN_PROGRESS') {
+        return res.status(409).json({
+          error: error.message,
+          code: 'MALWARE_RESCAN_IN_PROGRESS',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to run malware rescan',
+        code: 'MALWARE_RESCAN_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/reconciliation
+ * Start a job that compares document metadata with the bucket and reports orphans;
+ * with `repair`, orphans are cleaned up and documents missing their objects quarantined
+ */
+router.post('/reconciliation',
+  rateLimit({ maxRequests: 5, windowMs: 60 * 60 * 1000 }), // 5 reconciliations per hour
+  validateRequest(reconciliationSchema, 'body'),
+  async (req, res) => {
+    try {
+      const job = await reconciliationService.startJob(req.body, req.user, req.requestContext);
+
+      res.status(202).json({
+        success: true,
+        message: 'Reconciliation job started',
+        data: job,
+      });
+
+    } catch (error) {
+      console.error('Reconciliation start error:', error);
+
+      if (error.message === 'A reconciliation job is already running') {
+        return res.status(409).json({
+          error: error.message,
+          code: 'RECONCILIATION_IN_PROGRESS',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to start reconciliation',
+        code: 'RECONCILIATION_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/reconciliation
+ * List recent reconciliation jobs
+ */
+router.get('/reconciliation',
+  async (req, res) => {
+    try {
+      const jobs = await reconciliationService.listJobs();
+
+      res.json({
+        success: true,
+        data: { jobs },
+      });
+
+    } catch (error) {
+      console.error('Reconciliation listing error:', error);
+      res.status(500).json({
+        error: 'Failed to list reconciliation jobs',
+        code: 'RECONCILIATION_LIST_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/reconciliation/:jobId
+ * Get a reconciliation job's progress and the inconsistencies it found
+ */
+router.get('/reconciliation/:jobId',
+  validateRequest(jobIdSchema, 'params'),
+  async (req, res) => {
+    try {
+      const job = await reconciliationService.getJobStatus(req.params.jobId);
+
+      res.json({
+        success: true,
+        data: job,
+      });
+
+    } catch (error) {
+      console.error('Reconciliation status error:', error);
+
+      if (error.message === 'Reconciliation job not found') {
+        return res.status(404).json({
+          error: error.message,
+          code: 'NOT_FOUND',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to get reconciliation status',
+        code: 'RECONCILIATION_STATUS_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/key-rotation
+ * Start a job that re-wraps every document DEK under the primary KMS key version
+ */
+router.post('/key-rotation',
+  rateLimit({ maxRequests: 2, windowMs: 60 * 60 * 1000 }), // 2 rotations per hour
+  validateRequest(keyRotationSchema, 'body'),
+  async (req, res) => {
+    try {
+      const job = await keyRotationService.startJob(req.body, req.user, req.requestContext);
+
+      res.status(202).json({
+        success: true,
+        message: 'Key rotation job started',
+        data: job,
+      });
+
+    } catch (error) {
+      console.error('Key rotation start error:', error);
+
+      if (error.message === 'A key rotation job is already running') {
+        return res.status(409).json({
+          error: error.message,
+          code: 'KEY_ROTATION_IN_PROGRESS',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to start key rotation',
+        code: 'KEY_ROTATION_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/key-rotation
+ * List recent key rotation jobs
+ */
+router.get('/key-rotation',
+  async (req, res) => {
+    try {
+      const jobs = await keyRotationService.listJobs();
+
+      res.json({
+        success: true,
+        data: { jobs },
+      });
+
+    } catch (error) {
+      console.error('Key rotation listing error:', error);
+      res.status(500).json({
+        error: 'Failed to list key rotation jobs',
+        code: 'KEY_ROTATION_LIST_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/key-rotation/:jobId
+ * Get key rotation job progress and failures
+ */
+router.get('/key-rotation/:jobId',
+  validateRequest(jobIdSchema, 'params'),
+  async (req, res) => {
+    try {
+      const job = await keyRotationService.getJobStatus(req.params.jobId);
+
+      res.json({
+        success: true,
+        data: job,
+      });
+
+    } catch (error) {
+      console.error('Key rotation status error:', error);
+
+      if (error.message === 'Key rotation job not found') {
+        return res.status(404).json({
+          error: error.message,
+          code: 'NOT_FOUND',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to get key rotation status',
+        code: 'KEY_ROTATION_STATUS_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/key-rotation/:jobId/resume
+ * Resume an interrupted key rotation job from its last checkpoint
+ */
+router.post('/key-rotation/:jobId/resume',
+  validateRequest(jobIdSchema, 'params'),
+  async (req, res) => {
+    try {
+      const job = await keyRotationService.resumeJob(req.params.jobId, req.user, req.requestContext);
+
+      res.status(202).json({
+        success: true,
+        message: 'Key rotation job resumed',
+        data: job,
+      });
+
+    } catch (error) {
+      console.error('Key rotation resume error:', error);
+
+      if (error.message === 'Key rotation job not found') {
+        return res.status(404).json({
+          error: error.message,
+          code: 'NOT_FOUND',
+        });
+      }
+
+      if (error.message === 'A key rotation job is already running' ||
+          error.message === 'Key rotation job already completed') {
+        return res.status(409).json({
+          error: error.message,
+          code: 'KEY_ROTATION_CONFLICT',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to resume key rotation',
+        code: 'KEY_ROTATION_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/employees/:employeeId/offboarding
+ * Record when an employee left; starts the retention periods counted from offboarding
+ */
+router.put('/employees/:employeeId/offboarding',
+  validateRequest(employeeIdSchema, 'params'),
+  validateRequest(offboardingSchema, 'body'),
+  async (req, res) => {
+    try {
+      const result = await retentionService.recordOffboarding(
+        req.params.employeeId,
+        { offboardedAt: req.body.offboardedAt },
+        req.user,
+        req.requestContext
+      );
+
+      res.json({
+        success: true,
+        message: 'Offboarding recorded',
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Offboarding error:', error);
+      res.status(500).json({
+        error: 'Failed to record offboarding',
+        code: 'OFFBOARDING_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/employees/:employeeId/offboarding
+ * Withdraw an employee's offboarding, e.g. on rehire
+ */
+router.delete('/employees/:employeeId/offboarding',
+  validateRequest(employeeIdSchema, 'params'),
+  async (req, res) => {
+    try {
+      await retentionService.cancelOffboarding(req.params.employeeId, req.user, req.requestContext);
+
+      res.json({
+        success: true,
+        message: 'Offboarding withdrawn',
+      });
+
+    } catch (error) {
+      console.error('Offboarding withdrawal error:', error);
+
+      if (error.code === 'OFFBOARDING_NOT_FOUND') {
+        return res.status(404).json({
+          error: error.message,
+          code: 'NOT_FOUND',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to withdraw offboarding',
+        code: 'OFFBOARDING_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/employees/:employeeId/erasure
+ * Crypto-shred all documents of an employee for a right-to-erasure request
+ */
+router.post('/employees/:employeeId/erasure',
+  rateLimit({ maxRequests: 10, windowMs: 60 * 60 * 1000 }), // 10 erasures per hour
+  validateRequest(employeeIdSchema, 'params'),
+  validateRequest(erasureSchema, 'body'),
+  async (req, res) => {
+    try {
+      const certificate = await documentService.eraseEmployee(
+        req.params.employeeId,
+        { reason: req.body.reason },
+        req.user,
+        req.requestContext
+      );
+
+      res.json({
+        success: true,
+        message: 'Employee data erased',
+        data: { certificate },
+      });
+
+    } catch (error) {
+      console.error('Employee erasure error:', error);
+
+      if (error.code === 'LEGAL_HOLD') {
+        return res.status(423).json({
+          error: 'Employee documents are under legal hold',
+          code: 'LEGAL_HOLD',
+          holds: error.holds,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to erase employee data',
+        code: 'ERASURE_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
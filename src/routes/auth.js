@@ -1,6 +1,7 @@
 const express = require('express');
 const firebaseService = require('../services/firebaseService');
 const auditService = require('../services/auditService');
+const encryptionService = require('../services/encryptionService');
 const config = require('../config/config');
 const { 
   authenticate, 
@@ -47,6 +48,18 @@ const createUserSchema = Joi.object({
   }),
 });
 
+const encryptionKeySchema = Joi.object({
+  publicKey: Joi.object({
+    kty: Joi.string().valid('RSA').required(),
+    n: Joi.string().base64({ urlSafe: true, paddingRequired: false }).required(),
+    e: Joi.string().base64({ urlSafe: true, paddingRequired: false }).required(),
+    alg: Joi.string().valid('RSA-OAEP-256').required(),
+  }).required().messages({
+    'any.required': 'Public key is required',
+  }),
+  replace: Joi.boolean().default(false),
+});
+
 /**
  * POST /api/auth/login
  * Authenticate user with Firebase ID token
@@ -328,6 +341,110 @@ router.get('/verify-token',
   }
 );
 
+/**
+ * GET /api/auth/encryption-key
+ * Fingerprint of the public key registered for the current user, if any
+ */
+router.get('/encryption-key',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { encryptionKey } = await firebaseService.getUserData(req.user.uid);
+
+      res.json({
+        success: true,
+        registered: Boolean(encryptionKey),
+        fingerprint: encryptionKey?.fingerprint || null,
+        registeredAt: encryptionKey?.registeredAt?.toDate() || null,
+      });
+
+    } catch (error) {
+      console.error('Encryption key retrieval error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve encryption key',
+        code: 'KEY_RETRIEVAL_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/auth/encryption-key
+ * Register the public key that wraps client-side encrypted document keys for the current user.
+ * A different registered key is only replaced with `replace: true`.
+ */
+router.put('/encryption-key',
+  authenticate,
+  rateLimit({ maxRequests: 5, windowMs: 60 * 1000 }), // 5 registrations per minute
+  validateRequest(encryptionKeySchema, 'body'),
+  async (req, res) => {
+    try {
+      let fingerprint;
+      try {
+        fingerprint = encryptionService.validateWrappingPublicKey(req.body.publicKey);
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+          code: 'INVALID_PUBLIC_KEY',
+        });
+      }
+
+      const { replacedFingerprint } = await firebaseService.setEncryptionPublicKey(
+        req.user.uid,
+        req.body.publicKey,
+        fingerprint,
+        req.body.replace
+      );
+
+      if (replacedFingerprint) {
+        await auditService.logEvent({
+          eventType: config.auditEvents.KEY_ROTATION,
+          userId: req.user.uid,
+          userEmail: req.user.email,
+          userRole: req.user.role,
+          employeeId: req.user.employeeId,
+          resource: {
+            type: 'user',
+            id: req.user.uid,
+          },
+          metadata: {
+            action: 'replace_encryption_key',
+            previousFingerprint: replacedFingerprint,
+            fingerprint,
+          },
+          ipAddress: req.requestContext.ipAddress,
+          userAgent: req.requestContext.userAgent,
+          success: true,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Encryption key registered',
+        fingerprint,
+      });
+
+    } catch (error) {
+      console.error('Encryption key registration error:', error);
+
+      if (error.code === 'ENCRYPTION_KEY_EXISTS') {
+        return res.status(409).json({
+          error: error.message,
+          code: 'ENCRYPTION_KEY_EXISTS',
+          fingerprint: error.fingerprint,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to register encryption key',
+        code: 'KEY_REGISTRATION_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
 /**
  * POST /api/auth/refresh
  * Refresh user session (extend session timeout)
@@ -1,10 +1,15 @@
 const express = require('express');
 const multer = require('multer');
+const { pipeline } = require('stream/promises');
 const documentService = require('../services/documentService');
+const uploadSessionService = require('../services/uploadSessionService');
+const legalHoldService = require('../services/legalHoldService');
+const exportService = require('../services/exportService');
 const auditService = require('../services/auditService');
 const config = require('../config/config');
 const { 
   authenticate, 
+  requireAdmin,
   requireHROrAdmin, 
   requireEmployeeAccess,
   rateLimit,
@@ -12,55 +17,1166 @@ const {
 } = require('../middleware/auth');
 const {
   upload: uploadValidator,
+  versionUpload: versionUploadValidator,
   list: listValidator,
   documentId: documentIdValidator,
+  version: versionValidator,
+  download: downloadValidator,
+  preview: previewValidator,
+  rollback: rollbackValidator,
+  uploadSession: uploadSessionValidator,
+  uploadSessionId: uploadSessionIdValidator,
+  uploadFinalize: uploadFinalizeValidator,
+  legalHold: legalHoldValidator,
+  legalHoldId: legalHoldIdValidator,
+  legalHoldRelease: legalHoldReleaseValidator,
+  legalHoldList: legalHoldListValidator,
   share: shareValidator,
   signedUrl: signedUrlValidator,
   delete: deleteValidator,
+  export: exportValidator,
   statistics: statisticsValidator,
   fileMetadata: fileMetadataValidator,
+  clientEncryption: clientEncryptionValidator,
+  recipients: recipientsValidator,
   validateFileType,
   validateMimeType,
 } = require('../validators/documentValidators');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: config.storage.maxFileSize,
-    files: 1,
+/**
+ * Parse the JSON envelope sent with a file encrypted in the browser
+ * @param {string} field - Raw `clientEncryption` form field
+ * @returns {Object} Validated envelope (null if the field is absent) or a validation error
+ */
+const parseClientEncryption = (field) => {
+  if (!field) {
+    return { value: null };
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(field);
+  } catch (parseError) {
+    return { error: new Error('File validation failed: Client encryption envelope is not valid JSON') };
+  }
+
+  const { error, value } = clientEncryptionValidator.validate(envelope, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return { error: new Error(`File validation failed: ${error.details[0].message}`) };
+  }
+  return { value };
+};
+
+/**
+ * Multer storage engine that pipes each upload straight into the encrypted
+ * storage pipeline instead of buffering it in memory. Form fields must be sent
+ * before the file part so the document metadata is known when the file arrives.
+ */
+const encryptedUploadStorage = {
+  _handleFile(req, file, cb) {
+    const { error, value } = uploadValidator.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+    if (error) {
+      file.stream.resume();
+      return cb(new Error(`File validation failed: ${error.details[0].message}`));
+    }
+
+    // Additional file type validation based on document type
+    if (!validateFileType(file, value.documentType)) {
+      file.stream.resume();
+      return cb(new Error('File validation failed: File type not allowed for this document type'));
+    }
+
+    // Files encrypted in the browser arrive with their per-recipient wrapped keys
+    const clientEncryption = parseClientEncryption(value.clientEncryption);
+    if (clientEncryption.error) {
+      file.stream.resume();
+      return cb(clientEncryption.error);
+    }
+
+    const metadata = {
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      documentType: value.documentType,
+      employeeId: value.employeeId,
+      description: value.description,
+      tags: value.tags,
+      viewers: value.viewers,
+      editors: value.editors,
+      clientEncryption: clientEncryption.value,
+    };
+
+    documentService.uploadDocument(file.stream, metadata, req.user, req.requestContext)
+      .then(result => cb(null, { uploadResult: result, size: result.metadata.size }))
+      .catch(error => {
+        error.code = error.code || 'UPLOAD_FAILED';
+        cb(error);
+      });
+  },
+
+  _removeFile(req, file, cb) {
+    // Called when the request fails after this file was stored
+    if (!file.uploadResult) {
+      return cb(null);
+    }
+
+    // Never kept in the recycle bin: the upload did not succeed
+    documentService.discardUpload(file.uploadResult.documentId, req.user, req.requestContext)
+      .then(() => cb(null), cb);
   },
-  fileFilter: (req, file, cb) => {
-    // Basic file validation
-    const { error } = fileMetadataValidator.validate(file);
+};
+
+/**
+ * Multer storage engine for new versions of an existing document. Streams like
+ * encryptedUploadStorage; the document type, and so the allowed file types, are
+ * those of the document being versioned.
+ */
+const versionUploadStorage = {
+  _handleFile(req, file, cb) {
+    const { error, value } = versionUploadValidator.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
     if (error) {
-      return cb(new Error(`File validation failed: ${error.details[0].message}`), false);
+      file.stream.resume();
+      return cb(new Error(`File validation failed: ${error.details[0].message}`));
+    }
+
+    const clientEncryption = parseClientEncryption(value.clientEncryption);
+    if (clientEncryption.error) {
+      file.stream.resume();
+      return cb(clientEncryption.error);
+    }
+
+    const metadata = {
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      comment: value.comment,
+      clientEncryption: clientEncryption.value,
+    };
+
+    documentService.addDocumentVersion(req.params.documentId, file.stream, metadata, req.user, req.requestContext, {
+      isFileTypeAllowed: documentType => validateFileType(file, documentType),
+    })
+      .then(result => cb(null, { uploadResult: result, size: result.metadata.size }))
+      .catch(error => {
+        error.code = error.code || 'UPLOAD_FAILED';
+        cb(error);
+      });
+  },
+
+  _removeFile(req, file, cb) {
+    // A recorded version stays in the history; undoing it is an explicit, audited rollback
+    cb(null);
+  },
+};
+
+const uploadLimits = {
+  fileSize: config.storage.maxFileSize,
+  files: 1,
+};
+
+const uploadFileFilter = (req, file, cb) => {
+  // Basic file validation
+  const { error } = fileMetadataValidator.validate(file);
+  if (error) {
+    return cb(new Error(`File validation failed: ${error.details[0].message}`), false);
+  }
+
+  // MIME type validation
+  if (!validateMimeType(file)) {
+    return cb(new Error('File extension does not match MIME type'), false);
+  }
+
+  cb(null, true);
+};
+
+// Configure multer for file uploads
+const upload = multer({
+  storage: encryptedUploadStorage,
+  limits: uploadLimits,
+  fileFilter: uploadFileFilter,
+});
+
+const versionUpload = multer({
+  storage: versionUploadStorage,
+  limits: uploadLimits,
+  fileFilter: uploadFileFilter,
+});
+
+/**
+ * Parse a single-range `Range: bytes=<first>-<last>` request header
+ * @param {string} header - Raw header value
+ * @returns {Object|null} { start, end } with either bound null (see storageService),
+ * or null to send the whole document; multiple ranges are not supported
+ */
+const parseRange = (header) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  const [start, end] = match.slice(1).map(value => (value ? Number(value) : null));
+  return start === null || end === null || end >= start ? { start, end } : null;
+};
+
+/**
+ * Parse an `If-None-Match` header into the entity tags it lists
+ * Weak tags match too, as the header calls for weak comparison.
+ * @param {string} header - Raw header value
+ * @returns {Array<string>|null} Entity tags, or null if the header is absent
+ */
+const parseEntityTags = (header) => {
+  if (!header) {
+    return null;
+  }
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+};
+
+/**
+ * Build the documentService.downloadDocument options for a request's conditional and range headers
+ * @param {Object} req - Express request
+ * @returns {Object} Download options
+ */
+const getDownloadOptions = (req) => ({
+  range: parseRange(req.get('Range')),
+  ifRange: req.get('If-Range') || null,
+  ifNoneMatch: parseEntityTags(req.get('If-None-Match')),
+});
+
+/**
+ * Send a downloaded document as the response body
+ * Answers 304 when the client's copy is current and 206 for a byte range.
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of documentService.downloadDocument
+ * @param {string} disposition - `attachment` to save the file, `inline` to preview it
+ * @returns {Promise<void>} Resolves once the document has been streamed
+ */
+const sendDocument = async (res, result, disposition = 'attachment') => {
+  const { metadata } = result;
+
+  // Documents are personal; browsers may keep a private copy but must revalidate it
+  res.set({
+    'Cache-Control': 'private, no-cache',
+    // Each watermarked copy is unique to its request, so it cannot be fetched in parts
+    'Accept-Ranges': metadata.watermarked ? 'none' : 'bytes',
+    ...(metadata.etag && { 'ETag': metadata.etag }),
+  });
+
+  if (result.notModified) {
+    return res.status(304).end();
+  }
+
+  // Set appropriate headers for file download
+  res.set({
+    'Content-Type': metadata.mimeType || 'application/octet-stream',
+    'Content-Disposition': `${disposition}; filename="${metadata.originalName}"`,
+    'Content-Length': metadata.size,
+    'X-Document-Type': metadata.documentType,
+    'X-Document-Version': metadata.version,
+    'X-Upload-Date': metadata.uploadedAt,
+  });
+
+  if (metadata.range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${metadata.range.start}-${metadata.range.end}/${metadata.size}`,
+      'Content-Length': metadata.range.end - metadata.range.start + 1,
+    });
+  }
+
+  // Zero-knowledge documents are sent as stored, with the caller's wrapped key
+  if (metadata.clientEncryption) {
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'X-Client-Encryption': `v${metadata.clientEncryption.version}`,
+      'X-Key-Fingerprint': metadata.clientEncryption.keyFingerprint,
+      'X-Wrapped-Key': metadata.clientEncryption.wrappedKey,
+    });
+  }
+
+  await pipeline(result.stream, res);
+};
+
+/**
+ * HTTP status for each resumable upload error code
+ */
+const uploadSessionErrorStatus = {
+  UPLOAD_SESSION_NOT_FOUND: 404,
+  UPLOAD_SESSION_EXPIRED: 410,
+  UPLOAD_SESSION_CLOSED: 409,
+  UPLOAD_SESSION_BUSY: 409,
+  UPLOAD_INCOMPLETE: 409,
+  OFFSET_MISMATCH: 409,
+  INVALID_CHUNK: 400,
+  CHECKSUM_MISMATCH: 422,
+  CLIENT_ENCRYPTION_INVALID: 400,
+  DUPLICATE_DOCUMENT: 409,
+  DOCUMENT_ID_CONFLICT: 409,
+  MALWARE_DETECTED: 422,
+  SCAN_FAILED: 503,
+  INVALID_FILE_CONTENT: 422,
+};
+
+/**
+ * Send the error response for a failed resumable upload request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by uploadSessionService
+ * @param {string} fallbackError - Message for unexpected errors
+ * @param {string} fallbackCode - Code for unexpected errors
+ */
+const sendUploadSessionError = (res, error, fallbackError, fallbackCode) => {
+  const status = uploadSessionErrorStatus[error.code];
+  if (status) {
+    return res.status(status).json({
+      error: error.message,
+      code: error.code,
+      // Tells the client where to resume
+      ...(error.receivedBytes !== undefined && { receivedBytes: error.receivedBytes }),
+      ...(error.existingDocumentId && { existingDocumentId: error.existingDocumentId }),
+    });
+  }
+
+  if (error.message.includes('File validation failed')) {
+    return res.status(400).json({
+      error: 'File validation failed',
+      code: 'FILE_VALIDATION_ERROR',
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes('Insufficient permissions')) {
+    return res.status(403).json({
+      error: error.message,
+      code: 'FORBIDDEN',
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackError,
+    code: fallbackCode,
+    message: error.message,
+  });
+};
+
+/**
+ * Parse a `Content-Range: bytes <first>-<last>/<total>` chunk header
+ * @param {string} header - Raw header value
+ * @returns {Object|null} { start, end, total }, or null if malformed
+ */
+const parseContentRange = (header) => {
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header || '');
+  if (!match) {
+    return null;
+  }
+
+  const [start, end, total] = match.slice(1).map(Number);
+  return end >= start && end < total ? { start, end, total } : null;
+};
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * POST /api/documents/upload
+ * Upload a new document (multipart; fields first, then the `document` file part)
+ * Requires: HR or Admin role
+ */
+router.post('/upload',
+  requireHROrAdmin,
+  rateLimit({ maxRequests: 20, windowMs: 60 * 1000 }), // 20 uploads per minute
+  upload.single('document'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'No file uploaded',
+          code: 'NO_FILE',
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Document uploaded successfully',
+        data: req.file.uploadResult,
+      });
+
+    } catch (error) {
+      console.error('Document upload error:', error);
+      res.status(500).json({
+        error: 'Failed to upload document',
+        code: 'UPLOAD_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/documents/uploads
+ * Open a resumable upload session (JSON body with the upload fields plus fileName, mimeType and totalSize)
+ * Requires: HR or Admin role
+ */
+router.post('/uploads',
+  requireHROrAdmin,
+  rateLimit({ maxRequests: 20, windowMs: 60 * 1000 }), // 20 uploads per minute
+  validateRequest(uploadSessionValidator, 'body'),
+  async (req, res) => {
+    try {
+      // The checks multer applies to a file part, applied to the declared file
+      const file = {
+        originalname: req.body.fileName,
+        mimetype: req.body.mimeType,
+        size: req.body.totalSize,
+      };
+      const { error } = fileMetadataValidator.validate(file);
+      if (error) {
+        throw new Error(`File validation failed: ${error.details[0].message}`);
+      }
+      if (!validateMimeType(file)) {
+        throw new Error('File validation failed: File extension does not match MIME type');
+      }
+      if (!validateFileType(file, req.body.documentType)) {
+        throw new Error('File validation failed: File type not allowed for this document type');
+      }
+
+      const { fileName, mimeType, ...fields } = req.body;
+      const result = await uploadSessionService.createSession(
+        { ...fields, originalName: fileName, mimeType },
+        req.user,
+        req.requestContext
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Upload session created',
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Upload session creation error:', error);
+      sendUploadSessionError(res, error, 'Failed to create upload session', 'UPLOAD_SESSION_FAILED');
+    }
+  }
+);
+
+/**
+ * PUT /api/documents/uploads/:sessionId
+ * Send the next chunk (application/octet-stream body, `Content-Range: bytes <first>-<last>/<total>`)
+ * Requires: Session owner
+ */
+router.put('/uploads/:sessionId',
+  validateRequest(uploadSessionIdValidator, 'params'),
+  rateLimit({ maxRequests: 300, windowMs: 60 * 1000 }), // 300 chunks per minute
+  express.raw({ type: 'application/octet-stream', limit: config.uploads.maxChunkSize }),
+  async (req, res) => {
+    try {
+      const range = parseContentRange(req.get('Content-Range'));
+      if (!range || !Buffer.isBuffer(req.body) || req.body.length !== range.end - range.start + 1) {
+        return res.status(400).json({
+          error: 'Chunk needs an application/octet-stream body matching its Content-Range header',
+          code: 'INVALID_CHUNK',
+        });
+      }
+
+      const result = await uploadSessionService.appendChunk(
+        req.params.sessionId,
+        { offset: range.start, totalSize: range.total },
+        req.body,
+        req.user,
+        req.requestContext
+      );
+
+      res.json({
+        success: true,
+        message: 'Chunk received',
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Upload chunk error:', error);
+      sendUploadSessionError(res, error, 'Failed to store chunk', 'UPLOAD_CHUNK_FAILED');
+    }
+  }
+);
+
+/**
+ * GET /api/documents/uploads/:sessionId
+ * Get the progress of an upload, including the offset to resume from
+ * Requires: Session owner
+ */
+router.get('/uploads/:sessionId',
+  validateRequest(uploadSessionIdValidator, 'params'),
+  async (req, res) => {
+    try {
+      const result = await uploadSessionService.getSessionStatus(
+        req.params.sessionId,
+        req.user,
+        req.requestContext
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Upload session status error:', error);
+      sendUploadSessionError(res, error, 'Failed to get upload session', 'UPLOAD_SESSION_FAILED');
+    }
+  }
+);
+
+/**
+ * POST /api/documents/uploads/:sessionId/finalize
+ * Assemble the received chunks into a document; optionally checks the whole-file SHA-256
+ * Requires: Session owner
+ */
+router.post('/uploads/:sessionId/finalize',
+  validateRequest(uploadSessionIdValidator, 'params'),
+  validateRequest(uploadFinalizeValidator, 'body'),
+  async (req, res) => {
+    try {
+      const result = await uploadSessionService.finalizeSession(
+        req.params.sessionId,
+        { sha256: req.body.sha256 },
+        req.user,
+        req.requestContext
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Document uploaded successfully',
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Upload finalize error:', error);
+      sendUploadSessionError(res, error, 'Failed to upload document', 'UPLOAD_FAILED');
+    }
+  }
+);
+
+/**
+ * DELETE /api/documents/uploads/:sessionId
+ * Abandon an upload and discard its chunks
+ * Requires: Session owner
+ */
+router.delete('/uploads/:sessionId',
+  validateRequest(uploadSessionIdValidator, 'params'),
+  async (req, res) => {
+    try {
+      const result = await uploadSessionService.abortSession(
+        req.params.sessionId,
+        req.user,
+        req.requestContext
+      );
+
+      res.json({
+        success: true,
+        message: 'Upload session aborted',
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Upload session abort error:', error);
+      sendUploadSessionError(res, error, 'Failed to abort upload session', 'UPLOAD_SESSION_FAILED');
     }
+  }
+);
+
+/**
+ * GET /api/documents/recipients
+ * Public keys that must wrap the key of a client-side encrypted upload
+ * Requires: HR or Admin role
+ */
+router.get('/recipients',
+  requireHROrAdmin,
+  validateRequest(recipientsValidator, 'query'),
+  async (req, res) => {
+    try {
+      const result = await documentService.getEncryptionRecipients(
+        req.query.employeeId,
+        req.query.documentType,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Recipient lookup error:', error);
+      res.status(500).json({
+        error: 'Failed to look up recipients',
+        code: 'RECIPIENTS_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/documents/trash
+ * List deleted documents that can still be restored
+ * Requires: HR or Admin role
+ */
+router.get('/trash',
+  requireHROrAdmin,
+  validateRequest(listValidator, 'query'),
+  async (req, res) => {
+    try {
+      const filters = {
+        documentType: req.query.documentType,
+        employeeId: req.query.employeeId,
+      };
+
+      const pagination = {
+        limit: req.query.limit,
+        startAfter: req.query.startAfter,
+      };
+
+      const result = await documentService.listTrash(req.user, filters, pagination);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Recycle bin listing error:', error);
+
+      if (error.message.includes('Insufficient permissions')) {
+        return res.status(403).json({
+          error: error.message,
+          code: 'FORBIDDEN',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to list deleted documents',
+        code: 'LIST_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/documents/export
+ * Download an employee's documents as a ZIP archive with a manifest, optionally narrowed by
+ * type and upload date and encrypted with a password
+ * Requires: HR or Admin role
+ */
+router.post('/export',
+  requireHROrAdmin,
+  validateRequest(exportValidator, 'body'),
+  rateLimit({ maxRequests: 5, windowMs: 60 * 1000 }), // 5 exports per minute
+  async (req, res) => {
+    try {
+      const { employeeId, ...options } = req.body;
+      const result = await exportService.createExport(employeeId, options, req.user, req.requestContext);
+
+      res.set({
+        'Cache-Control': 'private, no-store',
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${result.fileName}"`,
+        'X-Export-Id': result.exportId,
+        'X-Document-Count': result.documentCount,
+      });
+
+      await pipeline(result.stream, res);
+
+    } catch (error) {
+      console.error('Document export error:', error);
+
+      // A document failed mid-archive; abort so the client never sees a complete archive
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      if (error.message.includes('Insufficient permissions')) {
+        return res.status(403).json({
+          error: error.message,
+          code: 'FORBIDDEN',
+        });
+      }
+
+      if (error.code === 'NO_DOCUMENTS') {
+        return res.status(404).json({
+          error: error.message,
+          code: 'NO_DOCUMENTS',
+        });
+      }
+
+      if (error.code === 'EXPORT_TOO_LARGE') {
+        return res.status(413).json({
+          error: error.message,
+          code: 'EXPORT_TOO_LARGE',
+          documentCount: error.documentCount,
+          totalSize: error.totalSize,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to export documents',
+        code: 'EXPORT_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/documents/legal-holds
+ * Place a legal hold on a document, an employee or a document type
+ * Requires: HR or Admin role
+ */
+router.post('/legal-holds',
+  requireHROrAdmin,
+  validateRequest(legalHoldValidator, 'body'),
+  async (req, res) => {
+    try {
+      const hold = await legalHoldService.placeHold(req.body, req.user, req.requestContext);
+
+      res.status(201).json({
+        success: true,
+        message: 'Legal hold placed',
+        data: hold,
+      });
+
+    } catch (error) {
+      console.error('Legal hold error:', error);
+
+      if (error.message === 'Document not found') {
+        return res.status(404).json({
+          error: 'Document not found',
+          code: 'NOT_FOUND',
+        });
+      }
+
+      if (error.message.includes('Insufficient permissions')) {
+        return res.status(403).json({
+          error: error.message,
+          code: 'FORBIDDEN',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to place legal hold',
+        code: 'LEGAL_HOLD_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/documents/legal-holds
+ * List legal holds with who placed them and why
+ * Requires: HR or Admin role
+ */
+router.get('/legal-holds',
+  requireHROrAdmin,
+  validateRequest(legalHoldListValidator, 'query'),
+  async (req, res) => {
+    try {
+      const result = await legalHoldService.listHolds(
+        req.user,
+        { status: req.query.status, targetId: req.query.targetId },
+        { limit: req.query.limit, startAfter: req.query.startAfter }
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Legal hold listing error:', error);
+
+      if (error.message.includes('Insufficient permissions')) {
+        return res.status(403).json({
+          error: error.message,
+          code: 'FORBIDDEN',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to list legal holds',
+        code: 'LIST_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/documents/legal-holds/:holdId/release
+ * Release a legal hold
+ * Requires: Admin role
+ */
+router.post('/legal-holds/:holdId/release',
+  validateRequest(legalHoldIdValidator, 'params'),
+  validateRequest(legalHoldReleaseValidator, 'body'),
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const hold = await legalHoldService.releaseHold(
+        req.params.holdId,
+        { reason: req.body.reason },
+        req.user,
+        req.requestContext
+      );
+
+      res.json({
+        success: true,
+        message: 'Legal hold released',
+        data: hold,
+      });
+
+    } catch (error) {
+      console.error('Legal hold release error:', error);
+
+      if (error.code === 'LEGAL_HOLD_NOT_FOUND') {
+        return res.status(404).json({
+          error: error.message,
+          code: 'NOT_FOUND',
+        });
+      }
+
+      if (error.code === 'LEGAL_HOLD_RELEASED') {
+        return res.status(409).json({
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      if (error.message.includes('Insufficient permissions')) {
+        return res.status(403).json({
+          error: error.message,
+          code: 'FORBIDDEN',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to release legal hold',
+        code: 'LEGAL_HOLD_RELEASE_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/documents
+ * List documents based on user role and filters
+ */
+router.get('/',
+  validateRequest(listValidator, 'query'),
+  async (req, res) => {
+    try {
+      const filters = {
+        documentType: req.query.documentType,
+        employeeId: req.query.employeeId,
+        uploadedAfter: req.query.uploadedAfter ? new Date(req.query.uploadedAfter) : null,
+        uploadedBefore: req.query.uploadedBefore ? new Date(req.query.uploadedBefore) : null,
+        tag: req.query.tag,
+      };
+
+      const pagination = {
+        limit: req.query.limit,
+        startAfter: req.query.startAfter,
+      };
+
+      const result = await documentService.listDocuments(req.user, filters, pagination);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Document listing error:', error);
+      res.status(500).json({
+        error: 'Failed to list documents',
+        code: 'LIST_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/documents/:documentId
+ * Download a specific document
+ * Supports Range and If-None-Match; `?disposition=inline` previews instead of saving
+ * Requires: Access permissions based on role and document ownership
+ */
+router.get('/:documentId',
+  validateRequest(documentIdValidator, 'params'),
+  validateRequest(downloadValidator, 'query'),
+  rateLimit({ maxRequests: 50, windowMs: 60 * 1000 }), // 50 downloads per minute
+  async (req, res) => {
+    try {
+      const result = await documentService.downloadDocument(
+        req.params.documentId,
+        req.user,
+        req.requestContext,
+        getDownloadOptions(req)
+      );
+
+      await sendDocument(res, result, req.query.disposition);
+
+    } catch (error) {
+      console.error('Document download error:', error);
+
+      // Decryption or integrity verification failed mid-stream; abort so the
+      // client never sees a complete file
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      
+      if (error.message === 'Document not found') {
+        return res.status(404).json({
+          error: 'Document not found',
+          code: 'NOT_FOUND',
+        });
+      }
+
+      if (error.message === 'Access denied') {
+        return res.status(403).json({
+          error: 'Access denied',
+          code: 'FORBIDDEN',
+        });
+      }
+
+      if (error.code === 'RANGE_NOT_SATISFIABLE') {
+        return res.status(416).set('Content-Range', `bytes */${error.size}`).json({
+          error: error.message,
+          code: 'RANGE_NOT_SATISFIABLE',
+        });
+      }
+
+      if (error.code === 'DOCUMENT_QUARANTINED') {
+        return res.status(423).json({
+          error: 'Document is quarantined',
+          code: 'DOCUMENT_QUARANTINED',
+        });
+      }
+
+      if (error.code === 'NOT_A_RECIPIENT') {
+        return res.status(403).json({
+          error: error.message,
+          code: 'NOT_A_RECIPIENT',
+        });
+      }
+
+      if (error.code === 'WATERMARK_FAILED') {
+        return res.status(500).json({
+          error: 'Document could not be watermarked',
+          code: 'WATERMARK_FAILED',
+        });
+      }
+
+      if (error.code === 'INTEGRITY_FAILURE') {
+        return res.status(500).json({
+          error: 'Document integrity verification failed',
+          code: 'INTEGRITY_FAILURE',
+        });
+      }
+
+      if (error.code === 'DECRYPTION_FAILED') {
+        return res.status(500).json({
+          error: 'Stored ciphertext failed authentication',
+          code: 'DECRYPTION_FAILED',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to download document',
+        code: 'DOWNLOAD_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/documents/:documentId
+ * Delete a document
+ * Requires: HR or Admin role
+ */
+router.delete('/:documentId',
+  validateRequest(documentIdValidator, 'params'),
+  validateRequest(deleteValidator, 'body'),
+  requireHROrAdmin,
+  rateLimit({ maxRequests: 10, windowMs: 60 * 1000 }), // 10 deletions per minute
+  async (req, res) => {
+    try {
+      const requestInfo = {
+        ...req.requestContext,
+        reason: req.body.reason,
+        permanentDelete: req.body.permanentDelete,
+      };
+
+      const result = await documentService.deleteDocument(
+        req.params.documentId,
+        req.user,
+        requestInfo
+      );
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Document deletion error:', error);
+      
+      if (error.message === 'Document not found') {
+        return res.status(404).json({
+          error: 'Document not found',
+          code: 'NOT_FOUND',
+        });
+      }
+
+      if (error.message.includes('Insufficient permissions')) {
+        return res.status(403).json({
+          error: 'Insufficient permissions to delete document',
+          code: 'FORBIDDEN',
+        });
+      }
+
+      if (error.code === 'LEGAL_HOLD') {
+        return res.status(423).json({
+          error: 'Document is under legal hold',
+          code: 'LEGAL_HOLD',
+          holds: error.holds,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to delete document',
+        code: 'DELETE_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/documents/:documentId/restore
+ * Restore a document from the recycle bin
+ * Requires: HR or Admin role
+ */
+router.post('/:documentId/restore',
+  validateRequest(documentIdValidator, 'params'),
+  requireHROrAdmin,
+  rateLimit({ maxRequests: 10, windowMs: 60 * 1000 }), // 10 restores per minute
+  async (req, res) => {
+    try {
+      const result = await documentService.restoreDocument(
+        req.params.documentId,
+        req.user,
+        req.requestContext
+      );
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: result,
+      });
+
+    } catch (error) {
+      console.error('Document restore error:', error);
+
+      if (error.message === 'Document not found') {
+        return res.status(404).json({
+          error: 'Document not found in the recycle bin',
+          code: 'NOT_FOUND',
+        });
+      }
+
+      if (error.message.includes('Insufficient permissions')) {
+        return res.status(403).json({
+          error: 'Insufficient permissions to restore document',
+          code: 'FORBIDDEN',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to restore document',
+        code: 'RESTORE_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/documents/:documentId/share
+ * Share a document with other users
+ * Requires: Document owner, HR, or Admin
+ */
+router.post('/:documentId/share',
+  validateRequest(documentIdValidator, 'params'),
+  validateRequest(shareValidator, 'body'),
+  async (req, res) => {
+    try {
+      const result = await documentService.shareDocument(
+        req.params.documentId,
+        req.body.shareWith,
+        req.user
+      );
 
-    // MIME type validation
-    if (!validateMimeType(file)) {
-      return cb(new Error('File extension does not match MIME type'), false);
-    }
+      res.json({
+        success: true,
+        message: 'Document shared successfully',
+        data: result,
+      });
 
-    cb(null, true);
-  },
-});
+    } catch (error) {
+      console.error('Document sharing error:', error);
+      
+      if (error.message === 'Document not found') {
+        return res.status(404).json({
+          error: 'Document not found',
+          code: 'NOT_FOUND',
+        });
+      }
 
-// Apply authentication to all routes
-router.use(authenticate);
+      if (error.message.includes('Insufficient permissions')) {
+        return res.status(403).json({
+          error: 'Insufficient permissions to share document',
+          code: 'FORBIDDEN',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to share document',
+        code: 'SHARE_FAILED',
+        message: error.message,
+      });
+    }
+  }
+);
 
 /**
- * POST /api/documents/upload
- * Upload a new document
+ * POST /api/documents/:documentId/versions
+ * Upload a new version of a document (multipart; fields first, then the `document` file part)
  * Requires: HR or Admin role
  */
-router.post('/upload',
+router.post('/:documentId/versions',
+  validateRequest(documentIdValidator, 'params'),
   requireHROrAdmin,
   rateLimit({ maxRequests: 20, windowMs: 60 * 1000 }), // 20 uploads per minute
-  upload.single('document'),
-  validateRequest(uploadValidator, 'body'),
+  versionUpload.single('document'),
   async (req, res) => {
     try {
       if (!req.file) {
@@ -70,42 +1186,16 @@ router.post('/upload',
         });
       }
 
-      // Additional file type validation based on document type
-      if (!validateFileType(req.file, req.body.documentType)) {
-        return res.status(400).json({
-          error: 'File type not allowed for this document type',
-          code: 'INVALID_FILE_TYPE',
-        });
-      }
-
-      const metadata = {
-        originalName: req.file.originalname,
-        mimeType: req.file.mimetype,
-        documentType: req.body.documentType,
-        employeeId: req.body.employeeId,
-        description: req.body.description,
-        tags: req.body.tags,
-        viewers: req.body.viewers,
-        editors: req.body.editors,
-      };
-
-      const result = await documentService.uploadDocument(
-        req.file.buffer,
-        metadata,
-        req.user,
-        req.requestContext
-      );
-
       res.status(201).json({
         success: true,
-        message: 'Document uploaded successfully',
-        data: result,
+        message: 'Document version uploaded successfully',
+        data: req.file.uploadResult,
       });
 
     } catch (error) {
-      console.error('Document upload error:', error);
+      console.error('Document version upload error:', error);
       res.status(500).json({
-        error: 'Failed to upload document',
+        error: 'Failed to upload document version',
         code: 'UPLOAD_FAILED',
         message: error.message,
       });
@@ -114,26 +1204,19 @@ router.post('/upload',
 );
 
 /**
- * GET /api/documents
- * List documents based on user role and filters
+ * GET /api/documents/:documentId/versions
+ * List the versions of a document with uploader and hash
+ * Requires: Access permissions based on role and document ownership
  */
-router.get('/',
-  validateRequest(listValidator, 'query'),
+router.get('/:documentId/versions',
+  validateRequest(documentIdValidator, 'params'),
   async (req, res) => {
     try {
-      const filters = {
-        documentType: req.query.documentType,
-        employeeId: req.query.employeeId,
-        uploadedAfter: req.query.uploadedAfter ? new Date(req.query.uploadedAfter) : null,
-        uploadedBefore: req.query.uploadedBefore ? new Date(req.query.uploadedBefore) : null,
-      };
-
-      const pagination = {
-        limit: req.query.limit,
-        startAfter: req.query.startAfter,
-      };
-
-      const result = await documentService.listDocuments(req.user, filters, pagination);
+      const result = await documentService.listDocumentVersions(
+        req.params.documentId,
+        req.user,
+        req.requestContext
+      );
 
       res.json({
         success: true,
@@ -141,10 +1224,25 @@ router.get('/',
       });
 
     } catch (error) {
-      console.error('Document listing error:', error);
+      console.error('Document version listing error:', error);
+
+      if (error.message === 'Document not found') {
+        return res.status(404).json({
+          error: 'Document not found',
+          code: 'NOT_FOUND',
+        });
+      }
+
+      if (error.message === 'Access denied') {
+        return res.status(403).json({
+          error: 'Access denied',
+          code: 'FORBIDDEN',
+        });
+      }
+
       res.status(500).json({
-        error: 'Failed to list documents',
-        code: 'LIST_FAILED',
+        error: 'Failed to list document versions',
+        code: 'VERSION_LIST_FAILED',
         message: error.message,
       });
     }
@@ -152,38 +1250,36 @@ router.get('/',
 );
 
 /**
- * GET /api/documents/:documentId
- * Download a specific document
+ * GET /api/documents/:documentId/versions/:version
+ * Download a specific version of a document
  * Requires: Access permissions based on role and document ownership
  */
-router.get('/:documentId',
-  validateRequest(documentIdValidator, 'params'),
+router.get('/:documentId/versions/:version',
+  validateRequest(versionValidator, 'params'),
+  validateRequest(downloadValidator, 'query'),
   rateLimit({ maxRequests: 50, windowMs: 60 * 1000 }), // 50 downloads per minute
   async (req, res) => {
     try {
       const result = await documentService.downloadDocument(
         req.params.documentId,
         req.user,
-        req.requestContext
+        req.requestContext,
+        { ...getDownloadOptions(req), version: req.params.version }
       );
 
-      // Set appropriate headers for file download
-      res.set({
-        'Content-Type': result.metadata.mimeType || 'application/octet-stream',
-        'Content-Disposition': `attachment; filename="${result.metadata.originalName}"`,
-        'Content-Length': result.data.length,
-        'X-Document-Type': result.metadata.documentType,
-        'X-Upload-Date': result.metadata.uploadedAt,
-      });
-
-      res.send(result.data);
+      await sendDocument(res, result, req.query.disposition);
 
     } catch (error) {
-      console.error('Document download error:', error);
-      
-      if (error.message === 'Document not found') {
+      console.error('Document version download error:', error);
+
+      // Decryption or integrity verification failed mid-stream
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      if (error.message === 'Document not found' || error.code === 'VERSION_NOT_FOUND') {
         return res.status(404).json({
-          error: 'Document not found',
+          error: error.message,
           code: 'NOT_FOUND',
         });
       }
@@ -195,8 +1291,50 @@ router.get('/:documentId',
         });
       }
 
+      if (error.code === 'RANGE_NOT_SATISFIABLE') {
+        return res.status(416).set('Content-Range', `bytes */${error.size}`).json({
+          error: error.message,
+          code: 'RANGE_NOT_SATISFIABLE',
+        });
+      }
+
+      if (error.code === 'DOCUMENT_QUARANTINED') {
+        return res.status(423).json({
+          error: 'Document is quarantined',
+          code: 'DOCUMENT_QUARANTINED',
+        });
+      }
+
+      if (error.code === 'NOT_A_RECIPIENT') {
+        return res.status(403).json({
+          error: error.message,
+          code: 'NOT_A_RECIPIENT',
+        });
+      }
+
+      if (error.code === 'WATERMARK_FAILED') {
+        return res.status(500).json({
+          error: 'Document could not be watermarked',
+          code: 'WATERMARK_FAILED',
+        });
+      }
+
+      if (error.code === 'INTEGRITY_FAILURE') {
+        return res.status(500).json({
+          error: 'Document integrity verification failed',
+          code: 'INTEGRITY_FAILURE',
+        });
+      }
+
+      if (error.code === 'DECRYPTION_FAILED') {
+        return res.status(500).json({
+          error: 'Stored ciphertext failed authentication',
+          code: 'DECRYPTION_FAILED',
+        });
+      }
+
       res.status(500).json({
-        error: 'Failed to download document',
+        error: 'Failed to download document version',
         code: 'DOWNLOAD_FAILED',
         message: error.message,
       });
@@ -205,38 +1343,40 @@ router.get('/:documentId',
 );
 
 /**
- * DELETE /api/documents/:documentId
- * Delete a document
- * Requires: HR or Admin role
+ * GET /api/documents/:documentId/preview
+ * Get a PNG thumbnail (`?size=thumbnail`, the default) or first-page render (`?size=page`)
+ * of the current version
+ * Requires: Access permissions based on role and document ownership
  */
-router.delete('/:documentId',
+router.get('/:documentId/preview',
   validateRequest(documentIdValidator, 'params'),
-  validateRequest(deleteValidator, 'body'),
-  requireHROrAdmin,
-  rateLimit({ maxRequests: 10, windowMs: 60 * 1000 }), // 10 deletions per minute
+  validateRequest(previewValidator, 'query'),
+  rateLimit({ maxRequests: 200, windowMs: 60 * 1000 }), // Document lists load many thumbnails at once
   async (req, res) => {
     try {
-      const requestInfo = {
-        ...req.requestContext,
-        reason: req.body.reason,
-        permanentDelete: req.body.permanentDelete,
-      };
-
-      const result = await documentService.deleteDocument(
+      const result = await documentService.getDocumentPreview(
         req.params.documentId,
         req.user,
-        requestInfo
+        req.requestContext,
+        { size: req.query.size }
       );
 
-      res.json({
-        success: true,
-        message: 'Document deleted successfully',
-        data: result,
+      res.set({
+        'Cache-Control': 'private, no-cache',
+        'Content-Type': 'image/png',
+        'Content-Length': result.metadata.size,
+        'X-Document-Version': result.metadata.version,
       });
 
+      await pipeline(result.stream, res);
+
     } catch (error) {
-      console.error('Document deletion error:', error);
-      
+      console.error('Document preview error:', error);
+
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
       if (error.message === 'Document not found') {
         return res.status(404).json({
           error: 'Document not found',
@@ -244,16 +1384,30 @@ router.delete('/:documentId',
         });
       }
 
-      if (error.message.includes('Insufficient permissions')) {
+      if (error.code === 'PREVIEW_NOT_AVAILABLE') {
+        return res.status(404).json({
+          error: error.message,
+          code: 'PREVIEW_NOT_AVAILABLE',
+        });
+      }
+
+      if (error.message === 'Access denied') {
         return res.status(403).json({
-          error: 'Insufficient permissions to delete document',
+          error: 'Access denied',
           code: 'FORBIDDEN',
         });
       }
 
+      if (error.code === 'DOCUMENT_QUARANTINED') {
+        return res.status(423).json({
+          error: 'Document is quarantined',
+          code: 'DOCUMENT_QUARANTINED',
+        });
+      }
+
       res.status(500).json({
-        error: 'Failed to delete document',
-        code: 'DELETE_FAILED',
+        error: 'Failed to get document preview',
+        code: 'PREVIEW_FAILED',
         message: error.message,
       });
     }
@@ -261,47 +1415,73 @@ router.delete('/:documentId',
 );
 
 /**
- * POST /api/documents/:documentId/share
- * Share a document with other users
- * Requires: Document owner, HR, or Admin
+ * POST /api/documents/:documentId/versions/:version/rollback
+ * Make an earlier version the current version
+ * Requires: HR or Admin role
  */
-router.post('/:documentId/share',
-  validateRequest(documentIdValidator, 'params'),
-  validateRequest(shareValidator, 'body'),
+router.post('/:documentId/versions/:version/rollback',
+  validateRequest(versionValidator, 'params'),
+  validateRequest(rollbackValidator, 'body'),
+  requireHROrAdmin,
+  rateLimit({ maxRequests: 10, windowMs: 60 * 1000 }), // 10 rollbacks per minute
   async (req, res) => {
     try {
-      const result = await documentService.shareDocument(
+      const result = await documentService.rollbackDocument(
         req.params.documentId,
-        req.body.shareWith,
-        req.user
+        req.params.version,
+        { reason: req.body.reason },
+        req.user,
+        req.requestContext
       );
 
       res.json({
         success: true,
-        message: 'Document shared successfully',
+        message: result.message,
         data: result,
       });
 
     } catch (error) {
-      console.error('Document sharing error:', error);
-      
-      if (error.message === 'Document not found') {
+      console.error('Document rollback error:', error);
+
+      if (error.message === 'Document not found' || error.code === 'VERSION_NOT_FOUND') {
         return res.status(404).json({
-          error: 'Document not found',
+          error: error.message,
           code: 'NOT_FOUND',
         });
       }
 
       if (error.message.includes('Insufficient permissions')) {
         return res.status(403).json({
-          error: 'Insufficient permissions to share document',
+          error: 'Insufficient permissions to roll back document',
           code: 'FORBIDDEN',
         });
       }
 
+      if (error.code === 'DOCUMENT_QUARANTINED') {
+        return res.status(423).json({
+          error: 'Document is quarantined',
+          code: 'DOCUMENT_QUARANTINED',
+        });
+      }
+
+      if (error.code === 'LEGAL_HOLD') {
+        return res.status(423).json({
+          error: 'Document is under legal hold',
+          code: 'LEGAL_HOLD',
+          holds: error.holds,
+        });
+      }
+
+      if (error.code === 'VERSION_IS_CURRENT' || error.code === 'VERSION_CONFLICT') {
+        return res.status(409).json({
+          error: error.message,
+          code: error.code,
+        });
+      }
+
       res.status(500).json({
-        error: 'Failed to share document',
-        code: 'SHARE_FAILED',
+        error: 'Failed to roll back document',
+        code: 'ROLLBACK_FAILED',
         message: error.message,
       });
     }
@@ -355,6 +1535,34 @@ router.post('/:documentId/signed-url',
         });
       }
 
+      if (error.code === 'DOCUMENT_QUARANTINED') {
+        return res.status(423).json({
+          error: 'Document is quarantined',
+          code: 'DOCUMENT_QUARANTINED',
+        });
+      }
+
+      if (error.code === 'INTEGRITY_FAILURE') {
+        return res.status(500).json({
+          error: 'Document integrity verification failed',
+          code: 'INTEGRITY_FAILURE',
+        });
+      }
+
+      if (error.code === 'NOT_A_RECIPIENT') {
+        return res.status(403).json({
+          error: error.message,
+          code: 'NOT_A_RECIPIENT',
+        });
+      }
+
+      if (error.code === 'SIGNED_URL_UNSUPPORTED') {
+        return res.status(501).json({
+          error: error.message,
+          code: 'SIGNED_URL_UNSUPPORTED',
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to generate signed URL',
         code: 'SIGNED_URL_FAILED',
@@ -467,6 +1675,87 @@ router.use((error, req, res, next) => {
     });
   }
 
+  if (error.code === 'CLIENT_ENCRYPTION_INVALID') {
+    return res.status(400).json({
+      error: 'Client-side encryption rejected',
+      code: 'CLIENT_ENCRYPTION_INVALID',
+      message: error.message,
+    });
+  }
+
+  if (error.message === 'Document not found') {
+    return res.status(404).json({
+      error: 'Document not found',
+      code: 'NOT_FOUND',
+    });
+  }
+
+  if (error.message && error.message.includes('Insufficient permissions')) {
+    return res.status(403).json({
+      error: error.message,
+      code: 'FORBIDDEN',
+    });
+  }
+
+  if (error.code === 'DOCUMENT_QUARANTINED') {
+    return res.status(423).json({
+      error: 'Document is quarantined',
+      code: 'DOCUMENT_QUARANTINED',
+    });
+  }
+
+  if (error.code === 'VERSION_CONFLICT') {
+    return res.status(409).json({
+      error: error.message,
+      code: 'VERSION_CONFLICT',
+    });
+  }
+
+  if (error.code === 'DUPLICATE_DOCUMENT') {
+    return res.status(409).json({
+      error: error.message,
+      code: 'DUPLICATE_DOCUMENT',
+      existingDocumentId: error.existingDocumentId,
+    });
+  }
+
+  if (error.code === 'DOCUMENT_ID_CONFLICT') {
+    return res.status(409).json({
+      error: error.message,
+      code: 'DOCUMENT_ID_CONFLICT',
+    });
+  }
+
+  if (error.code === 'INVALID_FILE_CONTENT') {
+    return res.status(422).json({
+      error: error.message,
+      code: 'INVALID_FILE_CONTENT',
+    });
+  }
+
+  if (error.code === 'MALWARE_DETECTED') {
+    return res.status(422).json({
+      error: error.message,
+      code: 'MALWARE_DETECTED',
+    });
+  }
+
+  if (error.code === 'SCAN_FAILED') {
+    return res.status(503).json({
+      error: 'The file could not be scanned for malware',
+      code: 'SCAN_FAILED',
+      message: error.message,
+    });
+  }
+
+  if (error.code === 'UPLOAD_FAILED') {
+    return res.status(500).json({
+      error: 'Failed to upload document',
+      code: 'UPLOAD_FAILED',
+      message: error.message,
+    });
+  }
+
   next(error);
 });
 
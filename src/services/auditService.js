@@ -135,16 +135,114 @@ class AuditService {
         employeeId: data.documentEmployeeId,
       },
       metadata: {
-        accessMethod: data.accessMethod || 'direct', // direct, signed-url, etc.
+        accessMethod: data.accessMethod || 'direct', // direct, range, signed-url, etc.
         downloadSize: data.downloadSize,
+        range: data.range || null,
+        version: data.version || null,
+        watermarked: data.watermarked || false,
       },
       ipAddress: data.ipAddress,
       userAgent: data.userAgent,
+      requestId: data.requestId,
       success: data.success,
       errorMessage: data.errorMessage,
     });
   }
 
+  /**
+   * Log document view event (metadata or history read without downloading content)
+   * @param {Object} data - View event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logDocumentView(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.DOCUMENT_VIEW,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'document',
+        id: data.documentId,
+        name: data.documentName,
+        employeeId: data.documentEmployeeId,
+      },
+      metadata: {
+        view: data.view, // versions, preview-thumbnail or preview-page
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+    });
+  }
+
+  /**
+   * Log new document version event
+   * @param {Object} data - Version upload event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logDocumentVersionUpload(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.DOCUMENT_VERSION_UPLOAD,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'document',
+        id: data.documentId,
+        name: data.documentName,
+        size: data.fileSize,
+        employeeId: data.documentEmployeeId,
+      },
+      metadata: {
+        version: data.version || null,
+        previousVersion: data.previousVersion || null,
+        fileName: data.fileName || null,
+        fileHash: data.fileHash || null,
+        mimeType: data.mimeType,
+        changes: data.changes || null,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+      duration: data.duration,
+    });
+  }
+
+  /**
+   * Log document rollback event
+   * @param {Object} data - Rollback event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logDocumentRollback(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.DOCUMENT_ROLLBACK,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'document',
+        id: data.documentId,
+        name: data.documentName,
+        employeeId: data.documentEmployeeId,
+      },
+      metadata: {
+        fromVersion: data.fromVersion || null,
+        toVersion: data.toVersion || null,
+        reason: data.reason || null,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+      duration: data.duration,
+    });
+  }
+
   /**
    * Log document deletion event
    * @param {Object} data - Deletion event data
@@ -175,6 +273,37 @@ class AuditService {
     });
   }
 
+  /**
+   * Log restore of a document from the recycle bin
+   * @param {Object} data - Restore event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logDocumentRestore(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.DOCUMENT_RESTORE,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'document',
+        id: data.documentId,
+        name: data.documentName,
+        employeeId: data.documentEmployeeId,
+      },
+      metadata: {
+        deletedBy: data.deletedBy || null,
+        deleteReason: data.deleteReason || null,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+      duration: data.duration,
+      dataClassification: 'confidential',
+    });
+  }
+
   /**
    * Log user authentication event
    * @param {Object} data - Auth event data
@@ -253,6 +382,387 @@ class AuditService {
     });
   }
 
+  /**
+   * Log key rotation job event
+   * @param {Object} data - Key rotation event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logKeyRotation(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.KEY_ROTATION,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'key_rotation_job',
+        id: data.jobId,
+      },
+      metadata: {
+        action: data.action, // started, resumed, completed
+        keyId: data.keyId,
+        targetKeyVersion: data.targetKeyVersion,
+        processed: data.processed,
+        rewrapped: data.rewrapped,
+        failed: data.failed,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+    });
+  }
+
+  /**
+   * Log storage reconciliation job event
+   * @param {Object} data - Reconciliation event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logStorageReconciliation(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.STORAGE_RECONCILIATION,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'reconciliation_job',
+        id: data.jobId,
+      },
+      metadata: {
+        action: data.action, // started, completed
+        repair: data.repair,
+        objectsScanned: data.objectsScanned,
+        recordsScanned: data.recordsScanned,
+        findings: data.findings, // Count per inconsistency class
+        repaired: data.repaired,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+    });
+  }
+
+  /**
+   * Log resumable upload session event
+   * @param {Object} data - Upload session event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logUploadSession(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.UPLOAD_SESSION,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'upload_session',
+        id: data.sessionId,
+        employeeId: data.documentEmployeeId,
+      },
+      metadata: {
+        action: data.action, // created, finalized, aborted, expired
+        documentId: data.documentId || null,
+        documentType: data.documentType,
+        totalSize: data.totalSize,
+        receivedBytes: data.receivedBytes,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+    });
+  }
+
+  /**
+   * Log legal hold event
+   * @param {Object} data - Legal hold event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logLegalHold(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.LEGAL_HOLD,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'legal_hold',
+        id: data.holdId,
+        employeeId: data.holdEmployeeId || null,
+      },
+      metadata: {
+        action: data.action, // placed, released
+        scope: data.scope,
+        targetId: data.targetId,
+        matter: data.matter || null,
+        reason: data.reason,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+      dataClassification: 'confidential',
+    });
+  }
+
+  /**
+   * Log disposal of a document at the end of its retention period
+   * @param {Object} data - Disposition event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logRetentionDisposition(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.RETENTION_DISPOSITION,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'document',
+        id: data.documentId,
+        name: data.documentName || null,
+        employeeId: data.documentEmployeeId,
+      },
+      metadata: {
+        documentType: data.documentType,
+        retentionFrom: data.policy.from,
+        retentionDays: data.policy.days,
+        disposeAfter: data.disposeAfter,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+      dataClassification: 'confidential',
+    });
+  }
+
+  /**
+   * Log recording or withdrawal of an employee's offboarding date
+   * @param {Object} data - Offboarding event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logEmployeeOffboarding(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.EMPLOYEE_OFFBOARDING,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'employee',
+        id: data.offboardedEmployeeId,
+        employeeId: data.offboardedEmployeeId,
+      },
+      metadata: {
+        action: data.action, // recorded, cancelled
+        offboardedAt: data.offboardedAt,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+    });
+  }
+
+  /**
+   * Log document integrity failure event
+   * @param {Object} data - Integrity failure event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logIntegrityFailure(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.INTEGRITY_FAILURE,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'document',
+        id: data.documentId,
+        name: data.documentName,
+        employeeId: data.documentEmployeeId,
+      },
+      metadata: {
+        fileName: data.fileName,
+        version: data.version,
+        expectedHash: data.expectedHash,
+        actualHash: data.actualHash,
+        detectedDuring: data.detectedDuring, // download, signed-url, scrub
+        quarantined: true,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: false,
+      errorMessage: data.errorMessage || 'Stored document failed integrity verification',
+      dataClassification: 'restricted',
+    });
+  }
+
+  /**
+   * Log integrity scrub run
+   * Each corrupted document is also logged as an integrity_failure event.
+   * @param {Object} data - Scrub run data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logIntegrityScrub(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.INTEGRITY_SCRUB,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'integrity_scrub_run',
+        id: data.runId,
+      },
+      metadata: {
+        examined: data.examined,
+        verified: data.verified,
+        objectsVerified: data.objectsVerified,
+        corrupted: data.corrupted,
+        failed: data.failed,
+        wrapped: data.wrapped, // The run reached the last document and the next starts over
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.corrupted === 0 && data.failed === 0,
+      errorMessage: data.errorMessage,
+    });
+  }
+
+  /**
+   * Log malware found in an upload or a stored document
+   * @param {Object} data - Detection data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logMalwareDetected(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.MALWARE_DETECTED,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'document',
+        id: data.documentId,
+        name: data.documentName,
+        employeeId: data.documentEmployeeId,
+      },
+      metadata: {
+        fileName: data.fileName,
+        version: data.version || null,
+        signature: data.signature,
+        engine: data.engine,
+        detectedDuring: data.detectedDuring, // upload, rescan
+        action: data.action, // rejected, quarantined
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: false,
+      errorMessage: `Malware detected: ${data.signature}`,
+      dataClassification: 'restricted',
+    });
+  }
+
+  /**
+   * Log malware rescan run
+   * Each infected document is also logged as a malware_detected event.
+   * @param {Object} data - Rescan run data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logMalwareRescan(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.MALWARE_RESCAN,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'malware_rescan',
+        id: data.documentId || null,
+      },
+      metadata: {
+        engine: data.engine,
+        examined: data.examined,
+        rescanned: data.rescanned,
+        infected: data.infected,
+        failed: data.failed,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.failed === 0,
+      errorMessage: data.errorMessage,
+    });
+  }
+
+  /**
+   * Log right-to-erasure event with its signed certificate
+   * @param {Object} data - Erasure event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logEmployeeErasure(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.EMPLOYEE_ERASURE,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'employee',
+        id: data.erasedEmployeeId,
+        employeeId: data.erasedEmployeeId,
+      },
+      metadata: {
+        method: 'crypto_shredding',
+        certificate: data.certificate || null,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      success: data.success,
+      errorMessage: data.errorMessage,
+      duration: data.duration,
+      dataClassification: 'restricted',
+    });
+  }
+
+  /**
+   * Log bulk export of an employee's documents
+   * Each document in the archive is also logged as a download.
+   * @param {Object} data - Export event data
+   * @returns {Promise<string>} Audit log ID
+   */
+  async logDocumentExport(data) {
+    return await this.logEvent({
+      eventType: config.auditEvents.DOCUMENT_EXPORT,
+      userId: data.userId,
+      userEmail: data.userEmail,
+      userRole: data.userRole,
+      employeeId: data.employeeId,
+      resource: {
+        type: 'employee',
+        id: data.exportEmployeeId,
+        employeeId: data.exportEmployeeId,
+      },
+      metadata: {
+        exportId: data.exportId,
+        filters: data.filters || {},
+        passwordProtected: data.passwordProtected || false,
+        documentIds: data.documentIds || [],
+        skippedDocumentIds: data.skippedDocumentIds || [],
+        archiveSize: data.archiveSize || null,
+      },
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      requestId: data.requestId,
+      success: data.success,
+      errorMessage: data.errorMessage,
+      duration: data.duration,
+    });
+  }
+
   /**
    * Get audit logs with filtering
    * @param {Object} filters - Filter criteria
@@ -449,6 +959,12 @@ class AuditService {
       config.auditEvents.DOCUMENT_DELETE,
       config.auditEvents.ROLE_CHANGE,
       config.auditEvents.ACCESS_DENIED,
+      config.auditEvents.KEY_ROTATION,
+      config.auditEvents.INTEGRITY_FAILURE,
+      config.auditEvents.EMPLOYEE_ERASURE,
+      config.auditEvents.DOCUMENT_ROLLBACK,
+      config.auditEvents.LEGAL_HOLD,
+      config.auditEvents.RETENTION_DISPOSITION,
     ];
     return criticalEvents.includes(eventType);
   }
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+
+/**
+ * Bounded, TTL-limited in-memory cache of unwrapped data encryption keys.
+ *
+ * Entries are keyed by a hash of the wrapped DEK, so the cache never holds a
+ * wrapped/unwrapped pair side by side. Cached keys are copies that are zeroed
+ * when they expire, are evicted to make room, or are invalidated.
+ */
+class DataKeyCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Maximum number of cached keys
+   * @param {number} options.ttlSeconds - Lifetime of a cached key
+   */
+  constructor(options) {
+    this.maxEntries = options.maxEntries;
+    this.ttlMs = options.ttlSeconds * 1000;
+    this.entries = new Map();
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      expirations: 0,
+    };
+
+    // Zero expired keys even if nobody asks for them again
+    this.sweepTimer = setInterval(() => this.sweep(), Math.min(this.ttlMs, 60 * 1000));
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Build the cache key for a wrapped DEK
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @param {string} employeeKeyId - Employee whose KEK wrapped the DEK, if any
+   * @returns {string} Cache key
+   */
+  cacheKey(encryptedDEK, employeeKeyId) {
+    return crypto.createHash('sha256').update(`${employeeKeyId || ''}:${encryptedDEK}`).digest('hex');
+  }
+
+  /**
+   * Get a copy of a cached DEK
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @param {string} employeeKeyId - Employee whose KEK wrapped the DEK, if any
+   * @returns {Buffer|null} Plaintext DEK the caller may zero, or null on a miss
+   */
+  get(encryptedDEK, employeeKeyId) {
+    const key = this.cacheKey(encryptedDEK, employeeKeyId);
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key, 'expirations');
+      this.stats.misses++;
+      return null;
+    }
+
+    // Re-insert to keep the Map in least-recently-used order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+
+    return Buffer.from(entry.dek);
+  }
+
+  /**
+   * Cache a copy of an unwrapped DEK
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @param {string} employeeKeyId - Employee whose KEK wrapped the DEK, if any
+   * @param {Buffer} dek - Plaintext DEK
+   */
+  set(encryptedDEK, employeeKeyId, dek) {
+    const key = this.cacheKey(encryptedDEK, employeeKeyId);
+    if (this.entries.has(key)) {
+      this.remove(key);
+    }
+
+    while (this.entries.size >= this.maxEntries) {
+      this.remove(this.entries.keys().next().value, 'evictions');
+    }
+
+    this.entries.set(key, {
+      dek: Buffer.from(dek),
+      employeeKeyId: employeeKeyId || null,
+      expiresAt: Date.now() + this.ttlMs,
+    });
+  }
+
+  /**
+   * Drop a single wrapped DEK from the cache
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @param {string} employeeKeyId - Employee whose KEK wrapped the DEK, if any
+   */
+  invalidate(encryptedDEK, employeeKeyId) {
+    this.remove(this.cacheKey(encryptedDEK, employeeKeyId));
+  }
+
+  /**
+   * Drop every DEK wrapped by an employee's KEK
+   * @param {string} employeeKeyId - Employee ID
+   */
+  invalidateEmployee(employeeKeyId) {
+    for (const [key, entry] of this.entries) {
+      if (entry.employeeKeyId === employeeKeyId) {
+        this.remove(key);
+      }
+    }
+  }
+
+  /**
+   * Zero and drop expired entries
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.remove(key, 'expirations');
+      }
+    }
+  }
+
+  /**
+   * Zero and drop every entry
+   */
+  clear() {
+    for (const key of [...this.entries.keys()]) {
+      this.remove(key);
+    }
+  }
+
+  /**
+   * Zero and drop an entry
+   * @param {string} key - Cache key
+   * @param {string} reason - Stats counter to increment
+   */
+  remove(key, reason) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    entry.dek.fill(0);
+    this.entries.delete(key);
+    if (reason) {
+      this.stats[reason]++;
+    }
+  }
+
+  /**
+   * Get cache metrics
+   * @returns {Object} Hit/miss counters and current size
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: this.ttlMs / 1000,
+    };
+  }
+}
+
+module.exports = DataKeyCache;
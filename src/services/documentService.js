@@ -1,26 +1,49 @@
 const admin = require('firebase-admin');
 const config = require('../config/config');
 const storageService = require('./storageService');
+const encryptionService = require('./encryptionService');
+const employeeKeyService = require('./employeeKeyService');
 const auditService = require('./auditService');
 const firebaseService = require('./firebaseService');
+const legalHoldService = require('./legalHoldService');
+const previewService = require('./previewService');
+const { getWatermarker, watermarkFailedError } = require('./watermarkers');
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
 const { v4: uuidv4 } = require('uuid');
 
+/**
+ * Build the error for an upload whose content the employee already has
+ * @param {string} existingDocumentId - Active document with the same content
+ * @returns {Error} Error with code DUPLICATE_DOCUMENT
+ */
+function duplicateDocumentError(existingDocumentId) {
+  const error = new Error('This file has already been uploaded for the employee');
+  error.code = 'DUPLICATE_DOCUMENT';
+  error.existingDocumentId = existingDocumentId;
+  return error;
+}
+
 class DocumentService {
   constructor() {
     this.firestore = admin.firestore();
     this.documentsCollection = this.firestore.collection(config.firestore.collections.documents);
+    this.documentHashesCollection = this.firestore.collection(config.firestore.collections.documentHashes);
   }
 
   /**
    * Upload a new document
-   * @param {Buffer} fileBuffer - File data
+   * @param {Buffer|Readable} fileSource - File data or a readable stream of it
    * @param {Object} metadata - Document metadata
    * @param {Object} userInfo - User information
    * @param {Object} requestInfo - Request context (IP, user agent, etc.)
    * @returns {Promise<Object>} Upload result
    */
-  async uploadDocument(fileBuffer, metadata, userInfo, requestInfo = {}) {
+  async uploadDocument(fileSource, metadata, userInfo, requestInfo = {}) {
     const startTime = Date.now();
+    let uploadResult;
+    let recorded = false;
     
     try {
       // Validate user permissions
@@ -43,8 +66,27 @@ class DocumentService {
         throw new Error('Insufficient permissions to upload document');
       }
 
+      await this.validateClientEncryption(metadata, userInfo);
+
       // Upload to storage
-      const uploadResult = await storageService.uploadDocument(fileBuffer, metadata, userInfo);
+      uploadResult = await storageService.uploadDocument(fileSource, metadata, userInfo);
+      const { employeeId, fileHash } = uploadResult.metadata;
+
+      const quarantine = await this.handleMalwareVerdict(uploadResult, userInfo, requestInfo);
+
+      // The hash is only known once the file has streamed through. This early check spares rendering
+      // previews of a duplicate; the one made when the document is recorded is the binding one.
+      const duplicate = await this.findDuplicateDocument(employeeId, fileHash);
+      if (duplicate) {
+        throw duplicateDocumentError(duplicate.id);
+      }
+
+      // Quarantined files are never opened for rendering
+      uploadResult.metadata.previews = quarantine
+        ? null
+        : await previewService.generatePreviews(uploadResult.documentId, uploadResult.metadata, userInfo, {
+          kinds: this.getPreviewKinds(uploadResult.metadata.documentType),
+        });
       
       // Store document metadata in Firestore
       const documentMetadata = {
@@ -59,9 +101,52 @@ class DocumentService {
           viewers: metadata.viewers || [],
           editors: metadata.editors || [],
         },
+        ...(quarantine && {
+          quarantined: true,
+          quarantine: { ...quarantine, quarantinedAt: admin.firestore.FieldValue.serverTimestamp() },
+        }),
       };
 
-      await this.documentsCollection.doc(uploadResult.documentId).set(documentMetadata);
+      // The document record points at its current version; every version is kept in its history
+      const documentRecord = await this.encryptMetadataFields({
+        ...documentMetadata,
+        latestVersion: uploadResult.metadata.version,
+      });
+      const versionRecord = await this.buildVersionRecord(
+        uploadResult.documentId,
+        uploadResult.metadata,
+        null,
+        metadata.comment
+      );
+
+      // Uploads of the same file write the same content marker, so when two race only one is recorded
+      const docRef = this.documentsCollection.doc(uploadResult.documentId);
+      await this.firestore.runTransaction(async transaction => {
+        const existing = await this.findDuplicateDocument(employeeId, fileHash, transaction);
+        if (existing) {
+          throw duplicateDocumentError(existing.id);
+        }
+
+        // Browser-encrypted uploads bring their own document ID, which a concurrent or replayed
+        // upload may have taken since it was validated
+        if ((await transaction.get(docRef)).exists) {
+          const error = new Error('Document ID is already in use');
+          error.code = 'DOCUMENT_ID_CONFLICT';
+          throw error;
+        }
+
+        transaction.set(this.getContentMarkerRef(employeeId, fileHash), {
+          employeeId,
+          documentId: uploadResult.documentId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.create(docRef, documentRecord);
+        transaction.set(
+          this.getVersionsCollection(uploadResult.documentId).doc(String(uploadResult.metadata.version)),
+          versionRecord
+        );
+      });
+      recorded = true;
 
       // Log audit event
       await auditService.logDocumentUpload({
@@ -74,7 +159,7 @@ class DocumentService {
         documentType: metadata.documentType,
         documentEmployeeId: metadata.employeeId || userInfo.employeeId,
         fileName: uploadResult.fileName,
-        fileSize: fileBuffer.length,
+        fileSize: uploadResult.metadata.size,
         mimeType: metadata.mimeType,
         encryptionAlgorithm: 'aes-256-gcm',
         ipAddress: requestInfo.ipAddress,
@@ -91,12 +176,23 @@ class DocumentService {
           id: uploadResult.documentId,
           name: metadata.originalName,
           type: metadata.documentType,
-          size: fileBuffer.length,
+          size: uploadResult.metadata.size,
+          malwareScan: uploadResult.metadata.malwareScan,
+          quarantined: Boolean(quarantine),
+          hasPreview: Boolean(uploadResult.metadata.previews),
           uploadedAt: new Date().toISOString(),
         },
       };
 
     } catch (error) {
+      // Objects of a document that was never recorded are unreachable
+      if (uploadResult && !recorded) {
+        const fileNames = [uploadResult.fileName, ...previewService.getPreviewFileNames(uploadResult.metadata.previews)];
+        await Promise.all(fileNames.map(fileName => storageService.deleteDocument(fileName, userInfo))).catch(err => {
+          console.error('Error deleting objects of unrecorded document:', err);
+        });
+      }
+
       // Log failed upload
       await auditService.logDocumentUpload({
         userId: userInfo.uid,
@@ -106,7 +202,7 @@ class DocumentService {
         documentName: metadata.originalName,
         documentType: metadata.documentType,
         fileName: metadata.originalName,
-        fileSize: fileBuffer.length,
+        fileSize: Buffer.isBuffer(fileSource) ? fileSource.length : null,
         mimeType: metadata.mimeType,
         ipAddress: requestInfo.ipAddress,
         userAgent: requestInfo.userAgent,
@@ -124,9 +220,16 @@ class DocumentService {
    * @param {string} documentId - Document ID
    * @param {Object} userInfo - User information
    * @param {Object} requestInfo - Request context
-   * @returns {Promise<Object>} Document data and metadata
+   * @param {Object} options - Download options
+   * @param {number} options.version - Version to download instead of the current one
+   * @param {Object} options.range - Byte range to send ({ start, end }, see storageService)
+   * @param {string} options.ifRange - Entity tag the range is conditional on; on a mismatch the whole document is sent
+   * @param {Array<string>} options.ifNoneMatch - Entity tags the client already holds
+   * @param {string} options.accessMethod - How the document is being read, for the audit log (default direct)
+   * @returns {Promise<Object>} Decrypted document stream and metadata, or only the metadata
+   * with `notModified` set when the client's copy is current
    */
-  async downloadDocument(documentId, userInfo, requestInfo = {}) {
+  async downloadDocument(documentId, userInfo, requestInfo = {}, options = {}) {
     const startTime = Date.now();
     
     try {
@@ -134,11 +237,11 @@ class DocumentService {
       const docRef = this.documentsCollection.doc(documentId);
       const docSnapshot = await docRef.get();
 
-      if (!docSnapshot.exists) {
+      if (!docSnapshot.exists || !docSnapshot.data().isActive) {
         throw new Error('Document not found');
       }
 
-      const documentMetadata = docSnapshot.data();
+      const documentMetadata = await this.decryptMetadataFields(documentId, docSnapshot.data());
 
       // Check access permissions
       if (!this.canAccessDocument(userInfo, documentMetadata)) {
@@ -161,16 +264,108 @@ class DocumentService {
         throw new Error('Access denied');
       }
 
-      // Download from storage
-      const downloadResult = await storageService.downloadDocument(documentMetadata.fileName, userInfo);
+      this.assertNotQuarantined(documentMetadata);
 
-      // Update access statistics
-      await docRef.update({
-        accessCount: admin.firestore.FieldValue.increment(1),
-        lastAccessed: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      // Older versions are served from their own objects
+      const target = options.version
+        ? this.withVersion(documentMetadata, await this.getVersionRecord(documentId, options.version, documentMetadata))
+        : documentMetadata;
+
+      // Zero-knowledge documents are only served to users holding a wrapped key
+      const recipient = target.clientEncryption
+        ? this.getClientEncryptionRecipient(target, userInfo)
+        : null;
+
+      // Document types with watermarking on are served as a copy stamped with the downloader
+      // (zero-knowledge documents cannot be opened to stamp them); the stored file is unchanged
+      const watermarker = !recipient && this.getDocumentTypePolicy(documentMetadata.documentType).watermark
+        ? getWatermarker(target.mimeType, config.watermark)
+        : null;
+
+      if (watermarker && target.size > config.watermark.maxSize) {
+        throw watermarkFailedError(`Documents larger than ${config.watermark.maxSize} bytes cannot be watermarked`);
+      }
+
+      // The content hash identifies the bytes served, whichever format they are stored in.
+      // A watermarked copy differs on every download, so it has no ETag and no ranges.
+      const etag = target.fileHash && !watermarker ? `"${target.fileHash}"` : null;
+      const metadata = {
+        id: documentId,
+        originalName: target.originalName,
+        mimeType: target.mimeType,
+        documentType: documentMetadata.documentType,
+        version: target.version || 1,
+        etag,
+        uploadedAt: target.uploadedAt,
+        lastModified: documentMetadata.updatedAt,
+        clientEncryption: recipient && {
+          version: target.clientEncryption.version,
+          keyFingerprint: recipient.keyFingerprint,
+          wrappedKey: recipient.wrappedKey,
+        },
+      };
+
+      if (etag && options.ifNoneMatch && (options.ifNoneMatch.includes('*') || options.ifNoneMatch.includes(etag))) {
+        return { notModified: true, metadata };
+      }
+
+      // Download from storage
+      const downloadResult = await storageService.downloadDocument(
+        target.fileName,
+        userInfo,
+        encryptionService.getEncryptionContext({ ...target, id: documentId }),
+        { range: !watermarker && (!options.ifRange || options.ifRange === etag) ? options.range : null }
+      );
+
+      const { range } = downloadResult.metadata;
+      let { size } = downloadResult.metadata;
+      const partial = Boolean(range) && range.end - range.start + 1 < size;
+      let stream = downloadResult.stream;
+
+      // Verify the decrypted content against the hash recorded at upload. A partial range
+      // cannot be hashed; its frames are still authenticated by their GCM tags.
+      if (!partial) {
+        const verifier = encryptionService.createIntegrityStream(target.fileHash);
+        stream.on('error', error => verifier.destroy(error));
+        stream = stream.pipe(verifier);
+      }
+      stream.on('error', error => {
+        if (error.code === 'INTEGRITY_FAILURE' || error.code === 'DECRYPTION_FAILED') {
+          this.handleIntegrityFailure(documentId, target, error, userInfo, requestInfo, 'download')
+            .catch(err => console.error('Error quarantining document:', err));
+        }
       });
 
+      // Stamping needs the whole verified document in memory, so its size is capped
+      if (watermarker) {
+        const chunks = [];
+        let length = 0;
+        for await (const chunk of stream) {
+          length += chunk.length;
+          if (length > config.watermark.maxSize) {
+            downloadResult.stream.destroy();
+            throw watermarkFailedError(`Documents larger than ${config.watermark.maxSize} bytes cannot be watermarked`);
+          }
+          chunks.push(chunk);
+        }
+        const watermarked = await watermarker.apply(Buffer.concat(chunks), {
+          recipient: userInfo.email,
+          timestamp: requestInfo.timestamp || new Date().toISOString(),
+          requestId: requestInfo.requestId,
+        });
+        stream = Readable.from([watermarked]);
+        size = watermarked.length;
+      }
+
+      // Viewers page through a document with many range requests; count each read once
+      if (!range || range.start === 0) {
+        await docRef.update({
+          accessCount: admin.firestore.FieldValue.increment(1),
+          lastAccessed: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+
       // Log audit event
       await auditService.logDocumentDownload({
         userId: userInfo.uid,
@@ -178,27 +373,23 @@ class DocumentService {
         userRole: userInfo.role,
         employeeId: userInfo.employeeId,
         documentId: documentId,
-        documentName: documentMetadata.originalName,
+        documentName: target.originalName,
         documentEmployeeId: documentMetadata.employeeId,
-        downloadSize: downloadResult.data.length,
-        accessMethod: 'direct',
+        downloadSize: partial ? range.end - range.start + 1 : size,
+        accessMethod: partial ? 'range' : options.accessMethod || 'direct',
+        range: partial ? `${range.start}-${range.end}` : null,
+        version: options.version,
+        watermarked: Boolean(watermarker),
         ipAddress: requestInfo.ipAddress,
         userAgent: requestInfo.userAgent,
+        requestId: requestInfo.requestId,
         success: true,
         duration: Date.now() - startTime,
       });
 
       return {
-        data: downloadResult.data,
-        metadata: {
-          id: documentId,
-          originalName: documentMetadata.originalName,
-          mimeType: documentMetadata.mimeType,
-          size: downloadResult.data.length,
-          documentType: documentMetadata.documentType,
-          uploadedAt: documentMetadata.uploadedAt,
-          lastModified: documentMetadata.updatedAt,
-        },
+        stream,
+        metadata: { ...metadata, size, range, watermarked: Boolean(watermarker) },
       };
 
     } catch (error) {
@@ -209,8 +400,10 @@ class DocumentService {
         userRole: userInfo.role,
         employeeId: userInfo.employeeId,
         documentId: documentId,
+        version: options.version,
         ipAddress: requestInfo.ipAddress,
         userAgent: requestInfo.userAgent,
+        requestId: requestInfo.requestId,
         success: false,
         errorMessage: error.message,
         duration: Date.now() - startTime,
@@ -221,28 +414,113 @@ class DocumentService {
   }
 
   /**
-   * Delete a document
+   * Get a preview image of a document's current version
+   * Previews show the document's content, so they are subject to the same access checks
+   * as downloads.
    * @param {string} documentId - Document ID
    * @param {Object} userInfo - User information
    * @param {Object} requestInfo - Request context
+   * @param {Object} options - Preview options
+   * @param {string} options.size - thumbnail or page
+   * @returns {Promise<Object>} Decrypted PNG stream and metadata; rejects with code
+   * PREVIEW_NOT_AVAILABLE if the document has no preview
+   */
+  async getDocumentPreview(documentId, userInfo, requestInfo = {}, options = {}) {
+    const size = options.size || 'thumbnail';
+    const docSnapshot = await this.documentsCollection.doc(documentId).get();
+
+    if (!docSnapshot.exists || !docSnapshot.data().isActive) {
+      throw new Error('Document not found');
+    }
+
+    const documentMetadata = await this.decryptMetadataFields(documentId, docSnapshot.data());
+
+    if (!this.canAccessDocument(userInfo, documentMetadata)) {
+      await auditService.logAccessDenied({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        resource: {
+          type: 'document',
+          id: documentId,
+          name: documentMetadata.originalName,
+          employeeId: documentMetadata.employeeId,
+        },
+        attemptedAction: 'preview_document',
+        reason: 'access_denied',
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+      });
+      throw new Error('Access denied');
+    }
+
+    this.assertNotQuarantined(documentMetadata);
+
+    // Page renders stored before the type's watermarking was turned on are not served either
+    if (!this.getPreviewKinds(documentMetadata.documentType).includes(size)) {
+      const error = new Error('No preview is available for this document');
+      error.code = 'PREVIEW_NOT_AVAILABLE';
+      throw error;
+    }
+
+    const preview = await previewService.openPreview(documentId, documentMetadata, size);
+
+    await auditService.logDocumentView({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      documentId,
+      documentName: documentMetadata.originalName,
+      documentEmployeeId: documentMetadata.employeeId,
+      view: `preview-${size}`,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: true,
+    });
+
+    return {
+      stream: preview.stream,
+      metadata: {
+        id: documentId,
+        version: documentMetadata.version || 1,
+        size: preview.size,
+      },
+    };
+  }
+
+  /**
+   * Delete a document
+   * Documents go to the recycle bin, objects intact, until restored or purged. A permanent
+   * delete (admin only) purges the objects of every version at once, including from the bin.
+   * @param {string} documentId - Document ID
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context (reason, permanentDelete)
    * @returns {Promise<Object>} Deletion result
    */
   async deleteDocument(documentId, userInfo, requestInfo = {}) {
     const startTime = Date.now();
+    const permanent = Boolean(requestInfo.permanentDelete);
     
     try {
       // Get document metadata
       const docRef = this.documentsCollection.doc(documentId);
       const docSnapshot = await docRef.get();
 
-      if (!docSnapshot.exists) {
+      // Documents in the recycle bin can still be purged
+      if (!docSnapshot.exists || !(docSnapshot.data().isActive || (permanent && docSnapshot.data().trashed))) {
         throw new Error('Document not found');
       }
 
-      const documentMetadata = docSnapshot.data();
+      const documentMetadata = await this.decryptMetadataFields(documentId, docSnapshot.data());
 
       // Check delete permissions
-      if (!this.canDeleteDocument(userInfo, documentMetadata)) {
+      const allowed = permanent
+        ? this.canPurgeDocument(userInfo, documentMetadata)
+        : this.canDeleteDocument(userInfo, documentMetadata);
+
+      if (!allowed) {
         await auditService.logAccessDenied({
           userId: userInfo.uid,
           userEmail: userInfo.email,
@@ -254,25 +532,34 @@ class DocumentService {
             name: documentMetadata.originalName,
             employeeId: documentMetadata.employeeId,
           },
-          attemptedAction: 'delete_document',
+          attemptedAction: permanent ? 'purge_document' : 'delete_document',
           reason: 'insufficient_permissions',
-          requiredRole: [config.roles.ADMIN, config.roles.HR],
+          requiredRole: permanent ? [config.roles.ADMIN] : [config.roles.ADMIN, config.roles.HR],
           ipAddress: requestInfo.ipAddress,
           userAgent: requestInfo.userAgent,
         });
         throw new Error('Insufficient permissions to delete document');
       }
 
-      // Delete from storage
-      await storageService.deleteDocument(documentMetadata.fileName, userInfo);
-
-      // Mark as deleted in Firestore (soft delete for audit trail)
-      await docRef.update({
-        isActive: false,
-        deletedAt: admin.firestore.FieldValue.serverTimestamp(),
-        deletedBy: userInfo.uid,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
+      await legalHoldService.assertNotHeld(documentId, documentMetadata);
+
+      let purgeAfter = null;
+      if (permanent) {
+        await this.purgeDocument(documentId, documentMetadata, userInfo, requestInfo.reason || 'user_request');
+      } else {
+        purgeAfter = new Date(Date.now() + config.recycleBin.retentionDays * 24 * 60 * 60 * 1000);
+
+        // Mark as deleted in Firestore; storage is left alone so the delete can be undone
+        await docRef.update({
+          isActive: false,
+          trashed: true,
+          deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+          deletedBy: userInfo.uid,
+          deleteReason: requestInfo.reason || 'user_request',
+          purgeAfter: admin.firestore.Timestamp.fromDate(purgeAfter),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
 
       // Log audit event
       await auditService.logDocumentDelete({
@@ -284,7 +571,7 @@ class DocumentService {
         documentName: documentMetadata.originalName,
         documentEmployeeId: documentMetadata.employeeId,
         reason: requestInfo.reason || 'user_request',
-        permanentDeletion: true,
+        permanentDeletion: permanent,
         ipAddress: requestInfo.ipAddress,
         userAgent: requestInfo.userAgent,
         success: true,
@@ -293,8 +580,10 @@ class DocumentService {
 
       return {
         success: true,
-        message: 'Document deleted successfully',
+        message: permanent ? 'Document permanently deleted' : 'Document moved to the recycle bin',
         documentId: documentId,
+        permanent,
+        purgeAfter: purgeAfter ? purgeAfter.toISOString() : null,
       };
 
     } catch (error) {
@@ -305,6 +594,7 @@ class DocumentService {
         userRole: userInfo.role,
         employeeId: userInfo.employeeId,
         documentId: documentId,
+        permanentDeletion: permanent,
         ipAddress: requestInfo.ipAddress,
         userAgent: requestInfo.userAgent,
         success: false,
@@ -317,43 +607,133 @@ class DocumentService {
   }
 
   /**
-   * List documents for a user
+   * Take a document out of the recycle bin
+   * @param {string} documentId - Document ID
    * @param {Object} userInfo - User information
-   * @param {Object} filters - Filter options
-   * @param {Object} pagination - Pagination options
-   * @returns {Promise<Object>} Document list and pagination info
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Restore result
    */
-  async listDocuments(userInfo, filters = {}, pagination = {}) {
+  async restoreDocument(documentId, userInfo, requestInfo = {}) {
+    const startTime = Date.now();
+    let documentMetadata = null;
+
     try {
-      let query = this.documentsCollection.where('isActive', '==', true);
+      const docRef = this.documentsCollection.doc(documentId);
+      const docSnapshot = await docRef.get();
 
-      // Apply role-based filtering
-      if (userInfo.role === config.roles.EMPLOYEE) {
-        // Employees can only see their own documents
-        query = query.where('employeeId', '==', userInfo.employeeId);
-      } else if (userInfo.role === config.roles.HR) {
-        // HR can see all employee documents (no additional filter needed)
-      } else if (userInfo.role === config.roles.ADMIN) {
-        // Admin can see all documents (no additional filter needed)
+      if (!docSnapshot.exists || !docSnapshot.data().trashed) {
+        throw new Error('Document not found');
       }
 
-      // Apply additional filters
-      if (filters.documentType) {
-        query = query.where('documentType', '==', filters.documentType);
+      documentMetadata = await this.decryptMetadataFields(documentId, docSnapshot.data());
+
+      // Whoever may delete a document may undo the delete
+      if (!this.canDeleteDocument(userInfo, documentMetadata)) {
+        await auditService.logAccessDenied({
+          userId: userInfo.uid,
+          userEmail: userInfo.email,
+          userRole: userInfo.role,
+          employeeId: userInfo.employeeId,
+          resource: {
+            type: 'document',
+            id: documentId,
+            name: documentMetadata.originalName,
+            employeeId: documentMetadata.employeeId,
+          },
+          attemptedAction: 'restore_document',
+          reason: 'insufficient_permissions',
+          requiredRole: [config.roles.ADMIN, config.roles.HR],
+          ipAddress: requestInfo.ipAddress,
+          userAgent: requestInfo.userAgent,
+        });
+        throw new Error('Insufficient permissions to restore document');
       }
 
-      if (filters.employeeId && userInfo.role !== config.roles.EMPLOYEE) {
+      // A purge may have started since the document was read
+      await this.firestore.runTransaction(async transaction => {
+        if (!(await transaction.get(docRef)).data().trashed) {
+          throw new Error('Document not found');
+        }
+
+        transaction.update(docRef, {
+          isActive: true,
+          trashed: false,
+          deletedAt: admin.firestore.FieldValue.delete(),
+          deletedBy: admin.firestore.FieldValue.delete(),
+          deleteReason: admin.firestore.FieldValue.delete(),
+          purgeAfter: admin.firestore.FieldValue.delete(),
+          restoredAt: admin.firestore.FieldValue.serverTimestamp(),
+          restoredBy: userInfo.uid,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+
+      await auditService.logDocumentRestore({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        documentId,
+        documentName: documentMetadata.originalName,
+        documentEmployeeId: documentMetadata.employeeId,
+        deletedBy: documentMetadata.deletedBy,
+        deleteReason: documentMetadata.deleteReason,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: true,
+        duration: Date.now() - startTime,
+      });
+
+      return {
+        success: true,
+        message: 'Document restored successfully',
+        documentId,
+      };
+
+    } catch (error) {
+      await auditService.logDocumentRestore({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        documentId,
+        documentEmployeeId: documentMetadata?.employeeId,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: false,
+        errorMessage: error.message,
+        duration: Date.now() - startTime,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * List documents in the recycle bin, most recently deleted first
+   * @param {Object} userInfo - User information
+   * @param {Object} filters - Filter options (employeeId, documentType)
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Deleted documents and pagination info
+   */
+  async listTrash(userInfo, filters = {}, pagination = {}) {
+    try {
+      if (!this.canDeleteDocument(userInfo, null)) {
+        throw new Error('Insufficient permissions to view the recycle bin');
+      }
+
+      let query = this.documentsCollection.where('trashed', '==', true);
+
+      if (filters.employeeId) {
         query = query.where('employeeId', '==', filters.employeeId);
       }
 
-      if (filters.uploadedAfter) {
-        query = query.where('uploadedAt', '>=', filters.uploadedAfter);
+      if (filters.documentType) {
+        query = query.where('documentType', '==', filters.documentType);
       }
 
-      // Apply ordering
-      query = query.orderBy('uploadedAt', 'desc');
+      query = query.orderBy('deletedAt', 'desc');
 
-      // Apply pagination
       const limit = Math.min(pagination.limit || 20, 100); // Max 100 items
       query = query.limit(limit);
 
@@ -365,8 +745,8 @@ class DocumentService {
       const snapshot = await query.get();
       const documents = [];
 
-      snapshot.forEach(doc => {
-        const data = doc.data();
+      for (const doc of snapshot.docs) {
+        const data = await this.decryptMetadataFields(doc.id, doc.data());
         documents.push({
           id: doc.id,
           name: data.originalName,
@@ -374,16 +754,17 @@ class DocumentService {
           size: data.size,
           mimeType: data.mimeType,
           employeeId: data.employeeId,
-          uploadedAt: data.uploadedAt?.toDate(),
-          lastAccessed: data.lastAccessed?.toDate(),
-          accessCount: data.accessCount || 0,
-          tags: data.tags || [],
-          description: data.description || '',
+          version: data.version || 1,
+          deletedAt: data.deletedAt?.toDate(),
+          deletedBy: data.deletedBy,
+          deleteReason: data.deleteReason,
+          purgeAfter: data.purgeAfter?.toDate(),
         });
-      });
+      }
 
       return {
         documents,
+        retentionDays: config.recycleBin.retentionDays,
         pagination: {
           hasMore: documents.length === limit,
           lastDocId: documents.length > 0 ? documents[documents.length - 1].id : null,
@@ -392,87 +773,1307 @@ class DocumentService {
       };
 
     } catch (error) {
-      console.error('Error listing documents:', error);
+      console.error('Error listing recycle bin:', error);
       throw error;
     }
   }
 
   /**
-   * Generate signed URL for document access
-   * @param {string} documentId - Document ID
-   * @param {Object} userInfo - User information
-   * @param {Object} options - URL options
-   * @returns {Promise<Object>} Signed URL and metadata
+   * Purge documents whose time in the recycle bin has run out
+   * @param {Object} options - Purge options
+   * @param {number} options.batchSize - Documents examined per query
+   * @returns {Promise<Object>} Number of documents purged, kept for a legal hold and failed
    */
-  async generateSignedUrl(documentId, userInfo, options = {}) {
-    try {
-      // Get document metadata
-      const docSnapshot = await this.documentsCollection.doc(documentId).get();
-      
-      if (!docSnapshot.exists) {
-        throw new Error('Document not found');
-      }
+  async purgeExpiredDocuments(options = {}) {
+    const batchSize = options.batchSize || 100;
+    const systemUser = { uid: 'system', role: 'system' };
+    const totals = { purged: 0, held: 0, failed: 0 };
 
-      const documentMetadata = docSnapshot.data();
-
-      // Check access permissions
-      if (!this.canAccessDocument(userInfo, documentMetadata)) {
-        throw new Error('Access denied');
-      }
+    try {
+      let cursor = null;
+      let snapshot;
+      do {
+        let query = this.documentsCollection
+          .where('trashed', '==', true)
+          .where('purgeAfter', '<=', admin.firestore.Timestamp.now())
+          .orderBy('purgeAfter')
+          .limit(batchSize);
+
+        if (cursor) {
+          query = query.startAfter(cursor);
+        }
 
-      // Generate signed URL
-      const signedUrl = await storageService.generateSignedUrl(documentMetadata.fileName, {
-        action: options.action || 'read',
-        expirationMinutes: options.expirationMinutes || 15,
-      });
+        snapshot = await query.get();
+
+        for (const doc of snapshot.docs) {
+          try {
+            const documentMetadata = await this.decryptMetadataFields(doc.id, doc.data());
+
+            // Held documents stay in the recycle bin until the hold is released
+            if ((await legalHoldService.getActiveHolds(doc.id, documentMetadata)).length > 0) {
+              totals.held++;
+              continue;
+            }
+
+            await this.purgeDocument(doc.id, documentMetadata, systemUser, 'recycle_bin_expired');
+
+            await auditService.logDocumentDelete({
+              userId: systemUser.uid,
+              userRole: systemUser.role,
+              documentId: doc.id,
+              documentName: documentMetadata.originalName,
+              documentEmployeeId: documentMetadata.employeeId,
+              reason: 'recycle_bin_expired',
+              permanentDeletion: true,
+              success: true,
+            });
+            totals.purged++;
+          } catch (error) {
+            console.error(`Error purging document ${doc.id}:`, error);
+            totals.failed++;
+          }
+        }
 
-      // Log access (for signed URL generation)
-      await auditService.logDocumentDownload({
-        userId: userInfo.uid,
-        userEmail: userInfo.email,
-        userRole: userInfo.role,
-        employeeId: userInfo.employeeId,
-        documentId: documentId,
-        documentName: documentMetadata.originalName,
-        documentEmployeeId: documentMetadata.employeeId,
-        accessMethod: 'signed-url',
-        ipAddress: options.ipAddress,
-        userAgent: options.userAgent,
-        success: true,
-      });
+        cursor = snapshot.docs[snapshot.docs.length - 1];
+      } while (snapshot.size === batchSize);
 
-      return {
-        signedUrl,
-        expiresAt: new Date(Date.now() + (options.expirationMinutes || 15) * 60 * 1000),
-        documentName: documentMetadata.originalName,
-        documentType: documentMetadata.documentType,
-      };
+      if (totals.purged > 0 || totals.failed > 0) {
+        console.log(`Purged ${totals.purged} documents from the recycle bin (${totals.held} on legal hold, ${totals.failed} failed)`);
+      }
 
+      return totals;
     } catch (error) {
-      console.error('Error generating signed URL:', error);
+      console.error('Error purging recycle bin:', error);
       throw error;
     }
   }
 
   /**
-   * Share document with other users
+   * Remove an upload that failed after it was stored
+   * Only the uploader can discard, and only a document that never got a second version.
+   * Legal holds do not apply, as the upload never completed.
    * @param {string} documentId - Document ID
-   * @param {Array} shareWith - List of user IDs to share with
    * @param {Object} userInfo - User information
-   * @returns {Promise<Object>} Share result
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<void>}
    */
-  async shareDocument(documentId, shareWith, userInfo) {
+  async discardUpload(documentId, userInfo, requestInfo = {}) {
+    const docSnapshot = await this.documentsCollection.doc(documentId).get();
+    const data = docSnapshot.data();
+
+    if (!docSnapshot.exists || !data.isActive || data.uploadedBy !== userInfo.uid || (data.latestVersion || 1) !== 1) {
+      throw new Error('Document not found');
+    }
+
+    const documentMetadata = await this.decryptMetadataFields(documentId, data);
+    await this.purgeDocument(documentId, documentMetadata, userInfo, 'upload_aborted');
+
+    await auditService.logDocumentDelete({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      documentId,
+      documentName: documentMetadata.originalName,
+      documentEmployeeId: documentMetadata.employeeId,
+      reason: 'upload_aborted',
+      permanentDeletion: true,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: true,
+    });
+  }
+
+  /**
+   * Upload a new version of an existing document
+   * The new version becomes current; earlier versions stay downloadable from the history.
+   * @param {string} documentId - Document ID
+   * @param {Buffer|Readable} fileSource - File data or a readable stream of it
+   * @param {Object} metadata - Version metadata (originalName, mimeType, comment, clientEncryption)
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @param {Object} options - Upload options
+   * @param {Function} options.isFileTypeAllowed - Checks the file against the document's type
+   * @returns {Promise<Object>} Upload result
+   */
+  async addDocumentVersion(documentId, fileSource, metadata, userInfo, requestInfo = {}, options = {}) {
+    const startTime = Date.now();
+    let documentMetadata = null;
+    let uploadResult = null;
+
     try {
       const docRef = this.documentsCollection.doc(documentId);
       const docSnapshot = await docRef.get();
 
-      if (!docSnapshot.exists) {
+      if (!docSnapshot.exists || !docSnapshot.data().isActive) {
         throw new Error('Document not found');
       }
 
-      const documentMetadata = docSnapshot.data();
+      documentMetadata = await this.decryptMetadataFields(documentId, docSnapshot.data());
 
-      // Check if user can share (owner, HR, or admin)
+      if (!this.canUploadDocument(userInfo, documentMetadata)) {
+        await auditService.logAccessDenied({
+          userId: userInfo.uid,
+          userEmail: userInfo.email,
+          userRole: userInfo.role,
+          employeeId: userInfo.employeeId,
+          resource: {
+            type: 'document',
+            id: documentId,
+            name: documentMetadata.originalName,
+            employeeId: documentMetadata.employeeId,
+          },
+          attemptedAction: 'upload_document_version',
+          reason: 'insufficient_permissions',
+          requiredRole: [config.roles.HR, config.roles.ADMIN],
+          ipAddress: requestInfo.ipAddress,
+          userAgent: requestInfo.userAgent,
+        });
+        throw new Error('Insufficient permissions to upload document');
+      }
+
+      this.assertNotQuarantined(documentMetadata);
+
+      if (options.isFileTypeAllowed && !options.isFileTypeAllowed(documentMetadata.documentType)) {
+        throw new Error('File validation failed: File type not allowed for this document type');
+      }
+
+      const versionMetadata = {
+        ...metadata,
+        documentId,
+        documentType: documentMetadata.documentType,
+        employeeId: documentMetadata.employeeId,
+      };
+      await this.validateClientEncryption(versionMetadata, userInfo, documentId);
+
+      // Documents uploaded before versioning get their first version recorded now
+      const history = await this.getVersionsCollection(documentId).limit(1).get();
+      if (history.empty) {
+        await this.getVersionsCollection(documentId).doc(String(documentMetadata.version || 1))
+          .set(await this.buildVersionRecord(documentId, documentMetadata, null, ''));
+      }
+
+      // The version number is bound into the ciphertext, so it is fixed before the upload
+      const latestVersion = documentMetadata.latestVersion || documentMetadata.version || 1;
+      versionMetadata.version = latestVersion + 1;
+
+      uploadResult = await storageService.uploadDocument(fileSource, versionMetadata, userInfo);
+
+      const quarantine = await this.handleMalwareVerdict(uploadResult, userInfo, requestInfo);
+
+      uploadResult.metadata.previews = quarantine
+        ? null
+        : await previewService.generatePreviews(documentId, uploadResult.metadata, userInfo, {
+          kinds: this.getPreviewKinds(documentMetadata.documentType),
+        });
+
+      const versionRecord = await this.buildVersionRecord(
+        documentId,
+        uploadResult.metadata,
+        documentMetadata,
+        metadata.comment
+      );
+      const updates = await this.getCurrentVersionUpdates(documentId, documentMetadata, uploadResult.metadata);
+
+      await this.firestore.runTransaction(async transaction => {
+        const latest = (await transaction.get(docRef)).data();
+        if (!latest.isActive || (latest.latestVersion || latest.version || 1) !== latestVersion) {
+          const error = new Error('Document was changed by another request');
+          error.code = 'VERSION_CONFLICT';
+          throw error;
+        }
+
+        transaction.update(docRef, { ...updates, latestVersion: versionMetadata.version });
+        transaction.set(this.getVersionsCollection(documentId).doc(String(versionMetadata.version)), versionRecord);
+      });
+
+      // An infected version takes the whole document out of service
+      if (quarantine) {
+        await this.quarantineDocument(documentId, quarantine);
+      }
+
+      await auditService.logDocumentVersionUpload({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        documentId,
+        documentName: metadata.originalName,
+        documentEmployeeId: documentMetadata.employeeId,
+        version: versionMetadata.version,
+        previousVersion: documentMetadata.version || 1,
+        fileName: uploadResult.fileName,
+        fileHash: uploadResult.metadata.fileHash,
+        fileSize: uploadResult.metadata.size,
+        mimeType: metadata.mimeType,
+        changes: versionRecord.changes,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: true,
+        duration: Date.now() - startTime,
+      });
+
+      return {
+        success: true,
+        documentId,
+        version: versionMetadata.version,
+        message: 'Document version uploaded successfully',
+        metadata: {
+          id: documentId,
+          name: metadata.originalName,
+          type: documentMetadata.documentType,
+          size: uploadResult.metadata.size,
+          version: versionMetadata.version,
+          previousVersion: documentMetadata.version || 1,
+          changes: versionRecord.changes,
+          malwareScan: uploadResult.metadata.malwareScan,
+          quarantined: Boolean(quarantine),
+          hasPreview: Boolean(uploadResult.metadata.previews),
+          uploadedAt: uploadResult.metadata.uploadedAt,
+        },
+      };
+
+    } catch (error) {
+      // Objects of a version that was never recorded are unreachable
+      if (uploadResult) {
+        const fileNames = [uploadResult.fileName, ...previewService.getPreviewFileNames(uploadResult.metadata.previews)];
+        await Promise.all(fileNames.map(fileName => storageService.deleteDocument(fileName, userInfo))).catch(err => {
+          console.error('Error deleting objects of unrecorded version:', err);
+        });
+      }
+
+      await auditService.logDocumentVersionUpload({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        documentId,
+        documentName: metadata.originalName,
+        documentEmployeeId: documentMetadata?.employeeId,
+        mimeType: metadata.mimeType,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: false,
+        errorMessage: error.message,
+        duration: Date.now() - startTime,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * List the versions of a document, newest first
+   * @param {string} documentId - Document ID
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Current version and version history
+   */
+  async listDocumentVersions(documentId, userInfo, requestInfo = {}) {
+    const docSnapshot = await this.documentsCollection.doc(documentId).get();
+
+    if (!docSnapshot.exists || !docSnapshot.data().isActive) {
+      throw new Error('Document not found');
+    }
+
+    const documentMetadata = await this.decryptMetadataFields(documentId, docSnapshot.data());
+
+    if (!this.canAccessDocument(userInfo, documentMetadata)) {
+      await auditService.logAccessDenied({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        resource: {
+          type: 'document',
+          id: documentId,
+          name: documentMetadata.originalName,
+          employeeId: documentMetadata.employeeId,
+        },
+        attemptedAction: 'list_document_versions',
+        reason: 'access_denied',
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+      });
+      throw new Error('Access denied');
+    }
+
+    const currentVersion = documentMetadata.version || 1;
+    const versions = await this.getVersionRecords(documentId, documentMetadata);
+
+    await auditService.logDocumentView({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      documentId,
+      documentName: documentMetadata.originalName,
+      documentEmployeeId: documentMetadata.employeeId,
+      view: 'versions',
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: true,
+    });
+
+    return {
+      documentId,
+      currentVersion,
+      latestVersion: documentMetadata.latestVersion || currentVersion,
+      versions: versions.map(version => ({
+        version: version.version || 1,
+        current: (version.version || 1) === currentVersion,
+        originalName: version.originalName,
+        mimeType: version.mimeType,
+        size: version.size,
+        fileHash: version.fileHash,
+        uploadedBy: version.uploadedBy,
+        uploadedAt: version.uploadedAt,
+        comment: version.comment || '',
+        changes: version.changes || null,
+        clientEncrypted: Boolean(version.clientEncryption),
+      })),
+    };
+  }
+
+  /**
+   * Make an earlier version the current version of a document
+   * @param {string} documentId - Document ID
+   * @param {number} targetVersion - Version to promote
+   * @param {Object} options - Rollback options
+   * @param {string} options.reason - Reason for the rollback
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Rollback result
+   */
+  async rollbackDocument(documentId, targetVersion, options, userInfo, requestInfo = {}) {
+    const startTime = Date.now();
+    let documentMetadata = null;
+
+    try {
+      const docRef = this.documentsCollection.doc(documentId);
+      const docSnapshot = await docRef.get();
+
+      if (!docSnapshot.exists || !docSnapshot.data().isActive) {
+        throw new Error('Document not found');
+      }
+
+      documentMetadata = await this.decryptMetadataFields(documentId, docSnapshot.data());
+
+      if (!this.canRollbackDocument(userInfo, documentMetadata)) {
+        await auditService.logAccessDenied({
+          userId: userInfo.uid,
+          userEmail: userInfo.email,
+          userRole: userInfo.role,
+          employeeId: userInfo.employeeId,
+          resource: {
+            type: 'document',
+            id: documentId,
+            name: documentMetadata.originalName,
+            employeeId: documentMetadata.employeeId,
+          },
+          attemptedAction: 'rollback_document',
+          reason: 'insufficient_permissions',
+          requiredRole: [config.roles.HR, config.roles.ADMIN],
+          ipAddress: requestInfo.ipAddress,
+          userAgent: requestInfo.userAgent,
+        });
+        throw new Error('Insufficient permissions to roll back document');
+      }
+
+      this.assertNotQuarantined(documentMetadata);
+      await legalHoldService.assertNotHeld(documentId, documentMetadata);
+
+      const currentVersion = documentMetadata.version || 1;
+      if (targetVersion === currentVersion) {
+        const error = new Error(`Version ${targetVersion} is already the current version`);
+        error.code = 'VERSION_IS_CURRENT';
+        throw error;
+      }
+
+      const versionRecord = await this.getVersionRecord(documentId, targetVersion, documentMetadata);
+      const updates = await this.getCurrentVersionUpdates(documentId, documentMetadata, versionRecord);
+
+      await this.firestore.runTransaction(async transaction => {
+        const latest = (await transaction.get(docRef)).data();
+        if (!latest.isActive || (latest.version || 1) !== currentVersion) {
+          const error = new Error('Document was changed by another request');
+          error.code = 'VERSION_CONFLICT';
+          throw error;
+        }
+
+        transaction.update(docRef, {
+          ...updates,
+          lastRollback: {
+            fromVersion: currentVersion,
+            toVersion: targetVersion,
+            reason: options.reason,
+            rolledBackBy: userInfo.uid,
+            rolledBackAt: new Date().toISOString(),
+          },
+        });
+      });
+
+      await auditService.logDocumentRollback({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        documentId,
+        documentName: versionRecord.originalName,
+        documentEmployeeId: documentMetadata.employeeId,
+        fromVersion: currentVersion,
+        toVersion: targetVersion,
+        reason: options.reason,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: true,
+        duration: Date.now() - startTime,
+      });
+
+      return {
+        success: true,
+        message: `Document rolled back to version ${targetVersion}`,
+        documentId,
+        previousVersion: currentVersion,
+        currentVersion: targetVersion,
+      };
+
+    } catch (error) {
+      await auditService.logDocumentRollback({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        documentId,
+        documentEmployeeId: documentMetadata?.employeeId,
+        fromVersion: documentMetadata?.version,
+        toVersion: targetVersion,
+        reason: options.reason,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: false,
+        errorMessage: error.message,
+        duration: Date.now() - startTime,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * List documents for a user
+   * @param {Object} userInfo - User information
+   * @param {Object} filters - Filter options
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Document list and pagination info
+   */
+  async listDocuments(userInfo, filters = {}, pagination = {}) {
+    try {
+      let query = this.documentsCollection.where('isActive', '==', true);
+
+      // Apply role-based filtering
+      if (userInfo.role === config.roles.EMPLOYEE) {
+        // Employees can only see their own documents
+        query = query.where('employeeId', '==', userInfo.employeeId);
+      } else if (userInfo.role === config.roles.HR) {
+        // HR can see all employee documents (no additional filter needed)
+      } else if (userInfo.role === config.roles.ADMIN) {
+        // Admin can see all documents (no additional filter needed)
+      }
+
+      // Apply additional filters
+      if (filters.documentType) {
+        query = query.where('documentType', '==', filters.documentType);
+      }
+
+      if (filters.employeeId && userInfo.role !== config.roles.EMPLOYEE) {
+        query = query.where('employeeId', '==', filters.employeeId);
+      }
+
+      // uploadedAt is stored as an ISO string, which sorts in time order
+      if (filters.uploadedAfter) {
+        query = query.where('uploadedAt', '>=', filters.uploadedAfter.toISOString());
+      }
+
+      // Tags are encrypted, so exact matches go through their blind index
+      if (filters.tag) {
+        query = query.where('blindIndex.tags', 'array-contains', encryptionService.computeBlindIndex('tags', filters.tag));
+      }
+
+      // Apply ordering
+      query = query.orderBy('uploadedAt', 'desc');
+
+      // Apply pagination
+      const limit = Math.min(pagination.limit || 20, 100); // Max 100 items
+      query = query.limit(limit);
+
+      if (pagination.startAfter) {
+        const startAfterDoc = await this.documentsCollection.doc(pagination.startAfter).get();
+        query = query.startAfter(startAfterDoc);
+      }
+
+      const snapshot = await query.get();
+      const documents = [];
+
+      for (const doc of snapshot.docs) {
+        const data = await this.decryptMetadataFields(doc.id, doc.data());
+        documents.push({
+          id: doc.id,
+          name: data.originalName,
+          type: data.documentType,
+          size: data.size,
+          mimeType: data.mimeType,
+          employeeId: data.employeeId,
+          uploadedAt: data.uploadedAt ? new Date(data.uploadedAt) : null,
+          lastAccessed: data.lastAccessed?.toDate(),
+          accessCount: data.accessCount || 0,
+          tags: data.tags || [],
+          description: data.description || '',
+          version: data.version || 1,
+          quarantined: data.quarantined || false,
+          lastVerifiedAt: data.lastVerifiedAt?.toDate() || null,
+          malwareScan: data.malwareScan || null,
+          hasPreview: Boolean(data.previews),
+          clientEncrypted: Boolean(data.clientEncryption),
+        });
+      }
+
+      return {
+        documents,
+        pagination: {
+          hasMore: documents.length === limit,
+          lastDocId: documents.length > 0 ? documents[documents.length - 1].id : null,
+        },
+        total: documents.length,
+      };
+
+    } catch (error) {
+      console.error('Error listing documents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate signed URL for document access
+   * @param {string} documentId - Document ID
+   * @param {Object} userInfo - User information
+   * @param {Object} options - URL options
+   * @returns {Promise<Object>} Signed URL and metadata
+   */
+  async generateSignedUrl(documentId, userInfo, options = {}) {
+    try {
+      // Get document metadata
+      const docSnapshot = await this.documentsCollection.doc(documentId).get();
+      
+      if (!docSnapshot.exists || !docSnapshot.data().isActive) {
+        throw new Error('Document not found');
+      }
+
+      const documentMetadata = await this.decryptMetadataFields(documentId, docSnapshot.data());
+
+      // Check access permissions
+      if (!this.canAccessDocument(userInfo, documentMetadata)) {
+        throw new Error('Access denied');
+      }
+
+      this.assertNotQuarantined(documentMetadata);
+
+      const recipient = documentMetadata.clientEncryption
+        ? this.getClientEncryptionRecipient(documentMetadata, userInfo)
+        : null;
+
+      // Never hand out a URL to content that no longer matches its recorded hash
+      await this.verifyDocumentIntegrity(documentId, documentMetadata, userInfo, {
+        ipAddress: options.ipAddress,
+        userAgent: options.userAgent,
+      });
+
+      // Generate signed URL
+      const signedUrl = await storageService.generateSignedUrl(documentMetadata.fileName, {
+        action: options.action || 'read',
+        expirationMinutes: options.expirationMinutes || 15,
+      });
+
+      // Log access (for signed URL generation)
+      await auditService.logDocumentDownload({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        documentId: documentId,
+        documentName: documentMetadata.originalName,
+        documentEmployeeId: documentMetadata.employeeId,
+        accessMethod: 'signed-url',
+        ipAddress: options.ipAddress,
+        userAgent: options.userAgent,
+        success: true,
+      });
+
+      return {
+        signedUrl,
+        expiresAt: new Date(Date.now() + (options.expirationMinutes || 15) * 60 * 1000),
+        documentName: documentMetadata.originalName,
+        documentType: documentMetadata.documentType,
+        clientEncryption: recipient && {
+          version: documentMetadata.clientEncryption.version,
+          keyFingerprint: recipient.keyFingerprint,
+          wrappedKey: recipient.wrappedKey,
+        },
+      };
+
+    } catch (error) {
+      console.error('Error generating signed URL:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decrypt a stored document and compare it with its recorded SHA-256
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Document metadata
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @param {string} detectedDuring - Operation verifying the document
+   * @returns {Promise<void>} Rejects with code INTEGRITY_FAILURE on mismatch, DECRYPTION_FAILED on damaged ciphertext;
+   * either way the document is quarantined and the error has `quarantined` set
+   */
+  async verifyDocumentIntegrity(documentId, documentMetadata, userInfo, requestInfo = {}, detectedDuring = 'signed-url') {
+    try {
+      // Legacy single-blob objects are authenticated as they are downloaded
+      const downloadResult = await storageService.downloadDocument(
+        documentMetadata.fileName,
+        userInfo,
+        encryptionService.getEncryptionContext({ ...documentMetadata, id: documentId })
+      );
+
+      await pipeline(
+        downloadResult.stream,
+        encryptionService.createIntegrityStream(documentMetadata.fileHash),
+        new Writable({ write: (chunk, encoding, callback) => callback() })
+      );
+    } catch (error) {
+      // Only a failed GCM tag or hash is corruption. A DEK that cannot be unwrapped fails without
+      // either code and leaves the document in service.
+      if (error.code === 'INTEGRITY_FAILURE' || error.code === 'DECRYPTION_FAILED') {
+        await this.handleIntegrityFailure(documentId, documentMetadata, error, userInfo, requestInfo, detectedDuring);
+        error.quarantined = true;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Quarantine a document that failed integrity verification and raise a critical audit event
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Document metadata
+   * @param {Error} error - Integrity error with expectedHash/actualHash, or a decryption error
+   * @param {Object} userInfo - User who triggered the verification
+   * @param {Object} requestInfo - Request context
+   * @param {string} detectedDuring - Operation that detected the failure
+   * @returns {Promise<void>}
+   */
+  async handleIntegrityFailure(documentId, documentMetadata, error, userInfo, requestInfo, detectedDuring) {
+    await this.quarantineDocument(documentId, {
+      reason: 'integrity_failure',
+      detectedDuring,
+      fileName: documentMetadata.fileName,
+      expectedHash: error.expectedHash || documentMetadata.fileHash,
+      actualHash: error.actualHash || null, // Damaged ciphertext never yields plaintext to hash
+    });
+
+    await auditService.logIntegrityFailure({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      documentId,
+      documentName: documentMetadata.originalName,
+      documentEmployeeId: documentMetadata.employeeId,
+      fileName: documentMetadata.fileName,
+      version: documentMetadata.version || 1,
+      expectedHash: error.expectedHash || documentMetadata.fileHash,
+      actualHash: error.actualHash || null,
+      detectedDuring,
+      errorMessage: error.code === 'DECRYPTION_FAILED' ? 'Stored ciphertext failed authentication' : undefined,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+    });
+  }
+
+  /**
+   * Act on the malware scan verdict of a file that was just stored
+   * Infected files are removed and refused, or with the quarantine action kept but
+   * quarantined so they can be examined without being served.
+   * @param {Object} uploadResult - Result of storageService.uploadDocument
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object|null>} Quarantine details for the document, or null if the file may be used
+   */
+  async handleMalwareVerdict(uploadResult, userInfo, requestInfo) {
+    const verdict = uploadResult.metadata.malwareScan;
+    if (verdict?.status !== 'infected') {
+      return null;
+    }
+
+    const quarantine = config.malwareScan.action === 'quarantine';
+    await auditService.logMalwareDetected({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      documentId: uploadResult.documentId,
+      documentName: uploadResult.metadata.originalName,
+      documentEmployeeId: uploadResult.metadata.employeeId,
+      fileName: uploadResult.fileName,
+      version: uploadResult.metadata.version,
+      signature: verdict.signature,
+      engine: verdict.engine,
+      detectedDuring: 'upload',
+      action: quarantine ? 'quarantined' : 'rejected',
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+    });
+
+    if (!quarantine) {
+      await storageService.deleteDocument(uploadResult.fileName, userInfo);
+
+      const error = new Error(`Malware detected: ${verdict.signature}`);
+      error.code = 'MALWARE_DETECTED';
+      error.signature = verdict.signature;
+      throw error;
+    }
+
+    return {
+      reason: 'malware',
+      detectedDuring: 'upload',
+      fileName: uploadResult.fileName,
+      version: uploadResult.metadata.version,
+      signature: verdict.signature,
+      engine: verdict.engine,
+    };
+  }
+
+  /**
+   * Find an active document of an employee with the same content
+   * @param {string} employeeId - Employee ID
+   * @param {string} fileHash - SHA-256 of the uploaded file
+   * @param {Object} transaction - Firestore transaction to read in, if any
+   * @returns {Promise<Object|null>} Firestore snapshot of the existing document, or null
+   */
+  async findDuplicateDocument(employeeId, fileHash, transaction = null) {
+    const read = ref => (transaction ? transaction.get(ref) : ref.get());
+
+    // The marker names the last document uploaded with this content, which may since have been
+    // deleted or replaced by a new version
+    const marker = await read(this.getContentMarkerRef(employeeId, fileHash));
+    if (marker.exists) {
+      const claimed = await read(this.documentsCollection.doc(marker.data().documentId));
+      const data = claimed.data();
+      if (data && data.isActive && data.employeeId === employeeId && data.fileHash === fileHash) {
+        return claimed;
+      }
+    }
+
+    // Documents that got this content from a new version, or were uploaded before markers were kept
+    const snapshot = await read(this.documentsCollection
+      .where('employeeId', '==', employeeId)
+      .where('fileHash', '==', fileHash)
+      .where('isActive', '==', true)
+      .limit(1));
+
+    return snapshot.empty ? null : snapshot.docs[0];
+  }
+
+  /**
+   * Get the marker that claims a file's content for an employee
+   * The ID is derived from both, since employee IDs may hold characters not allowed in one.
+   * @param {string} employeeId - Employee ID
+   * @param {string} fileHash - SHA-256 of the file
+   * @returns {Object} Firestore document reference
+   */
+  getContentMarkerRef(employeeId, fileHash) {
+    const id = crypto.createHash('sha256').update(`${employeeId}\n${fileHash}`).digest('hex');
+    return this.documentHashesCollection.doc(id);
+  }
+
+  /**
+   * Take a document out of service until an admin has looked into it
+   * @param {string} documentId - Document ID
+   * @param {Object} quarantine - Why and where the problem was detected (reason, detectedDuring, ...)
+   * @returns {Promise<void>}
+   */
+  async quarantineDocument(documentId, quarantine) {
+    await this.documentsCollection.doc(documentId).update({
+      quarantined: true,
+      quarantine: {
+        ...quarantine,
+        quarantinedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  /**
+   * Refuse to serve quarantined documents
+   * @param {Object} documentMetadata - Document metadata
+   */
+  assertNotQuarantined(documentMetadata) {
+    if (documentMetadata.quarantined) {
+      const error = new Error('Document is quarantined');
+      error.code = 'DOCUMENT_QUARANTINED';
+      throw error;
+    }
+  }
+
+  /**
+   * Get the policy for a document type
+   * @param {string} documentType - Document type
+   * @returns {Object} Policy merged over the defaults
+   */
+  getDocumentTypePolicy(documentType) {
+    return {
+      ...config.documentTypePolicies.default,
+      ...config.documentTypePolicies[documentType],
+    };
+  }
+
+  /**
+   * Get the kinds of preview kept for a document type
+   * A page render is a readable copy without a watermark, so watermarked types only get thumbnails.
+   * @param {string} documentType - Document type
+   * @returns {Array<string>} Preview kinds
+   */
+  getPreviewKinds(documentType) {
+    return this.getDocumentTypePolicy(documentType).watermark ? ['thumbnail'] : ['thumbnail', 'page'];
+  }
+
+  /**
+   * Get the users whose public keys must wrap the key of a client-side encrypted upload
+   * These are the employee's own accounts plus the uploader.
+   * @param {string} employeeId - Employee the document belongs to
+   * @param {string} documentType - Document type
+   * @param {Object} userInfo - Uploading user
+   * @returns {Promise<Object>} Client encryption mode and recipients with their public keys
+   */
+  async getEncryptionRecipients(employeeId, documentType, userInfo) {
+    const mode = this.getDocumentTypePolicy(documentType).clientEncryption;
+    if (mode === 'disabled') {
+      return { mode, recipients: [], missingKeys: [] };
+    }
+
+    const users = await firebaseService.getUsersByEmployeeId(employeeId);
+    if (!users.some(user => user.id === userInfo.uid)) {
+      users.push({ id: userInfo.uid, ...(await firebaseService.getUserData(userInfo.uid)) });
+    }
+
+    return {
+      mode,
+      recipients: users
+        .filter(user => user.encryptionKey)
+        .map(user => ({
+          uid: user.id,
+          role: user.role,
+          employeeId: user.employeeId,
+          keyFingerprint: user.encryptionKey.fingerprint,
+          publicKey: user.encryptionKey.publicKey,
+        })),
+      missingKeys: users.filter(user => !user.encryptionKey).map(user => user.id),
+    };
+  }
+
+  /**
+   * Enforce the document type's client encryption policy on an upload
+   * and check the wrapped keys against the recipients' registered public keys
+   * @param {Object} metadata - Upload metadata
+   * @param {Object} userInfo - Uploading user
+   * @param {string} existingDocumentId - Document a new version is added to, if any
+   * @returns {Promise<void>} Rejects with code CLIENT_ENCRYPTION_INVALID
+   */
+  async validateClientEncryption(metadata, userInfo, existingDocumentId = null) {
+    const mode = this.getDocumentTypePolicy(metadata.documentType).clientEncryption;
+    const clientEncryption = metadata.clientEncryption;
+    const fail = message => {
+      const error = new Error(message);
+      error.code = 'CLIENT_ENCRYPTION_INVALID';
+      throw error;
+    };
+
+    if (!clientEncryption) {
+      if (mode === 'required') {
+        fail('This document type must be encrypted in the browser');
+      }
+      return;
+    }
+
+    if (mode === 'disabled') {
+      fail('Client-side encryption is not allowed for this document type');
+    }
+
+    // The browser binds the ciphertext to the document ID, which new versions keep
+    if (existingDocumentId) {
+      if (clientEncryption.documentId !== existingDocumentId) {
+        fail('Document ID does not match the document being versioned');
+      }
+    } else {
+      const existing = await this.documentsCollection.doc(clientEncryption.documentId).get();
+      if (existing.exists) {
+        fail('Document ID is already in use');
+      }
+    }
+
+    const { recipients, missingKeys } = await this.getEncryptionRecipients(
+      metadata.employeeId || userInfo.employeeId,
+      metadata.documentType,
+      userInfo
+    );
+
+    if (missingKeys.length > 0) {
+      fail('Every recipient must register an encryption key before client-side encrypted upload');
+    }
+
+    const supplied = new Map(clientEncryption.recipients.map(recipient => [recipient.uid, recipient]));
+    for (const recipient of recipients) {
+      const wrapped = supplied.get(recipient.uid);
+      if (!wrapped) {
+        fail(`Missing wrapped key for recipient ${recipient.uid}`);
+      }
+      if (wrapped.keyFingerprint !== recipient.keyFingerprint) {
+        fail(`Wrapped key for recipient ${recipient.uid} does not match the registered public key`);
+      }
+    }
+
+    if (supplied.size !== recipients.length) {
+      fail('Wrapped keys may only be supplied for the employee and the uploader');
+    }
+  }
+
+  /**
+   * Find the wrapped key of the requesting user on a client-side encrypted document
+   * @param {Object} documentMetadata - Document metadata
+   * @param {Object} userInfo - User information
+   * @returns {Object} Recipient entry
+   */
+  getClientEncryptionRecipient(documentMetadata, userInfo) {
+    const recipient = (documentMetadata.clientEncryption.recipients || [])
+      .find(entry => entry.uid === userInfo.uid);
+
+    if (!recipient) {
+      const error = new Error('Document is encrypted for other recipients');
+      error.code = 'NOT_A_RECIPIENT';
+      throw error;
+    }
+
+    return recipient;
+  }
+
+  /**
+   * Encrypt the configured sensitive fields of a metadata record before it is written
+   * The fields are sealed together in `encryptedFields`; blind-index fields also get
+   * keyed hashes under `blindIndex` so exact-match queries keep working.
+   * @param {Object} documentMetadata - Plaintext metadata record
+   * @returns {Promise<Object>} Record safe to store in Firestore
+   */
+  async encryptMetadataFields(documentMetadata) {
+    const fields = config.encryption.metadataFields.filter(field => documentMetadata[field] !== undefined);
+    if (fields.length === 0) {
+      return documentMetadata;
+    }
+
+    const record = { ...documentMetadata };
+    const sensitive = {};
+    for (const field of fields) {
+      sensitive[field] = record[field];
+      delete record[field];
+    }
+
+    const blindIndex = {};
+    for (const field of config.encryption.blindIndexFields.filter(name => fields.includes(name))) {
+      blindIndex[field] = [].concat(sensitive[field])
+        .map(value => encryptionService.computeBlindIndex(field, value));
+    }
+
+    record.encryptedFields = await encryptionService.encryptMetadata(
+      sensitive,
+      this.getMetadataEncryptionContext(record.id, record)
+    );
+    if (Object.keys(blindIndex).length > 0) {
+      record.blindIndex = blindIndex;
+    }
+
+    return record;
+  }
+
+  /**
+   * Restore encrypted metadata fields after a read
+   * Records written before field-level encryption are returned unchanged.
+   * @param {string} documentId - Document ID
+   * @param {Object} data - Stored metadata record
+   * @returns {Promise<Object>} Plaintext metadata record
+   */
+  async decryptMetadataFields(documentId, data) {
+    if (!data.encryptedFields) {
+      return data;
+    }
+
+    const { encryptedFields, blindIndex, ...record } = data;
+    const fields = await encryptionService.decryptMetadata(
+      encryptedFields,
+      this.getMetadataEncryptionContext(documentId, data)
+    );
+
+    return { ...record, ...fields };
+  }
+
+  /**
+   * Check whether a replaced `.enc` generation of a record's object may still hold a DEK
+   * wrapped by the master key
+   * Key rotation moves DEKs onto the employee's KEK by writing a new sidecar generation. The
+   * replaced one survives until the bucket lifecycle deletes noncurrent generations, and the
+   * master key is never destroyed, so until then erasing the employee does not shred the object.
+   * @param {Object} record - Document or version record
+   * @returns {boolean} True if the record's DEK was re-wrapped within the noncurrent retention period
+   */
+  hasNoncurrentMasterWrappedKey(record) {
+    const rewrappedAt = record.encryptionInfo?.rewrappedAt;
+    return Boolean(rewrappedAt) &&
+      Date.now() - rewrappedAt.toMillis() < config.storage.noncurrentVersionDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Build the encryption context for a document's metadata fields
+   * Bound to the document identity but kept apart from the file content's ciphertext domain.
+   * @param {string} documentId - Document ID
+   * @param {Object} data - Metadata record
+   * @returns {Object} Encryption context
+   */
+  getMetadataEncryptionContext(documentId, data) {
+    return {
+      documentId,
+      employeeId: data.employeeId || null,
+      version: 1,
+      purpose: 'metadata',
+    };
+  }
+
+  /**
+   * Get the version history collection of a document
+   * @param {string} documentId - Document ID
+   * @returns {Object} Firestore collection reference
+   */
+  getVersionsCollection(documentId) {
+    return this.documentsCollection.doc(documentId).collection('versions');
+  }
+
+  /**
+   * Build the history record of a document version
+   * @param {string} documentId - Document ID
+   * @param {Object} versionMetadata - Metadata of the stored version
+   * @param {Object} previous - Version it replaces, or null for the first version
+   * @param {string} comment - Change note
+   * @returns {Promise<Object>} Record safe to store in Firestore
+   */
+  async buildVersionRecord(documentId, versionMetadata, previous, comment) {
+    return await this.encryptMetadataFields({
+      id: documentId,
+      employeeId: versionMetadata.employeeId,
+      version: versionMetadata.version || 1,
+      originalName: versionMetadata.originalName,
+      mimeType: versionMetadata.mimeType,
+      size: versionMetadata.size,
+      encryptedSize: versionMetadata.encryptedSize || null,
+      compression: versionMetadata.compression || null,
+      fileName: versionMetadata.fileName,
+      fileHash: versionMetadata.fileHash,
+      malwareScan: versionMetadata.malwareScan || null,
+      previews: versionMetadata.previews || null,
+      encryptionInfo: versionMetadata.encryptionInfo || null,
+      ...(versionMetadata.clientEncryption && { clientEncryption: versionMetadata.clientEncryption }),
+      uploadedBy: versionMetadata.uploadedBy,
+      uploadedAt: versionMetadata.uploadedAt,
+      comment: comment || '',
+      // What changed relative to the version that was current when this one was added
+      changes: previous ? {
+        previousVersion: previous.version || 1,
+        contentChanged: previous.fileHash !== versionMetadata.fileHash,
+        sizeDelta: versionMetadata.size - previous.size,
+        nameChanged: previous.originalName !== versionMetadata.originalName,
+        mimeTypeChanged: previous.mimeType !== versionMetadata.mimeType,
+      } : null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  /**
+   * Get all versions of a document, newest first
+   * Documents uploaded before versioning have a single implicit version.
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Decrypted document metadata
+   * @returns {Promise<Array<Object>>} Decrypted version records
+   */
+  async getVersionRecords(documentId, documentMetadata) {
+    const snapshot = await this.getVersionsCollection(documentId).orderBy('version', 'desc').get();
+    if (snapshot.empty) {
+      return [documentMetadata];
+    }
+
+    return await Promise.all(snapshot.docs.map(doc => this.decryptMetadataFields(documentId, doc.data())));
+  }
+
+  /**
+   * Get a single version of a document
+   * @param {string} documentId - Document ID
+   * @param {number} version - Version number
+   * @param {Object} documentMetadata - Decrypted document metadata
+   * @returns {Promise<Object>} Decrypted version record; rejects with code VERSION_NOT_FOUND
+   */
+  async getVersionRecord(documentId, version, documentMetadata) {
+    const snapshot = await this.getVersionsCollection(documentId).doc(String(version)).get();
+    if (snapshot.exists) {
+      return await this.decryptMetadataFields(documentId, snapshot.data());
+    }
+
+    if ((documentMetadata.version || 1) === version) {
+      return documentMetadata;
+    }
+
+    const error = new Error(`Version ${version} not found`);
+    error.code = 'VERSION_NOT_FOUND';
+    throw error;
+  }
+
+  /**
+   * Get the stored objects of every version of a document, previews included
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Document metadata
+   * @returns {Promise<Array<string>>} Secure file names
+   */
+  async getVersionFileNames(documentId, documentMetadata) {
+    const snapshot = await this.getVersionsCollection(documentId).get();
+    const fileNames = new Set();
+    for (const record of [documentMetadata, ...snapshot.docs.map(doc => doc.data())]) {
+      fileNames.add(record.fileName);
+      previewService.getPreviewFileNames(record.previews).forEach(fileName => fileNames.add(fileName));
+    }
+
+    return [...fileNames].filter(Boolean);
+  }
+
+  /**
+   * Permanently remove the stored objects of a document
+   * The record is marked purged first, so a concurrent restore cannot bring back a document
+   * whose objects are being deleted. The record itself stays for the audit trail.
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Decrypted document metadata
+   * @param {Object} userInfo - User information
+   * @param {string} reason - Why the document is purged
+   * @returns {Promise<void>}
+   */
+  async purgeDocument(documentId, documentMetadata, userInfo, reason) {
+    const docRef = this.documentsCollection.doc(documentId);
+
+    await this.firestore.runTransaction(async transaction => {
+      const current = (await transaction.get(docRef)).data();
+      if (!current || !(current.isActive || current.trashed)) {
+        throw new Error('Document not found');
+      }
+
+      transaction.update(docRef, {
+        isActive: false,
+        trashed: false,
+        ...(!current.deletedAt && {
+          deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+          deletedBy: userInfo.uid,
+          deleteReason: reason,
+        }),
+        purgeAfter: admin.firestore.FieldValue.delete(),
+        purgedAt: admin.firestore.FieldValue.serverTimestamp(),
+        purgedBy: userInfo.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    // Delete every version from storage
+    const fileNames = await this.getVersionFileNames(documentId, documentMetadata);
+    await Promise.all(fileNames.map(fileName => storageService.deleteDocument(fileName, userInfo)));
+  }
+
+  /**
+   * Overlay a version's content fields on the document metadata
+   * @param {Object} documentMetadata - Decrypted document metadata
+   * @param {Object} versionRecord - Decrypted version record
+   * @returns {Object} Metadata describing the version
+   */
+  withVersion(documentMetadata, versionRecord) {
+    return {
+      ...documentMetadata,
+      version: versionRecord.version || 1,
+      originalName: versionRecord.originalName,
+      mimeType: versionRecord.mimeType,
+      size: versionRecord.size,
+      fileName: versionRecord.fileName,
+      fileHash: versionRecord.fileHash,
+      malwareScan: versionRecord.malwareScan || null,
+      previews: versionRecord.previews || null,
+      encryptionInfo: versionRecord.encryptionInfo,
+      clientEncryption: versionRecord.clientEncryption || null,
+      uploadedAt: versionRecord.uploadedAt,
+    };
+  }
+
+  /**
+   * Build the document record update that makes a version current
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Decrypted document metadata
+   * @param {Object} versionMetadata - Metadata of the version to make current
+   * @returns {Promise<Object>} Firestore update
+   */
+  async getCurrentVersionUpdates(documentId, documentMetadata, versionMetadata) {
+    // The name may differ between versions, so the encrypted fields are sealed again
+    const { id, employeeId, ...sealedFields } = await this.encryptMetadataFields({
+      id: documentId,
+      employeeId: documentMetadata.employeeId,
+      originalName: versionMetadata.originalName,
+      description: documentMetadata.description,
+      tags: documentMetadata.tags,
+    });
+
+    return {
+      ...sealedFields,
+      version: versionMetadata.version || 1,
+      mimeType: versionMetadata.mimeType,
+      size: versionMetadata.size,
+      encryptedSize: versionMetadata.encryptedSize || null,
+      compression: versionMetadata.compression || null,
+      fileName: versionMetadata.fileName,
+      fileHash: versionMetadata.fileHash,
+      malwareScan: versionMetadata.malwareScan || null,
+      previews: versionMetadata.previews || null,
+      encryptionInfo: versionMetadata.encryptionInfo || null,
+      clientEncryption: versionMetadata.clientEncryption || admin.firestore.FieldValue.delete(),
+      lastModified: new Date().toISOString(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+  }
+
+  /**
+   * Share document with other users
+   * @param {string} documentId - Document ID
+   * @param {Array} shareWith - List of user IDs to share with
+   * @param {Object} userInfo - User information
+   * @returns {Promise<Object>} Share result
+   */
+  async shareDocument(documentId, shareWith, userInfo) {
+    try {
+      const docRef = this.documentsCollection.doc(documentId);
+      const docSnapshot = await docRef.get();
+
+      if (!docSnapshot.exists || !docSnapshot.data().isActive) {
+        throw new Error('Document not found');
+      }
+
+      const documentMetadata = docSnapshot.data();
+
+      // Check if user can share (owner, HR, or admin)
       if (!this.canShareDocument(userInfo, documentMetadata)) {
         throw new Error('Insufficient permissions to share document');
       }
@@ -495,6 +2096,152 @@ class DocumentService {
     }
   }
 
+  /**
+   * Erase all documents of an employee by crypto-shredding
+   * Destroys the employee's KEK, which makes every current and historical object and
+   * `.enc` sidecar unreadable, then records a signed erasure certificate in the audit log.
+   * @param {string} employeeId - Employee ID
+   * @param {Object} options - Erasure options
+   * @param {string} options.reason - Reason for the erasure
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Signed erasure certificate
+   */
+  async eraseEmployee(employeeId, options, userInfo, requestInfo = {}) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.canEraseEmployee(userInfo)) {
+        await auditService.logAccessDenied({
+          userId: userInfo.uid,
+          userEmail: userInfo.email,
+          userRole: userInfo.role,
+          employeeId: userInfo.employeeId,
+          resource: {
+            type: 'employee',
+            id: employeeId,
+            action: 'erase',
+          },
+          attemptedAction: 'erase_employee',
+          reason: 'insufficient_permissions',
+          requiredRole: [config.roles.ADMIN],
+          ipAddress: requestInfo.ipAddress,
+          userAgent: requestInfo.userAgent,
+        });
+        throw new Error('Insufficient permissions to erase employee data');
+      }
+
+      // Fail before destroying anything if the certificate cannot be signed
+      if (!config.erasure.signingKeyFile) {
+        throw new Error('Erasure signing key is not configured');
+      }
+
+      const snapshot = await this.documentsCollection.where('employeeId', '==', employeeId).get();
+
+      // A litigation hold takes precedence over erasure
+      for (const doc of snapshot.docs) {
+        await legalHoldService.assertNotHeld(doc.id, doc.data());
+      }
+
+      const shreddedDocuments = [];
+      const unshreddedDocuments = [];
+
+      const plaintextFields = {};
+      for (const field of config.encryption.metadataFields) {
+        plaintextFields[field] = admin.firestore.FieldValue.delete();
+      }
+      const scrub = record => ({
+        ...plaintextFields,
+        fileHash: admin.firestore.FieldValue.delete(),
+        ...(record.clientEncryption && { 'clientEncryption.recipients': admin.firestore.FieldValue.delete() }),
+      });
+
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        const versions = (await this.getVersionsCollection(doc.id).get()).docs;
+
+        // Browser-encrypted content is shredded by discarding its recipient-wrapped keys
+        const shredded = [data, ...versions.map(version => version.data())].every(record =>
+          (record.clientEncryption || record.encryptionInfo?.employeeKeyId === employeeId) &&
+          (!record.encryptedFields || record.encryptedFields.employeeKeyId === employeeId) &&
+          !this.hasNoncurrentMasterWrappedKey(record));
+        (shredded ? shreddedDocuments : unshreddedDocuments).push(doc.id);
+
+        // Objects of every version are deleted too; noncurrent generations are covered by the shredded key,
+        // except for sidecars replaced when their DEK was moved to it (see hasNoncurrentMasterWrappedKey)
+        if (data.isActive || data.trashed) {
+          for (const fileName of await this.getVersionFileNames(doc.id, data)) {
+            await storageService.deleteDocument(fileName, userInfo).catch(error => {
+              console.error(`Error deleting objects of erased document ${doc.id}:`, error);
+            });
+          }
+        }
+
+        for (const version of versions) {
+          await version.ref.update({ ...scrub(version.data()), erased: true });
+        }
+
+        await doc.ref.update({
+          ...scrub(data),
+          blindIndex: admin.firestore.FieldValue.delete(),
+          isActive: false,
+          trashed: false,
+          purgeAfter: admin.firestore.FieldValue.delete(),
+          erased: true,
+          erasedAt: admin.firestore.FieldValue.serverTimestamp(),
+          erasedBy: userInfo.uid,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+
+      // Content markers would otherwise still tie the employee to the hashes of their files
+      const markers = await this.documentHashesCollection.where('employeeId', '==', employeeId).get();
+      await Promise.all(markers.docs.map(marker => marker.ref.delete()));
+
+      const key = await employeeKeyService.destroyKey(employeeId, userInfo);
+
+      const certificate = employeeKeyService.issueErasureCertificate({
+        employeeId,
+        key,
+        shreddedDocuments,
+        unshreddedDocuments,
+        reason: options.reason,
+        userInfo,
+      });
+
+      await auditService.logEmployeeErasure({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        erasedEmployeeId: employeeId,
+        certificate,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: true,
+        duration: Date.now() - startTime,
+      });
+
+      return certificate;
+
+    } catch (error) {
+      await auditService.logEmployeeErasure({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        erasedEmployeeId: employeeId,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: false,
+        errorMessage: error.message,
+        duration: Date.now() - startTime,
+      });
+
+      throw error;
+    }
+  }
+
   /**
    * Get document statistics
    * @param {Object} userInfo - User information
@@ -517,6 +2264,12 @@ class DocumentService {
         totalSize: 0,
         recentUploads: 0,
         accessCounts: 0,
+        compression: {
+          compressedDocuments: 0,
+          originalSize: 0, // Of the compressed documents
+          compressedSize: 0,
+          savedBytes: 0,
+        },
       };
 
       const thirtyDaysAgo = new Date();
@@ -528,15 +2281,24 @@ class DocumentService {
         stats.totalSize += data.size || 0;
         stats.accessCounts += data.accessCount || 0;
 
+        if (data.compression) {
+          stats.compression.compressedDocuments++;
+          stats.compression.originalSize += data.size || 0;
+          stats.compression.compressedSize += data.compression.compressedSize;
+        }
+
         // Count by document type
         stats.documentTypes[data.documentType] = (stats.documentTypes[data.documentType] || 0) + 1;
 
         // Count recent uploads
-        if (data.uploadedAt && data.uploadedAt.toDate() > thirtyDaysAgo) {
+        // uploadedAt is stored as an ISO string
+        if (data.uploadedAt && new Date(data.uploadedAt) > thirtyDaysAgo) {
           stats.recentUploads++;
         }
       });
 
+      stats.compression.savedBytes = stats.compression.originalSize - stats.compression.compressedSize;
+
       return stats;
     } catch (error) {
       console.error('Error getting document statistics:', error);
@@ -578,6 +2340,35 @@ class DocumentService {
     return firebaseService.hasRole(userInfo, [config.roles.ADMIN, config.roles.HR]);
   }
 
+  /**
+   * Check if user can permanently delete a document
+   * @param {Object} userInfo - User information
+   * @param {Object} documentMetadata - Document metadata
+   * @returns {boolean} True if user can purge
+   */
+  canPurgeDocument(userInfo, documentMetadata) {
+    return firebaseService.hasRole(userInfo, [config.roles.ADMIN]);
+  }
+
+  /**
+   * Check if user can roll back a document to an earlier version
+   * @param {Object} userInfo - User information
+   * @param {Object} documentMetadata - Document metadata
+   * @returns {boolean} True if user can roll back
+   */
+  canRollbackDocument(userInfo, documentMetadata) {
+    return firebaseService.hasRole(userInfo, [config.roles.HR, config.roles.ADMIN]);
+  }
+
+  /**
+   * Check if user can erase an employee's data
+   * @param {Object} userInfo - User information
+   * @returns {boolean} True if user can erase
+   */
+  canEraseEmployee(userInfo) {
+    return firebaseService.hasRole(userInfo, [config.roles.ADMIN]);
+  }
+
   /**
    * Check if user can share document
    * @param {Object} userInfo - User information
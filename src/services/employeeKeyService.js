@@ -0,0 +1,258 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config/config');
+const encryptionService = require('./encryptionService');
+const { v4: uuidv4 } = require('uuid');
+
+const KEY_STATUS = {
+  ACTIVE: 'active',
+  DESTROYED: 'destroyed',
+};
+
+/**
+ * Bind a wrapped DEK to the employee whose KEK sealed it
+ * @param {string} employeeId - Employee ID
+ * @returns {Buffer} Associated data
+ */
+function kekAssociatedData(employeeId) {
+  return Buffer.from(`sdl-kek-v1:${employeeId}`);
+}
+
+/**
+ * Per-employee key encryption keys (KEKs).
+ *
+ * Each employee's document DEKs are wrapped by a KEK of their own, which is in turn
+ * wrapped by the master key provider and stored in Firestore. Destroying the KEK
+ * crypto-shreds every object and `.enc` sidecar of that employee, including the
+ * noncurrent generations kept by bucket versioning.
+ */
+class EmployeeKeyService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.keysCollection = this.firestore.collection(config.firestore.collections.employeeKeys);
+  }
+
+  /**
+   * Get an employee's plaintext KEK, creating it on first use
+   * @param {string} employeeId - Employee ID
+   * @param {Object} options - Options
+   * @param {boolean} options.create - Create the KEK if it does not exist
+   * @returns {Promise<Buffer>} Plaintext KEK; callers must zero it after use
+   */
+  async getKey(employeeId, options = {}) {
+    const keyRef = this.keysCollection.doc(employeeId);
+    let snapshot = await keyRef.get();
+
+    if (!snapshot.exists) {
+      if (!options.create) {
+        throw new Error(`No key exists for employee ${employeeId}`);
+      }
+
+      const kek = crypto.randomBytes(32);
+      const { encryptedDEK, kmsKeyVersion } = await encryptionService.wrapDataKey(kek);
+
+      try {
+        // create() fails if a concurrent upload already created the key
+        await keyRef.create({
+          employeeId,
+          status: KEY_STATUS.ACTIVE,
+          wrappedKey: encryptedDEK,
+          keyVersion: kmsKeyVersion,
+          fingerprint: crypto.createHash('sha256').update(kek).digest('hex'),
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return kek;
+      } catch (error) {
+        kek.fill(0);
+        if (error.code !== 6) { // ALREADY_EXISTS
+          throw error;
+        }
+        snapshot = await keyRef.get();
+      }
+    }
+
+    const record = snapshot.data();
+    if (record.status === KEY_STATUS.DESTROYED) {
+      const error = new Error(`Key for employee ${employeeId} has been destroyed`);
+      error.code = 'EMPLOYEE_KEY_DESTROYED';
+      throw error;
+    }
+
+    return await encryptionService.unwrapDataKey(record.wrappedKey);
+  }
+
+  /**
+   * Wrap a DEK under an employee's KEK
+   * @param {string} employeeId - Employee ID
+   * @param {Buffer} dek - Plaintext DEK
+   * @returns {Promise<string>} Base64 wrapped DEK (IV | tag | ciphertext)
+   */
+  async wrapDataKey(employeeId, dek) {
+    const kek = await this.getKey(employeeId, { create: true });
+
+    try {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', kek, iv);
+      cipher.setAAD(kekAssociatedData(employeeId));
+      const ciphertext = Buffer.concat([cipher.update(dek), cipher.final()]);
+
+      return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    } finally {
+      kek.fill(0);
+    }
+  }
+
+  /**
+   * Unwrap a DEK wrapped under an employee's KEK
+   * @param {string} employeeId - Employee ID
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @returns {Promise<Buffer>} Plaintext DEK
+   */
+  async unwrapDataKey(employeeId, encryptedDEK) {
+    const kek = await this.getKey(employeeId);
+
+    try {
+      const wrapped = Buffer.from(encryptedDEK, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', kek, wrapped.subarray(0, 12));
+      decipher.setAAD(kekAssociatedData(employeeId));
+      decipher.setAuthTag(wrapped.subarray(12, 28));
+
+      return Buffer.concat([decipher.update(wrapped.subarray(28)), decipher.final()]);
+    } finally {
+      kek.fill(0);
+    }
+  }
+
+  /**
+   * Re-wrap an employee's KEK under the target master key version
+   * DEKs wrapped by the KEK are unaffected by master key rotation.
+   * @param {string} employeeId - Employee ID
+   * @param {string} targetKeyVersion - Primary key version resource name
+   * @returns {Promise<boolean>} True if the KEK was re-wrapped
+   */
+  async rewrapKey(employeeId, targetKeyVersion) {
+    const keyRef = this.keysCollection.doc(employeeId);
+    const snapshot = await keyRef.get();
+
+    if (!snapshot.exists) {
+      return false;
+    }
+
+    const record = snapshot.data();
+    if (record.status === KEY_STATUS.DESTROYED || record.keyVersion === targetKeyVersion) {
+      return false;
+    }
+
+    const { encryptedDEK, kmsKeyVersion } = await encryptionService.rewrapDataKey(record.wrappedKey);
+
+    await keyRef.update({
+      wrappedKey: encryptedDEK,
+      keyVersion: kmsKeyVersion,
+      rewrappedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return true;
+  }
+
+  /**
+   * Destroy an employee's KEK
+   * A tombstone is kept so no new documents can be encrypted for the employee.
+   * @param {string} employeeId - Employee ID
+   * @param {Object} userInfo - User performing the erasure
+   * @returns {Promise<Object>} Fingerprint of the destroyed key and when it was destroyed
+   */
+  async destroyKey(employeeId, userInfo) {
+    const keyRef = this.keysCollection.doc(employeeId);
+    const destroyedAt = new Date();
+
+    return await this.firestore.runTransaction(async transaction => {
+      const snapshot = await transaction.get(keyRef);
+      const record = snapshot.exists ? snapshot.data() : null;
+
+      if (record && record.status === KEY_STATUS.DESTROYED) {
+        return {
+          existed: true,
+          fingerprint: record.fingerprint,
+          destroyedAt: record.destroyedAt.toDate(),
+        };
+      }
+
+      // Cached copies on this instance go now; other instances drop them within the cache TTL
+      if (record) {
+        encryptionService.invalidateDataKey(record.wrappedKey);
+      }
+      encryptionService.invalidateEmployeeDataKeys(employeeId);
+
+      transaction.set(keyRef, {
+        employeeId,
+        status: KEY_STATUS.DESTROYED,
+        fingerprint: record ? record.fingerprint : null,
+        createdAt: record ? record.createdAt : null,
+        destroyedAt,
+        destroyedBy: userInfo.uid,
+      });
+
+      return {
+        existed: Boolean(record),
+        fingerprint: record ? record.fingerprint : null,
+        destroyedAt,
+      };
+    });
+  }
+
+  /**
+   * Issue a signed certificate recording that an employee's data was crypto-shredded
+   * @param {Object} details - Erasure details
+   * @returns {Object} Certificate with detached signature
+   */
+  issueErasureCertificate(details) {
+    if (!config.erasure.signingKeyFile) {
+      throw new Error('Erasure signing key is not configured');
+    }
+
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(config.erasure.signingKeyFile));
+    const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+
+    const certificate = {
+      certificateId: uuidv4(),
+      type: 'crypto_shredding_erasure',
+      version: 1,
+      issuedAt: new Date().toISOString(),
+      employeeId: details.employeeId,
+      key: {
+        existed: details.key.existed,
+        fingerprint: details.key.fingerprint,
+        destroyedAt: details.key.destroyedAt.toISOString(),
+      },
+      documents: {
+        total: details.shreddedDocuments.length + details.unshreddedDocuments.length,
+        shredded: details.shreddedDocuments,
+        // DEKs still wrapped by the master key, in current sidecars or in noncurrent generations
+        // kept after the key rotation job migrated them
+        notShredded: details.unshreddedDocuments,
+      },
+      reason: details.reason,
+      requestedBy: {
+        uid: details.userInfo.uid,
+        email: details.userInfo.email,
+        role: details.userInfo.role,
+      },
+    };
+
+    // Ed25519 signs the message directly; RSA and EC keys sign its SHA-256 digest
+    const signatureAlgorithm = privateKey.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+    const signature = crypto.sign(signatureAlgorithm, Buffer.from(JSON.stringify(certificate)), privateKey);
+
+    return {
+      ...certificate,
+      signature: {
+        algorithm: privateKey.asymmetricKeyType,
+        publicKeyFingerprint: crypto.createHash('sha256').update(publicKey).digest('hex'),
+        value: signature.toString('base64'),
+      },
+    };
+  }
+}
+
+module.exports = new EmployeeKeyService();
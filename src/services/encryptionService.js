@@ -1,46 +1,133 @@
-const { KeyManagementServiceClient } = require('@google-cloud/kms');
 const crypto = require('crypto');
+const { Transform } = require('stream');
 const config = require('../config/config');
+const { createKeyProvider } = require('./keyProviders');
+const DataKeyCache = require('./dataKeyCache');
+
+// Chunked stream format: a 16-byte header (magic, version, chunk size, nonce
+// prefix) followed by frames of up to `chunkSize` ciphertext bytes, each
+// carrying its own 16-byte GCM tag. Nonces are prefix || chunk index || final
+// flag, so reordered, dropped or truncated frames fail authentication.
+// Version 2 additionally binds every chunk to the document identity (AAD).
+const STREAM_FORMATS = {
+  'chunked-v1': 1,
+  'chunked-v2': 2,
+};
+const STREAM_MAGIC = Buffer.from('SDLS');
+const STREAM_HEADER_LENGTH = 16;
+const STREAM_NONCE_PREFIX_LENGTH = 7;
+const STREAM_TAG_LENGTH = 16;
+
+// Objects encrypted in the browser; the server never holds their DEK
+const CLIENT_SIDE_FORMAT = 'client-v1';
+
+// Single-blob payload versions: 1 is legacy (no AAD), 2 binds the document identity
+const PAYLOAD_VERSION = 2;
+
+/**
+ * Serialize an encryption context into GCM additional authenticated data
+ * @param {Object} context - Encryption context
+ * @param {string} context.documentId - Document ID
+ * @param {string} context.employeeId - Owning employee ID
+ * @param {number} context.version - Document version
+ * @param {string} context.purpose - Optional ciphertext domain
+ * @returns {Buffer} Associated data
+ */
+function associatedData(context) {
+  if (!context || !context.documentId) {
+    throw new Error('Encryption context with a document ID is required');
+  }
+  return Buffer.from(JSON.stringify([
+    'sdl-aad-v1',
+    context.documentId,
+    context.employeeId || null,
+    context.version || 1,
+    // Separates ciphertext domains (e.g. file content vs. metadata) of the same document
+    ...(context.purpose ? [context.purpose] : []),
+  ]));
+}
+
+/**
+ * Build the GCM nonce for a stream chunk
+ * @param {Buffer} noncePrefix - Random per-stream nonce prefix
+ * @param {number} index - Chunk index
+ * @param {boolean} isFinal - Whether this is the last chunk of the stream
+ * @returns {Buffer} 96-bit nonce
+ */
+function chunkNonce(noncePrefix, index, isFinal) {
+  const nonce = Buffer.alloc(12);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, STREAM_NONCE_PREFIX_LENGTH);
+  nonce[11] = isFinal ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Build the error for ciphertext that failed GCM authentication, was truncated or is malformed
+ * @returns {Error} Error with code DECRYPTION_FAILED
+ */
+function decryptionFailedError() {
+  const error = new Error('Decryption failed');
+  error.code = 'DECRYPTION_FAILED';
+  return error;
+}
 
 class EncryptionService {
   constructor() {
-    this.kmsClient = new KeyManagementServiceClient();
-    this.keyId = config.kms.keyId;
+    this.keyProvider = createKeyProvider(config.kms);
+    this.keyId = this.keyProvider.describe().keyId;
+    // Disabled in high-assurance deployments so every unwrap goes to the key provider
+    this.dataKeyCache = config.encryption.dekCache.enabled
+      ? new DataKeyCache(config.encryption.dekCache)
+      : null;
   }
 
   /**
-   * Encrypt data using Cloud KMS
+   * Build the encryption context that binds ciphertext to a document
+   * @param {Object} documentMetadata - Document metadata (id, employeeId, version)
+   * @returns {Object} Encryption context
+   */
+  getEncryptionContext(documentMetadata) {
+    return {
+      documentId: documentMetadata.id || documentMetadata.documentId,
+      employeeId: documentMetadata.employeeId,
+      version: documentMetadata.version || 1,
+    };
+  }
+
+  /**
+   * Encrypt data using envelope encryption
    * @param {Buffer|string} data - Data to encrypt
+   * @param {Object} context - Encryption context bound as AAD (see getEncryptionContext)
    * @returns {Promise<Object>} Encrypted data with metadata
    */
-  async encryptData(data) {
+  async encryptData(data, context) {
     try {
       // Convert string to buffer if needed
       const plaintext = Buffer.isBuffer(data) ? data : Buffer.from(data);
 
-      // Generate a data encryption key (DEK) locally
-      const dek = crypto.randomBytes(32); // 256-bit key
+      // Generate a data encryption key (DEK) wrapped by the key provider or the employee's KEK
+      const { dek, encryptedDEK, kmsKeyVersion, employeeKeyId } = await this.generateDataKey(context);
       const iv = crypto.randomBytes(16);   // 128-bit IV
 
       // Encrypt the actual data with the DEK using AES-256-GCM
-      const cipher = crypto.createCipherGCM('aes-256-gcm', dek, iv);
+      const cipher = crypto.createCipheriv('aes-256-gcm', dek, iv);
+      cipher.setAAD(associatedData(context));
       let encryptedData = cipher.update(plaintext);
       encryptedData = Buffer.concat([encryptedData, cipher.final()]);
       const authTag = cipher.getAuthTag();
-
-      // Encrypt the DEK using Cloud KMS (envelope encryption)
-      const [encryptResult] = await this.kmsClient.encrypt({
-        name: this.keyId,
-        plaintext: dek,
-      });
+      dek.fill(0);
 
       return {
+        payloadVersion: PAYLOAD_VERSION,
         encryptedData: encryptedData.toString('base64'),
-        encryptedDEK: encryptResult.ciphertext.toString('base64'),
+        encryptedDEK,
         iv: iv.toString('base64'),
         authTag: authTag.toString('base64'),
         algorithm: 'aes-256-gcm',
         kmsKeyId: this.keyId,
+        kmsKeyVersion,
+        ...(employeeKeyId && { employeeKeyId }),
       };
     } catch (error) {
       console.error('Error encrypting data:', error);
@@ -49,61 +136,442 @@ class EncryptionService {
   }
 
   /**
-   * Decrypt data using Cloud KMS
+   * Decrypt data using envelope encryption
+   * Legacy (version 1) payloads were encrypted without AAD and ignore the context.
    * @param {Object} encryptedPayload - Encrypted data payload
+   * @param {Object} context - Encryption context the payload must be bound to
    * @returns {Promise<Buffer>} Decrypted data
    */
-  async decryptData(encryptedPayload) {
+  async decryptData(encryptedPayload, context) {
+    let dekUnwrapped = false;
     try {
       const { encryptedData, encryptedDEK, iv, authTag, algorithm } = encryptedPayload;
+      const payloadVersion = encryptedPayload.payloadVersion || 1;
 
-      // Decrypt the DEK using Cloud KMS
-      const [decryptResult] = await this.kmsClient.decrypt({
-        name: this.keyId,
-        ciphertext: Buffer.from(encryptedDEK, 'base64'),
-      });
-
-      const dek = decryptResult.plaintext;
+      // Unwrap the DEK using the key provider or the employee's KEK
+      const dek = await this.unwrapDataKey(encryptedDEK, encryptedPayload.employeeKeyId);
+      dekUnwrapped = true;
       const ivBuffer = Buffer.from(iv, 'base64');
       const encryptedDataBuffer = Buffer.from(encryptedData, 'base64');
       const authTagBuffer = Buffer.from(authTag, 'base64');
 
       // Decrypt the actual data using the DEK
-      const decipher = crypto.createDecipherGCM(algorithm, dek, ivBuffer);
+      const decipher = crypto.createDecipheriv(algorithm, dek, ivBuffer);
+      if (payloadVersion >= 2) {
+        decipher.setAAD(associatedData(context));
+      }
       decipher.setAuthTag(authTagBuffer);
       
       let decryptedData = decipher.update(encryptedDataBuffer);
       decryptedData = Buffer.concat([decryptedData, decipher.final()]);
+      dek.fill(0);
 
       return decryptedData;
     } catch (error) {
       console.error('Error decrypting data:', error);
-      throw new Error('Decryption failed');
+      // Once the DEK is unwrapped, a failure means the ciphertext did not authenticate
+      throw dekUnwrapped ? decryptionFailedError() : new Error('Decryption failed');
+    }
+  }
+
+  /**
+   * Generate a new data encryption key
+   * @param {Object} context - Encryption context; selects the employee KEK when enabled
+   * @returns {Promise<Object>} Plaintext DEK, its base64 wrapped form and key version
+   */
+  async generateDataKey(context = {}) {
+    const dek = crypto.randomBytes(32); // 256-bit key
+    return {
+      dek,
+      ...(await this.wrapDataKey(dek, context)),
+    };
+  }
+
+  /**
+   * Check whether DEKs for a context are wrapped by a per-employee KEK
+   * @param {Object} context - Encryption context
+   * @returns {boolean} True if the employee's KEK wraps the DEK
+   */
+  usesEmployeeKey(context = {}) {
+    return config.encryption.employeeKeys && Boolean(context.employeeId);
+  }
+
+  /**
+   * Wrap a data encryption key
+   * With per-employee keys enabled, DEKs of employee documents are wrapped by that
+   * employee's KEK so destroying it shreds all of their documents; everything else is
+   * wrapped directly by the current primary master key version.
+   * @param {Buffer} dek - Plaintext DEK
+   * @param {Object} context - Encryption context
+   * @returns {Promise<Object>} Base64 wrapped DEK and the key that wrapped it
+   */
+  async wrapDataKey(dek, context = {}) {
+    if (this.usesEmployeeKey(context)) {
+      // Required lazily: the employee key service wraps its KEKs through this service
+      const employeeKeyService = require('./employeeKeyService');
+      return {
+        encryptedDEK: await employeeKeyService.wrapDataKey(context.employeeId, dek),
+        kmsKeyVersion: null,
+        employeeKeyId: context.employeeId,
+      };
+    }
+
+    const { encryptedDEK, keyVersion } = await this.keyProvider.wrap(dek);
+    return {
+      encryptedDEK,
+      kmsKeyVersion: keyVersion,
+    };
+  }
+
+  /**
+   * Unwrap a wrapped data encryption key, using the DEK cache when enabled
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @param {string} employeeKeyId - Employee whose KEK wrapped the DEK, if any
+   * @returns {Promise<Buffer>} Plaintext DEK; callers may zero it
+   */
+  async unwrapDataKey(encryptedDEK, employeeKeyId) {
+    const cached = this.dataKeyCache?.get(encryptedDEK, employeeKeyId);
+    if (cached) {
+      return cached;
+    }
+
+    let dek;
+    if (employeeKeyId) {
+      const employeeKeyService = require('./employeeKeyService');
+      dek = await employeeKeyService.unwrapDataKey(employeeKeyId, encryptedDEK);
+    } else {
+      dek = await this.keyProvider.unwrap(encryptedDEK);
+    }
+
+    this.dataKeyCache?.set(encryptedDEK, employeeKeyId, dek);
+    return dek;
+  }
+
+  /**
+   * Drop a wrapped key from the DEK cache
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @param {string} employeeKeyId - Employee whose KEK wrapped the DEK, if any
+   */
+  invalidateDataKey(encryptedDEK, employeeKeyId) {
+    this.dataKeyCache?.invalidate(encryptedDEK, employeeKeyId);
+  }
+
+  /**
+   * Drop every cached DEK wrapped by an employee's KEK
+   * @param {string} employeeKeyId - Employee ID
+   */
+  invalidateEmployeeDataKeys(employeeKeyId) {
+    this.dataKeyCache?.invalidateEmployee(employeeKeyId);
+  }
+
+  /**
+   * Get DEK cache metrics
+   * @returns {Object} Cache statistics, or enabled: false
+   */
+  getDataKeyCacheStats() {
+    return this.dataKeyCache
+      ? { enabled: true, ...this.dataKeyCache.getStats() }
+      : { enabled: false };
+  }
+
+  /**
+   * Re-wrap a data encryption key under the key selected for a context
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @param {string} employeeKeyId - Employee whose KEK currently wraps the DEK, if any
+   * @param {Object} context - Encryption context for the new wrapping
+   * @returns {Promise<Object>} Newly wrapped DEK and the key that wrapped it
+   */
+  async rewrapDataKey(encryptedDEK, employeeKeyId, context = {}) {
+    const dek = await this.unwrapDataKey(encryptedDEK, employeeKeyId);
+    try {
+      const rewrapped = await this.wrapDataKey(dek, context);
+      this.invalidateDataKey(encryptedDEK, employeeKeyId);
+      return rewrapped;
+    } finally {
+      dek.fill(0);
     }
   }
 
   /**
-   * Encrypt file stream
-   * @param {ReadableStream} inputStream - Input file stream
-   * @returns {Promise<Object>} Encrypted stream and metadata
+   * Get the current primary version of the master key
+   * @returns {Promise<string>} Primary key version name
+   */
+  async getPrimaryKeyVersion() {
+    return await this.keyProvider.getPrimaryVersion();
+  }
+
+  /**
+   * Create a new master key version and make it primary
+   * @returns {Promise<string>} New primary key version name
+   */
+  async rotateKey() {
+    return await this.keyProvider.rotate();
+  }
+
+  /**
+   * Create a transform stream that encrypts data in authenticated chunks
+   * @param {Object} context - Encryption context bound to every chunk as AAD
+   * @param {Object} options - Stream options
+   * @param {number} options.chunkSize - Plaintext bytes per chunk
+   * @returns {Promise<Object>} Encrypting stream and the metadata needed to decrypt it
    */
-  async encryptStream(inputStream) {
+  async createEncryptStream(context, options = {}) {
     try {
-      // Read the entire stream into buffer
-      // Note: For large files, implement streaming encryption
-      const chunks = [];
-      for await (const chunk of inputStream) {
-        chunks.push(chunk);
-      }
-      const fileBuffer = Buffer.concat(chunks);
+      const chunkSize = options.chunkSize || config.encryption.chunkSize;
+      const format = 'chunked-v2';
+      const aad = associatedData(context);
+      const { dek, encryptedDEK, kmsKeyVersion, employeeKeyId } = await this.generateDataKey(context);
+      const noncePrefix = crypto.randomBytes(STREAM_NONCE_PREFIX_LENGTH);
+
+      const header = Buffer.alloc(STREAM_HEADER_LENGTH);
+      STREAM_MAGIC.copy(header, 0);
+      header[4] = STREAM_FORMATS[format];
+      header.writeUInt32BE(chunkSize, 5);
+      noncePrefix.copy(header, 9);
+
+      let pending = Buffer.alloc(0);
+      let index = 0;
+
+      const sealChunk = (chunk, isFinal) => {
+        const cipher = crypto.createCipheriv('aes-256-gcm', dek, chunkNonce(noncePrefix, index++, isFinal));
+        cipher.setAAD(aad);
+        return Buffer.concat([cipher.update(chunk), cipher.final(), cipher.getAuthTag()]);
+      };
 
-      return await this.encryptData(fileBuffer);
+      const stream = new Transform({
+        transform(data, encoding, callback) {
+          pending = pending.length ? Buffer.concat([pending, data]) : data;
+
+          // Hold back the tail so the final chunk is always sealed in flush
+          while (pending.length > chunkSize) {
+            this.push(sealChunk(pending.subarray(0, chunkSize), false));
+            pending = pending.subarray(chunkSize);
+          }
+          callback();
+        },
+        flush(callback) {
+          this.push(sealChunk(pending, true));
+          dek.fill(0);
+          callback();
+        },
+      });
+      stream.push(header);
+
+      return {
+        stream,
+        encryptionMetadata: {
+          format,
+          encryptedDEK,
+          algorithm: 'aes-256-gcm',
+          chunkSize,
+          kmsKeyId: this.keyId,
+          kmsKeyVersion,
+          ...(employeeKeyId && { employeeKeyId }),
+        },
+      };
     } catch (error) {
-      console.error('Error encrypting stream:', error);
+      console.error('Error creating encryption stream:', error);
       throw new Error('Stream encryption failed');
     }
   }
 
+  /**
+   * Create a transform stream that decrypts a chunked ciphertext stream
+   * @param {Object} encryptionMetadata - Metadata returned by createEncryptStream
+   * @param {Object} context - Encryption context the stream must be bound to
+   * @param {Object} options - Options for decrypting part of an object (see getChunkedByteRange)
+   * @param {Buffer} options.header - Stream header, read separately when the stream starts at a frame boundary
+   * @param {number} options.firstFrame - Index of the first frame in the stream
+   * @param {boolean} options.partial - The stream stops before the object's final frame
+   * @returns {Promise<Transform>} Decrypting stream
+   */
+  async createDecryptStream(encryptionMetadata, context, options = {}) {
+    try {
+      const streamVersion = STREAM_FORMATS[encryptionMetadata.format];
+      if (!streamVersion) {
+        throw new Error(`Unsupported stream format: ${encryptionMetadata.format}`);
+      }
+
+      // chunked-v1 objects predate identity binding and carry no AAD
+      const aad = streamVersion >= 2 ? associatedData(context) : null;
+
+      const dek = await this.unwrapDataKey(encryptionMetadata.encryptedDEK, encryptionMetadata.employeeKeyId);
+
+      let pending = options.header || Buffer.alloc(0);
+      let noncePrefix = null;
+      let frameSize = 0;
+      let index = options.firstFrame || 0;
+
+      const openChunk = (frame, isFinal) => {
+        const tagOffset = frame.length - STREAM_TAG_LENGTH;
+        const decipher = crypto.createDecipheriv('aes-256-gcm', dek, chunkNonce(noncePrefix, index++, isFinal));
+        if (aad) {
+          decipher.setAAD(aad);
+        }
+        decipher.setAuthTag(frame.subarray(tagOffset));
+        return Buffer.concat([decipher.update(frame.subarray(0, tagOffset)), decipher.final()]);
+      };
+
+      const readHeader = () => {
+        const header = pending.subarray(0, STREAM_HEADER_LENGTH);
+        if (!header.subarray(0, 4).equals(STREAM_MAGIC) || header[4] !== streamVersion) {
+          throw new Error('Invalid encrypted stream header');
+        }
+        frameSize = header.readUInt32BE(5) + STREAM_TAG_LENGTH;
+        noncePrefix = Buffer.from(header.subarray(9, STREAM_HEADER_LENGTH));
+        pending = pending.subarray(STREAM_HEADER_LENGTH);
+      };
+
+      return new Transform({
+        transform(data, encoding, callback) {
+          try {
+            pending = pending.length ? Buffer.concat([pending, data]) : data;
+
+            if (!noncePrefix) {
+              if (pending.length < STREAM_HEADER_LENGTH) {
+                return callback();
+              }
+              readHeader();
+            }
+
+            // The last frame can only be identified at end of stream
+            while (pending.length > frameSize) {
+              this.push(openChunk(pending.subarray(0, frameSize), false));
+              pending = pending.subarray(frameSize);
+            }
+            callback();
+          } catch (error) {
+            callback(decryptionFailedError());
+          }
+        },
+        flush(callback) {
+          try {
+            if (!noncePrefix || pending.length < STREAM_TAG_LENGTH) {
+              throw new Error('Encrypted stream is truncated');
+            }
+            this.push(openChunk(pending, !options.partial));
+            callback();
+          } catch (error) {
+            callback(decryptionFailedError());
+          } finally {
+            dek.fill(0);
+          }
+        },
+      });
+    } catch (error) {
+      console.error('Error creating decryption stream:', error);
+      throw new Error('Stream decryption failed');
+    }
+  }
+
+  /**
+   * Check whether encryption metadata describes a chunked stream object
+   * @param {Object} encryptionMetadata - Encryption metadata from the .enc sidecar
+   * @returns {boolean} True for chunked stream objects
+   */
+  isChunkedFormat(encryptionMetadata) {
+    return Boolean(STREAM_FORMATS[encryptionMetadata?.format]);
+  }
+
+  /**
+   * Check whether encryption metadata describes an object encrypted in the browser
+   * @param {Object} encryptionMetadata - Encryption metadata from the .enc sidecar
+   * @returns {boolean} True for client-side encrypted objects
+   */
+  isClientSideFormat(encryptionMetadata) {
+    return encryptionMetadata?.format === CLIENT_SIDE_FORMAT;
+  }
+
+  /**
+   * Describe a client-side encrypted object for its .enc sidecar
+   * @returns {Object} Encryption metadata
+   */
+  getClientSideEncryptionMetadata() {
+    return {
+      format: CLIENT_SIDE_FORMAT,
+      algorithm: 'aes-256-gcm',
+      keyWrapping: 'rsa-oaep-256',
+    };
+  }
+
+  /**
+   * Validate a public key registered for wrapping client-side document keys
+   * @param {Object} jwk - RSA public key in JWK form
+   * @returns {string} Key thumbprint
+   */
+  validateWrappingPublicKey(jwk) {
+    let key;
+    try {
+      key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch (error) {
+      throw new Error('Invalid public key');
+    }
+
+    if (key.asymmetricKeyType !== 'rsa' || key.asymmetricKeyDetails.modulusLength < 2048) {
+      throw new Error('Public key must be an RSA key of at least 2048 bits');
+    }
+
+    return this.computeKeyThumbprint(jwk);
+  }
+
+  /**
+   * Compute the RFC 7638 thumbprint of an RSA public JWK
+   * @param {Object} jwk - RSA public key in JWK form
+   * @returns {string} Hex SHA-256 thumbprint
+   */
+  computeKeyThumbprint(jwk) {
+    // Members in lexicographic order, no whitespace
+    const canonical = JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n });
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  /**
+   * Compute the stored size of a chunked stream object
+   * @param {number} plaintextLength - Plaintext length in bytes
+   * @param {number} chunkSize - Plaintext bytes per chunk
+   * @returns {number} Ciphertext length in bytes, including header and tags
+   */
+  getChunkedCiphertextLength(plaintextLength, chunkSize) {
+    const frames = Math.max(1, Math.ceil(plaintextLength / chunkSize));
+    return STREAM_HEADER_LENGTH + plaintextLength + frames * STREAM_TAG_LENGTH;
+  }
+
+  /**
+   * Compute the plaintext length of a chunked stream object from its stored size
+   * @param {number} ciphertextLength - Stored object size in bytes
+   * @param {number} chunkSize - Plaintext bytes per chunk
+   * @returns {number} Plaintext length in bytes
+   */
+  getChunkedPlaintextLength(ciphertextLength, chunkSize) {
+    const frames = Math.max(1, Math.ceil((ciphertextLength - STREAM_HEADER_LENGTH) / (chunkSize + STREAM_TAG_LENGTH)));
+    return ciphertextLength - STREAM_HEADER_LENGTH - frames * STREAM_TAG_LENGTH;
+  }
+
+  /**
+   * Map a plaintext byte range of a chunked stream object onto the frames that hold it
+   * @param {number} start - First plaintext byte (inclusive)
+   * @param {number} end - Last plaintext byte (inclusive)
+   * @param {number} chunkSize - Plaintext bytes per chunk
+   * @param {number} ciphertextLength - Stored object size in bytes
+   * @returns {Object} Ciphertext range to read ({ start, end }, inclusive), the frames it
+   * covers ({ firstFrame, partial }) and the plaintext bytes to skip in the first frame
+   */
+  getChunkedByteRange(start, end, chunkSize, ciphertextLength) {
+    const frameSize = chunkSize + STREAM_TAG_LENGTH;
+    const frames = Math.max(1, Math.ceil((ciphertextLength - STREAM_HEADER_LENGTH) / frameSize));
+    const firstFrame = Math.floor(start / chunkSize);
+    const lastFrame = Math.floor(end / chunkSize);
+
+    return {
+      start: STREAM_HEADER_LENGTH + firstFrame * frameSize,
+      end: Math.min(STREAM_HEADER_LENGTH + (lastFrame + 1) * frameSize, ciphertextLength) - 1,
+      headerLength: STREAM_HEADER_LENGTH,
+      firstFrame,
+      partial: lastFrame < frames - 1,
+      skip: start - firstFrame * chunkSize,
+    };
+  }
+
   /**
    * Generate secure hash for file integrity
    * @param {Buffer} data - File data
@@ -124,6 +592,60 @@ class EncryptionService {
     return actualHash === expectedHash;
   }
 
+  /**
+   * Create a pass-through stream that verifies the SHA-256 of everything written to it.
+   * The most recent chunk is held back until the hash is confirmed, so a consumer
+   * never receives a complete file that failed verification.
+   * @param {string} expectedHash - Expected hex SHA-256
+   * @returns {Transform} Verifying stream; errors with code INTEGRITY_FAILURE on mismatch
+   */
+  createIntegrityStream(expectedHash) {
+    const hash = crypto.createHash('sha256');
+    let heldBack = null;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        if (heldBack) {
+          this.push(heldBack);
+        }
+        heldBack = chunk;
+        callback();
+      },
+      flush(callback) {
+        const actualHash = hash.digest('hex');
+        if (actualHash !== expectedHash) {
+          const error = new Error('Document integrity verification failed');
+          error.code = 'INTEGRITY_FAILURE';
+          error.expectedHash = expectedHash;
+          error.actualHash = actualHash;
+          return callback(error);
+        }
+        if (heldBack) {
+          this.push(heldBack);
+        }
+        callback();
+      },
+    });
+  }
+
+  /**
+   * Compute a blind index for exact-match queries over an encrypted field
+   * @param {string} field - Field name
+   * @param {string} value - Plaintext value
+   * @returns {string} Hex HMAC-SHA256 of the field and value
+   */
+  computeBlindIndex(field, value) {
+    if (!config.encryption.blindIndexKey) {
+      throw new Error('Blind index key is not configured');
+    }
+
+    return crypto
+      .createHmac('sha256', Buffer.from(config.encryption.blindIndexKey, 'hex'))
+      .update(`${field}:${value}`)
+      .digest('hex');
+  }
+
   /**
    * Generate secure random file name
    * @param {string} originalName - Original file name
@@ -138,12 +660,13 @@ class EncryptionService {
   /**
    * Create encrypted metadata for document
    * @param {Object} metadata - Document metadata
+   * @param {Object} context - Encryption context bound as AAD
    * @returns {Promise<Object>} Encrypted metadata
    */
-  async encryptMetadata(metadata) {
+  async encryptMetadata(metadata, context) {
     try {
       const metadataString = JSON.stringify(metadata);
-      return await this.encryptData(metadataString);
+      return await this.encryptData(metadataString, context);
     } catch (error) {
       console.error('Error encrypting metadata:', error);
       throw new Error('Metadata encryption failed');
@@ -153,11 +676,12 @@ class EncryptionService {
   /**
    * Decrypt metadata for document
    * @param {Object} encryptedMetadata - Encrypted metadata
+   * @param {Object} context - Encryption context the metadata must be bound to
    * @returns {Promise<Object>} Decrypted metadata
    */
-  async decryptMetadata(encryptedMetadata) {
+  async decryptMetadata(encryptedMetadata, context) {
     try {
-      const decryptedBuffer = await this.decryptData(encryptedMetadata);
+      const decryptedBuffer = await this.decryptData(encryptedMetadata, context);
       return JSON.parse(decryptedBuffer.toString());
     } catch (error) {
       console.error('Error decrypting metadata:', error);
@@ -182,7 +706,7 @@ class EncryptionService {
   getEncryptionInfo() {
     return {
       algorithm: 'aes-256-gcm',
-      keyManagement: 'cloud-kms',
+      keyManagement: this.keyProvider.describe().provider,
       keyId: this.keyId,
       envelopeEncryption: true,
     };
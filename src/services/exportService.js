@@ -0,0 +1,314 @@
+const admin = require('firebase-admin');
+const path = require('path');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const firebaseService = require('./firebaseService');
+const documentService = require('./documentService');
+const auditService = require('./auditService');
+const ZipWriter = require('./zipWriter');
+
+const MANIFEST_NAME = 'manifest.json';
+
+// Documents that cannot be read when their turn comes are listed in the manifest instead
+const SKIP_REASONS = {
+  DOCUMENT_QUARANTINED: 'quarantined',
+  WATERMARK_FAILED: 'watermark_failed',
+  INTEGRITY_FAILURE: 'integrity_failure',
+  DECRYPTION_FAILED: 'integrity_failure',
+};
+
+/**
+ * Build an export error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} details - Extra properties for the response
+ * @returns {Error} Error with code
+ */
+function exportError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, details);
+}
+
+/**
+ * Bulk export of an employee's documents as a ZIP archive.
+ *
+ * The archive holds every active document of the employee, optionally narrowed by type and
+ * upload date, in a folder per document type, followed by a manifest with each document's
+ * metadata and SHA-256. Documents are read one at a time through the regular download path,
+ * so each is access-checked, verified, watermarked where its type asks for it and audited
+ * as a download; the archive itself is streamed and never stored. Documents encrypted in the
+ * browser cannot be read by the server and are listed in the manifest as skipped, as are
+ * quarantined ones.
+ */
+class ExportService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.documentsCollection = this.firestore.collection(config.firestore.collections.documents);
+  }
+
+  /**
+   * Start an export
+   * The documents are selected and checked against the export limits before anything is sent.
+   * @param {string} employeeId - Employee whose documents are exported
+   * @param {Object} options - Export options
+   * @param {Array<string>} options.documentTypes - Only export these document types
+   * @param {Date} options.uploadedAfter - Only export documents uploaded at or after this time
+   * @param {Date} options.uploadedBefore - Only export documents uploaded before this time
+   * @param {string} options.password - Encrypt the archive with this password
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Export ID, archive file name, document count and archive stream
+   */
+  async createExport(employeeId, options, userInfo, requestInfo = {}) {
+    if (!this.canExportDocuments(userInfo)) {
+      await auditService.logAccessDenied({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        resource: {
+          type: 'employee',
+          id: employeeId,
+          action: 'export',
+        },
+        attemptedAction: 'export_documents',
+        reason: 'insufficient_permissions',
+        requiredRole: [config.roles.ADMIN, config.roles.HR],
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+      });
+      throw new Error('Insufficient permissions to export documents');
+    }
+
+    const documents = await this.findDocuments(employeeId, options);
+
+    if (documents.length === 0) {
+      throw exportError('NO_DOCUMENTS', 'No documents match the export');
+    }
+
+    if (documents.length > config.export.maxDocuments) {
+      throw exportError('EXPORT_TOO_LARGE', `Exports are limited to ${config.export.maxDocuments} documents`, {
+        documentCount: documents.length,
+      });
+    }
+
+    const totalSize = documents.reduce((sum, document) => sum + (document.size || 0), 0);
+    if (totalSize > config.export.maxTotalSize) {
+      throw exportError('EXPORT_TOO_LARGE', `Exports are limited to ${config.export.maxTotalSize} bytes`, {
+        totalSize,
+      });
+    }
+
+    const exportId = uuidv4();
+    const archive = this.writeArchive(exportId, employeeId, documents, options, userInfo, requestInfo);
+
+    return {
+      exportId,
+      fileName: `documents-${employeeId}-${new Date().toISOString().slice(0, 10)}.zip`,
+      documentCount: documents.length,
+      stream: Readable.from(archive, { objectMode: false }),
+    };
+  }
+
+  /**
+   * Find the documents an export covers, oldest first
+   * @param {string} employeeId - Employee ID
+   * @param {Object} options - Export options (documentTypes, uploadedAfter, uploadedBefore)
+   * @returns {Promise<Array<Object>>} Decrypted document records with their IDs
+   */
+  async findDocuments(employeeId, options) {
+    const snapshot = await this.documentsCollection
+      .where('employeeId', '==', employeeId)
+      .where('isActive', '==', true)
+      .get();
+
+    const documents = [];
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      // uploadedAt is stored as an ISO string
+      const uploadedAt = data.uploadedAt ? new Date(data.uploadedAt) : null;
+
+      if (options.documentTypes && !options.documentTypes.includes(data.documentType)) {
+        continue;
+      }
+      if (options.uploadedAfter && !(uploadedAt >= options.uploadedAfter)) {
+        continue;
+      }
+      if (options.uploadedBefore && !(uploadedAt < options.uploadedBefore)) {
+        continue;
+      }
+
+      documents.push({ ...(await documentService.decryptMetadataFields(doc.id, data)), id: doc.id });
+    }
+
+    return documents.sort((a, b) => String(a.uploadedAt || '').localeCompare(String(b.uploadedAt || '')));
+  }
+
+  /**
+   * Write the archive
+   * The export is audited once it ends, whether it completed, failed or the client went away.
+   * @param {string} exportId - Export ID
+   * @param {string} employeeId - Employee ID
+   * @param {Array<Object>} documents - Documents to include
+   * @param {Object} options - Export options
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @yields {Buffer} Archive bytes
+   */
+  async *writeArchive(exportId, employeeId, documents, options, userInfo, requestInfo) {
+    const startTime = Date.now();
+    const zip = new ZipWriter({ password: options.password });
+    const included = [];
+    const skipped = [];
+    const paths = new Set();
+    let failure = null;
+    let completed = false;
+
+    try {
+      for (const document of documents) {
+        const skip = reason => skipped.push({
+          id: document.id,
+          originalName: document.originalName,
+          documentType: document.documentType,
+          reason,
+        });
+
+        // The server never holds the keys of browser-encrypted documents
+        if (document.clientEncryption) {
+          skip('client_encrypted');
+          continue;
+        }
+
+        let download;
+        try {
+          download = await documentService.downloadDocument(document.id, userInfo, requestInfo, { accessMethod: 'export' });
+        } catch (error) {
+          if (!SKIP_REASONS[error.code]) {
+            throw error;
+          }
+          skip(SKIP_REASONS[error.code]);
+          continue;
+        }
+
+        const entry = yield* zip.addEntry(this.getEntryPath(document, paths), download.stream, {
+          modifiedAt: document.uploadedAt ? new Date(document.uploadedAt) : null,
+          compress: config.storage.compression.mimeTypes.includes(document.mimeType),
+        });
+
+        included.push({
+          path: entry.name,
+          id: document.id,
+          originalName: document.originalName,
+          documentType: document.documentType,
+          mimeType: document.mimeType,
+          version: document.version || 1,
+          size: entry.size,
+          sha256: entry.sha256,
+          // A watermarked copy differs from the stored document, whose hash is kept for reference
+          ...(download.metadata.watermarked && { originalSha256: document.fileHash }),
+          watermarked: download.metadata.watermarked,
+          uploadedAt: document.uploadedAt || null,
+          description: document.description || '',
+          tags: document.tags || [],
+        });
+      }
+
+      const manifest = {
+        exportId,
+        employeeId,
+        createdAt: new Date().toISOString(),
+        createdBy: {
+          uid: userInfo.uid,
+          email: userInfo.email,
+          role: userInfo.role,
+        },
+        requestId: requestInfo.requestId || null,
+        filters: this.describeFilters(options),
+        passwordProtected: Boolean(options.password),
+        documents: included,
+        skipped,
+      };
+      yield* zip.addEntry(MANIFEST_NAME, Readable.from([Buffer.from(JSON.stringify(manifest, null, 2))]), {
+        compress: true,
+      });
+
+      yield* zip.finish();
+      completed = true;
+
+    } catch (error) {
+      console.error(`Error writing export ${exportId}:`, error);
+      failure = error;
+      throw error;
+
+    } finally {
+      await auditService.logDocumentExport({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        exportEmployeeId: employeeId,
+        exportId,
+        filters: this.describeFilters(options),
+        passwordProtected: Boolean(options.password),
+        documentIds: included.map(document => document.id),
+        skippedDocumentIds: skipped.map(document => document.id),
+        archiveSize: completed ? zip.offset : null,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        requestId: requestInfo.requestId,
+        success: completed,
+        errorMessage: completed ? null : failure?.message || 'Export aborted by client',
+        duration: Date.now() - startTime,
+      }).catch(error => console.error('Error auditing export:', error));
+    }
+  }
+
+  /**
+   * Choose a unique path in the archive for a document
+   * Documents are placed in a folder per type under a sanitized version of their name.
+   * @param {Object} document - Document record
+   * @param {Set<string>} paths - Paths already taken, lower-cased
+   * @returns {string} Path in the archive
+   */
+  getEntryPath(document, paths) {
+    const name = String(document.originalName || document.id)
+      .replace(/[\x00-\x1f\x7f/\\:*?"<>|]/g, '_')
+      .replace(/^[.\s]+/, '')
+      .slice(0, 200) || document.id;
+    const extension = path.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+
+    let candidate = `${document.documentType}/${name}`;
+    for (let n = 2; paths.has(candidate.toLowerCase()); n++) {
+      candidate = `${document.documentType}/${base} (${n})${extension}`;
+    }
+    paths.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * Describe the filters of an export for the manifest and audit log
+   * @param {Object} options - Export options
+   * @returns {Object} Filters
+   */
+  describeFilters(options) {
+    return {
+      documentTypes: options.documentTypes || null,
+      uploadedAfter: options.uploadedAfter?.toISOString() || null,
+      uploadedBefore: options.uploadedBefore?.toISOString() || null,
+    };
+  }
+
+  /**
+   * Check if user can export an employee's documents
+   * @param {Object} userInfo - User information
+   * @returns {boolean} Whether the user can export documents
+   */
+  canExportDocuments(userInfo) {
+    return firebaseService.hasRole(userInfo, [config.roles.ADMIN, config.roles.HR]);
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,320 @@
+const zlib = require('zlib');
+const { Transform } = require('stream');
+
+// Formats recognised from their leading bytes, with the MIME types they may be declared as
+const FILE_TYPES = {
+  pdf: {
+    signature: Buffer.from('%PDF-'),
+    mimeTypes: ['application/pdf'],
+  },
+  ole2: {
+    signature: Buffer.from('d0cf11e0a1b11ae1', 'hex'),
+    mimeTypes: ['application/msword'],
+  },
+  ooxml: {
+    signature: Buffer.from('504b0304', 'hex'),
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    requiredParts: ['[Content_Types].xml', 'word/document.xml'],
+  },
+  jpeg: {
+    signature: Buffer.from('ffd8ff', 'hex'),
+    mimeTypes: ['image/jpeg'],
+  },
+  png: {
+    signature: Buffer.from('89504e470d0a1a0a', 'hex'),
+    mimeTypes: ['image/png'],
+  },
+};
+
+// The format each extension's content must have
+const EXTENSION_TYPES = {
+  pdf: 'pdf',
+  doc: 'ole2',
+  docx: 'ooxml',
+  jpg: 'jpeg',
+  jpeg: 'jpeg',
+  png: 'png',
+};
+
+// Bytes kept from the start of a file (for the OOXML content types part) and from its end
+// (for trailers and the ZIP central directory)
+const HEAD_LENGTH = 64 * 1024;
+const TAIL_LENGTH = 256 * 1024;
+
+// Leading bytes inspected before the file is let through any further
+const SNIFF_LENGTH = 1024;
+
+// Markup a browser could be tricked into rendering as a page
+const MARKUP_PATTERN = /<(?:script|html|body|iframe|svg|object|embed)\b|<!doctype\s+html/i;
+
+const PNG_TRAILER = Buffer.from('0000000049454e44ae426082', 'hex'); // Empty IEND chunk
+const JPEG_TRAILER = Buffer.from('ffd9', 'hex'); // End of image marker
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+// Parts that carry VBA projects in macro-enabled OOXML packages
+const MACRO_PART_PATTERN = /(?:^|\/)vba(?:Project\.bin|Data\.xml)$/i;
+
+/**
+ * Build the error for a file whose content is not what it claims to be
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_FILE_CONTENT
+ */
+function invalidContentError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FILE_CONTENT';
+  return error;
+}
+
+/**
+ * Server-side file type detection.
+ *
+ * The extension and MIME type of an upload are both chosen by the client. The content
+ * is identified from its signature instead and must be the format its extension and MIME
+ * type claim. Polyglots - files that are valid as a second format too, such as a PDF or
+ * image with an archive appended or HTML in its first bytes - are refused, and OOXML
+ * packages are opened to refuse macro-enabled documents.
+ */
+class FileTypeService {
+  /**
+   * Create a pass-through stream that rejects content not matching its declared type
+   * The leading bytes are checked as soon as they arrive; the structure of the file once
+   * it has been read completely.
+   * @param {Object} declared - What the client says the file is
+   * @param {string} declared.extension - File extension, lower case
+   * @param {string} declared.mimeType - Declared MIME type
+   * @returns {Transform} Inspecting stream; errors with code INVALID_FILE_CONTENT
+   */
+  createInspectionStream(declared) {
+    const service = this;
+    const head = [];
+    const tail = [];
+    let headLength = 0;
+    let tailLength = 0;
+    let size = 0;
+    let sniffed = false;
+    let type = null;
+
+    const sniff = () => {
+      type = service.detectType(Buffer.concat(head), declared);
+      sniffed = true;
+    };
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+
+        if (headLength < HEAD_LENGTH) {
+          const part = chunk.subarray(0, HEAD_LENGTH - headLength);
+          head.push(part);
+          headLength += part.length;
+        }
+
+        tail.push(chunk);
+        tailLength += chunk.length;
+        while (tailLength - tail[0].length >= TAIL_LENGTH) {
+          tailLength -= tail.shift().length;
+        }
+
+        try {
+          if (!sniffed && headLength >= SNIFF_LENGTH) {
+            sniff();
+          }
+        } catch (error) {
+          return callback(error);
+        }
+        callback(null, chunk);
+      },
+      flush(callback) {
+        try {
+          if (!sniffed) {
+            sniff();
+          }
+          service.verifyStructure(type, Buffer.concat(head), Buffer.concat(tail), size);
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      },
+    });
+  }
+
+  /**
+   * Identify a file from its leading bytes and check it against what the client declared
+   * @param {Buffer} head - Leading bytes of the file
+   * @param {Object} declared - Declared extension and MIME type
+   * @returns {string|null} Detected type, or null for an extension without a known signature
+   */
+  detectType(head, declared) {
+    const detected = Object.keys(FILE_TYPES)
+      .find(type => head.subarray(0, FILE_TYPES[type].signature.length).equals(FILE_TYPES[type].signature)) || null;
+    const expected = EXTENSION_TYPES[declared.extension] || null;
+
+    if (detected !== expected) {
+      throw invalidContentError(`File content does not match its .${declared.extension} extension`);
+    }
+
+    if (detected && !FILE_TYPES[detected].mimeTypes.includes(declared.mimeType)) {
+      throw invalidContentError(`File content does not match its declared type ${declared.mimeType}`);
+    }
+
+    if (MARKUP_PATTERN.test(head.subarray(0, SNIFF_LENGTH).toString('latin1'))) {
+      throw invalidContentError('File contains markup that could be rendered as a web page');
+    }
+
+    return detected;
+  }
+
+  /**
+   * Check the end of a file for trailing content and, for OOXML, the package contents
+   * @param {string|null} type - Detected type
+   * @param {Buffer} head - Leading bytes of the file
+   * @param {Buffer} tail - Trailing bytes of the file
+   * @param {number} size - File size in bytes
+   */
+  verifyStructure(type, head, tail, size) {
+    if (type === 'ooxml') {
+      this.verifyPackage(head, tail, size);
+      return;
+    }
+
+    // An archive whose directory ends the file is readable as a ZIP whatever comes before it
+    if (this.findZipEnd(tail) !== -1) {
+      throw invalidContentError('File has an archive appended to it');
+    }
+
+    switch (type) {
+      case 'pdf': {
+        const end = tail.lastIndexOf('%%EOF');
+        if (end === -1 || /[^\s\0]/.test(tail.subarray(end + 5).toString('latin1'))) {
+          throw invalidContentError('PDF has content after its end-of-file marker');
+        }
+        break;
+      }
+      case 'png':
+        if (!tail.subarray(-PNG_TRAILER.length).equals(PNG_TRAILER)) {
+          throw invalidContentError('PNG has content after its final chunk');
+        }
+        break;
+      case 'jpeg':
+        if (!tail.subarray(-JPEG_TRAILER.length).equals(JPEG_TRAILER)) {
+          throw invalidContentError('JPEG has content after its end-of-image marker');
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Check the parts of an OOXML package
+   * The central directory must end the file and the content types part must lie in its
+   * first bytes, as Office and LibreOffice write them.
+   * @param {Buffer} head - Leading bytes of the file
+   * @param {Buffer} tail - Trailing bytes of the file
+   * @param {number} size - File size in bytes
+   */
+  verifyPackage(head, tail, size) {
+    const endOffset = this.findZipEnd(tail);
+    if (endOffset === -1) {
+      throw invalidContentError('Document package is malformed: no central directory at the end of the file');
+    }
+
+    const entryCount = tail.readUInt16LE(endOffset + 10);
+    const directorySize = tail.readUInt32LE(endOffset + 12);
+    const directoryStart = endOffset - directorySize;
+    const tailStart = size - tail.length;
+
+    // ZIP64 packages mark their offsets 0xFFFFFFFF; documents never need them
+    if (directoryStart < 0 || tail.readUInt32LE(endOffset + 16) !== tailStart + directoryStart) {
+      throw invalidContentError('Document package is malformed or too large to inspect');
+    }
+
+    const entries = [];
+    let offset = directoryStart;
+    for (let i = 0; i < entryCount; i++) {
+      if (offset + 46 > endOffset || tail.readUInt32LE(offset) !== ZIP_ENTRY_SIGNATURE) {
+        throw invalidContentError('Document package is malformed: bad central directory entry');
+      }
+
+      const nameLength = tail.readUInt16LE(offset + 28);
+      entries.push({
+        name: tail.subarray(offset + 46, offset + 46 + nameLength).toString('utf8'),
+        encrypted: Boolean(tail.readUInt16LE(offset + 8) & 0x1),
+        method: tail.readUInt16LE(offset + 10),
+        compressedSize: tail.readUInt32LE(offset + 20),
+        localOffset: tail.readUInt32LE(offset + 42),
+      });
+      offset += 46 + nameLength + tail.readUInt16LE(offset + 30) + tail.readUInt16LE(offset + 32);
+    }
+
+    if (entries.some(entry => entry.encrypted)) {
+      throw invalidContentError('Document package contains encrypted parts');
+    }
+
+    const names = new Set(entries.map(entry => entry.name));
+    const missing = FILE_TYPES.ooxml.requiredParts.filter(part => !names.has(part));
+    if (missing.length > 0) {
+      throw invalidContentError(`Document package is missing ${missing.join(', ')}`);
+    }
+
+    if (entries.some(entry => MACRO_PART_PATTERN.test(entry.name))) {
+      throw invalidContentError('Macro-enabled documents are not accepted');
+    }
+
+    const contentTypes = this.readPackagePart(head, entries.find(entry => entry.name === '[Content_Types].xml'));
+    if (/macroEnabled|vbaProject/i.test(contentTypes)) {
+      throw invalidContentError('Macro-enabled documents are not accepted');
+    }
+  }
+
+  /**
+   * Read a small part of a ZIP package from the leading bytes of the file
+   * @param {Buffer} head - Leading bytes of the file
+   * @param {Object} entry - Central directory entry of the part
+   * @returns {string} Part content
+   */
+  readPackagePart(head, entry) {
+    const offset = entry.localOffset;
+    if (offset + 30 > head.length || head.readUInt32LE(offset) !== ZIP_LOCAL_SIGNATURE) {
+      throw invalidContentError(`Document package is malformed: ${entry.name} is not where expected`);
+    }
+
+    const dataStart = offset + 30 + head.readUInt16LE(offset + 26) + head.readUInt16LE(offset + 28);
+    const data = head.subarray(dataStart, dataStart + entry.compressedSize);
+    if (data.length !== entry.compressedSize) {
+      throw invalidContentError(`Document package is malformed: ${entry.name} is not where expected`);
+    }
+
+    try {
+      switch (entry.method) {
+        case 0:
+          return data.toString('utf8');
+        case 8:
+          return zlib.inflateRawSync(data, { maxOutputLength: HEAD_LENGTH * 16 }).toString('utf8');
+        default:
+          throw new Error(`Unsupported compression method ${entry.method}`);
+      }
+    } catch (error) {
+      throw invalidContentError(`Document package is malformed: ${entry.name} cannot be read`);
+    }
+  }
+
+  /**
+   * Find a ZIP end of central directory record that ends the file
+   * @param {Buffer} tail - Trailing bytes of the file
+   * @returns {number} Offset of the record in the tail, or -1 if the file does not end with one
+   */
+  findZipEnd(tail) {
+    // The record is 22 bytes plus a comment of up to 65535 bytes
+    for (let offset = tail.length - 22; offset >= Math.max(0, tail.length - 22 - 0xffff); offset--) {
+      if (tail.readUInt32LE(offset) === ZIP_END_SIGNATURE && offset + 22 + tail.readUInt16LE(offset + 20) === tail.length) {
+        return offset;
+      }
+    }
+    return -1;
+  }
+}
+
+module.exports = new FileTypeService();
@@ -208,6 +208,74 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Get active users linked to an employee ID
+   * @param {string} employeeId - Employee ID
+   * @returns {Promise<Array>} Users of the employee
+   */
+  async getUsersByEmployeeId(employeeId) {
+    try {
+      const usersSnapshot = await this.firestore.collection(config.firestore.collections.users)
+        .where('employeeId', '==', employeeId)
+        .where('isActive', '==', true)
+        .get();
+
+      return usersSnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+    } catch (error) {
+      console.error('Error getting users by employee ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register the public key used to wrap client-side encrypted document keys for a user.
+   * A different key already registered is only replaced when asked to, since documents
+   * wrapped for it can then no longer be opened from a browser that lacks it.
+   * @param {string} uid - User UID
+   * @param {Object} publicKey - RSA-OAEP public key in JWK form
+   * @param {string} fingerprint - Key thumbprint
+   * @param {boolean} replace - Whether to replace a different registered key
+   * @returns {Promise<{replacedFingerprint: string|null}>} Fingerprint of the key replaced, if any
+   */
+  async setEncryptionPublicKey(uid, publicKey, fingerprint, replace = false) {
+    try {
+      const userRef = this.firestore.collection(config.firestore.collections.users).doc(uid);
+
+      return await this.firestore.runTransaction(async transaction => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) {
+          throw new Error('User not found');
+        }
+
+        const registered = userDoc.data().encryptionKey;
+        if (registered && registered.fingerprint !== fingerprint && !replace) {
+          const error = new Error('Another encryption key is already registered');
+          error.code = 'ENCRYPTION_KEY_EXISTS';
+          error.fingerprint = registered.fingerprint;
+          throw error;
+        }
+
+        transaction.update(userRef, {
+          encryptionKey: {
+            publicKey,
+            fingerprint,
+            registeredAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        });
+
+        return {
+          replacedFingerprint: registered && registered.fingerprint !== fingerprint ? registered.fingerprint : null,
+        };
+      });
+    } catch (error) {
+      console.error('Error registering encryption key:', error);
+      throw error;
+    }
+  }
+
   /**
    * Disable user account
    * @param {string} uid - User UID
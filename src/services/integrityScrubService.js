@@ -0,0 +1,203 @@
+const admin = require('firebase-admin');
+const config = require('../config/config');
+const documentService = require('./documentService');
+const auditService = require('./auditService');
+const { v4: uuidv4 } = require('uuid');
+
+const SYSTEM_USER = { uid: 'system', role: 'system' };
+
+/**
+ * Background integrity scrubbing.
+ *
+ * Downloads only verify the documents people read. The scrubber walks every document
+ * record in ID order, a sample of `config.integrityScrub.sampleSize` per run, and
+ * decrypts each stored version end to end: every GCM chunk tag is checked and the
+ * plaintext SHA-256 compared with the hash recorded at upload. Each run starts where the
+ * previous one stopped and wraps around at the end, so the whole locker is covered
+ * every few cycles. Verified documents get `lastVerifiedAt`; corrupted ones are
+ * quarantined and raise a critical integrity_failure audit event.
+ */
+class IntegrityScrubService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.documentsCollection = this.firestore.collection(config.firestore.collections.documents);
+    this.runsCollection = this.firestore.collection(config.firestore.collections.integrityScrubRuns);
+    this.running = false;
+  }
+
+  /**
+   * Verify the next sample of documents
+   * @param {Object} options - Scrub options
+   * @param {number} options.sampleSize - Documents to examine, defaults to the configured sample size
+   * @param {Object} userInfo - User running the scrub; the system for scheduled runs
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Run summary
+   */
+  async scrub(options = {}, userInfo = SYSTEM_USER, requestInfo = {}) {
+    if (this.running) {
+      throw new Error('An integrity scrub is already running');
+    }
+
+    this.running = true;
+    try {
+      const sampleSize = options.sampleSize || config.integrityScrub.sampleSize;
+      const cursor = await this.getNextCursor();
+
+      let query = this.documentsCollection
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(sampleSize);
+
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const snapshot = await query.get();
+      const run = {
+        id: uuidv4(),
+        startCursor: cursor,
+        // A short page means the end was reached; the next run starts over
+        nextCursor: snapshot.size === sampleSize ? snapshot.docs[snapshot.docs.length - 1].id : null,
+        examined: snapshot.size,
+        verified: 0,
+        objectsVerified: 0,
+        skipped: 0,
+        corrupted: 0,
+        failed: 0,
+        documents: [],
+        startedBy: {
+          uid: userInfo.uid,
+          email: userInfo.email || null,
+          role: userInfo.role,
+        },
+        startedAt: new Date(),
+      };
+
+      for (const doc of snapshot.docs) {
+        const item = await this.verifyDocument(doc, userInfo, requestInfo);
+        run[item.status]++;
+        run.objectsVerified += item.objectsVerified || 0;
+
+        if (item.status === 'corrupted' || item.status === 'failed') {
+          run.documents.push(item);
+        }
+      }
+
+      await this.runsCollection.doc(run.id).set({
+        ...run,
+        startedAt: admin.firestore.Timestamp.fromDate(run.startedAt),
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      if (run.corrupted > 0) {
+        console.error(`ALERT: integrity scrub ${run.id} found ${run.corrupted} corrupted documents: ${
+          run.documents.filter(item => item.status === 'corrupted').map(item => item.documentId).join(', ')}`);
+      }
+
+      await auditService.logIntegrityScrub({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        runId: run.id,
+        examined: run.examined,
+        verified: run.verified,
+        objectsVerified: run.objectsVerified,
+        corrupted: run.corrupted,
+        failed: run.failed,
+        wrapped: run.nextCursor === null,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        errorMessage: run.corrupted > 0 ? `${run.corrupted} documents failed integrity verification` : undefined,
+      });
+
+      return { ...run, completedAt: new Date() };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Decrypt and hash every stored version of one document
+   * @param {Object} doc - Firestore document snapshot
+   * @param {Object} userInfo - User running the scrub
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} The document with its status: verified, skipped, corrupted or failed
+   */
+  async verifyDocument(doc, userInfo, requestInfo) {
+    const data = doc.data();
+    const item = { documentId: doc.id, version: null, status: 'skipped' };
+
+    // Purged and erased documents have nothing left to verify; quarantined ones are already known bad
+    if (!(data.isActive || data.trashed) || data.quarantined) {
+      return item;
+    }
+
+    try {
+      const documentMetadata = await documentService.decryptMetadataFields(doc.id, data);
+      const versions = await documentService.getVersionRecords(doc.id, documentMetadata);
+      const verifiedObjects = new Set();
+
+      for (const versionRecord of versions) {
+        const target = documentService.withVersion(documentMetadata, versionRecord);
+        if (!target.fileName || verifiedObjects.has(target.fileName)) {
+          continue;
+        }
+
+        item.version = target.version;
+        await documentService.verifyDocumentIntegrity(doc.id, target, userInfo, requestInfo, 'scrub');
+        verifiedObjects.add(target.fileName);
+      }
+
+      await doc.ref.update({
+        lastVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      item.version = null;
+      item.status = 'verified';
+      item.objectsVerified = verifiedObjects.size;
+    } catch (error) {
+      // Verification quarantined the document and logged the failure. Anything else, such as an
+      // unreadable key or metadata, says nothing about the stored objects and is retried next cycle.
+      item.status = error.quarantined ? 'corrupted' : 'failed';
+      item.errorMessage = error.message;
+      if (item.status === 'failed') {
+        console.error(`Error scrubbing document ${doc.id}:`, error);
+      }
+    }
+
+    return item;
+  }
+
+  /**
+   * Find where the previous run stopped
+   * @returns {Promise<string|null>} Document ID to continue after, or null to start from the beginning
+   */
+  async getNextCursor() {
+    const snapshot = await this.runsCollection
+      .orderBy('startedAt', 'desc')
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0].data().nextCursor;
+  }
+
+  /**
+   * List recent scrub runs
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Array>} Runs, newest first
+   */
+  async listRuns(pagination = {}) {
+    const snapshot = await this.runsCollection
+      .orderBy('startedAt', 'desc')
+      .limit(pagination.limit || 20)
+      .get();
+
+    return snapshot.docs.map(doc => ({
+      ...doc.data(),
+      startedAt: doc.data().startedAt?.toDate(),
+      completedAt: doc.data().completedAt?.toDate(),
+    }));
+  }
+}
+
+module.exports = new IntegrityScrubService();
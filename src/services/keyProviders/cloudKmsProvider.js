@@ -0,0 +1,86 @@
+const { KeyManagementServiceClient } = require('@google-cloud/kms');
+
+/**
+ * Key provider backed by a Cloud KMS symmetric key
+ */
+class CloudKmsProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.keyId - Full Cloud KMS crypto key resource name
+   */
+  constructor(options) {
+    this.client = new KeyManagementServiceClient();
+    this.keyId = options.keyId;
+  }
+
+  /**
+   * Wrap a data encryption key under the primary key version
+   * @param {Buffer} dek - Plaintext DEK
+   * @returns {Promise<Object>} Base64 wrapped DEK and the key version that wrapped it
+   */
+  async wrap(dek) {
+    const [encryptResult] = await this.client.encrypt({
+      name: this.keyId,
+      plaintext: dek,
+    });
+
+    return {
+      encryptedDEK: encryptResult.ciphertext.toString('base64'),
+      keyVersion: encryptResult.name,
+    };
+  }
+
+  /**
+   * Unwrap a data encryption key (KMS selects the key version from the ciphertext)
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @returns {Promise<Buffer>} Plaintext DEK
+   */
+  async unwrap(encryptedDEK) {
+    const [decryptResult] = await this.client.decrypt({
+      name: this.keyId,
+      ciphertext: Buffer.from(encryptedDEK, 'base64'),
+    });
+
+    return Buffer.from(decryptResult.plaintext);
+  }
+
+  /**
+   * Get the current primary key version
+   * @returns {Promise<string>} Primary key version resource name
+   */
+  async getPrimaryVersion() {
+    const [cryptoKey] = await this.client.getCryptoKey({ name: this.keyId });
+    return cryptoKey.primary?.name;
+  }
+
+  /**
+   * Create a new key version and make it primary
+   * @returns {Promise<string>} New primary key version resource name
+   */
+  async rotate() {
+    const [keyVersion] = await this.client.createCryptoKeyVersion({
+      parent: this.keyId,
+      cryptoKeyVersion: {},
+    });
+
+    await this.client.updateCryptoKeyPrimaryVersion({
+      name: this.keyId,
+      cryptoKeyVersionId: keyVersion.name.split('/').pop(),
+    });
+
+    return keyVersion.name;
+  }
+
+  /**
+   * Describe the provider for metadata and audit records
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return {
+      provider: 'cloud-kms',
+      keyId: this.keyId,
+    };
+  }
+}
+
+module.exports = CloudKmsProvider;
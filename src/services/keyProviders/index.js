@@ -0,0 +1,37 @@
+/**
+ * Key providers wrap and unwrap data encryption keys (DEKs) under a master key.
+ *
+ * Every provider implements:
+ *   wrap(dek)                  -> Promise<{ encryptedDEK, keyVersion }>
+ *   unwrap(encryptedDEK)       -> Promise<Buffer>
+ *   getPrimaryVersion()        -> Promise<string>
+ *   rotate()                   -> Promise<string>
+ *   describe()                 -> { provider, keyId }
+ */
+
+/**
+ * Create the key provider selected by the KMS configuration
+ * @param {Object} kmsConfig - config.kms
+ * @returns {Object} Key provider instance
+ */
+function createKeyProvider(kmsConfig) {
+  switch (kmsConfig.provider) {
+    case 'cloud-kms': {
+      const CloudKmsProvider = require('./cloudKmsProvider');
+      return new CloudKmsProvider({ keyId: kmsConfig.keyId });
+    }
+    case 'local': {
+      const LocalKeyfileProvider = require('./localKeyfileProvider');
+      return new LocalKeyfileProvider({
+        keyfilePath: kmsConfig.localKeyfile,
+        password: kmsConfig.localKeyfilePassword,
+      });
+    }
+    default:
+      throw new Error(`Unknown key provider: ${kmsConfig.provider}`);
+  }
+}
+
+module.exports = {
+  createKeyProvider,
+};
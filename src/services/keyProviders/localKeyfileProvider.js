@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEYFILE_FORMAT = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * Seal data with AES-256-GCM
+ * @param {Buffer} key - 256-bit key
+ * @param {Buffer} plaintext - Data to seal
+ * @param {Buffer} aad - Additional authenticated data
+ * @returns {Object} IV, ciphertext and auth tag
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, ciphertext, authTag: cipher.getAuthTag() };
+}
+
+/**
+ * Open data sealed with AES-256-GCM
+ * @param {Buffer} key - 256-bit key
+ * @param {Object} sealed - IV, ciphertext and auth tag
+ * @param {Buffer} aad - Additional authenticated data
+ * @returns {Buffer} Plaintext
+ */
+function open(key, { iv, ciphertext, authTag }, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Key provider backed by a password-protected master keyfile on local disk.
+ * Intended for CI and air-gapped installs where Cloud KMS is unavailable.
+ *
+ * The keyfile holds one or more master key versions, each sealed under a key
+ * derived from the password with scrypt. Wrapped DEKs carry the ID of the
+ * master key version that sealed them, so rotated keyfiles still unwrap old DEKs.
+ */
+class LocalKeyfileProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.keyfilePath - Path to the master keyfile
+   * @param {string} options.password - Keyfile password
+   */
+  constructor(options) {
+    if (!options.keyfilePath || !options.password) {
+      throw new Error('Local key provider requires a keyfile path and password');
+    }
+
+    this.keyfilePath = path.resolve(options.keyfilePath);
+    this.password = options.password;
+    this.keyId = `local:${path.basename(this.keyfilePath)}`;
+    this.masterKeys = null;
+    this.primaryVersionId = null;
+  }
+
+  /**
+   * Create a new keyfile with a single master key version
+   * @param {string} keyfilePath - Path to write
+   * @param {string} password - Keyfile password
+   * @returns {Object} Keyfile contents
+   */
+  static createKeyfile(keyfilePath, password) {
+    if (fs.existsSync(keyfilePath)) {
+      throw new Error(`Keyfile already exists: ${keyfilePath}`);
+    }
+
+    const salt = crypto.randomBytes(16);
+    const keyfile = {
+      format: KEYFILE_FORMAT,
+      kdf: {
+        name: 'scrypt',
+        salt: salt.toString('base64'),
+        N: SCRYPT_PARAMS.N,
+        r: SCRYPT_PARAMS.r,
+        p: SCRYPT_PARAMS.p,
+      },
+      primary: '1',
+      versions: [],
+    };
+
+    const passwordKey = LocalKeyfileProvider.derivePasswordKey(password, keyfile.kdf);
+    keyfile.versions.push(LocalKeyfileProvider.sealMasterKey(passwordKey, '1', crypto.randomBytes(32)));
+
+    fs.writeFileSync(keyfilePath, JSON.stringify(keyfile, null, 2), { mode: 0o600, flag: 'wx' });
+    return keyfile;
+  }
+
+  /**
+   * Derive the keyfile encryption key from the password
+   * @param {string} password - Keyfile password
+   * @param {Object} kdf - KDF parameters from the keyfile
+   * @returns {Buffer} 256-bit key
+   */
+  static derivePasswordKey(password, kdf) {
+    return crypto.scryptSync(password, Buffer.from(kdf.salt, 'base64'), 32, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: SCRYPT_PARAMS.maxmem,
+    });
+  }
+
+  /**
+   * Seal a master key version for storage in the keyfile
+   * @param {Buffer} passwordKey - Password-derived key
+   * @param {string} versionId - Master key version ID
+   * @param {Buffer} masterKey - Master key
+   * @returns {Object} Keyfile version entry
+   */
+  static sealMasterKey(passwordKey, versionId, masterKey) {
+    const sealed = seal(passwordKey, masterKey, Buffer.from(versionId));
+    return {
+      id: versionId,
+      createdAt: new Date().toISOString(),
+      iv: sealed.iv.toString('base64'),
+      wrappedKey: sealed.ciphertext.toString('base64'),
+      authTag: sealed.authTag.toString('base64'),
+    };
+  }
+
+  /**
+   * Read and unlock the keyfile on first use
+   */
+  load() {
+    if (this.masterKeys) return;
+
+    const keyfile = JSON.parse(fs.readFileSync(this.keyfilePath, 'utf8'));
+    if (keyfile.format !== KEYFILE_FORMAT) {
+      throw new Error(`Unsupported keyfile format: ${keyfile.format}`);
+    }
+
+    const passwordKey = LocalKeyfileProvider.derivePasswordKey(this.password, keyfile.kdf);
+    const masterKeys = new Map();
+
+    try {
+      for (const version of keyfile.versions) {
+        masterKeys.set(version.id, open(passwordKey, {
+          iv: Buffer.from(version.iv, 'base64'),
+          ciphertext: Buffer.from(version.wrappedKey, 'base64'),
+          authTag: Buffer.from(version.authTag, 'base64'),
+        }, Buffer.from(version.id)));
+      }
+    } catch (error) {
+      throw new Error('Unable to unlock keyfile: wrong password or corrupted file');
+    }
+
+    this.keyfile = keyfile;
+    this.passwordKey = passwordKey;
+    this.masterKeys = masterKeys;
+    this.primaryVersionId = keyfile.primary;
+  }
+
+  /**
+   * Build the resource name of a master key version
+   * @param {string} versionId - Master key version ID
+   * @returns {string} Key version name
+   */
+  versionName(versionId) {
+    return `${this.keyId}/cryptoKeyVersions/${versionId}`;
+  }
+
+  /**
+   * Wrap a data encryption key under the primary master key version
+   * @param {Buffer} dek - Plaintext DEK
+   * @returns {Promise<Object>} Base64 wrapped DEK and the key version that wrapped it
+   */
+  async wrap(dek) {
+    this.load();
+
+    const versionId = Buffer.from(this.primaryVersionId);
+    const sealed = seal(this.masterKeys.get(this.primaryVersionId), dek, versionId);
+
+    // Layout: version ID length | version ID | IV | tag | ciphertext
+    const encryptedDEK = Buffer.concat([
+      Buffer.from([versionId.length]),
+      versionId,
+      sealed.iv,
+      sealed.authTag,
+      sealed.ciphertext,
+    ]);
+
+    return {
+      encryptedDEK: encryptedDEK.toString('base64'),
+      keyVersion: this.versionName(this.primaryVersionId),
+    };
+  }
+
+  /**
+   * Unwrap a data encryption key
+   * @param {string} encryptedDEK - Base64 wrapped DEK
+   * @returns {Promise<Buffer>} Plaintext DEK
+   */
+  async unwrap(encryptedDEK) {
+    this.load();
+
+    const wrapped = Buffer.from(encryptedDEK, 'base64');
+    const idLength = wrapped[0];
+    const versionId = wrapped.subarray(1, 1 + idLength);
+    const masterKey = this.masterKeys.get(versionId.toString());
+
+    if (!masterKey) {
+      throw new Error(`Unknown master key version: ${versionId.toString()}`);
+    }
+
+    const offset = 1 + idLength;
+    return open(masterKey, {
+      iv: wrapped.subarray(offset, offset + 12),
+      authTag: wrapped.subarray(offset + 12, offset + 28),
+      ciphertext: wrapped.subarray(offset + 28),
+    }, versionId);
+  }
+
+  /**
+   * Get the current primary key version
+   * @returns {Promise<string>} Primary key version name
+   */
+  async getPrimaryVersion() {
+    this.load();
+    return this.versionName(this.primaryVersionId);
+  }
+
+  /**
+   * Add a new master key version to the keyfile and make it primary
+   * @returns {Promise<string>} New primary key version name
+   */
+  async rotate() {
+    this.load();
+
+    const versionId = String(Math.max(...this.keyfile.versions.map(version => Number(version.id))) + 1);
+    const masterKey = crypto.randomBytes(32);
+
+    const keyfile = {
+      ...this.keyfile,
+      primary: versionId,
+      versions: [...this.keyfile.versions, LocalKeyfileProvider.sealMasterKey(this.passwordKey, versionId, masterKey)],
+    };
+
+    // Write atomically so a crash never leaves a half-written keyfile
+    const tempPath = `${this.keyfilePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(keyfile, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.keyfilePath);
+
+    this.keyfile = keyfile;
+    this.masterKeys.set(versionId, masterKey);
+    this.primaryVersionId = versionId;
+
+    return this.versionName(versionId);
+  }
+
+  /**
+   * Describe the provider for metadata and audit records
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return {
+      provider: 'local',
+      keyId: this.keyId,
+    };
+  }
+}
+
+module.exports = LocalKeyfileProvider;
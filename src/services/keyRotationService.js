@@ -0,0 +1,469 @@
+const admin = require('firebase-admin');
+const config = require('../config/config');
+const storageService = require('./storageService');
+const encryptionService = require('./encryptionService');
+const employeeKeyService = require('./employeeKeyService');
+const previewService = require('./previewService');
+const auditService = require('./auditService');
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors',
+  FAILED: 'failed',
+};
+
+class KeyRotationService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.documentsCollection = this.firestore.collection(config.firestore.collections.documents);
+    this.jobsCollection = this.firestore.collection(config.firestore.collections.keyRotationJobs);
+    this.activeJobs = new Set();
+  }
+
+  /**
+   * Start a new DEK re-wrapping job
+   * @param {Object} options - Job options
+   * @param {boolean} options.rotateKey - Create a new primary KMS key version first
+   * @param {number} options.batchSize - Documents processed per checkpoint
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Created job
+   */
+  async startJob(options = {}, userInfo, requestInfo = {}) {
+    try {
+      const runningJobs = await this.jobsCollection
+        .where('status', '==', JOB_STATUS.RUNNING)
+        .limit(1)
+        .get();
+
+      if (!runningJobs.empty) {
+        throw new Error('A key rotation job is already running');
+      }
+
+      // Rotating the key makes the new version primary; the job then re-wraps everything under it
+      const rotatedKeyVersion = options.rotateKey ? await encryptionService.rotateKey() : null;
+
+      const jobId = uuidv4();
+      const job = {
+        id: jobId,
+        status: JOB_STATUS.PENDING,
+        keyId: encryptionService.keyId,
+        rotatedKeyVersion,
+        targetKeyVersion: null,
+        batchSize: options.batchSize || 50,
+        cursor: null,
+        processed: 0,
+        rewrapped: 0,
+        skipped: 0,
+        failed: 0,
+        startedBy: {
+          uid: userInfo.uid,
+          email: userInfo.email,
+          role: userInfo.role,
+        },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        startedAt: null,
+        completedAt: null,
+        heartbeatAt: null,
+      };
+
+      await this.jobsCollection.doc(jobId).set(job);
+
+      await auditService.logKeyRotation({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        jobId,
+        action: 'started',
+        keyId: encryptionService.keyId,
+        targetKeyVersion: rotatedKeyVersion,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: true,
+      });
+
+      this.runInBackground(jobId);
+
+      return { ...job, createdAt: new Date().toISOString() };
+    } catch (error) {
+      console.error('Error starting key rotation job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume an interrupted or failed job from its last checkpoint
+   * @param {string} jobId - Job ID
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Job status
+   */
+  async resumeJob(jobId, userInfo, requestInfo = {}) {
+    try {
+      const jobSnapshot = await this.jobsCollection.doc(jobId).get();
+
+      if (!jobSnapshot.exists) {
+        throw new Error('Key rotation job not found');
+      }
+
+      const job = jobSnapshot.data();
+
+      if (this.activeJobs.has(jobId)) {
+        throw new Error('A key rotation job is already running');
+      }
+
+      if (job.status === JOB_STATUS.COMPLETED) {
+        throw new Error('Key rotation job already completed');
+      }
+
+      // A job left "running" by a crashed instance is resumed from its cursor
+      await auditService.logKeyRotation({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        jobId,
+        action: 'resumed',
+        keyId: job.keyId,
+        processed: job.processed,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: true,
+      });
+
+      this.runInBackground(jobId);
+
+      return this.getJobStatus(jobId);
+    } catch (error) {
+      console.error('Error resuming key rotation job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a job without blocking the caller
+   * @param {string} jobId - Job ID
+   */
+  runInBackground(jobId) {
+    this.activeJobs.add(jobId);
+    this.runJob(jobId)
+      .catch(error => {
+        console.error(`Key rotation job ${jobId} failed:`, error);
+      })
+      .finally(() => {
+        this.activeJobs.delete(jobId);
+      });
+  }
+
+  /**
+   * Walk document metadata and re-wrap every DEK under the primary key version
+   * Progress is checkpointed after each batch so the job can be resumed.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async runJob(jobId) {
+    const jobRef = this.jobsCollection.doc(jobId);
+    const job = (await jobRef.get()).data();
+
+    try {
+      const targetKeyVersion = await encryptionService.getPrimaryKeyVersion();
+
+      await jobRef.update({
+        status: JOB_STATUS.RUNNING,
+        targetKeyVersion,
+        startedAt: job.startedAt || admin.firestore.FieldValue.serverTimestamp(),
+        heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      let cursor = job.cursor;
+      const totals = {
+        processed: job.processed,
+        rewrapped: job.rewrapped,
+        failed: job.failed,
+      };
+
+      for (;;) {
+        let query = this.documentsCollection
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(job.batchSize);
+
+        if (cursor) {
+          query = query.startAfter(cursor);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+          break;
+        }
+
+        const batch = { rewrapped: 0, skipped: 0, failed: 0 };
+
+        for (const doc of snapshot.docs) {
+          try {
+            const rewrapped = await this.rewrapDocument(doc, targetKeyVersion);
+            batch[rewrapped ? 'rewrapped' : 'skipped']++;
+          } catch (error) {
+            batch.failed++;
+            await jobRef.collection('failures').doc(doc.id).set({
+              documentId: doc.id,
+              fileName: doc.data().fileName || null,
+              errorMessage: error.message,
+              failedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+          }
+        }
+
+        cursor = snapshot.docs[snapshot.docs.length - 1].id;
+        totals.processed += snapshot.size;
+        totals.rewrapped += batch.rewrapped;
+        totals.failed += batch.failed;
+
+        await jobRef.update({
+          cursor,
+          processed: admin.firestore.FieldValue.increment(snapshot.size),
+          rewrapped: admin.firestore.FieldValue.increment(batch.rewrapped),
+          skipped: admin.firestore.FieldValue.increment(batch.skipped),
+          failed: admin.firestore.FieldValue.increment(batch.failed),
+          heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+
+      await jobRef.update({
+        status: totals.failed > 0 ? JOB_STATUS.COMPLETED_WITH_ERRORS : JOB_STATUS.COMPLETED,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      await auditService.logKeyRotation({
+        userId: job.startedBy.uid,
+        userEmail: job.startedBy.email,
+        userRole: job.startedBy.role,
+        jobId,
+        action: 'completed',
+        keyId: job.keyId,
+        targetKeyVersion,
+        ...totals,
+        success: totals.failed === 0,
+        errorMessage: totals.failed > 0 ? `${totals.failed} documents could not be re-wrapped` : null,
+      });
+    } catch (error) {
+      await jobRef.update({
+        status: JOB_STATUS.FAILED,
+        errorMessage: error.message,
+        heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-wrap a single document's DEKs, including those of every version, if they are not
+   * already under the target version
+   * @param {Object} doc - Firestore document snapshot
+   * @param {string} targetKeyVersion - Primary key version resource name
+   * @returns {Promise<boolean>} True if any DEK was re-wrapped
+   */
+  async rewrapDocument(doc, targetKeyVersion) {
+    const documentMetadata = doc.data();
+
+    // Erased documents are unreadable by design, and purged ones have no objects left
+    if (documentMetadata.erased || documentMetadata.purgedAt) {
+      return false;
+    }
+
+    if (!documentMetadata.fileName) {
+      throw new Error('Document has no stored file');
+    }
+
+    const context = { employeeId: documentMetadata.employeeId };
+    const versions = await doc.ref.collection('versions').get();
+
+    // The current version shares its object with the document record, so each object is re-wrapped once
+    const objects = new Map();
+    const rewrapObject = fileName => {
+      if (!objects.has(fileName)) {
+        objects.set(fileName, this.rewrapObject(fileName, doc.id, context, targetKeyVersion));
+      }
+      return objects.get(fileName);
+    };
+
+    let rewrapped = false;
+    for (const record of [doc, ...versions.docs]) {
+      rewrapped = await this.rewrapRecord(record, rewrapObject, context, targetKeyVersion) || rewrapped;
+    }
+
+    // Master key rotation reaches employee-wrapped DEKs through the employee's KEK
+    const kekRewrapped = encryptionService.usesEmployeeKey(context) &&
+      await employeeKeyService.rewrapKey(context.employeeId, targetKeyVersion);
+
+    return rewrapped || kekRewrapped;
+  }
+
+  /**
+   * Re-wrap the DEKs referenced by a document or version record and record the new key versions
+   * @param {Object} snapshot - Firestore snapshot of the record
+   * @param {Function} rewrapObject - Re-wraps a stored object's DEK once per object
+   * @param {Object} context - Encryption context of the document
+   * @param {string} targetKeyVersion - Primary key version resource name
+   * @returns {Promise<boolean>} True if the record was updated
+   */
+  async rewrapRecord(snapshot, rewrapObject, context, targetKeyVersion) {
+    const record = snapshot.data();
+    const updates = {};
+
+    const objectKey = record.fileName ? await rewrapObject(record.fileName) : null;
+    if (objectKey) {
+      updates['encryptionInfo.keyVersion'] = objectKey.kmsKeyVersion;
+      updates['encryptionInfo.employeeKeyId'] = objectKey.employeeKeyId;
+    }
+
+    // Previews are encrypted like their document and follow its key version
+    for (const previewName of previewService.getPreviewFileNames(record.previews)) {
+      await rewrapObject(previewName);
+    }
+
+    // Encrypted metadata fields carry their own DEK
+    const encryptedFields = record.encryptedFields;
+    if (encryptedFields && this.needsRewrap(encryptedFields, context, targetKeyVersion)) {
+      const { encryptedDEK, kmsKeyVersion, employeeKeyId } = await encryptionService.rewrapDataKey(
+        encryptedFields.encryptedDEK,
+        encryptedFields.employeeKeyId,
+        context
+      );
+      updates['encryptedFields.encryptedDEK'] = encryptedDEK;
+      updates['encryptedFields.kmsKeyVersion'] = kmsKeyVersion;
+      updates['encryptedFields.employeeKeyId'] = employeeKeyId || admin.firestore.FieldValue.delete();
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    await snapshot.ref.update({
+      ...updates,
+      'encryptionInfo.rewrappedAt': admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return true;
+  }
+
+  /**
+   * Re-wrap the DEK in a stored object's `.enc` sidecar
+   * @param {string} fileName - Secure file name
+   * @param {string} documentId - Document ID
+   * @param {Object} context - Encryption context of the document
+   * @param {string} targetKeyVersion - Primary key version resource name
+   * @returns {Promise<Object|null>} New key version and employee key, or null if already current
+   */
+  async rewrapObject(fileName, documentId, context, targetKeyVersion) {
+    const encryptionMetadata = await storageService.getEncryptionMetadata(fileName);
+
+    if (!this.needsRewrap(encryptionMetadata, context, targetKeyVersion)) {
+      return null;
+    }
+
+    const { encryptedDEK, kmsKeyVersion, employeeKeyId } = await encryptionService.rewrapDataKey(
+      encryptionMetadata.encryptedDEK,
+      encryptionMetadata.employeeKeyId,
+      context
+    );
+
+    await storageService.saveEncryptionMetadata(fileName, {
+      ...encryptionMetadata,
+      encryptedDEK,
+      kmsKeyVersion,
+      ...(employeeKeyId && { employeeKeyId }),
+    }, documentId);
+
+    return { kmsKeyVersion, employeeKeyId: employeeKeyId || null };
+  }
+
+  /**
+   * Check whether a wrapped DEK is not yet under the key it should be wrapped by
+   * Master-wrapped DEKs of employee documents are migrated to the employee's KEK.
+   * @param {Object} wrapped - Encryption metadata or payload holding the wrapped DEK
+   * @param {Object} context - Encryption context of the document
+   * @param {string} targetKeyVersion - Primary key version resource name
+   * @returns {boolean} True if the DEK should be re-wrapped
+   */
+  needsRewrap(wrapped, context, targetKeyVersion) {
+    // Browser-encrypted objects have no server-held DEK
+    if (wrapped.employeeKeyId || encryptionService.isClientSideFormat(wrapped)) {
+      return false;
+    }
+    return encryptionService.usesEmployeeKey(context) || wrapped.kmsKeyVersion !== targetKeyVersion;
+  }
+
+  /**
+   * Get job status with recorded failures
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Options
+   * @param {number} options.failureLimit - Maximum failures to return
+   * @returns {Promise<Object>} Job status
+   */
+  async getJobStatus(jobId, options = {}) {
+    try {
+      const jobRef = this.jobsCollection.doc(jobId);
+      const jobSnapshot = await jobRef.get();
+
+      if (!jobSnapshot.exists) {
+        throw new Error('Key rotation job not found');
+      }
+
+      const failuresSnapshot = await jobRef.collection('failures')
+        .limit(options.failureLimit || 100)
+        .get();
+
+      return {
+        ...this.formatJob(jobSnapshot.data()),
+        active: this.activeJobs.has(jobId),
+        failures: failuresSnapshot.docs.map(doc => ({
+          ...doc.data(),
+          failedAt: doc.data().failedAt?.toDate(),
+        })),
+      };
+    } catch (error) {
+      console.error('Error getting key rotation job status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List recent key rotation jobs
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Array>} Jobs, newest first
+   */
+  async listJobs(pagination = {}) {
+    try {
+      const snapshot = await this.jobsCollection
+        .orderBy('createdAt', 'desc')
+        .limit(pagination.limit || 20)
+        .get();
+
+      return snapshot.docs.map(doc => this.formatJob(doc.data()));
+    } catch (error) {
+      console.error('Error listing key rotation jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert Firestore timestamps on a job record
+   * @param {Object} job - Job record
+   * @returns {Object} Job with Date fields
+   */
+  formatJob(job) {
+    return {
+      ...job,
+      createdAt: job.createdAt?.toDate(),
+      startedAt: job.startedAt?.toDate(),
+      completedAt: job.completedAt?.toDate(),
+      heartbeatAt: job.heartbeatAt?.toDate(),
+    };
+  }
+}
+
+module.exports = new KeyRotationService();
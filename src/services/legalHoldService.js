@@ -0,0 +1,318 @@
+const admin = require('firebase-admin');
+const config = require('../config/config');
+const firebaseService = require('./firebaseService');
+const auditService = require('./auditService');
+const { v4: uuidv4 } = require('uuid');
+
+const HOLD_SCOPE = {
+  DOCUMENT: 'document',
+  EMPLOYEE: 'employee',
+  DOCUMENT_TYPE: 'documentType',
+};
+
+const HOLD_STATUS = {
+  ACTIVE: 'active',
+  RELEASED: 'released',
+};
+
+/**
+ * Build a legal hold error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} details - Extra properties for the response
+ * @returns {Error} Error with code
+ */
+function holdError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, details);
+}
+
+/**
+ * Legal holds freeze documents for litigation.
+ *
+ * A hold targets a single document, every document of an employee or every document of
+ * a type. While a hold is active the documents it covers cannot be deleted, purged,
+ * disposed of by retention or rolled back. Holds are placed by HR or admins and can only
+ * be released by an admin, with a reason; both are audited.
+ */
+class LegalHoldService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.holdsCollection = this.firestore.collection(config.firestore.collections.legalHolds);
+    this.documentsCollection = this.firestore.collection(config.firestore.collections.documents);
+  }
+
+  /**
+   * Place a legal hold
+   * @param {Object} hold - Hold details (scope, targetId, reason, matter)
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} The hold
+   */
+  async placeHold(hold, userInfo, requestInfo = {}) {
+    if (!this.canPlaceHold(userInfo)) {
+      await this.logDenied('place_legal_hold', [config.roles.ADMIN, config.roles.HR], null, userInfo, requestInfo);
+      throw new Error('Insufficient permissions to place legal hold');
+    }
+
+    let employeeId = hold.scope === HOLD_SCOPE.EMPLOYEE ? hold.targetId : null;
+    if (hold.scope === HOLD_SCOPE.DOCUMENT) {
+      const docSnapshot = await this.documentsCollection.doc(hold.targetId).get();
+
+      // Documents still in the recycle bin can be held; purged and erased ones are gone
+      if (!docSnapshot.exists || !(docSnapshot.data().isActive || docSnapshot.data().trashed)) {
+        throw new Error('Document not found');
+      }
+      employeeId = docSnapshot.data().employeeId;
+    }
+
+    const holdId = uuidv4();
+    const record = {
+      id: holdId,
+      scope: hold.scope,
+      targetId: hold.targetId,
+      employeeId,
+      matter: hold.matter || null,
+      reason: hold.reason,
+      status: HOLD_STATUS.ACTIVE,
+      placedBy: {
+        uid: userInfo.uid,
+        email: userInfo.email,
+        role: userInfo.role,
+      },
+      placedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await this.holdsCollection.doc(holdId).set(record);
+
+    await auditService.logLegalHold({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      holdId,
+      action: 'placed',
+      scope: hold.scope,
+      targetId: hold.targetId,
+      holdEmployeeId: employeeId,
+      matter: record.matter,
+      reason: hold.reason,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: true,
+    });
+
+    return this.toHold((await this.holdsCollection.doc(holdId).get()).data());
+  }
+
+  /**
+   * Release a legal hold
+   * @param {string} holdId - Hold ID
+   * @param {Object} options - Release options (reason)
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} The released hold
+   */
+  async releaseHold(holdId, options, userInfo, requestInfo = {}) {
+    if (!this.canReleaseHold(userInfo)) {
+      await this.logDenied('release_legal_hold', [config.roles.ADMIN], holdId, userInfo, requestInfo);
+      throw new Error('Insufficient permissions to release legal hold');
+    }
+
+    const holdRef = this.holdsCollection.doc(holdId);
+    const hold = await this.firestore.runTransaction(async transaction => {
+      const snapshot = await transaction.get(holdRef);
+      if (!snapshot.exists) {
+        throw holdError('LEGAL_HOLD_NOT_FOUND', 'Legal hold not found');
+      }
+      if (snapshot.data().status !== HOLD_STATUS.ACTIVE) {
+        throw holdError('LEGAL_HOLD_RELEASED', 'Legal hold has already been released');
+      }
+
+      transaction.update(holdRef, {
+        status: HOLD_STATUS.RELEASED,
+        releasedBy: {
+          uid: userInfo.uid,
+          email: userInfo.email,
+          role: userInfo.role,
+        },
+        releasedAt: admin.firestore.FieldValue.serverTimestamp(),
+        releaseReason: options.reason,
+      });
+      return snapshot.data();
+    });
+
+    await auditService.logLegalHold({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      holdId,
+      action: 'released',
+      scope: hold.scope,
+      targetId: hold.targetId,
+      holdEmployeeId: hold.employeeId,
+      matter: hold.matter,
+      reason: options.reason,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: true,
+    });
+
+    return this.toHold((await holdRef.get()).data());
+  }
+
+  /**
+   * List legal holds, most recently placed first
+   * @param {Object} userInfo - User information
+   * @param {Object} filters - Filter options (status, targetId)
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Holds and pagination info
+   */
+  async listHolds(userInfo, filters = {}, pagination = {}) {
+    if (!this.canPlaceHold(userInfo)) {
+      throw new Error('Insufficient permissions to view legal holds');
+    }
+
+    let query = this.holdsCollection;
+
+    if (filters.targetId) {
+      query = query.where('targetId', '==', filters.targetId);
+    }
+
+    if (filters.status) {
+      query = query.where('status', '==', filters.status);
+    }
+
+    const limit = Math.min(pagination.limit || 20, 100); // Max 100 items
+    query = query.orderBy('placedAt', 'desc').limit(limit);
+
+    if (pagination.startAfter) {
+      const startAfterDoc = await this.holdsCollection.doc(pagination.startAfter).get();
+      query = query.startAfter(startAfterDoc);
+    }
+
+    const snapshot = await query.get();
+    const holds = snapshot.docs.map(doc => this.toHold(doc.data()));
+
+    return {
+      holds,
+      pagination: {
+        hasMore: holds.length === limit,
+        lastHoldId: holds.length > 0 ? holds[holds.length - 1].id : null,
+      },
+      total: holds.length,
+    };
+  }
+
+  /**
+   * Get the active holds that cover a document
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Document metadata
+   * @returns {Promise<Array<Object>>} Active holds
+   */
+  async getActiveHolds(documentId, documentMetadata) {
+    const targets = {
+      [HOLD_SCOPE.DOCUMENT]: documentId,
+      [HOLD_SCOPE.EMPLOYEE]: documentMetadata.employeeId,
+      [HOLD_SCOPE.DOCUMENT_TYPE]: documentMetadata.documentType,
+    };
+
+    const snapshot = await this.holdsCollection
+      .where('status', '==', HOLD_STATUS.ACTIVE)
+      .where('targetId', 'in', [...new Set(Object.values(targets).filter(Boolean))])
+      .get();
+
+    // A target ID only counts for the scope it was placed with
+    return snapshot.docs
+      .map(doc => doc.data())
+      .filter(hold => targets[hold.scope] === hold.targetId)
+      .map(hold => this.toHold(hold));
+  }
+
+  /**
+   * Refuse to continue if a document is under legal hold
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Document metadata
+   * @returns {Promise<void>}
+   */
+  async assertNotHeld(documentId, documentMetadata) {
+    const holds = await this.getActiveHolds(documentId, documentMetadata);
+
+    if (holds.length > 0) {
+      throw holdError('LEGAL_HOLD', 'Document is under legal hold', {
+        holds: holds.map(hold => hold.id),
+      });
+    }
+  }
+
+  /**
+   * Check if user can place and view legal holds
+   * @param {Object} userInfo - User information
+   * @returns {boolean} True if user can place holds
+   */
+  canPlaceHold(userInfo) {
+    return firebaseService.hasRole(userInfo, [config.roles.ADMIN, config.roles.HR]);
+  }
+
+  /**
+   * Check if user can release legal holds
+   * @param {Object} userInfo - User information
+   * @returns {boolean} True if user can release holds
+   */
+  canReleaseHold(userInfo) {
+    return firebaseService.hasRole(userInfo, [config.roles.ADMIN]);
+  }
+
+  /**
+   * Log a refused legal hold operation
+   * @param {string} attemptedAction - Refused action
+   * @param {Array<string>} requiredRole - Roles allowed to perform it
+   * @param {string} holdId - Hold ID, if the hold exists
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<void>}
+   */
+  async logDenied(attemptedAction, requiredRole, holdId, userInfo, requestInfo) {
+    await auditService.logAccessDenied({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      resource: {
+        type: 'legal_hold',
+        id: holdId,
+      },
+      attemptedAction,
+      reason: 'insufficient_permissions',
+      requiredRole,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+    });
+  }
+
+  /**
+   * Shape a hold record for API responses
+   * @param {Object} hold - Firestore hold record
+   * @returns {Object} Hold
+   */
+  toHold(hold) {
+    return {
+      id: hold.id,
+      scope: hold.scope,
+      targetId: hold.targetId,
+      employeeId: hold.employeeId,
+      matter: hold.matter,
+      reason: hold.reason,
+      status: hold.status,
+      placedBy: hold.placedBy,
+      placedAt: hold.placedAt?.toDate(),
+      releasedBy: hold.releasedBy || null,
+      releasedAt: hold.releasedAt?.toDate() || null,
+      releaseReason: hold.releaseReason || null,
+    };
+  }
+}
+
+module.exports = new LegalHoldService();
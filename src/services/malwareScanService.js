@@ -0,0 +1,238 @@
+const admin = require('firebase-admin');
+const config = require('../config/config');
+const documentService = require('./documentService');
+const storageService = require('./storageService');
+const encryptionService = require('./encryptionService');
+const auditService = require('./auditService');
+
+const SYSTEM_USER = { uid: 'system', role: 'system' };
+
+/**
+ * Build a malware rescan error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+function rescanError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Malware rescans of stored documents.
+ *
+ * Uploads are scanned once, against the signatures of the day. Once the scanner's
+ * signature database has moved on, documents whose verdict came from another engine
+ * version are decrypted and scanned again, a batch per run, every version included.
+ * Infected documents are quarantined and raise a malware_detected audit event.
+ * Browser-encrypted versions are opaque to the server and are skipped.
+ */
+class MalwareScanService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.documentsCollection = this.firestore.collection(config.firestore.collections.documents);
+    this.running = false;
+  }
+
+  /**
+   * Rescan documents last scanned with an older engine, or one document regardless
+   * @param {Object} options - Rescan options
+   * @param {string} options.documentId - Rescan only this document
+   * @param {number} options.batchSize - Documents to rescan, defaults to the configured batch size
+   * @param {Object} userInfo - User running the rescan; the system for scheduled runs
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Run summary with the infected and failed documents
+   */
+  async rescan(options = {}, userInfo = SYSTEM_USER, requestInfo = {}) {
+    if (!storageService.scanner) {
+      throw rescanError('MALWARE_SCAN_DISABLED', 'Malware scanning is not configured');
+    }
+    if (this.running) {
+      throw rescanError('MALWARE_RESCAN_IN_PROGRESS', 'A malware rescan is already running');
+    }
+
+    this.running = true;
+    try {
+      const engine = await storageService.scanner.getVersion();
+      const result = { engine, examined: 0, rescanned: 0, infected: 0, failed: 0, documents: [] };
+
+      const record = item => {
+        result.examined++;
+        if (item.status === 'clean' || item.status === 'infected') {
+          result.rescanned++;
+        }
+        if (item.status === 'infected' || item.status === 'failed') {
+          result[item.status]++;
+          result.documents.push(item);
+        }
+      };
+
+      if (options.documentId) {
+        const doc = await this.documentsCollection.doc(options.documentId).get();
+        if (!doc.exists || !doc.data().isActive) {
+          throw new Error('Document not found');
+        }
+        record(await this.rescanDocument(doc, userInfo, requestInfo));
+      } else {
+        const batchSize = options.batchSize || config.malwareScan.rescanBatchSize;
+        let cursor = null;
+        let snapshot;
+        do {
+          let query = this.documentsCollection
+            .where('isActive', '==', true)
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(batchSize);
+          if (cursor) {
+            query = query.startAfter(cursor);
+          }
+
+          snapshot = await query.get();
+
+          for (const doc of snapshot.docs) {
+            if (result.examined >= batchSize) {
+              break;
+            }
+            if (this.isCurrent(doc.data(), engine)) {
+              continue;
+            }
+            record(await this.rescanDocument(doc, userInfo, requestInfo));
+          }
+
+          cursor = snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null;
+        } while (snapshot.size === batchSize && result.examined < batchSize);
+      }
+
+      if (result.infected > 0) {
+        console.error(`ALERT: malware rescan found ${result.infected} infected documents: ${
+          result.documents.filter(item => item.status === 'infected').map(item => item.documentId).join(', ')}`);
+      }
+
+      await auditService.logMalwareRescan({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        documentId: options.documentId,
+        engine,
+        examined: result.examined,
+        rescanned: result.rescanned,
+        infected: result.infected,
+        failed: result.failed,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        errorMessage: result.failed > 0 ? `${result.failed} documents could not be rescanned` : undefined,
+      });
+
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Check whether a document needs no rescan: its verdict comes from the current engine,
+   * it is already quarantined or the server cannot read it
+   * @param {Object} data - Firestore document record
+   * @param {string} engine - Current engine version
+   * @returns {boolean} True if the document is skipped
+   */
+  isCurrent(data, engine) {
+    return data.quarantined || Boolean(data.clientEncryption) || data.malwareScan?.engine === engine;
+  }
+
+  /**
+   * Scan every stored version of one document and record the verdicts
+   * @param {Object} doc - Firestore document snapshot
+   * @param {Object} userInfo - User running the rescan
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} The document with its status: clean, infected, skipped or failed
+   */
+  async rescanDocument(doc, userInfo, requestInfo) {
+    const item = { documentId: doc.id, version: null, status: 'skipped' };
+
+    try {
+      const documentMetadata = await documentService.decryptMetadataFields(doc.id, doc.data());
+      const versions = await documentService.getVersionRecords(doc.id, documentMetadata);
+      // Documents uploaded before versioning have no history records to update
+      const hasHistory = versions[0] !== documentMetadata;
+
+      for (const versionRecord of versions) {
+        const target = documentService.withVersion(documentMetadata, versionRecord);
+        if (!target.fileName || target.clientEncryption) {
+          continue;
+        }
+
+        item.version = target.version;
+        const verdict = await storageService.scanDocument(
+          target.fileName,
+          userInfo,
+          encryptionService.getEncryptionContext({ ...target, id: doc.id })
+        );
+
+        if (hasHistory) {
+          await documentService.getVersionsCollection(doc.id).doc(String(target.version)).update({ malwareScan: verdict });
+        }
+        if (target.fileName === documentMetadata.fileName) {
+          await doc.ref.update({ malwareScan: verdict });
+        }
+
+        if (verdict.status === 'infected') {
+          await this.quarantineInfected(doc.id, target, verdict, userInfo, requestInfo);
+          item.status = 'infected';
+          item.signature = verdict.signature;
+          return item;
+        }
+        item.status = 'clean';
+      }
+
+      item.version = null;
+    } catch (error) {
+      console.error(`Error rescanning document ${doc.id}:`, error);
+      item.status = 'failed';
+      item.errorMessage = error.message;
+    }
+
+    return item;
+  }
+
+  /**
+   * Quarantine a stored document found to be infected
+   * @param {string} documentId - Document ID
+   * @param {Object} target - Metadata of the infected version
+   * @param {Object} verdict - Scan verdict
+   * @param {Object} userInfo - User running the rescan
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<void>}
+   */
+  async quarantineInfected(documentId, target, verdict, userInfo, requestInfo) {
+    await documentService.quarantineDocument(documentId, {
+      reason: 'malware',
+      detectedDuring: 'rescan',
+      fileName: target.fileName,
+      version: target.version,
+      signature: verdict.signature,
+      engine: verdict.engine,
+    });
+
+    await auditService.logMalwareDetected({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      documentId,
+      documentName: target.originalName,
+      documentEmployeeId: target.employeeId,
+      fileName: target.fileName,
+      version: target.version,
+      signature: verdict.signature,
+      engine: verdict.engine,
+      detectedDuring: 'rescan',
+      action: 'quarantined',
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+    });
+  }
+}
+
+module.exports = new MalwareScanService();
@@ -0,0 +1,119 @@
+const net = require('net');
+const { Transform } = require('stream');
+const { scanFailedError } = require('./index');
+
+/**
+ * Frame a stream for the clamd INSTREAM command: every chunk is prefixed with its
+ * length as a 4-byte big-endian integer, and a zero length ends the stream
+ * @returns {Transform} Framing stream
+ */
+function createInstreamFramer() {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(chunk.length);
+      callback(null, Buffer.concat([length, chunk]));
+    },
+    flush(callback) {
+      callback(null, Buffer.alloc(4));
+    },
+  });
+}
+
+/**
+ * Scanner backed by a ClamAV daemon, reached over its Unix socket or TCP.
+ *
+ * Each scan opens a connection and streams the document with INSTREAM, so nothing is
+ * written to disk on the scanning side. clamd refuses streams over its StreamMaxLength,
+ * which must therefore be at least the maximum upload size.
+ */
+class ClamdScanner {
+  /**
+   * @param {Object} options - Scanner options
+   * @param {string} options.socketPath - clamd Unix socket; takes precedence over host and port
+   * @param {string} options.host - clamd host
+   * @param {number} options.port - clamd port
+   * @param {number} options.timeoutMs - Idle time after which a scan is abandoned
+   */
+  constructor(options) {
+    if (!options.socketPath && !options.host) {
+      throw new Error('clamd scanner requires a socket path or host');
+    }
+
+    this.socketPath = options.socketPath || null;
+    this.host = options.host;
+    this.port = options.port || 3310;
+    this.timeoutMs = options.timeoutMs || 60 * 1000;
+  }
+
+  async scan(stream) {
+    const reply = await this.command('INSTREAM', stream);
+
+    if (reply === 'stream: OK') {
+      return { infected: false, signature: null };
+    }
+
+    const found = /^stream: (.+) FOUND$/.exec(reply);
+    if (found) {
+      return { infected: true, signature: found[1] };
+    }
+
+    throw scanFailedError(`clamd could not scan the file: ${reply}`);
+  }
+
+  async getVersion() {
+    return await this.command('VERSION');
+  }
+
+  describe() {
+    return {
+      scanner: 'clamd',
+      endpoint: this.socketPath || `${this.host}:${this.port}`,
+    };
+  }
+
+  /**
+   * Send a command to clamd and read its reply, which ends when clamd closes the connection
+   * @param {string} command - clamd command
+   * @param {Readable} body - Data to stream after the command (INSTREAM)
+   * @returns {Promise<string>} Reply without its terminator
+   */
+  command(command, body) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socketPath
+        ? net.createConnection({ path: this.socketPath })
+        : net.createConnection({ host: this.host, port: this.port });
+      const reply = [];
+      let failure = null;
+
+      socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('clamd did not respond in time')));
+      socket.on('data', chunk => reply.push(chunk));
+      socket.on('error', error => {
+        failure = failure || error;
+      });
+      socket.on('close', () => {
+        // The z prefix makes clamd terminate its reply with a NUL byte
+        const text = Buffer.concat(reply).toString().replace(/\0/g, '').trim();
+        if (text) {
+          resolve(text);
+        } else {
+          reject(scanFailedError(`clamd ${command} failed${failure ? `: ${failure.message}` : ''}`, failure));
+        }
+      });
+
+      socket.write(`z${command}\0`);
+
+      if (body) {
+        // clamd answers once it has read the terminating chunk, so the socket stays open for the reply
+        body.on('close', () => {
+          if (!body.readableEnded) {
+            socket.destroy();
+          }
+        });
+        body.pipe(createInstreamFramer()).pipe(socket, { end: false });
+      }
+    });
+  }
+}
+
+module.exports = ClamdScanner;
@@ -0,0 +1,124 @@
+const { PassThrough, Transform } = require('stream');
+
+/**
+ * Malware scanners inspect document plaintext before it is encrypted.
+ *
+ * Every scanner implements:
+ *   scan(stream)               -> Promise<Object>         { infected, signature } once the stream has ended
+ *   getVersion()               -> Promise<string>         engine and signature database version
+ *   describe()                 -> { scanner, endpoint }
+ *
+ * A scan that cannot complete (scanner unreachable, timed out or over its size limit)
+ * rejects with error code SCAN_FAILED.
+ */
+
+/**
+ * Create the malware scanner selected by the scan configuration
+ * @param {Object} scanConfig - config.malwareScan
+ * @returns {Object|null} Scanner instance, or null when scanning is disabled
+ */
+function createMalwareScanner(scanConfig) {
+  switch (scanConfig.scanner) {
+    case 'none':
+      return null;
+    case 'clamd': {
+      const ClamdScanner = require('./clamdScanner');
+      return new ClamdScanner(scanConfig.clamd);
+    }
+    default:
+      throw new Error(`Unknown malware scanner: ${scanConfig.scanner}`);
+  }
+}
+
+/**
+ * Create a pass-through stream that feeds everything written to it to a scanner
+ * The scanner is read as fast as it accepts data, so a slow scanner slows the upload
+ * rather than buffering it. If the scan fails the stream fails with it.
+ * @param {Object} scanner - Scanner instance
+ * @returns {Object} The stream and a promise of the verdict ({ status, signature, engine, scannedAt })
+ */
+function createScanStream(scanner) {
+  const input = new PassThrough();
+  let flushed = false;
+  let settled = false;
+  let release = null;
+
+  const verdict = scanVerdict(scanner, input);
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      if (settled || input.write(chunk)) {
+        return callback(null, chunk);
+      }
+      release = () => {
+        release = null;
+        callback(null, chunk);
+      };
+      input.once('drain', () => release && release());
+    },
+    flush(callback) {
+      flushed = true;
+      input.end();
+      callback();
+    },
+    destroy(error, callback) {
+      // An upload that failed part way must not leave the scanner waiting for the rest
+      if (!flushed) {
+        input.destroy();
+      }
+      callback(error);
+    },
+  });
+
+  verdict.then(() => {
+    settled = true;
+    if (release) {
+      release();
+    }
+  }, error => stream.destroy(error));
+
+  return { stream, verdict };
+}
+
+/**
+ * Scan a stream and describe the outcome for document metadata
+ * @param {Object} scanner - Scanner instance
+ * @param {Readable} stream - Plaintext to scan
+ * @returns {Promise<Object>} Verdict ({ status, signature, engine, scannedAt })
+ */
+async function scanVerdict(scanner, stream) {
+  // A source that fails (e.g. decryption) fails the scan with its own error
+  const sourceFailed = new Promise((resolve, reject) => stream.once('error', reject));
+  const [result, engine] = await Promise.race([
+    Promise.all([scanner.scan(stream), scanner.getVersion()]),
+    sourceFailed,
+  ]);
+  return {
+    status: result.infected ? 'infected' : 'clean',
+    signature: result.signature,
+    engine,
+    scannedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Build the error scanners report for a scan that could not complete
+ * @param {string} message - Error message
+ * @param {Error} cause - Underlying error, if any
+ * @returns {Error} Error with code SCAN_FAILED
+ */
+function scanFailedError(message, cause) {
+  const error = new Error(message);
+  error.code = 'SCAN_FAILED';
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+module.exports = {
+  createMalwareScanner,
+  createScanStream,
+  scanVerdict,
+  scanFailedError,
+};
@@ -0,0 +1,113 @@
+const { spawn } = require('child_process');
+const { previewFailedError } = require('./index');
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+
+/**
+ * Renderer that runs poppler's pdftoppm for PDFs and ImageMagick's convert for images.
+ *
+ * The document is piped to the tool's standard input and the PNG read from its standard
+ * output, so no plaintext is written to disk. Images are decoded with the coder of their
+ * detected format rather than letting ImageMagick guess it from the content.
+ */
+class CliRenderer {
+  /**
+   * @param {Object} options - Renderer options
+   * @param {string} options.pdftoppmPath - pdftoppm executable
+   * @param {string} options.convertPath - ImageMagick convert executable
+   * @param {number} options.timeoutMs - Time after which a render is abandoned
+   * @param {number} options.maxOutputSize - Largest PNG accepted from a tool, in bytes
+   */
+  constructor(options) {
+    this.pdftoppmPath = options.pdftoppmPath || 'pdftoppm';
+    this.convertPath = options.convertPath || 'convert';
+    this.timeoutMs = options.timeoutMs || 30 * 1000;
+    this.maxOutputSize = options.maxOutputSize || 8 * 1024 * 1024;
+  }
+
+  async render(stream, options) {
+    const { size } = options;
+
+    switch (options.format) {
+      case 'pdf':
+        return await this.run(this.pdftoppmPath,
+          ['-png', '-f', '1', '-l', '1', '-singlefile', '-scale-to', String(size), '-'], stream);
+      case 'jpeg':
+      case 'png':
+        return await this.run(this.convertPath,
+          [`${options.format}:-[0]`, '-auto-orient', '-strip', '-thumbnail', `${size}x${size}>`, 'png:-'], stream);
+      default:
+        throw previewFailedError(`Cannot render previews of ${options.format} files`);
+    }
+  }
+
+  describe() {
+    return {
+      renderer: 'cli',
+      tools: [this.pdftoppmPath, this.convertPath],
+    };
+  }
+
+  /**
+   * Pipe a stream through a command and collect its output
+   * @param {string} command - Executable
+   * @param {Array<string>} args - Arguments
+   * @param {Readable} input - Data for the command's standard input
+   * @returns {Promise<Buffer>} PNG written to standard output
+   */
+  run(command, args, input) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      const output = [];
+      let outputLength = 0;
+      let stderr = '';
+      let failure = null;
+
+      const fail = error => {
+        if (!failure) {
+          failure = error;
+          child.kill('SIGKILL');
+        }
+      };
+
+      const timer = setTimeout(() => fail(previewFailedError(`${command} timed out after ${this.timeoutMs} ms`)), this.timeoutMs);
+
+      child.stdout.on('data', chunk => {
+        outputLength += chunk.length;
+        if (outputLength > this.maxOutputSize) {
+          return fail(previewFailedError(`${command} produced more than ${this.maxOutputSize} bytes`));
+        }
+        output.push(chunk);
+      });
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk.toString()).slice(-1000);
+      });
+
+      // A tool that stops reading early (e.g. after the first page) closes its input
+      child.stdin.on('error', () => {});
+      input.on('error', error => fail(error));
+      input.pipe(child.stdin);
+
+      child.on('error', error => fail(previewFailedError(`${command} could not be run: ${error.message}`, error)));
+      child.on('close', code => {
+        clearTimeout(timer);
+        input.unpipe(child.stdin);
+        input.destroy();
+        if (failure) {
+          return reject(failure);
+        }
+
+        const png = Buffer.concat(output);
+        if (code !== 0) {
+          return reject(previewFailedError(`${command} exited with code ${code}: ${stderr.trim()}`));
+        }
+        if (!png.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+          return reject(previewFailedError(`${command} did not produce a PNG image`));
+        }
+        resolve(png);
+      });
+    });
+  }
+}
+
+module.exports = CliRenderer;
@@ -0,0 +1,50 @@
+/**
+ * Preview renderers turn the first page of a document into a PNG image.
+ *
+ * Every renderer implements:
+ *   render(stream, options)    -> Promise<Buffer>         PNG of the first page, fitted within
+ *                                                        options.size pixels; options.format is
+ *                                                        the source format (pdf, jpeg or png)
+ *   describe()                 -> { renderer, tools }
+ *
+ * A render that cannot complete (tool missing, crashed, timed out or output over its
+ * size limit) rejects with error code PREVIEW_FAILED.
+ */
+
+/**
+ * Create the preview renderer selected by the preview configuration
+ * @param {Object} previewConfig - config.previews
+ * @returns {Object|null} Renderer instance, or null when previews are disabled
+ */
+function createPreviewRenderer(previewConfig) {
+  switch (previewConfig.renderer) {
+    case 'none':
+      return null;
+    case 'cli': {
+      const CliRenderer = require('./cliRenderer');
+      return new CliRenderer(previewConfig.cli);
+    }
+    default:
+      throw new Error(`Unknown preview renderer: ${previewConfig.renderer}`);
+  }
+}
+
+/**
+ * Build the error renderers report for a preview that could not be rendered
+ * @param {string} message - Error message
+ * @param {Error} cause - Underlying error, if any
+ * @returns {Error} Error with code PREVIEW_FAILED
+ */
+function previewFailedError(message, cause) {
+  const error = new Error(message);
+  error.code = 'PREVIEW_FAILED';
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+module.exports = {
+  createPreviewRenderer,
+  previewFailedError,
+};
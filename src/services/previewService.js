@@ -0,0 +1,139 @@
+const { Readable } = require('stream');
+const config = require('../config/config');
+const storageService = require('./storageService');
+const encryptionService = require('./encryptionService');
+const { createPreviewRenderer } = require('./previewRenderers');
+
+// Formats previews are rendered from, by MIME type
+const PREVIEW_FORMATS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+};
+
+const PREVIEW_KINDS = ['thumbnail', 'page'];
+
+/**
+ * Preview images of documents.
+ *
+ * When a PDF or image is uploaded, its first page is rendered to a PNG of up to
+ * `config.previews.pageSize` pixels and scaled down to a thumbnail. Both are encrypted
+ * like the document itself and stored next to its object, and the document version
+ * records where they are. Each preview is bound to its document version and kind, so it
+ * cannot be served in place of the document or another preview. Browser-encrypted and
+ * quarantined documents get no previews, and a failed render never fails the upload.
+ */
+class PreviewService {
+  constructor() {
+    this.renderer = createPreviewRenderer(config.previews);
+  }
+
+  /**
+   * Check whether previews can be rendered for a document version
+   * @param {Object} documentMetadata - Document or version metadata
+   * @returns {boolean} True if a renderer is configured and the content is readable by the server
+   */
+  canPreview(documentMetadata) {
+    return Boolean(this.renderer && !documentMetadata.clientEncryption && PREVIEW_FORMATS[documentMetadata.mimeType]);
+  }
+
+  /**
+   * Render, encrypt and store the previews of a stored document version
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Metadata of the stored version
+   * @param {Object} userInfo - User information
+   * @param {Object} options - Preview options
+   * @param {Array<string>} options.kinds - Kinds of preview to store; all by default
+   * @returns {Promise<Object|null>} Previews record ({ thumbnail, page, renderedAt }, each
+   * preview { fileName, size }), or null if the version has no previews
+   */
+  async generatePreviews(documentId, documentMetadata, userInfo, options = {}) {
+    const kinds = options.kinds || PREVIEW_KINDS;
+    if (!this.canPreview(documentMetadata)) {
+      return null;
+    }
+
+    const stored = [];
+    try {
+      const { stream } = await storageService.downloadDocument(
+        documentMetadata.fileName,
+        userInfo,
+        encryptionService.getEncryptionContext({ ...documentMetadata, id: documentId })
+      );
+
+      const page = await this.renderer.render(stream, {
+        format: PREVIEW_FORMATS[documentMetadata.mimeType],
+        size: config.previews.pageSize,
+      });
+      // Scaled down from the page render rather than decrypting the document again
+      const thumbnail = await this.renderer.render(Readable.from([page]), {
+        format: 'png',
+        size: config.previews.thumbnailSize,
+      });
+
+      const previews = { renderedAt: new Date().toISOString() };
+      for (const [kind, data] of Object.entries({ thumbnail, page })) {
+        if (!kinds.includes(kind)) {
+          continue;
+        }
+        const fileName = `${documentMetadata.fileName}.${kind}.png`;
+        stored.push(fileName);
+        await storageService.storePreview(fileName, data, this.getEncryptionContext(documentId, documentMetadata, kind));
+        previews[kind] = { fileName, size: data.length };
+      }
+
+      return previews;
+    } catch (error) {
+      console.error(`Error rendering previews of document ${documentId}:`, error);
+      await Promise.all(stored.map(fileName => storageService.deleteDocument(fileName, userInfo).catch(() => {})));
+      return null;
+    }
+  }
+
+  /**
+   * Open a stored preview
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Metadata of the version the preview belongs to
+   * @param {string} kind - thumbnail or page
+   * @returns {Promise<Object>} Decrypted PNG stream and its size; rejects with code PREVIEW_NOT_AVAILABLE
+   */
+  async openPreview(documentId, documentMetadata, kind) {
+    const preview = documentMetadata.previews && documentMetadata.previews[kind];
+    if (!preview) {
+      const error = new Error('No preview is available for this document');
+      error.code = 'PREVIEW_NOT_AVAILABLE';
+      throw error;
+    }
+
+    const stream = await storageService.openPreview(
+      preview.fileName,
+      this.getEncryptionContext(documentId, documentMetadata, kind)
+    );
+    return { stream, size: preview.size };
+  }
+
+  /**
+   * Get the stored objects of a previews record
+   * @param {Object|null} previews - Previews record of a document version
+   * @returns {Array<string>} Object keys
+   */
+  getPreviewFileNames(previews) {
+    return previews ? PREVIEW_KINDS.map(kind => previews[kind] && previews[kind].fileName).filter(Boolean) : [];
+  }
+
+  /**
+   * Build the identity a preview's ciphertext is bound to
+   * @param {string} documentId - Document ID
+   * @param {Object} documentMetadata - Metadata of the version the preview belongs to
+   * @param {string} kind - thumbnail or page
+   * @returns {Object} Encryption context
+   */
+  getEncryptionContext(documentId, documentMetadata, kind) {
+    return {
+      ...encryptionService.getEncryptionContext({ ...documentMetadata, id: documentId }),
+      purpose: `preview-${kind}`,
+    };
+  }
+}
+
+module.exports = new PreviewService();
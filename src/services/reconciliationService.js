@@ -0,0 +1,507 @@
+const admin = require('firebase-admin');
+const config = require('../config/config');
+const storageService = require('./storageService');
+const documentService = require('./documentService');
+const legalHoldService = require('./legalHoldService');
+const previewService = require('./previewService');
+const auditService = require('./auditService');
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors',
+  FAILED: 'failed',
+};
+
+const FINDING_TYPE = {
+  ORPHANED_OBJECT: 'orphaned_object', // Object no document record refers to
+  MISSING_OBJECT: 'missing_object', // Record or version whose object is gone
+  MISSING_ENCRYPTION_METADATA: 'missing_encryption_metadata', // Object without its `.enc` sidecar
+  ORPHANED_ENCRYPTION_METADATA: 'orphaned_encryption_metadata', // Sidecar without its object
+  DELETED_DOCUMENT_OBJECT: 'deleted_document_object', // Object left behind by a purged or erased document
+};
+
+// A running job that has not checkpointed for this long was left behind by a crashed instance
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+const SYSTEM_USER = { uid: 'system', role: 'system' };
+
+/**
+ * Storage reconciliation.
+ *
+ * An upload writes the object, then its `.enc` sidecar, then the Firestore record, so a
+ * crash between the steps leaves storage and metadata disagreeing. A reconciliation job
+ * reads every document record and version, lists the bucket, and reports each
+ * inconsistency it finds. Objects younger than `config.reconciliation.graceMinutes` are
+ * left alone, as they may belong to uploads still in flight.
+ *
+ * In repair mode unreferenced objects and sidecars are deleted, and documents whose
+ * current object or sidecar is missing are quarantined. Missing objects of older
+ * versions are only reported.
+ */
+class ReconciliationService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.documentsCollection = this.firestore.collection(config.firestore.collections.documents);
+    this.jobsCollection = this.firestore.collection(config.firestore.collections.reconciliationJobs);
+    this.activeJobs = new Set();
+  }
+
+  /**
+   * Start a reconciliation job
+   * @param {Object} options - Job options
+   * @param {boolean} options.repair - Clean up or quarantine what is found instead of only reporting it
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Created job
+   */
+  async startJob(options = {}, userInfo, requestInfo = {}) {
+    try {
+      const runningJobs = await this.jobsCollection
+        .where('status', '==', JOB_STATUS.RUNNING)
+        .get();
+
+      const running = runningJobs.docs.some(doc => this.activeJobs.has(doc.id) ||
+        Date.now() - (doc.data().heartbeatAt?.toMillis() || 0) < STALE_JOB_MS);
+
+      if (running) {
+        throw new Error('A reconciliation job is already running');
+      }
+
+      const jobId = uuidv4();
+      const job = {
+        id: jobId,
+        status: JOB_STATUS.PENDING,
+        repair: Boolean(options.repair),
+        graceMinutes: config.reconciliation.graceMinutes,
+        recordsScanned: 0,
+        objectsScanned: 0,
+        findings: Object.fromEntries(Object.values(FINDING_TYPE).map(type => [type, 0])),
+        repaired: 0,
+        failed: 0,
+        startedBy: {
+          uid: userInfo.uid,
+          email: userInfo.email,
+          role: userInfo.role,
+        },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        startedAt: null,
+        completedAt: null,
+        heartbeatAt: null,
+      };
+
+      await this.jobsCollection.doc(jobId).set(job);
+
+      await auditService.logStorageReconciliation({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        jobId,
+        action: 'started',
+        repair: job.repair,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        success: true,
+      });
+
+      this.runInBackground(jobId);
+
+      return { ...job, createdAt: new Date().toISOString() };
+    } catch (error) {
+      console.error('Error starting reconciliation job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a job without blocking the caller
+   * @param {string} jobId - Job ID
+   */
+  runInBackground(jobId) {
+    this.activeJobs.add(jobId);
+    this.runJob(jobId)
+      .catch(error => {
+        console.error(`Reconciliation job ${jobId} failed:`, error);
+      })
+      .finally(() => {
+        this.activeJobs.delete(jobId);
+      });
+  }
+
+  /**
+   * Compare document metadata with the bucket and record every inconsistency
+   * Metadata is read before the bucket is listed, so an upload completing during the
+   * job shows up as a young unreferenced object, which the grace period skips.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async runJob(jobId) {
+    const jobRef = this.jobsCollection.doc(jobId);
+    const job = (await jobRef.get()).data();
+
+    try {
+      await jobRef.update({
+        status: JOB_STATUS.RUNNING,
+        startedAt: admin.firestore.FieldValue.serverTimestamp(),
+        heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      const references = await this.collectReferences(jobRef);
+      const { objects, sidecars } = await this.collectObjects(jobRef);
+      const graceCutoff = Date.now() - job.graceMinutes * 60 * 1000;
+      const isSettled = created => !created || new Date(created).getTime() < graceCutoff;
+
+      const totals = {
+        findings: { ...job.findings },
+        repaired: 0,
+        failed: 0,
+        recorded: 0,
+      };
+
+      const report = async finding => {
+        totals.findings[finding.type]++;
+
+        if (job.repair) {
+          try {
+            finding.action = await this.repairFinding(finding);
+            if (finding.action && finding.action !== 'held') {
+              totals.repaired++;
+            }
+          } catch (error) {
+            console.error(`Error repairing ${finding.type} ${finding.fileName}:`, error);
+            finding.errorMessage = error.message;
+            totals.failed++;
+          }
+        }
+
+        if (totals.recorded < config.reconciliation.maxFindings) {
+          totals.recorded++;
+          await jobRef.collection('findings').doc().set({
+            type: finding.type,
+            fileName: finding.fileName,
+            documentId: finding.documentId || null,
+            version: finding.version || null,
+            current: Boolean(finding.current),
+            action: finding.action || null,
+            errorMessage: finding.errorMessage || null,
+            foundAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+      };
+
+      for (const [fileName, reference] of references) {
+        if (!reference.live) {
+          continue;
+        }
+
+        if (!objects.has(fileName)) {
+          // The document may have been purged since its record was read
+          if (await this.isStillMissing(fileName, reference)) {
+            await report({ type: FINDING_TYPE.MISSING_OBJECT, fileName, ...reference });
+          }
+        } else if (!sidecars.has(`${fileName}.enc`)) {
+          if (await this.isStillMissing(`${fileName}.enc`, reference)) {
+            await report({ type: FINDING_TYPE.MISSING_ENCRYPTION_METADATA, fileName, ...reference });
+          }
+        }
+      }
+
+      for (const [fileName, object] of objects) {
+        const reference = references.get(fileName);
+
+        if (!reference) {
+          if (isSettled(object.created)) {
+            await report({ type: FINDING_TYPE.ORPHANED_OBJECT, fileName, documentId: object.documentId });
+          }
+        } else if (!reference.live) {
+          await report({ type: FINDING_TYPE.DELETED_DOCUMENT_OBJECT, fileName, ...reference });
+        }
+      }
+
+      for (const [sidecarName, sidecar] of sidecars) {
+        const fileName = sidecarName.slice(0, -'.enc'.length);
+
+        if (!objects.has(fileName) && isSettled(sidecar.created) && !(await storageService.documentExists(fileName))) {
+          await report({ type: FINDING_TYPE.ORPHANED_ENCRYPTION_METADATA, fileName: sidecarName, ...references.get(fileName) });
+        }
+      }
+
+      await jobRef.update({
+        status: totals.failed > 0 ? JOB_STATUS.COMPLETED_WITH_ERRORS : JOB_STATUS.COMPLETED,
+        findings: totals.findings,
+        findingsRecorded: totals.recorded,
+        repaired: totals.repaired,
+        failed: totals.failed,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      const found = Object.values(totals.findings).reduce((sum, count) => sum + count, 0);
+      if (found > 0) {
+        console.log(`Reconciliation job ${jobId} found ${found} inconsistencies (${totals.repaired} repaired, ${totals.failed} failed)`);
+      }
+
+      await auditService.logStorageReconciliation({
+        userId: job.startedBy.uid,
+        userEmail: job.startedBy.email,
+        userRole: job.startedBy.role,
+        jobId,
+        action: 'completed',
+        repair: job.repair,
+        recordsScanned: references.recordsScanned,
+        objectsScanned: objects.size + sidecars.size,
+        findings: totals.findings,
+        repaired: totals.repaired,
+        success: totals.failed === 0,
+        errorMessage: totals.failed > 0 ? `${totals.failed} inconsistencies could not be repaired` : null,
+      });
+    } catch (error) {
+      await jobRef.update({
+        status: JOB_STATUS.FAILED,
+        errorMessage: error.message,
+        heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Read every document record and version and map the objects they refer to
+   * An object is live while its document is active or in the recycle bin; purged, erased
+   * and deleted documents should have no objects left.
+   * @param {Object} jobRef - Job document reference, for progress checkpoints
+   * @returns {Promise<Map>} File name to { documentId, version, current, live }, with a recordsScanned count
+   */
+  async collectReferences(jobRef) {
+    const references = new Map();
+    references.recordsScanned = 0;
+    let cursor = null;
+    let snapshot;
+
+    do {
+      let query = this.documentsCollection
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(config.reconciliation.pageSize);
+
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      snapshot = await query.get();
+
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        const live = Boolean(data.isActive || data.trashed);
+        const versions = await doc.ref.collection('versions').get();
+
+        for (const version of versions.docs) {
+          const { fileName, previews } = version.data();
+          if (fileName && !references.has(fileName)) {
+            references.set(fileName, { documentId: doc.id, version: version.data().version, current: false, live });
+          }
+
+          // Missing previews are only reported; they are not needed to serve the document
+          for (const previewName of previewService.getPreviewFileNames(previews)) {
+            references.set(previewName, { documentId: doc.id, version: version.data().version, current: false, live });
+          }
+        }
+
+        for (const previewName of previewService.getPreviewFileNames(data.previews)) {
+          if (!references.has(previewName)) {
+            references.set(previewName, { documentId: doc.id, version: data.version || 1, current: false, live });
+          }
+        }
+
+        // The current version shares its object with the document record
+        if (data.fileName) {
+          references.set(data.fileName, {
+            documentId: doc.id,
+            version: data.latestVersion || data.version || 1,
+            current: true,
+            live,
+          });
+        }
+      }
+
+      references.recordsScanned += snapshot.size;
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+
+      await jobRef.update({
+        recordsScanned: references.recordsScanned,
+        heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } while (snapshot.size === config.reconciliation.pageSize);
+
+    return references;
+  }
+
+  /**
+   * List every document object and encryption metadata sidecar in the bucket
+   * Chunks staged by resumable uploads are collected with their sessions and skipped.
+   * @param {Object} jobRef - Job document reference, for progress checkpoints
+   * @returns {Promise<Object>} { objects, sidecars }, maps of object key to listing entry
+   */
+  async collectObjects(jobRef) {
+    const objects = new Map();
+    const sidecars = new Map();
+    const isStaged = name => name.startsWith(config.uploads.stagingPrefix);
+    let pageToken;
+
+    do {
+      const page = await storageService.listDocuments({
+        maxResults: config.reconciliation.pageSize,
+        pageToken,
+      });
+
+      page.documents.filter(object => !isStaged(object.name)).forEach(object => objects.set(object.name, object));
+      page.encryptionMetadata.filter(object => !isStaged(object.name)).forEach(object => sidecars.set(object.name, object));
+      pageToken = page.nextPageToken;
+
+      await jobRef.update({
+        objectsScanned: objects.size + sidecars.size,
+        heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } while (pageToken);
+
+    return { objects, sidecars };
+  }
+
+  /**
+   * Confirm that an object a live document refers to is still missing
+   * @param {string} fileName - Object key
+   * @param {Object} reference - Reference to the object
+   * @returns {Promise<boolean>} True if the object is missing and the document still live
+   */
+  async isStillMissing(fileName, reference) {
+    if (await storageService.documentExists(fileName)) {
+      return false;
+    }
+
+    const data = (await this.documentsCollection.doc(reference.documentId).get()).data();
+    return Boolean(data && (data.isActive || data.trashed));
+  }
+
+  /**
+   * Repair one inconsistency
+   * @param {Object} finding - Finding (type, fileName, documentId, current)
+   * @returns {Promise<string|null>} Action taken: deleted, quarantined or held; null if it is only reported
+   */
+  async repairFinding(finding) {
+    switch (finding.type) {
+      case FINDING_TYPE.ORPHANED_OBJECT:
+        await storageService.deleteDocument(finding.fileName, SYSTEM_USER);
+        return 'deleted';
+
+      case FINDING_TYPE.ORPHANED_ENCRYPTION_METADATA:
+        // Deleting the missing object with it is a no-op
+        await storageService.deleteDocument(finding.fileName.slice(0, -'.enc'.length), SYSTEM_USER);
+        return 'deleted';
+
+      case FINDING_TYPE.DELETED_DOCUMENT_OBJECT: {
+        const data = (await this.documentsCollection.doc(finding.documentId).get()).data();
+
+        // Holds on the employee or document type still reach documents deleted before the hold;
+        // erasure refuses held employees and leaves nothing to decrypt
+        if (!data.erased) {
+          const documentMetadata = await documentService.decryptMetadataFields(finding.documentId, data);
+          if ((await legalHoldService.getActiveHolds(finding.documentId, documentMetadata)).length > 0) {
+            return 'held';
+          }
+        }
+
+        await storageService.deleteDocument(finding.fileName, SYSTEM_USER);
+        return 'deleted';
+      }
+
+      case FINDING_TYPE.MISSING_OBJECT:
+      case FINDING_TYPE.MISSING_ENCRYPTION_METADATA:
+        // Older versions can still be rolled back to, so they stay reported only
+        if (!finding.current) {
+          return null;
+        }
+
+        await documentService.quarantineDocument(finding.documentId, {
+          reason: finding.type,
+          detectedDuring: 'reconciliation',
+          fileName: finding.fileName,
+        });
+        return 'quarantined';
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get job status with recorded findings
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Options
+   * @param {number} options.findingLimit - Maximum findings to return
+   * @returns {Promise<Object>} Job status
+   */
+  async getJobStatus(jobId, options = {}) {
+    try {
+      const jobRef = this.jobsCollection.doc(jobId);
+      const jobSnapshot = await jobRef.get();
+
+      if (!jobSnapshot.exists) {
+        throw new Error('Reconciliation job not found');
+      }
+
+      const findingsSnapshot = await jobRef.collection('findings')
+        .limit(options.findingLimit || 100)
+        .get();
+
+      return {
+        ...this.formatJob(jobSnapshot.data()),
+        active: this.activeJobs.has(jobId),
+        findingDetails: findingsSnapshot.docs.map(doc => ({
+          ...doc.data(),
+          foundAt: doc.data().foundAt?.toDate(),
+        })),
+      };
+    } catch (error) {
+      console.error('Error getting reconciliation job status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List recent reconciliation jobs
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Array>} Jobs, newest first
+   */
+  async listJobs(pagination = {}) {
+    try {
+      const snapshot = await this.jobsCollection
+        .orderBy('createdAt', 'desc')
+        .limit(pagination.limit || 20)
+        .get();
+
+      return snapshot.docs.map(doc => this.formatJob(doc.data()));
+    } catch (error) {
+      console.error('Error listing reconciliation jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert Firestore timestamps on a job record
+   * @param {Object} job - Job record
+   * @returns {Object} Job with Date fields
+   */
+  formatJob(job) {
+    return {
+      ...job,
+      createdAt: job.createdAt?.toDate(),
+      startedAt: job.startedAt?.toDate(),
+      completedAt: job.completedAt?.toDate(),
+      heartbeatAt: job.heartbeatAt?.toDate(),
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
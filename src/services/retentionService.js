@@ -0,0 +1,263 @@
+const admin = require('firebase-admin');
+const config = require('../config/config');
+const documentService = require('./documentService');
+const legalHoldService = require('./legalHoldService');
+const auditService = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SYSTEM_USER = { uid: 'system', role: 'system' };
+
+/**
+ * Retention schedules per document type.
+ *
+ * The `retention` policy of each type in `config.documentTypePolicies` keeps a document
+ * for a number of days after it was uploaded or after its employee was offboarded. The
+ * sweeper computes every document's disposal date from the current policies and purges
+ * the documents past it, except those under legal hold. A dry run reports what a sweep
+ * would dispose of without deleting anything.
+ */
+class RetentionService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.documentsCollection = this.firestore.collection(config.firestore.collections.documents);
+    this.offboardingCollection = this.firestore.collection(config.firestore.collections.employeeOffboarding);
+  }
+
+  /**
+   * Record the date an employee left, which starts offboarding-based retention periods
+   * @param {string} employeeId - Employee ID
+   * @param {Object} options - Offboarding options (offboardedAt, defaults to now)
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Offboarding record
+   */
+  async recordOffboarding(employeeId, options, userInfo, requestInfo = {}) {
+    const offboardedAt = options.offboardedAt ? new Date(options.offboardedAt) : new Date();
+
+    await this.offboardingCollection.doc(employeeId).set({
+      employeeId,
+      offboardedAt: admin.firestore.Timestamp.fromDate(offboardedAt),
+      recordedBy: {
+        uid: userInfo.uid,
+        email: userInfo.email,
+        role: userInfo.role,
+      },
+      recordedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    await auditService.logEmployeeOffboarding({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      offboardedEmployeeId: employeeId,
+      action: 'recorded',
+      offboardedAt: offboardedAt.toISOString(),
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: true,
+    });
+
+    return { employeeId, offboardedAt };
+  }
+
+  /**
+   * Withdraw an employee's offboarding, e.g. when they are rehired
+   * @param {string} employeeId - Employee ID
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<void>}
+   */
+  async cancelOffboarding(employeeId, userInfo, requestInfo = {}) {
+    const recordRef = this.offboardingCollection.doc(employeeId);
+    const record = await recordRef.get();
+
+    if (!record.exists) {
+      const error = new Error('Employee has not been offboarded');
+      error.code = 'OFFBOARDING_NOT_FOUND';
+      throw error;
+    }
+
+    await recordRef.delete();
+
+    await auditService.logEmployeeOffboarding({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      offboardedEmployeeId: employeeId,
+      action: 'cancelled',
+      offboardedAt: record.data().offboardedAt.toDate().toISOString(),
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: true,
+    });
+  }
+
+  /**
+   * Evaluate every document against its retention policy and dispose of those past their date
+   * @param {Object} options - Sweep options
+   * @param {boolean} options.dryRun - Only report what would be disposed of
+   * @param {number} options.withinDays - With dryRun, also report documents due within this many days
+   * @param {Object} userInfo - User running the sweep; the system for scheduled sweeps
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Counts and the documents that are due
+   */
+  async sweep(options = {}, userInfo = SYSTEM_USER, requestInfo = {}) {
+    const dryRun = Boolean(options.dryRun);
+    const horizon = Date.now() + (dryRun && options.withinDays ? options.withinDays * DAY_MS : 0);
+    const batchSize = config.retention.batchSize;
+    const offboardingDates = new Map();
+    const result = { dryRun, evaluated: 0, due: 0, disposed: 0, held: 0, failed: 0, documents: [] };
+
+    // Documents in the recycle bin are disposed of too, rather than waiting for their purge date
+    for (const field of ['isActive', 'trashed']) {
+      let cursor = null;
+      let snapshot;
+      do {
+        let query = this.documentsCollection.where(field, '==', true).limit(batchSize);
+        if (cursor) {
+          query = query.startAfter(cursor);
+        }
+
+        snapshot = await query.get();
+
+        for (const doc of snapshot.docs) {
+          result.evaluated++;
+          const data = doc.data();
+          const offboardedAt = await this.getOffboardingDate(data.employeeId, offboardingDates);
+          const disposeAfter = this.getDisposalDate(data, offboardedAt);
+
+          if (!disposeAfter || disposeAfter.getTime() > horizon) {
+            continue;
+          }
+
+          result.due++;
+          const item = await this.disposeDocument(doc.id, data, disposeAfter, dryRun, userInfo, requestInfo);
+          result.documents.push(item);
+          if (item.status !== 'due') {
+            result[item.status]++;
+          }
+        }
+
+        cursor = snapshot.docs[snapshot.docs.length - 1];
+      } while (snapshot.size === batchSize);
+    }
+
+    if (!dryRun && (result.disposed > 0 || result.failed > 0)) {
+      console.log(`Retention sweep disposed of ${result.disposed} documents (${result.held} on legal hold, ${result.failed} failed)`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Dispose of one document that is past its retention period
+   * @param {string} documentId - Document ID
+   * @param {Object} data - Firestore document record
+   * @param {Date} disposeAfter - Disposal date
+   * @param {boolean} dryRun - Only report what would happen
+   * @param {Object} userInfo - User running the sweep
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} The document with its status: disposed, held or failed (due in a dry run)
+   */
+  async disposeDocument(documentId, data, disposeAfter, dryRun, userInfo, requestInfo) {
+    const policy = this.getPolicy(data.documentType);
+    const item = {
+      documentId,
+      employeeId: data.employeeId,
+      documentType: data.documentType,
+      policy,
+      disposeAfter,
+      inRecycleBin: Boolean(data.trashed),
+      holds: [],
+      status: 'due',
+    };
+
+    try {
+      const documentMetadata = await documentService.decryptMetadataFields(documentId, data);
+      item.name = documentMetadata.originalName;
+
+      item.holds = (await legalHoldService.getActiveHolds(documentId, documentMetadata)).map(hold => hold.id);
+      if (item.holds.length > 0) {
+        item.status = 'held';
+        return item;
+      }
+
+      if (dryRun) {
+        return item;
+      }
+
+      await documentService.purgeDocument(documentId, documentMetadata, userInfo, 'retention_expired');
+      item.status = 'disposed';
+    } catch (error) {
+      console.error(`Error disposing of document ${documentId}:`, error);
+      item.status = 'failed';
+      item.error = error.message;
+    }
+
+    await auditService.logRetentionDisposition({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      documentId,
+      documentName: item.name,
+      documentEmployeeId: data.employeeId,
+      documentType: data.documentType,
+      policy,
+      disposeAfter: disposeAfter.toISOString(),
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: item.status === 'disposed',
+      errorMessage: item.error,
+    });
+
+    return item;
+  }
+
+  /**
+   * Get the retention policy of a document type
+   * @param {string} documentType - Document type
+   * @returns {Object|null} Policy ({ from, days }), or null to keep indefinitely
+   */
+  getPolicy(documentType) {
+    return documentService.getDocumentTypePolicy(documentType).retention || null;
+  }
+
+  /**
+   * Compute when a document may be disposed of
+   * @param {Object} data - Firestore document record
+   * @param {Date|null} offboardedAt - When the document's employee was offboarded, if they were
+   * @returns {Date|null} Disposal date, or null if the document is kept for now
+   */
+  getDisposalDate(data, offboardedAt) {
+    const policy = this.getPolicy(data.documentType);
+    if (!policy || !policy.days) {
+      return null;
+    }
+
+    const start = policy.from === 'offboarding'
+      ? offboardedAt
+      : data.createdAt?.toDate() || (data.uploadedAt && new Date(data.uploadedAt));
+
+    return start ? new Date(start.getTime() + policy.days * DAY_MS) : null;
+  }
+
+  /**
+   * Look up when an employee was offboarded, once per sweep
+   * @param {string} employeeId - Employee ID
+   * @param {Map} cache - Dates already looked up in this sweep
+   * @returns {Promise<Date|null>} Offboarding date, or null if still employed
+   */
+  async getOffboardingDate(employeeId, cache) {
+    if (!cache.has(employeeId)) {
+      const record = await this.offboardingCollection.doc(employeeId).get();
+      cache.set(employeeId, record.exists ? record.data().offboardedAt.toDate() : null);
+    }
+    return cache.get(employeeId);
+  }
+}
+
+module.exports = new RetentionService();
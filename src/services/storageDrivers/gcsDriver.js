@@ -0,0 +1,197 @@
+const { Storage } = require('@google-cloud/storage');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { objectNotFoundError } = require('./index');
+
+/**
+ * Map a Cloud Storage "not found" error to OBJECT_NOT_FOUND
+ * @param {Error} error - Cloud Storage error
+ * @param {string} key - Object key
+ * @returns {Error} Translated error
+ */
+function translateError(error, key) {
+  return error.code === 404 ? objectNotFoundError(key, error) : error;
+}
+
+/**
+ * Storage driver backed by a Google Cloud Storage bucket.
+ */
+class GcsStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.projectId - GCP project ID
+   * @param {string} options.bucketName - Bucket name
+   * @param {string} options.location - Location used when creating the bucket
+   * @param {boolean} options.autoCreateBucket - Create the bucket if it does not exist
+   * @param {number} options.noncurrentVersionDays - Days a created bucket keeps replaced object generations
+   * @param {string} options.kmsKeyName - Default Cloud KMS key (CMEK) for a created bucket
+   */
+  constructor(options) {
+    if (!options.bucketName) {
+      throw new Error('GCS storage driver requires a bucket name');
+    }
+
+    this.storage = new Storage({
+      projectId: options.projectId,
+    });
+    this.bucketName = options.bucketName;
+    this.bucket = this.storage.bucket(options.bucketName);
+    this.location = options.location;
+    this.autoCreateBucket = options.autoCreateBucket;
+    this.noncurrentVersionDays = options.noncurrentVersionDays;
+    this.kmsKeyName = options.kmsKeyName;
+  }
+
+  async init() {
+    const [exists] = await this.bucket.exists();
+    if (exists) {
+      return;
+    }
+
+    if (!this.autoCreateBucket) {
+      throw new Error(`Bucket ${this.bucketName} does not exist`);
+    }
+
+    await this.createBucket();
+  }
+
+  /**
+   * Create storage bucket with security configurations
+   */
+  async createBucket() {
+    const [bucket] = await this.storage.createBucket(this.bucketName, {
+      location: this.location,
+      storageClass: 'STANDARD',
+      versioning: {
+        enabled: true,
+      },
+      // Live objects are disposed of by the retention sweeper, per document type
+      lifecycle: {
+        rule: [
+          {
+            action: { type: 'Delete' },
+            condition: { isLive: false, daysSinceNoncurrentTime: this.noncurrentVersionDays },
+          },
+        ],
+      },
+      iamConfiguration: {
+        uniformBucketLevelAccess: {
+          enabled: true,
+        },
+      },
+      ...(this.kmsKeyName && {
+        encryption: {
+          defaultKmsKeyName: this.kmsKeyName,
+        },
+      }),
+    });
+
+    console.log(`Bucket ${this.bucketName} created successfully`);
+    return bucket;
+  }
+
+  async put(key, data, options = {}) {
+    const file = this.bucket.file(key);
+    const writeOptions = {
+      metadata: {
+        contentType: options.contentType,
+        metadata: options.metadata,
+      },
+      validation: 'crc32c',
+    };
+
+    if (Buffer.isBuffer(data)) {
+      await file.save(data, writeOptions);
+    } else {
+      await pipeline(data, file.createWriteStream(writeOptions));
+    }
+  }
+
+  async get(key) {
+    try {
+      const [data] = await this.bucket.file(key).download();
+      return data;
+    } catch (error) {
+      throw translateError(error, key);
+    }
+  }
+
+  stream(key, options = {}) {
+    const source = this.bucket.file(key).createReadStream({
+      start: options.start,
+      end: options.end,
+    });
+    const output = new PassThrough();
+    source.on('error', error => output.destroy(translateError(error, key)));
+
+    return source.pipe(output);
+  }
+
+  async delete(key) {
+    await this.bucket.file(key).delete({ ignoreNotFound: true });
+  }
+
+  async head(key) {
+    try {
+      const [metadata] = await this.bucket.file(key).getMetadata();
+      return this.toObjectInfo(key, metadata);
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list(options = {}) {
+    const [files, nextQuery] = await this.bucket.getFiles({
+      prefix: options.prefix,
+      maxResults: options.maxResults,
+      pageToken: options.pageToken,
+      autoPaginate: false,
+    });
+
+    return {
+      objects: files.map(file => this.toObjectInfo(file.name, file.metadata)),
+      nextPageToken: nextQuery ? nextQuery.pageToken : null,
+    };
+  }
+
+  async getSignedUrl(key, options = {}) {
+    const [signedUrl] = await this.bucket.file(key).getSignedUrl({
+      version: 'v4',
+      action: options.action || 'read',
+      expires: options.expires,
+      ...(options.maxContentLength && {
+        extensionHeaders: {
+          'x-goog-content-length-range': `0,${options.maxContentLength}`,
+        },
+      }),
+    });
+
+    return signedUrl;
+  }
+
+  describe() {
+    return { driver: 'gcs', bucket: this.bucketName };
+  }
+
+  /**
+   * Normalize Cloud Storage object metadata
+   * @param {string} key - Object key
+   * @param {Object} metadata - Cloud Storage object resource
+   * @returns {Object} Object info
+   */
+  toObjectInfo(key, metadata) {
+    return {
+      key,
+      size: Number(metadata.size),
+      contentType: metadata.contentType,
+      metadata: metadata.metadata || {},
+      created: metadata.timeCreated,
+      updated: metadata.updated,
+    };
+  }
+}
+
+module.exports = GcsStorageDriver;
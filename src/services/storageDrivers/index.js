@@ -0,0 +1,80 @@
+/**
+ * Storage drivers hold encrypted document objects and their `.enc` sidecars.
+ *
+ * Every driver implements:
+ *   init()                     -> Promise<void>
+ *   put(key, data, options)    -> Promise<void>           data is a Buffer or Readable;
+ *                                                         options: { contentType, metadata }
+ *   get(key)                   -> Promise<Buffer>
+ *   stream(key, options)       -> Readable                options: { start, end } (inclusive)
+ *   delete(key)                -> Promise<void>           succeeds if the object is already gone
+ *   head(key)                  -> Promise<Object|null>    { key, size, contentType, metadata, created, updated }
+ *   list(options)              -> Promise<Object>         options: { prefix, maxResults, pageToken };
+ *                                                         returns { objects, nextPageToken }
+ *   getSignedUrl(key, options) -> Promise<string>         options: { action, expires, maxContentLength }
+ *   describe()                 -> { driver, bucket }
+ *
+ * Missing objects are reported with error code OBJECT_NOT_FOUND. Drivers that cannot
+ * issue signed URLs reject with SIGNED_URL_UNSUPPORTED. Listings may return
+ * `metadata: null` when the backend does not include custom metadata in them.
+ */
+
+/**
+ * Create the storage driver selected by the storage configuration
+ * @param {Object} storageConfig - config.storage
+ * @param {Object} options - Additional driver options
+ * @param {string} options.projectId - GCP project ID
+ * @param {string} options.kmsKeyName - Cloud KMS key for bucket-level CMEK, if any
+ * @returns {Object} Storage driver instance
+ */
+function createStorageDriver(storageConfig, options = {}) {
+  switch (storageConfig.driver) {
+    case 'gcs': {
+      const GcsStorageDriver = require('./gcsDriver');
+      return new GcsStorageDriver({
+        projectId: options.projectId,
+        bucketName: storageConfig.bucketName,
+        location: storageConfig.bucketLocation,
+        autoCreateBucket: storageConfig.autoCreateBucket,
+        noncurrentVersionDays: storageConfig.noncurrentVersionDays,
+        kmsKeyName: options.kmsKeyName,
+      });
+    }
+    case 'local': {
+      const LocalStorageDriver = require('./localDriver');
+      return new LocalStorageDriver({
+        rootPath: storageConfig.localPath,
+      });
+    }
+    case 's3': {
+      const S3StorageDriver = require('./s3Driver');
+      return new S3StorageDriver({
+        bucketName: storageConfig.bucketName,
+        autoCreateBucket: storageConfig.autoCreateBucket,
+        ...storageConfig.s3,
+      });
+    }
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+  }
+}
+
+/**
+ * Build the error drivers report for a missing object
+ * @param {string} key - Object key
+ * @param {Error} cause - Backend error, if any
+ * @returns {Error} Error with code OBJECT_NOT_FOUND
+ */
+function objectNotFoundError(key, cause) {
+  const error = new Error(`Object not found: ${key}`);
+  error.code = 'OBJECT_NOT_FOUND';
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+module.exports = {
+  createStorageDriver,
+  objectNotFoundError,
+};
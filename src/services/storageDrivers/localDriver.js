@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { objectNotFoundError } = require('./index');
+
+/**
+ * Storage driver backed by a directory on local disk.
+ * Intended for development, CI and single-node installs.
+ *
+ * Objects live under `<root>/objects` and their content type and custom metadata
+ * in a JSON file of the same key under `<root>/metadata`. Writes go to `<root>/tmp`
+ * first and are renamed into place, so readers never see a partial object.
+ */
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.rootPath - Root directory
+   */
+  constructor(options) {
+    if (!options.rootPath) {
+      throw new Error('Local storage driver requires a root path');
+    }
+
+    this.rootPath = path.resolve(options.rootPath);
+    this.objectsPath = path.join(this.rootPath, 'objects');
+    this.metadataPath = path.join(this.rootPath, 'metadata');
+    this.tmpPath = path.join(this.rootPath, 'tmp');
+  }
+
+  async init() {
+    await Promise.all([this.objectsPath, this.metadataPath, this.tmpPath].map(dir =>
+      fs.promises.mkdir(dir, { recursive: true, mode: 0o700 })
+    ));
+  }
+
+  async put(key, data, options = {}) {
+    const objectPath = this.resolve(this.objectsPath, key);
+    const metadataPath = this.resolve(this.metadataPath, key, '.json');
+    const tmpObjectPath = path.join(this.tmpPath, crypto.randomUUID());
+    const tmpMetadataPath = `${tmpObjectPath}.json`;
+    const now = new Date().toISOString();
+    let output = null;
+
+    try {
+      if (Buffer.isBuffer(data)) {
+        await fs.promises.writeFile(tmpObjectPath, data, { mode: 0o600 });
+      } else {
+        output = fs.createWriteStream(tmpObjectPath, { mode: 0o600 });
+        await pipeline(data, output);
+      }
+
+      const existing = await this.readMetadata(key);
+      await fs.promises.writeFile(tmpMetadataPath, JSON.stringify({
+        contentType: options.contentType || 'application/octet-stream',
+        metadata: options.metadata || {},
+        created: existing ? existing.created : now,
+      }), { mode: 0o600 });
+
+      await Promise.all([
+        fs.promises.mkdir(path.dirname(objectPath), { recursive: true, mode: 0o700 }),
+        fs.promises.mkdir(path.dirname(metadataPath), { recursive: true, mode: 0o700 }),
+      ]);
+      await fs.promises.rename(tmpMetadataPath, metadataPath);
+      await fs.promises.rename(tmpObjectPath, objectPath);
+    } finally {
+      // A failed stream may still be opening its file
+      if (output && !output.closed) {
+        await new Promise(resolve => output.once('close', resolve));
+      }
+      await Promise.all([tmpObjectPath, tmpMetadataPath].map(file => fs.promises.rm(file, { force: true })));
+    }
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(this.objectsPath, key));
+    } catch (error) {
+      throw this.translateError(error, key);
+    }
+  }
+
+  stream(key, options = {}) {
+    const source = fs.createReadStream(this.resolve(this.objectsPath, key), {
+      start: options.start,
+      end: options.end,
+    });
+    const output = new PassThrough();
+    source.on('error', error => output.destroy(this.translateError(error, key)));
+
+    return source.pipe(output);
+  }
+
+  async delete(key) {
+    const objectPath = this.resolve(this.objectsPath, key);
+    const metadataPath = this.resolve(this.metadataPath, key, '.json');
+
+    await Promise.all([
+      fs.promises.rm(objectPath, { force: true }),
+      fs.promises.rm(metadataPath, { force: true }),
+    ]);
+
+    // Keys with prefixes would otherwise leave empty directories behind
+    await Promise.all([
+      this.pruneDirectories(this.objectsPath, objectPath),
+      this.pruneDirectories(this.metadataPath, metadataPath),
+    ]);
+  }
+
+  async head(key) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.resolve(this.objectsPath, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const stored = await this.readMetadata(key) || {};
+    return {
+      key,
+      size: stats.size,
+      contentType: stored.contentType || 'application/octet-stream',
+      metadata: stored.metadata || {},
+      created: stored.created || stats.birthtime.toISOString(),
+      updated: stats.mtime.toISOString(),
+    };
+  }
+
+  async list(options = {}) {
+    const prefix = options.prefix || '';
+    const keys = (await this.walk(this.objectsPath, ''))
+      .filter(key => key.startsWith(prefix) && (!options.pageToken || key > options.pageToken))
+      .sort();
+
+    const page = options.maxResults ? keys.slice(0, options.maxResults) : keys;
+    const objects = await Promise.all(page.map(key => this.head(key)));
+
+    return {
+      objects: objects.filter(Boolean),
+      nextPageToken: page.length < keys.length ? page[page.length - 1] : null,
+    };
+  }
+
+  async getSignedUrl() {
+    const error = new Error('Signed URLs are not supported by the local storage driver');
+    error.code = 'SIGNED_URL_UNSUPPORTED';
+    throw error;
+  }
+
+  describe() {
+    return { driver: 'local', bucket: this.rootPath };
+  }
+
+  /**
+   * Resolve an object key to a path, refusing keys that escape the directory
+   * @param {string} base - Base directory
+   * @param {string} key - Object key
+   * @param {string} suffix - File name suffix
+   * @returns {string} Absolute path
+   */
+  resolve(base, key, suffix = '') {
+    const resolved = path.resolve(base, `${key}${suffix}`);
+    if (!key || !resolved.startsWith(`${base}${path.sep}`)) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Remove the directories of a deleted file that are now empty
+   * @param {string} base - Base directory, which is kept
+   * @param {string} filePath - Path of the deleted file
+   * @returns {Promise<void>}
+   */
+  async pruneDirectories(base, filePath) {
+    for (let dir = path.dirname(filePath); dir !== base; dir = path.dirname(dir)) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch (error) {
+        return; // Not empty, or removed by a concurrent delete
+      }
+    }
+  }
+
+  /**
+   * Read the stored content type and custom metadata of an object
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} Stored metadata, or null if there is none
+   */
+  async readMetadata(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.resolve(this.metadataPath, key, '.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List every object key below a directory
+   * @param {string} dir - Directory to walk
+   * @param {string} prefix - Key prefix of the directory
+   * @returns {Promise<Array<string>>} Object keys
+   */
+  async walk(dir, prefix) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const keys = await Promise.all(entries.map(entry => (entry.isDirectory()
+      ? this.walk(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`])));
+
+    return keys.flat();
+  }
+
+  /**
+   * Map a missing file to OBJECT_NOT_FOUND
+   * @param {Error} error - File system error
+   * @param {string} key - Object key
+   * @returns {Error} Translated error
+   */
+  translateError(error, key) {
+    return error.code === 'ENOENT' ? objectNotFoundError(key, error) : error;
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,213 @@
+const {
+  S3Client,
+  CreateBucketCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutBucketVersioningCommand,
+  PutObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { PassThrough } = require('stream');
+const { objectNotFoundError } = require('./index');
+
+/**
+ * Check whether an S3 error means the object or bucket does not exist
+ * @param {Error} error - S3 error
+ * @returns {boolean} True for 404 responses
+ */
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * Storage driver for Amazon S3 and S3-compatible services such as MinIO.
+ *
+ * S3 lower-cases custom metadata names and only carries ASCII in them, so names
+ * are stored in kebab-case and values URI-encoded, and both are mapped back on read.
+ */
+class S3StorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.bucketName - Bucket name
+   * @param {boolean} options.autoCreateBucket - Create the bucket if it does not exist
+   * @param {string} options.endpoint - Endpoint URL for S3-compatible services
+   * @param {string} options.region - Region
+   * @param {string} options.accessKeyId - Access key; the default credential chain is used if unset
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {boolean} options.forcePathStyle - Use path-style URLs (required by MinIO)
+   */
+  constructor(options) {
+    if (!options.bucketName) {
+      throw new Error('S3 storage driver requires a bucket name');
+    }
+
+    this.bucketName = options.bucketName;
+    this.autoCreateBucket = options.autoCreateBucket;
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint,
+      forcePathStyle: options.forcePathStyle,
+      ...(options.accessKeyId && {
+        credentials: {
+          accessKeyId: options.accessKeyId,
+          secretAccessKey: options.secretAccessKey,
+        },
+      }),
+    });
+  }
+
+  async init() {
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: this.bucketName }));
+      return;
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+    }
+
+    if (!this.autoCreateBucket) {
+      throw new Error(`Bucket ${this.bucketName} does not exist`);
+    }
+
+    await this.client.send(new CreateBucketCommand({ Bucket: this.bucketName }));
+    await this.client.send(new PutBucketVersioningCommand({
+      Bucket: this.bucketName,
+      VersioningConfiguration: { Status: 'Enabled' },
+    }));
+
+    console.log(`Bucket ${this.bucketName} created successfully`);
+  }
+
+  async put(key, data, options = {}) {
+    // Multipart upload for streams of unknown length
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucketName,
+        Key: key,
+        Body: data,
+        ContentType: options.contentType,
+        Metadata: this.encodeMetadata(options.metadata),
+      },
+    });
+
+    await upload.done();
+  }
+
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      throw isNotFound(error) ? objectNotFoundError(key, error) : error;
+    }
+  }
+
+  stream(key, options = {}) {
+    const output = new PassThrough();
+    const ranged = options.start !== undefined || options.end !== undefined;
+
+    this.client.send(new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      ...(ranged && { Range: `bytes=${options.start || 0}-${options.end ?? ''}` }),
+    })).then(response => {
+      response.Body.on('error', error => output.destroy(error));
+      response.Body.pipe(output);
+    }, error => {
+      output.destroy(isNotFound(error) ? objectNotFoundError(key, error) : error);
+    });
+
+    return output;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: key }));
+  }
+
+  async head(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: key }));
+      return {
+        key,
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        metadata: this.decodeMetadata(response.Metadata),
+        created: response.LastModified?.toISOString(),
+        updated: response.LastModified?.toISOString(),
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list(options = {}) {
+    const response = await this.client.send(new ListObjectsV2Command({
+      Bucket: this.bucketName,
+      Prefix: options.prefix,
+      MaxKeys: options.maxResults,
+      ContinuationToken: options.pageToken,
+    }));
+
+    return {
+      // Listings do not include custom metadata
+      objects: (response.Contents || []).map(object => ({
+        key: object.Key,
+        size: object.Size,
+        contentType: null,
+        metadata: null,
+        created: object.LastModified?.toISOString(),
+        updated: object.LastModified?.toISOString(),
+      })),
+      nextPageToken: response.IsTruncated ? response.NextContinuationToken : null,
+    };
+  }
+
+  async getSignedUrl(key, options = {}) {
+    const command = options.action === 'write'
+      ? new PutObjectCommand({ Bucket: this.bucketName, Key: key })
+      : new GetObjectCommand({ Bucket: this.bucketName, Key: key });
+
+    return await getSignedUrl(this.client, command, {
+      expiresIn: Math.max(1, Math.round((options.expires - Date.now()) / 1000)),
+    });
+  }
+
+  describe() {
+    return { driver: 's3', bucket: this.bucketName };
+  }
+
+  /**
+   * Encode custom metadata for S3 headers
+   * @param {Object} metadata - Metadata with camelCase names
+   * @returns {Object} Metadata with kebab-case names and URI-encoded values
+   */
+  encodeMetadata(metadata = {}) {
+    return Object.fromEntries(Object.entries(metadata).map(([name, value]) => [
+      name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`),
+      encodeURIComponent(String(value)),
+    ]));
+  }
+
+  /**
+   * Decode custom metadata read from S3 headers
+   * @param {Object} metadata - Metadata as returned by S3
+   * @returns {Object} Metadata with camelCase names
+   */
+  decodeMetadata(metadata = {}) {
+    return Object.fromEntries(Object.entries(metadata).map(([name, value]) => [
+      name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase()),
+      decodeURIComponent(value),
+    ]));
+  }
+}
+
+module.exports = S3StorageDriver;
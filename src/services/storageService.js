@@ -1,81 +1,119 @@
-const { Storage } = require('@google-cloud/storage');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { PassThrough, Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const config = require('../config/config');
 const encryptionService = require('./encryptionService');
+const fileTypeService = require('./fileTypeService');
+const { createStorageDriver } = require('./storageDrivers');
+const { createMalwareScanner, createScanStream, scanVerdict } = require('./malwareScanners');
 const { v4: uuidv4 } = require('uuid');
 
+// Codecs a document may be compressed with before encryption, recorded in its .enc sidecar
+const COMPRESSION_CODECS = {
+  gzip: {
+    compress: () => zlib.createGzip({ level: 6 }),
+    decompress: () => zlib.createGunzip(),
+  },
+  br: {
+    // Quality 5 keeps most of the ratio at a fraction of the CPU of the default 11
+    compress: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }),
+    decompress: () => zlib.createBrotliDecompress(),
+  },
+};
+
+/**
+ * Resolve a requested byte range against a document's size
+ * @param {Object|null} range - Requested range: { start, end } with either bound null
+ * (an open end, or with a null start the last `end` bytes)
+ * @param {number} size - Document size in bytes
+ * @returns {Object|null} Inclusive { start, end }, or null to send the whole document
+ */
+function resolveRange(range, size) {
+  if (!range) {
+    return null;
+  }
+
+  const resolved = range.start === null
+    ? { start: Math.max(0, size - range.end), end: size - 1 }
+    : { start: range.start, end: Math.min(range.end ?? size - 1, size - 1) };
+
+  if (resolved.start >= size || (range.start === null && range.end === 0)) {
+    const error = new Error('Requested range not satisfiable');
+    error.code = 'RANGE_NOT_SATISFIABLE';
+    error.size = size;
+    throw error;
+  }
+  return resolved;
+}
+
+/**
+ * Create a stream that drops the first bytes written to it and passes on a fixed number after them
+ * @param {number} skip - Bytes to drop
+ * @param {number} length - Bytes to pass on
+ * @returns {Transform} Slicing stream
+ */
+function createSliceStream(skip, length) {
+  let remaining = length;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (skip >= chunk.length) {
+        skip -= chunk.length;
+        return callback();
+      }
+
+      const slice = chunk.subarray(skip, skip + remaining);
+      skip = 0;
+      remaining -= slice.length;
+      callback(null, slice.length > 0 ? slice : undefined);
+    },
+  });
+}
+
 class StorageService {
   constructor() {
-    this.storage = new Storage({
+    this.driver = createStorageDriver(config.storage, {
       projectId: config.gcp.projectId,
+      // Bucket-level CMEK only applies when documents are keyed by Cloud KMS
+      kmsKeyName: config.kms.provider === 'cloud-kms' ? config.kms.keyId : null,
     });
-    this.bucket = this.storage.bucket(config.storage.bucketName);
-    this.init();
-  }
-
-  async init() {
-    try {
-      // Check if bucket exists, create if not
-      const [exists] = await this.bucket.exists();
-      if (!exists) {
-        await this.createBucket();
-      }
-      console.log(`Storage service initialized with bucket: ${config.storage.bucketName}`);
-    } catch (error) {
-      console.error('Error initializing storage service:', error);
-      throw error;
-    }
+    this.scanner = createMalwareScanner(config.malwareScan);
+    this.initPromise = null;
   }
 
   /**
-   * Create storage bucket with security configurations
+   * Prepare the storage backend, creating the bucket if configured to
+   * Runs once; every operation awaits it before touching storage.
+   * @returns {Promise<void>}
    */
-  async createBucket() {
-    try {
-      const [bucket] = await this.storage.createBucket(config.storage.bucketName, {
-        location: config.storage.bucketLocation,
-        storageClass: 'STANDARD',
-        versioning: {
-          enabled: true,
-        },
-        lifecycle: {
-          rule: [
-            {
-              action: { type: 'Delete' },
-              condition: { age: 365 }, // Delete after 1 year
-            },
-          ],
-        },
-        iamConfiguration: {
-          uniformBucketLevelAccess: {
-            enabled: true,
-          },
-        },
-        encryption: {
-          defaultKmsKeyName: config.kms.keyId,
-        },
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.driver.init().then(() => {
+        const { driver, bucket } = this.driver.describe();
+        console.log(`Storage service initialized with ${driver} storage: ${bucket}`);
+      }, error => {
+        this.initPromise = null; // Retry on the next operation
+        console.error('Error initializing storage service:', error);
+        throw error;
       });
-
-      console.log(`Bucket ${config.storage.bucketName} created successfully`);
-      return bucket;
-    } catch (error) {
-      console.error('Error creating bucket:', error);
-      throw error;
     }
+    return this.initPromise;
   }
 
   /**
-   * Upload encrypted document to Cloud Storage
-   * @param {Buffer} fileBuffer - File data
+   * Upload encrypted document to storage
+   * The file is encrypted in chunks while it streams, so it is never held in memory.
+   * With a malware scanner configured the plaintext is scanned on its way to encryption;
+   * the verdict is returned as `malwareScan` and acting on it is up to the caller.
+   * @param {Buffer|Readable} source - File data or a readable stream of it
    * @param {Object} metadata - Document metadata
    * @param {Object} userInfo - User information
    * @returns {Promise<Object>} Upload result with document metadata
    */
-  async uploadDocument(fileBuffer, metadata, userInfo) {
+  async uploadDocument(source, metadata, userInfo) {
     try {
-      // Validate file size
-      if (fileBuffer.length > config.storage.maxFileSize) {
-        throw new Error(`File size exceeds maximum limit of ${config.storage.maxFileSize} bytes`);
-      }
+      await this.init();
 
       // Validate file type
       const fileExtension = metadata.originalName.split('.').pop().toLowerCase();
@@ -83,75 +121,145 @@ class StorageService {
         throw new Error(`File type .${fileExtension} is not allowed`);
       }
 
+      const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+      const clientEncryption = metadata.clientEncryption;
+
+      // New versions keep their document's ID; browser-encrypted files bind their
+      // ciphertext to an ID chosen by the client
+      const documentId = metadata.documentId || (clientEncryption ? clientEncryption.documentId : uuidv4());
+
       // Generate secure file name
       const secureFileName = encryptionService.generateSecureFileName(metadata.originalName);
-      
-      // Generate file hash for integrity verification
-      const fileHash = encryptionService.generateFileHash(fileBuffer);
 
-      // Encrypt the file
-      const encryptedPayload = await encryptionService.encryptData(fileBuffer);
+      // Measure and hash the plaintext as it passes through for integrity verification
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      const meter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          if (size > config.storage.maxFileSize) {
+            return callback(new Error(`File size exceeds maximum limit of ${config.storage.maxFileSize} bytes`));
+          }
+          hash.update(chunk);
+          callback(null, chunk);
+        },
+        flush(callback) {
+          // Multer truncates streams that hit its size limit instead of failing them
+          if (input.truncated) {
+            return callback(new Error(`File size exceeds maximum limit of ${config.storage.maxFileSize} bytes`));
+          }
+          callback();
+        },
+      });
+
+      // The content must be what its extension and MIME type claim; browser-encrypted
+      // files are opaque to this check and to the scanner
+      const inspection = clientEncryption
+        ? null
+        : fileTypeService.createInspectionStream({ extension: fileExtension, mimeType: metadata.mimeType });
+      const scan = this.scanner && !clientEncryption ? createScanStream(this.scanner) : null;
+
+      // Browser-encrypted files are already ciphertext and gain nothing from compression
+      const codec = clientEncryption ? null : this.getCompressionCodec(metadata.mimeType);
+      let compressedSize = 0;
+      const compressionStreams = codec ? [
+        COMPRESSION_CODECS[codec].compress(),
+        new Transform({
+          transform(chunk, encoding, callback) {
+            compressedSize += chunk.length;
+            callback(null, chunk);
+          },
+        }),
+      ] : [];
+
+      const employeeId = metadata.employeeId || userInfo.employeeId;
+      const version = metadata.version || 1;
+
+      // Bind the ciphertext to this document so objects cannot be swapped between documents.
+      // Browser-encrypted files are stored as received.
+      const { stream: cipherStream, encryptionMetadata } = clientEncryption
+        ? { stream: new PassThrough(), encryptionMetadata: encryptionService.getClientSideEncryptionMetadata() }
+        : await encryptionService.createEncryptStream(
+          encryptionService.getEncryptionContext({ documentId, employeeId, version })
+        );
+
+      // Stream encrypted file to storage
+      const streams = [input, meter, inspection, scan && scan.stream, ...compressionStreams, cipherStream].filter(Boolean);
+      await this.writeObject(secureFileName, streams, {
+        contentType: 'application/octet-stream', // Always use binary for encrypted files
+        metadata: {
+          documentId,
+          // Names configured for field-level encryption must not leak through object metadata
+          ...(config.encryption.metadataFields.includes('originalName') ? {} : { originalName: metadata.originalName }),
+          uploadedBy: userInfo.uid,
+          encrypted: 'true',
+          encryptionAlgorithm: encryptionMetadata.algorithm,
+          encryptionFormat: encryptionMetadata.format,
+        },
+      });
+
+      const fileHash = hash.digest('hex');
+
+      // The verdict arrives after the last byte; an object whose scan failed is not kept
+      const malwareScan = scan
+        ? await scan.verdict.catch(async error => {
+          await this.driver.delete(secureFileName);
+          throw error;
+        })
+        : this.getUnscannedVerdict();
+
+      if (codec) {
+        encryptionMetadata.compression = { codec, originalSize: size, compressedSize };
+      }
 
       // Prepare document metadata
       const documentMetadata = {
-        id: uuidv4(),
+        id: documentId,
         originalName: metadata.originalName,
         fileName: secureFileName,
         mimeType: metadata.mimeType,
-        size: fileBuffer.length,
-        encryptedSize: Buffer.from(encryptedPayload.encryptedData, 'base64').length,
-        fileHash,
+        size,
+        encryptedSize: clientEncryption
+          ? size
+          : encryptionService.getChunkedCiphertextLength(codec ? compressedSize : size, encryptionMetadata.chunkSize),
+        compression: codec ? { codec, compressedSize } : null,
+        fileHash, // For browser-encrypted files this is the hash of the ciphertext
+        malwareScan,
         documentType: metadata.documentType,
-        employeeId: metadata.employeeId || userInfo.employeeId,
+        employeeId,
         ownerId: userInfo.uid,
         uploadedBy: userInfo.uid,
         uploadedAt: new Date().toISOString(),
         lastModified: new Date().toISOString(),
-        version: 1,
+        version,
         isActive: true,
         tags: metadata.tags || [],
         description: metadata.description || '',
-        encryptionInfo: encryptionService.getEncryptionInfo(),
-      };
-
-      // Upload encrypted file to Cloud Storage
-      const file = this.bucket.file(secureFileName);
-      const encryptedBuffer = Buffer.from(encryptedPayload.encryptedData, 'base64');
-      
-      await file.save(encryptedBuffer, {
-        metadata: {
-          contentType: 'application/octet-stream', // Always use binary for encrypted files
-          metadata: {
-            documentId: documentMetadata.id,
-            originalName: metadata.originalName,
-            uploadedBy: userInfo.uid,
-            encrypted: 'true',
-            encryptionAlgorithm: encryptedPayload.algorithm,
-          },
+        encryptionInfo: clientEncryption ? {
+          algorithm: 'aes-256-gcm',
+          keyManagement: 'client',
+          envelopeEncryption: true,
+          clientSide: true,
+        } : {
+          ...encryptionService.getEncryptionInfo(),
+          keyVersion: encryptionMetadata.kmsKeyVersion,
+          employeeKeyId: encryptionMetadata.employeeKeyId || null,
         },
-        validation: 'crc32c',
-      });
+        ...(clientEncryption && {
+          clientEncryption: {
+            version: clientEncryption.version,
+            algorithm: encryptionMetadata.algorithm,
+            keyWrapping: encryptionMetadata.keyWrapping,
+            recipients: clientEncryption.recipients,
+          },
+        }),
+      };
 
       // Store encryption metadata separately
-      const encryptionMetadataFile = this.bucket.file(`${secureFileName}.enc`);
-      await encryptionMetadataFile.save(JSON.stringify({
-        encryptedDEK: encryptedPayload.encryptedDEK,
-        iv: encryptedPayload.iv,
-        authTag: encryptedPayload.authTag,
-        algorithm: encryptedPayload.algorithm,
-        kmsKeyId: encryptedPayload.kmsKeyId,
-      }), {
-        metadata: {
-          contentType: 'application/json',
-          metadata: {
-            documentId: documentMetadata.id,
-            type: 'encryption-metadata',
-          },
-        },
-      });
+      await this.saveEncryptionMetadata(secureFileName, encryptionMetadata, documentId);
 
       return {
-        documentId: documentMetadata.id,
+        documentId,
         fileName: secureFileName,
         metadata: documentMetadata,
         uploadSuccess: true,
@@ -163,58 +271,235 @@ class StorageService {
   }
 
   /**
-   * Download and decrypt document from Cloud Storage
+   * Stream data through a chain of transforms into a storage object
+   * Waits for both sides so a failed write has been cleaned up by the driver before returning.
+   * @param {string} key - Object key
+   * @param {Array<Stream>} streams - Source stream followed by any transforms
+   * @param {Object} options - Driver put options (contentType, metadata)
+   * @returns {Promise<void>}
+   */
+  async writeObject(key, streams, options) {
+    const body = new PassThrough();
+    const results = await Promise.allSettled([
+      pipeline(...streams, body),
+      this.driver.put(key, body, options).catch(error => {
+        // Stop the pipeline instead of leaving it blocked on a dead consumer
+        body.destroy(error);
+        throw error;
+      }),
+    ]);
+
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+  }
+
+  /**
+   * Encrypt and store one chunk of a resumable upload
+   * Staged chunks live under their own prefix until the upload is finalized.
+   * @param {string} key - Object key
+   * @param {Buffer} data - Chunk data
+   * @param {Object} encryptionContext - Identity the ciphertext is bound to
+   * @returns {Promise<void>}
+   */
+  async stageChunk(key, data, encryptionContext) {
+    await this.init();
+
+    const { stream: cipherStream, encryptionMetadata } = await encryptionService.createEncryptStream(encryptionContext);
+    await this.writeObject(key, [Readable.from([data]), cipherStream], {
+      contentType: 'application/octet-stream',
+      metadata: {
+        encrypted: 'true',
+        type: 'upload-chunk',
+      },
+    });
+    await this.saveEncryptionMetadata(key, encryptionMetadata, encryptionContext.documentId);
+  }
+
+  /**
+   * Read back a staged upload chunk
+   * @param {string} key - Object key
+   * @param {Object} encryptionContext - Identity the ciphertext must be bound to
+   * @returns {Promise<Readable>} Decrypted chunk stream
+   */
+  async openStagedChunk(key, encryptionContext) {
+    await this.init();
+
+    const encryptionMetadata = await this.getEncryptionMetadata(key);
+    const decipher = await encryptionService.createDecryptStream(encryptionMetadata, encryptionContext);
+    return this.driver.stream(key).on('error', error => decipher.destroy(error)).pipe(decipher);
+  }
+
+  /**
+   * Encrypt and store a rendered preview of a document
+   * @param {string} key - Object key
+   * @param {Buffer} data - PNG image
+   * @param {Object} encryptionContext - Identity the ciphertext is bound to
+   * @returns {Promise<void>}
+   */
+  async storePreview(key, data, encryptionContext) {
+    await this.init();
+
+    const { stream: cipherStream, encryptionMetadata } = await encryptionService.createEncryptStream(encryptionContext);
+    await this.writeObject(key, [Readable.from([data]), cipherStream], {
+      contentType: 'application/octet-stream',
+      metadata: {
+        documentId: encryptionContext.documentId,
+        encrypted: 'true',
+        type: 'preview',
+      },
+    });
+    await this.saveEncryptionMetadata(key, encryptionMetadata, encryptionContext.documentId);
+  }
+
+  /**
+   * Read back a rendered preview
+   * @param {string} key - Object key
+   * @param {Object} encryptionContext - Identity the ciphertext must be bound to
+   * @returns {Promise<Readable>} Decrypted PNG stream
+   */
+  async openPreview(key, encryptionContext) {
+    await this.init();
+
+    const encryptionMetadata = await this.getEncryptionMetadata(key);
+    const decipher = await encryptionService.createDecryptStream(encryptionMetadata, encryptionContext);
+    return this.driver.stream(key).on('error', error => decipher.destroy(error)).pipe(decipher);
+  }
+
+  /**
+   * Delete every object under a key prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<number>} Number of objects deleted
+   */
+  async deletePrefix(prefix) {
+    await this.init();
+
+    let deleted = 0;
+    let pageToken = null;
+    do {
+      const page = await this.driver.list({ prefix, maxResults: 1000, pageToken });
+      await Promise.all(page.objects.map(object => this.driver.delete(object.key)));
+      deleted += page.objects.length;
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    return deleted;
+  }
+
+  /**
+   * Download and decrypt document from storage
+   * Chunked objects are decrypted as they stream; legacy single-blob objects are
+   * decrypted in memory and wrapped in a stream. Client-side encrypted objects are
+   * returned as stored.
+   * A byte range of an uncompressed chunked object only reads and decrypts the frames
+   * that hold it. Compressed and legacy objects are decoded from the start and trimmed.
    * @param {string} fileName - Secure file name
    * @param {Object} userInfo - User information for access control
-   * @returns {Promise<Object>} Decrypted file data and metadata
+   * @param {Object} encryptionContext - Identity the ciphertext must be bound to
+   * @param {Object} options - Download options
+   * @param {Object} options.range - Byte range of the document to send (see resolveRange)
+   * @returns {Promise<Object>} Decrypted file stream and metadata; `range` is the resolved
+   * range when one was requested and `size` is always the whole document's size
    */
-  async downloadDocument(fileName, userInfo) {
+  async downloadDocument(fileName, userInfo, encryptionContext, options = {}) {
     try {
-      const file = this.bucket.file(fileName);
-      const encryptionMetadataFile = this.bucket.file(`${fileName}.enc`);
+      await this.init();
 
-      // Check if files exist
-      const [fileExists] = await file.exists();
-      const [encMetaExists] = await encryptionMetadataFile.exists();
+      // Check if files exist and get file metadata
+      const [object, encryptionMetadataObject] = await Promise.all([
+        this.driver.head(fileName),
+        this.driver.head(`${fileName}.enc`),
+      ]);
 
-      if (!fileExists) {
+      if (!object) {
         throw new Error('Document not found');
       }
 
-      if (!encMetaExists) {
+      if (!encryptionMetadataObject) {
         throw new Error('Encryption metadata not found');
       }
 
-      // Download encrypted file
-      const [encryptedData] = await file.download();
-
       // Download encryption metadata
-      const [encryptionMetadataBuffer] = await encryptionMetadataFile.download();
-      const encryptionMetadata = JSON.parse(encryptionMetadataBuffer.toString());
-
-      // Prepare encryption payload for decryption
-      const encryptionPayload = {
-        encryptedData: encryptedData.toString('base64'),
-        encryptedDEK: encryptionMetadata.encryptedDEK,
-        iv: encryptionMetadata.iv,
-        authTag: encryptionMetadata.authTag,
-        algorithm: encryptionMetadata.algorithm,
-      };
-
-      // Decrypt the file
-      const decryptedData = await encryptionService.decryptData(encryptionPayload);
-
-      // Get file metadata
-      const [metadata] = await file.getMetadata();
+      const encryptionMetadata = await this.getEncryptionMetadata(fileName);
+
+      let stream;
+      let size;
+      let range = null;
+
+      if (encryptionService.isClientSideFormat(encryptionMetadata)) {
+        // Opaque to the server; recipients decrypt in the browser
+        size = object.size;
+        range = resolveRange(options.range, size);
+        stream = this.driver.stream(fileName, range || {});
+      } else if (encryptionService.isChunkedFormat(encryptionMetadata)) {
+        const compression = encryptionMetadata.compression;
+        size = compression
+          ? compression.originalSize
+          : encryptionService.getChunkedPlaintextLength(object.size, encryptionMetadata.chunkSize);
+        range = resolveRange(options.range, size);
+
+        if (range && !compression) {
+          const frames = encryptionService.getChunkedByteRange(
+            range.start, range.end, encryptionMetadata.chunkSize, object.size);
+          const header = await this.readObjectRange(fileName, 0, frames.headerLength - 1);
+          const decipher = await encryptionService.createDecryptStream(encryptionMetadata, encryptionContext, {
+            header,
+            firstFrame: frames.firstFrame,
+            partial: frames.partial,
+          });
+          const slice = createSliceStream(frames.skip, range.end - range.start + 1);
+          stream = this.driver.stream(fileName, { start: frames.start, end: frames.end })
+            .on('error', error => decipher.destroy(error))
+            .pipe(decipher)
+            .on('error', error => slice.destroy(error))
+            .pipe(slice);
+        } else {
+          const decipher = await encryptionService.createDecryptStream(encryptionMetadata, encryptionContext);
+          stream = this.driver.stream(fileName).on('error', error => decipher.destroy(error)).pipe(decipher);
+
+          if (compression) {
+            const decompressor = this.createDecompressStream(compression.codec);
+            stream = stream.on('error', error => decompressor.destroy(error)).pipe(decompressor);
+          }
+
+          if (range) {
+            const slice = createSliceStream(range.start, range.end - range.start + 1);
+            stream = stream.on('error', error => slice.destroy(error)).pipe(slice);
+          }
+        }
+      } else {
+        // Download encrypted file
+        const encryptedData = await this.driver.get(fileName);
+
+        // Prepare encryption payload for decryption
+        const encryptionPayload = {
+          payloadVersion: encryptionMetadata.payloadVersion,
+          encryptedData: encryptedData.toString('base64'),
+          encryptedDEK: encryptionMetadata.encryptedDEK,
+          iv: encryptionMetadata.iv,
+          authTag: encryptionMetadata.authTag,
+          algorithm: encryptionMetadata.algorithm,
+          // The key rotation job moves legacy DEKs onto the employee's KEK too
+          employeeKeyId: encryptionMetadata.employeeKeyId,
+        };
+
+        // Decrypt the file
+        const decryptedData = await encryptionService.decryptData(encryptionPayload, encryptionContext);
+        size = decryptedData.length;
+        range = resolveRange(options.range, size);
+        stream = Readable.from([range ? decryptedData.subarray(range.start, range.end + 1) : decryptedData]);
+      }
 
       return {
-        data: decryptedData,
+        stream,
         metadata: {
-          originalName: metadata.metadata?.originalName,
-          documentId: metadata.metadata?.documentId,
-          uploadedBy: metadata.metadata?.uploadedBy,
-          size: decryptedData.length,
-          lastModified: metadata.updated,
+          originalName: object.metadata.originalName,
+          documentId: object.metadata.documentId,
+          uploadedBy: object.metadata.uploadedBy,
+          size,
+          range,
+          lastModified: object.updated,
         },
       };
     } catch (error) {
@@ -224,20 +509,111 @@ class StorageService {
   }
 
   /**
-   * Delete document from Cloud Storage
+   * Scan a stored document for malware, e.g. after the scanner's signatures were updated
+   * @param {string} fileName - Secure file name
+   * @param {Object} userInfo - User information
+   * @param {Object} encryptionContext - Identity the ciphertext must be bound to
+   * @returns {Promise<Object>} Verdict ({ status, signature, engine, scannedAt })
+   */
+  async scanDocument(fileName, userInfo, encryptionContext) {
+    if (!this.scanner) {
+      throw new Error('Malware scanning is not configured');
+    }
+
+    const { stream } = await this.downloadDocument(fileName, userInfo, encryptionContext);
+    return await scanVerdict(this.scanner, stream);
+  }
+
+  /**
+   * Describe a file that was stored without a scan
+   * @returns {Object|null} Verdict with status not_scanned, or null when scanning is disabled
+   */
+  getUnscannedVerdict() {
+    return this.scanner
+      ? { status: 'not_scanned', signature: null, engine: null, scannedAt: null }
+      : null;
+  }
+
+  /**
+   * Read a byte range of a stored object into memory
+   * @param {string} fileName - Object key
+   * @param {number} start - First byte (inclusive)
+   * @param {number} end - Last byte (inclusive)
+   * @returns {Promise<Buffer>} Object bytes
+   */
+  async readObjectRange(fileName, start, end) {
+    const chunks = [];
+    for await (const chunk of this.driver.stream(fileName, { start, end })) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Choose the codec to compress a document with before encryption
+   * @param {string} mimeType - Document MIME type
+   * @returns {string|null} Codec name, or null to store the document uncompressed
+   */
+  getCompressionCodec(mimeType) {
+    const { codec, mimeTypes } = config.storage.compression;
+    return COMPRESSION_CODECS[codec] && mimeTypes.includes(mimeType) ? codec : null;
+  }
+
+  /**
+   * Create a stream that restores a document compressed before encryption
+   * @param {string} codec - Codec recorded in the .enc sidecar
+   * @returns {Transform} Decompressing stream
+   */
+  createDecompressStream(codec) {
+    if (!COMPRESSION_CODECS[codec]) {
+      throw new Error(`Unsupported compression codec: ${codec}`);
+    }
+    return COMPRESSION_CODECS[codec].decompress();
+  }
+
+  /**
+   * Read the encryption metadata sidecar (.enc) of a stored document
+   * @param {string} fileName - Secure file name
+   * @returns {Promise<Object>} Encryption metadata
+   */
+  async getEncryptionMetadata(fileName) {
+    await this.init();
+    const encryptionMetadataBuffer = await this.driver.get(`${fileName}.enc`);
+    return JSON.parse(encryptionMetadataBuffer.toString());
+  }
+
+  /**
+   * Write the encryption metadata sidecar (.enc) of a stored document
+   * @param {string} fileName - Secure file name
+   * @param {Object} encryptionMetadata - Encryption metadata (wrapped DEK, format, key version)
+   * @param {string} documentId - Document ID
+   * @returns {Promise<void>}
+   */
+  async saveEncryptionMetadata(fileName, encryptionMetadata, documentId) {
+    await this.init();
+    await this.driver.put(`${fileName}.enc`, Buffer.from(JSON.stringify(encryptionMetadata)), {
+      contentType: 'application/json',
+      metadata: {
+        documentId,
+        type: 'encryption-metadata',
+      },
+    });
+  }
+
+  /**
+   * Delete document from storage
    * @param {string} fileName - Secure file name
    * @param {Object} userInfo - User information for access control
    * @returns {Promise<boolean>} Success status
    */
   async deleteDocument(fileName, userInfo) {
     try {
-      const file = this.bucket.file(fileName);
-      const encryptionMetadataFile = this.bucket.file(`${fileName}.enc`);
+      await this.init();
 
       // Delete both the encrypted file and its metadata
       await Promise.all([
-        file.delete(),
-        encryptionMetadataFile.delete(),
+        this.driver.delete(fileName),
+        this.driver.delete(`${fileName}.enc`),
       ]);
 
       console.log(`Document ${fileName} deleted successfully by user ${userInfo.uid}`);
@@ -256,18 +632,13 @@ class StorageService {
    */
   async generateSignedUrl(fileName, options = {}) {
     try {
-      const file = this.bucket.file(fileName);
-      
-      const [signedUrl] = await file.getSignedUrl({
-        version: 'v4',
+      await this.init();
+
+      return await this.driver.getSignedUrl(fileName, {
         action: options.action || 'read',
         expires: Date.now() + (options.expirationMinutes || 15) * 60 * 1000, // Default 15 minutes
-        extensionHeaders: {
-          'x-goog-content-length-range': `0,${config.storage.maxFileSize}`,
-        },
+        maxContentLength: config.storage.maxFileSize,
       });
-
-      return signedUrl;
     } catch (error) {
       console.error('Error generating signed URL:', error);
       throw error;
@@ -275,29 +646,40 @@ class StorageService {
   }
 
   /**
-   * List documents in bucket (for admin purposes)
-   * @param {Object} options - Listing options
-   * @returns {Promise<Array>} List of documents
+   * List documents in bucket (for admin purposes), one page at a time
+   * @param {Object} options - Listing options (prefix, maxResults, pageToken)
+   * @returns {Promise<Object>} Documents, the `.enc` encryption metadata keys on the page and the next page token
    */
   async listDocuments(options = {}) {
     try {
-      const [files] = await this.bucket.getFiles({
+      await this.init();
+
+      const { objects, nextPageToken } = await this.driver.list({
         prefix: options.prefix,
         maxResults: options.maxResults || 100,
+        pageToken: options.pageToken,
       });
 
-      const documents = files
-        .filter(file => !file.name.endsWith('.enc')) // Exclude encryption metadata files
-        .map(file => ({
-          name: file.name,
-          size: file.metadata.size,
-          created: file.metadata.timeCreated,
-          updated: file.metadata.updated,
-          documentId: file.metadata.metadata?.documentId,
-          originalName: file.metadata.metadata?.originalName,
+      const encryptionMetadata = objects
+        .filter(object => object.key.endsWith('.enc'))
+        .map(object => ({ name: object.key, created: object.created }));
+
+      const documents = await Promise.all(objects
+        .filter(object => !object.key.endsWith('.enc')) // Exclude encryption metadata files
+        .map(async object => {
+          // Some drivers leave custom metadata out of listings
+          const metadata = object.metadata || (await this.driver.head(object.key))?.metadata || {};
+          return {
+            name: object.key,
+            size: object.size,
+            created: object.created,
+            updated: object.updated,
+            documentId: metadata.documentId,
+            originalName: metadata.originalName,
+          };
         }));
 
-      return documents;
+      return { documents, encryptionMetadata, nextPageToken };
     } catch (error) {
       console.error('Error listing documents:', error);
       throw error;
@@ -311,9 +693,8 @@ class StorageService {
    */
   async documentExists(fileName) {
     try {
-      const file = this.bucket.file(fileName);
-      const [exists] = await file.exists();
-      return exists;
+      await this.init();
+      return Boolean(await this.driver.head(fileName));
     } catch (error) {
       console.error('Error checking document existence:', error);
       return false;
@@ -327,19 +708,23 @@ class StorageService {
    */
   async getDocumentMetadata(fileName) {
     try {
-      const file = this.bucket.file(fileName);
-      const [metadata] = await file.getMetadata();
-      
+      await this.init();
+
+      const object = await this.driver.head(fileName);
+      if (!object) {
+        throw new Error('Document not found');
+      }
+
       return {
-        name: file.name,
-        size: metadata.size,
-        contentType: metadata.contentType,
-        created: metadata.timeCreated,
-        updated: metadata.updated,
-        documentId: metadata.metadata?.documentId,
-        originalName: metadata.metadata?.originalName,
-        uploadedBy: metadata.metadata?.uploadedBy,
-        encrypted: metadata.metadata?.encrypted === 'true',
+        name: object.key,
+        size: object.size,
+        contentType: object.contentType,
+        created: object.created,
+        updated: object.updated,
+        documentId: object.metadata.documentId,
+        originalName: object.metadata.originalName,
+        uploadedBy: object.metadata.uploadedBy,
+        encrypted: object.metadata.encrypted === 'true',
       };
     } catch (error) {
       console.error('Error getting document metadata:', error);
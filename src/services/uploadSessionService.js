@@ -0,0 +1,565 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const config = require('../config/config');
+const storageService = require('./storageService');
+const encryptionService = require('./encryptionService');
+const documentService = require('./documentService');
+const auditService = require('./auditService');
+const { v4: uuidv4 } = require('uuid');
+
+const SESSION_STATUS = {
+  OPEN: 'open',
+  FINALIZING: 'finalizing',
+  COMPLETED: 'completed',
+  ABORTED: 'aborted',
+};
+
+/**
+ * Build an upload session error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} details - Extra properties for the response
+ * @returns {Error} Error with code
+ */
+function sessionError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, details);
+}
+
+/**
+ * Resumable uploads for slow or unreliable links.
+ *
+ * A client opens a session with the file's metadata and size, then sends the file in
+ * sequential chunks. Each chunk is encrypted and staged under `config.uploads.stagingPrefix`
+ * as it arrives, so a dropped connection only loses the chunk in flight. Finalizing
+ * streams the staged chunks through the regular upload pipeline; the document record is
+ * only created then. Abandoned sessions expire and are garbage-collected.
+ */
+class UploadSessionService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.sessionsCollection = this.firestore.collection(config.firestore.collections.uploadSessions);
+  }
+
+  /**
+   * Open a resumable upload session
+   * @param {Object} metadata - Document metadata (originalName, mimeType, totalSize, documentType, ...)
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Session status
+   */
+  async createSession(metadata, userInfo, requestInfo = {}) {
+    if (!documentService.canUploadDocument(userInfo, metadata)) {
+      await auditService.logAccessDenied({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        resource: {
+          type: 'upload_session',
+          action: 'create',
+        },
+        attemptedAction: 'create_upload_session',
+        reason: 'insufficient_permissions',
+        requiredRole: [config.roles.HR, config.roles.ADMIN],
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+      });
+      throw new Error('Insufficient permissions to upload document');
+    }
+
+    if (metadata.totalSize > config.storage.maxFileSize) {
+      throw new Error(`File validation failed: File size exceeds maximum limit of ${config.storage.maxFileSize} bytes`);
+    }
+
+    // Reject a bad envelope now rather than after the whole file has been sent
+    await documentService.validateClientEncryption(metadata, userInfo);
+
+    const sessionId = uuidv4();
+    const employeeId = metadata.employeeId || userInfo.employeeId;
+    const documentMetadata = {
+      originalName: metadata.originalName,
+      mimeType: metadata.mimeType,
+      documentType: metadata.documentType,
+      employeeId,
+      description: metadata.description,
+      tags: metadata.tags,
+      viewers: metadata.viewers,
+      editors: metadata.editors,
+      clientEncryption: metadata.clientEncryption || null,
+    };
+
+    const session = {
+      id: sessionId,
+      status: SESSION_STATUS.OPEN,
+      ownerId: userInfo.uid,
+      employeeId,
+      documentType: metadata.documentType,
+      totalSize: metadata.totalSize,
+      receivedBytes: 0,
+      chunks: [],
+      // File name, description and tags are as sensitive here as on the document record
+      encryptedMetadata: await encryptionService.encryptMetadata(
+        documentMetadata,
+        this.getMetadataEncryptionContext(sessionId, employeeId)
+      ),
+      documentId: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: this.getExpiry(),
+    };
+
+    await this.sessionsCollection.doc(sessionId).set(session);
+
+    await auditService.logUploadSession({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      sessionId,
+      action: 'created',
+      documentEmployeeId: employeeId,
+      documentType: metadata.documentType,
+      totalSize: metadata.totalSize,
+      receivedBytes: 0,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: true,
+    });
+
+    return this.toStatus(session);
+  }
+
+  /**
+   * Accept the next chunk of an upload
+   * Chunks must arrive in order; a chunk at any other offset is rejected with the
+   * offset the session expects, so a client that lost a response can resume from it.
+   * @param {string} sessionId - Session ID
+   * @param {Object} range - Position of the chunk
+   * @param {number} range.offset - Byte offset of the chunk in the file
+   * @param {number} range.totalSize - File size the client declares with the chunk
+   * @param {Buffer} data - Chunk data
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Session status
+   */
+  async appendChunk(sessionId, range, data, userInfo, requestInfo = {}) {
+    const session = await this.getOwnedSession(sessionId, userInfo, requestInfo);
+    this.assertOpen(session);
+
+    const { offset } = range;
+    if (range.totalSize !== session.totalSize) {
+      throw sessionError('INVALID_CHUNK', `File size ${range.totalSize} does not match the session's ${session.totalSize} bytes`);
+    }
+
+    if (offset !== session.receivedBytes) {
+      throw sessionError('OFFSET_MISMATCH', `Expected chunk at offset ${session.receivedBytes}`, {
+        receivedBytes: session.receivedBytes,
+      });
+    }
+
+    const end = offset + data.length;
+    if (data.length === 0 || end > session.totalSize) {
+      throw sessionError('INVALID_CHUNK', 'Chunk is empty or extends past the declared file size');
+    }
+    if (data.length > config.uploads.maxChunkSize) {
+      throw sessionError('INVALID_CHUNK', `Chunks must not exceed ${config.uploads.maxChunkSize} bytes`);
+    }
+    if (end < session.totalSize && data.length < config.uploads.minChunkSize) {
+      throw sessionError('INVALID_CHUNK', `Chunks other than the last must be at least ${config.uploads.minChunkSize} bytes`);
+    }
+
+    const index = session.chunks.length;
+    const chunk = {
+      index,
+      offset,
+      size: data.length,
+      key: `${this.getStagingPrefix(sessionId)}${String(index).padStart(6, '0')}-${uuidv4()}`,
+    };
+
+    await storageService.stageChunk(chunk.key, data, this.getChunkEncryptionContext(session, index));
+
+    const sessionRef = this.sessionsCollection.doc(sessionId);
+    try {
+      await this.firestore.runTransaction(async transaction => {
+        const latest = (await transaction.get(sessionRef)).data();
+        if (!latest || latest.status !== SESSION_STATUS.OPEN || latest.receivedBytes !== offset) {
+          throw sessionError('OFFSET_MISMATCH', 'Upload session was changed by another request', {
+            receivedBytes: latest ? latest.receivedBytes : null,
+          });
+        }
+
+        transaction.update(sessionRef, {
+          receivedBytes: end,
+          chunks: admin.firestore.FieldValue.arrayUnion(chunk),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          // Activity keeps a slow upload alive
+          expiresAt: this.getExpiry(),
+        });
+      });
+    } catch (error) {
+      // The staged chunk was never recorded, so nothing would ever read or remove it
+      await storageService.deleteDocument(chunk.key, userInfo).catch(err => {
+        console.error('Error deleting unrecorded upload chunk:', err);
+      });
+      throw error;
+    }
+
+    return this.toStatus({
+      ...session,
+      receivedBytes: end,
+      chunks: [...session.chunks, chunk],
+      expiresAt: this.getExpiry(),
+    });
+  }
+
+  /**
+   * Get the progress of an upload
+   * @param {string} sessionId - Session ID
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Session status
+   */
+  async getSessionStatus(sessionId, userInfo, requestInfo = {}) {
+    const session = await this.getOwnedSession(sessionId, userInfo, requestInfo);
+    return this.toStatus(session);
+  }
+
+  /**
+   * Assemble the staged chunks into a document
+   * Finalizing a completed session again returns the same document, so a client whose
+   * connection dropped while waiting for the response can safely retry.
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - Finalize options
+   * @param {string} options.sha256 - Expected SHA-256 of the whole file, checked before the document is recorded
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Upload result
+   */
+  async finalizeSession(sessionId, options, userInfo, requestInfo = {}) {
+    const session = await this.getOwnedSession(sessionId, userInfo, requestInfo);
+
+    if (session.status === SESSION_STATUS.COMPLETED) {
+      return {
+        success: true,
+        documentId: session.documentId,
+        message: 'Document uploaded successfully',
+      };
+    }
+
+    this.assertOpen(session);
+
+    if (session.receivedBytes !== session.totalSize) {
+      throw sessionError('UPLOAD_INCOMPLETE', `Received ${session.receivedBytes} of ${session.totalSize} bytes`, {
+        receivedBytes: session.receivedBytes,
+      });
+    }
+
+    const sessionRef = this.sessionsCollection.doc(sessionId);
+    await this.firestore.runTransaction(async transaction => {
+      const latest = (await transaction.get(sessionRef)).data();
+      if (!latest || latest.status !== SESSION_STATUS.OPEN) {
+        throw sessionError('UPLOAD_SESSION_BUSY', 'Upload session is already being finalized');
+      }
+
+      transaction.update(sessionRef, {
+        status: SESSION_STATUS.FINALIZING,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: this.getExpiry(),
+      });
+    });
+
+    let result;
+    try {
+      const metadata = await encryptionService.decryptMetadata(
+        session.encryptedMetadata,
+        this.getMetadataEncryptionContext(sessionId, session.employeeId)
+      );
+
+      result = await documentService.uploadDocument(
+        Readable.from(this.readStagedFile(session, options.sha256)),
+        metadata,
+        userInfo,
+        requestInfo
+      );
+    } catch (error) {
+      // A wrong checksum means the staged data is wrong, and a duplicate, infected or disguised
+      // file, or one bound to a document ID now taken, can never be stored; anything else may succeed on retry
+      if (['CHECKSUM_MISMATCH', 'DUPLICATE_DOCUMENT', 'DOCUMENT_ID_CONFLICT', 'MALWARE_DETECTED', 'INVALID_FILE_CONTENT'].includes(error.code)) {
+        await this.closeSession(session, SESSION_STATUS.ABORTED, userInfo, requestInfo);
+      } else {
+        await sessionRef.update({
+          status: SESSION_STATUS.OPEN,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      throw error;
+    }
+
+    await this.closeSession(session, SESSION_STATUS.COMPLETED, userInfo, requestInfo, result);
+
+    return result;
+  }
+
+  /**
+   * Abandon an upload and discard its staged chunks
+   * @param {string} sessionId - Session ID
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Session status
+   */
+  async abortSession(sessionId, userInfo, requestInfo = {}) {
+    const session = await this.getOwnedSession(sessionId, userInfo, requestInfo);
+    this.assertOpen(session);
+
+    await this.closeSession(session, SESSION_STATUS.ABORTED, userInfo, requestInfo);
+
+    return this.toStatus({ ...session, status: SESSION_STATUS.ABORTED });
+  }
+
+  /**
+   * Delete expired sessions and their staged chunks
+   * Completed sessions are kept until they expire so finalize retries stay idempotent.
+   * @param {Object} options - Collection options
+   * @param {number} options.batchSize - Sessions examined per query
+   * @returns {Promise<Object>} Number of sessions and staged objects removed
+   */
+  async collectExpiredSessions(options = {}) {
+    const batchSize = options.batchSize || 100;
+    const totals = { sessions: 0, objects: 0 };
+
+    try {
+      let snapshot;
+      do {
+        snapshot = await this.sessionsCollection
+          .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+          .orderBy('expiresAt')
+          .limit(batchSize)
+          .get();
+
+        for (const doc of snapshot.docs) {
+          const session = doc.data();
+
+          totals.objects += await storageService.deletePrefix(this.getStagingPrefix(session.id));
+          await doc.ref.delete();
+          totals.sessions++;
+
+          if (session.status === SESSION_STATUS.OPEN || session.status === SESSION_STATUS.FINALIZING) {
+            await auditService.logUploadSession({
+              userId: 'system',
+              userRole: 'system',
+              sessionId: session.id,
+              action: 'expired',
+              documentEmployeeId: session.employeeId,
+              documentType: session.documentType,
+              totalSize: session.totalSize,
+              receivedBytes: session.receivedBytes,
+              success: true,
+            });
+          }
+        }
+      } while (snapshot.size === batchSize);
+
+      if (totals.sessions > 0) {
+        console.log(`Removed ${totals.sessions} expired upload sessions (${totals.objects} staged objects)`);
+      }
+
+      return totals;
+    } catch (error) {
+      console.error('Error collecting expired upload sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a session, hiding sessions of other users
+   * @param {string} sessionId - Session ID
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @returns {Promise<Object>} Session record
+   */
+  async getOwnedSession(sessionId, userInfo, requestInfo) {
+    const snapshot = await this.sessionsCollection.doc(sessionId).get();
+
+    if (!snapshot.exists) {
+      throw sessionError('UPLOAD_SESSION_NOT_FOUND', 'Upload session not found');
+    }
+
+    const session = snapshot.data();
+
+    if (session.ownerId !== userInfo.uid) {
+      await auditService.logAccessDenied({
+        userId: userInfo.uid,
+        userEmail: userInfo.email,
+        userRole: userInfo.role,
+        employeeId: userInfo.employeeId,
+        resource: {
+          type: 'upload_session',
+          id: sessionId,
+          employeeId: session.employeeId,
+        },
+        attemptedAction: 'use_upload_session',
+        reason: 'not_session_owner',
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+      });
+      throw sessionError('UPLOAD_SESSION_NOT_FOUND', 'Upload session not found');
+    }
+
+    return session;
+  }
+
+  /**
+   * Check that a session still accepts chunks
+   * @param {Object} session - Session record
+   */
+  assertOpen(session) {
+    if (session.expiresAt.toMillis() <= Date.now()) {
+      throw sessionError('UPLOAD_SESSION_EXPIRED', 'Upload session has expired');
+    }
+
+    if (session.status !== SESSION_STATUS.OPEN) {
+      throw sessionError(
+        session.status === SESSION_STATUS.FINALIZING ? 'UPLOAD_SESSION_BUSY' : 'UPLOAD_SESSION_CLOSED',
+        `Upload session is ${session.status}`
+      );
+    }
+  }
+
+  /**
+   * Stream the staged chunks of a session in order, checking the whole-file hash at the end
+   * @param {Object} session - Session record
+   * @param {string} expectedHash - Expected SHA-256, if the client sent one
+   * @returns {AsyncGenerator<Buffer>} Decrypted file data
+   */
+  async *readStagedFile(session, expectedHash) {
+    const hash = crypto.createHash('sha256');
+    const chunks = [...session.chunks].sort((a, b) => a.offset - b.offset);
+
+    for (const chunk of chunks) {
+      const stream = await storageService.openStagedChunk(
+        chunk.key,
+        this.getChunkEncryptionContext(session, chunk.index)
+      );
+      for await (const data of stream) {
+        hash.update(data);
+        yield data;
+      }
+    }
+
+    // Failing the stream aborts the upload before the document is recorded
+    if (expectedHash && hash.digest('hex') !== expectedHash.toLowerCase()) {
+      throw sessionError('CHECKSUM_MISMATCH', 'Uploaded file does not match the expected SHA-256 hash');
+    }
+  }
+
+  /**
+   * Mark a session completed or aborted and discard its staged chunks
+   * @param {Object} session - Session record
+   * @param {string} status - Final status
+   * @param {Object} userInfo - User information
+   * @param {Object} requestInfo - Request context
+   * @param {Object} result - Upload result of a completed session
+   * @returns {Promise<void>}
+   */
+  async closeSession(session, status, userInfo, requestInfo, result = null) {
+    await this.sessionsCollection.doc(session.id).update({
+      status,
+      chunks: [],
+      encryptedMetadata: admin.firestore.FieldValue.delete(),
+      documentId: result ? result.documentId : null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: this.getExpiry(),
+    });
+
+    await storageService.deletePrefix(this.getStagingPrefix(session.id)).catch(error => {
+      // Left for the garbage collector
+      console.error(`Error deleting staged chunks of upload session ${session.id}:`, error);
+    });
+
+    await auditService.logUploadSession({
+      userId: userInfo.uid,
+      userEmail: userInfo.email,
+      userRole: userInfo.role,
+      employeeId: userInfo.employeeId,
+      sessionId: session.id,
+      action: status === SESSION_STATUS.COMPLETED ? 'finalized' : 'aborted',
+      documentId: result ? result.documentId : null,
+      documentEmployeeId: session.employeeId,
+      documentType: session.documentType,
+      totalSize: session.totalSize,
+      receivedBytes: session.receivedBytes,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      success: true,
+    });
+  }
+
+  /**
+   * Shape a session record for API responses
+   * @param {Object} session - Session record
+   * @returns {Object} Session status
+   */
+  toStatus(session) {
+    return {
+      sessionId: session.id,
+      status: session.status,
+      totalSize: session.totalSize,
+      receivedBytes: session.receivedBytes,
+      chunkCount: session.chunks.length,
+      documentId: session.documentId || null,
+      expiresAt: session.expiresAt.toDate().toISOString(),
+    };
+  }
+
+  /**
+   * Storage prefix holding the staged chunks of a session
+   * @param {string} sessionId - Session ID
+   * @returns {string} Key prefix
+   */
+  getStagingPrefix(sessionId) {
+    return `${config.uploads.stagingPrefix}${sessionId}/`;
+  }
+
+  /**
+   * Encryption context of a staged chunk; the index keeps chunks from being reordered
+   * @param {Object} session - Session record
+   * @param {number} index - Chunk index
+   * @returns {Object} Encryption context
+   */
+  getChunkEncryptionContext(session, index) {
+    return {
+      documentId: session.id,
+      employeeId: session.employeeId,
+      version: index + 1,
+      purpose: 'upload-chunk',
+    };
+  }
+
+  /**
+   * Encryption context of the sealed session metadata
+   * @param {string} sessionId - Session ID
+   * @param {string} employeeId - Employee the document belongs to
+   * @returns {Object} Encryption context
+   */
+  getMetadataEncryptionContext(sessionId, employeeId) {
+    return {
+      documentId: sessionId,
+      employeeId,
+      version: 1,
+      purpose: 'upload-session',
+    };
+  }
+
+  /**
+   * Expiry time of a session touched now
+   * @returns {admin.firestore.Timestamp} Expiry time
+   */
+  getExpiry() {
+    return admin.firestore.Timestamp.fromMillis(Date.now() + config.uploads.sessionTtlMinutes * 60 * 1000);
+  }
+}
+
+module.exports = new UploadSessionService();
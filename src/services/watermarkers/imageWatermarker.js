@@ -0,0 +1,122 @@
+const { spawn } = require('child_process');
+const { formatStamp, watermarkFailedError } = require('./index');
+
+const SIGNATURES = {
+  jpeg: Buffer.from('ffd8ff', 'hex'),
+  png: Buffer.from('89504e470d0a1a0a', 'hex'),
+};
+
+/**
+ * Escape text for ImageMagick, which expands % escapes in annotations and comments
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return text.replace(/[\\%]/g, match => (match === '%' ? '%%' : '\\\\'));
+}
+
+/**
+ * Image watermarker that runs ImageMagick's convert.
+ *
+ * The stamp is drawn faintly across the centre of the image and legibly along its bottom
+ * edge, and written to the image comment (a JPEG COM segment or PNG text chunk). Like the
+ * preview renderer, the image is piped through the tool and decoded with the coder of its
+ * detected format.
+ */
+class ImageWatermarker {
+  /**
+   * @param {Object} options - config.watermark
+   * @param {string} options.convertPath - ImageMagick convert executable
+   * @param {number} options.timeoutMs - Time after which watermarking is abandoned
+   * @param {number} options.maxOutputSize - Largest image accepted from convert, in bytes
+   * @param {string} format - Image format: jpeg or png
+   */
+  constructor(options, format) {
+    this.convertPath = options.convertPath || 'convert';
+    this.timeoutMs = options.timeoutMs || 30 * 1000;
+    this.maxOutputSize = options.maxOutputSize || 64 * 1024 * 1024;
+    this.format = format;
+  }
+
+  async apply(data, stamp) {
+    const text = escapeText(formatStamp(stamp));
+
+    return await this.run([
+      `${this.format}:-`,
+      '-auto-orient',
+      '-gravity', 'Center',
+      '-pointsize', '28',
+      '-fill', '#80808050',
+      '-annotate', '330x330+0+0', text,
+      '-gravity', 'South',
+      '-pointsize', '12',
+      '-undercolor', '#FFFFFFB0',
+      '-fill', '#202020',
+      '-annotate', '+0+6', text,
+      '-set', 'comment', text,
+      ...(this.format === 'jpeg' ? ['-quality', '92'] : []),
+      `${this.format}:-`,
+    ], data);
+  }
+
+  /**
+   * Pipe an image through convert and collect its output
+   * @param {Array<string>} args - Arguments
+   * @param {Buffer} data - Image
+   * @returns {Promise<Buffer>} Image written to standard output
+   */
+  run(args, data) {
+    const command = this.convertPath;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      const output = [];
+      let outputLength = 0;
+      let stderr = '';
+      let failure = null;
+
+      const fail = error => {
+        if (!failure) {
+          failure = error;
+          child.kill('SIGKILL');
+        }
+      };
+
+      const timer = setTimeout(() => fail(watermarkFailedError(`${command} timed out after ${this.timeoutMs} ms`)), this.timeoutMs);
+
+      child.stdout.on('data', chunk => {
+        outputLength += chunk.length;
+        if (outputLength > this.maxOutputSize) {
+          return fail(watermarkFailedError(`${command} produced more than ${this.maxOutputSize} bytes`));
+        }
+        output.push(chunk);
+      });
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk.toString()).slice(-1000);
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(data);
+
+      child.on('error', error => fail(watermarkFailedError(`${command} could not be run: ${error.message}`, error)));
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (failure) {
+          return reject(failure);
+        }
+
+        const image = Buffer.concat(output);
+        const signature = SIGNATURES[this.format];
+        if (code !== 0) {
+          return reject(watermarkFailedError(`${command} exited with code ${code}: ${stderr.trim()}`));
+        }
+        if (!image.subarray(0, signature.length).equals(signature)) {
+          return reject(watermarkFailedError(`${command} did not produce a ${this.format} image`));
+        }
+        resolve(image);
+      });
+    });
+  }
+}
+
+module.exports = ImageWatermarker;
@@ -0,0 +1,63 @@
+/**
+ * Watermarkers stamp the copy of a document served to a user with who downloaded it,
+ * so a leaked copy can be traced back to its download.
+ *
+ * Every watermarker implements:
+ *   apply(data, stamp)         -> Promise<Buffer>         marked copy of the document; stamp is
+ *                                                        { recipient, timestamp, requestId }
+ *
+ * The copy carries the stamp both visibly and in its metadata. A document that cannot be
+ * marked rejects with error code WATERMARK_FAILED.
+ */
+
+/**
+ * Get the watermarker for a document format
+ * @param {string} mimeType - Document MIME type
+ * @param {Object} watermarkConfig - config.watermark
+ * @returns {Object|null} Watermarker instance, or null if the format cannot be watermarked
+ */
+function getWatermarker(mimeType, watermarkConfig) {
+  switch (mimeType) {
+    case 'application/pdf': {
+      const PdfWatermarker = require('./pdfWatermarker');
+      return new PdfWatermarker();
+    }
+    case 'image/jpeg':
+    case 'image/png': {
+      const ImageWatermarker = require('./imageWatermarker');
+      return new ImageWatermarker(watermarkConfig, mimeType === 'image/png' ? 'png' : 'jpeg');
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe a stamp in one line, as it is shown on the document
+ * @param {Object} stamp - { recipient, timestamp, requestId }
+ * @returns {string} Stamp text
+ */
+function formatStamp(stamp) {
+  return `Downloaded by ${stamp.recipient} on ${stamp.timestamp} - request ${stamp.requestId}`;
+}
+
+/**
+ * Build the error watermarkers report for a document that could not be marked
+ * @param {string} message - Error message
+ * @param {Error} cause - Underlying error, if any
+ * @returns {Error} Error with code WATERMARK_FAILED
+ */
+function watermarkFailedError(message, cause) {
+  const error = new Error(message);
+  error.code = 'WATERMARK_FAILED';
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+module.exports = {
+  getWatermarker,
+  formatStamp,
+  watermarkFailedError,
+};
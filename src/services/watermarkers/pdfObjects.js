@@ -0,0 +1,623 @@
+const zlib = require('zlib');
+
+// Bytes that end a token: PDF whitespace and delimiters
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+// How far back from the end of the file `startxref` is looked for
+const TRAILER_SEARCH_LENGTH = 2048;
+
+// Nesting limits that stop malformed files from recursing without end
+const MAX_DEPTH = 64;
+const MAX_XREF_SECTIONS = 256;
+
+// Limit on the decoded size of a stream, so a small file cannot inflate without bound
+const MAX_DECODED_LENGTH = 64 * 1024 * 1024;
+
+class PdfName {
+  constructor(raw) {
+    this.raw = raw; // As written, #xx escapes included
+  }
+}
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PdfString {
+  constructor(raw) {
+    this.raw = raw; // Source bytes with delimiters, written back unchanged
+  }
+}
+
+class PdfKeyword {
+  constructor(value) {
+    this.value = value; // true, false or null
+  }
+}
+
+class PdfStream {
+  constructor(dict, data) {
+    this.dict = dict;
+    this.data = data; // Encoded stream data
+  }
+}
+
+/**
+ * Build the error for a PDF that cannot be read
+ * @param {string} message - Error message
+ * @returns {Error} Error with code PDF_UNSUPPORTED
+ */
+function unsupportedError(message) {
+  const error = new Error(message);
+  error.code = 'PDF_UNSUPPORTED';
+  return error;
+}
+
+/**
+ * Reverse the PNG predictors of a decoded stream (/Predictor 10 and above)
+ * @param {Buffer} data - Decompressed rows, each prefixed with its filter type
+ * @param {number} columns - Bytes per row
+ * @returns {Buffer} Unfiltered data
+ */
+function unpredict(data, columns) {
+  const rowLength = columns + 1;
+  const rows = Math.floor(data.length / rowLength);
+  const output = Buffer.alloc(rows * columns);
+  const previous = Buffer.alloc(columns);
+
+  for (let row = 0; row < rows; row++) {
+    const filter = data[row * rowLength];
+    const line = data.subarray(row * rowLength + 1, (row + 1) * rowLength);
+    const current = output.subarray(row * columns, (row + 1) * columns);
+
+    for (let i = 0; i < columns; i++) {
+      const left = i > 0 ? current[i - 1] : 0;
+      const up = previous[i];
+      const upLeft = i > 0 ? previous[i - 1] : 0;
+      let value = line[i];
+
+      switch (filter) {
+        case 0:
+          break;
+        case 1:
+          value += left;
+          break;
+        case 2:
+          value += up;
+          break;
+        case 3:
+          value += Math.floor((left + up) / 2);
+          break;
+        case 4: {
+          const estimate = left + up - upLeft;
+          const [pa, pb, pc] = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+          value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+          break;
+        }
+        default:
+          throw unsupportedError(`Unknown PNG predictor ${filter}`);
+      }
+      current[i] = value & 0xff;
+    }
+    current.copy(previous);
+  }
+
+  return output;
+}
+
+/**
+ * Reader for the object structure of a PDF file.
+ *
+ * Follows the cross-reference chain from the end of the file, classic tables and
+ * cross-reference streams alike, and resolves objects on demand, including those packed
+ * into object streams. Only FlateDecode streams can be decoded, which is all the
+ * structure of a PDF uses in practice; page content is never decoded.
+ */
+class PdfReader {
+  /**
+   * @param {Buffer} data - Complete PDF file
+   */
+  constructor(data) {
+    this.data = data;
+    this.entries = new Map(); // Object number -> { type, offset, gen } or { type, stream, index }
+    this.objects = new Map();
+    this.objectStreams = new Map();
+    this.trailer = null;
+    this.startxref = null;
+    this.xrefStream = false;
+  }
+
+  /**
+   * Read the cross-reference chain
+   * @returns {PdfReader} This reader
+   */
+  load() {
+    const tail = this.data.subarray(-TRAILER_SEARCH_LENGTH).toString('latin1');
+    const match = /startxref\s+(\d+)\s+%%EOF\s*$/.exec(tail) || /startxref\s+(\d+)(?![\s\S]*startxref)/.exec(tail);
+    if (!match) {
+      throw unsupportedError('PDF has no cross-reference offset');
+    }
+
+    this.startxref = parseInt(match[1], 10);
+    const seen = new Set();
+    let offset = this.startxref;
+
+    while (offset !== null) {
+      if (seen.has(offset) || seen.size >= MAX_XREF_SECTIONS) {
+        throw unsupportedError('PDF cross-reference chain loops');
+      }
+      seen.add(offset);
+
+      const { trailer, isStream } = this.readXrefSection(offset);
+      if (!this.trailer) {
+        this.trailer = trailer;
+        this.xrefStream = isStream;
+      }
+
+      // Hybrid files keep the entries of compressed objects in a separate stream
+      const hybrid = trailer.get('XRefStm');
+      if (typeof hybrid === 'number' && !seen.has(hybrid)) {
+        seen.add(hybrid);
+        this.readXrefSection(hybrid);
+      }
+
+      const prev = trailer.get('Prev');
+      offset = typeof prev === 'number' ? prev : null;
+    }
+
+    if (!this.trailer.get('Root')) {
+      throw unsupportedError('PDF has no document catalog');
+    }
+    return this;
+  }
+
+  /**
+   * Read one cross-reference section; entries already known from newer sections win
+   * @param {number} offset - Offset of the section
+   * @returns {Object} The section's trailer dictionary and whether it is a stream
+   */
+  readXrefSection(offset) {
+    const position = this.skipWhitespace(offset);
+
+    if (this.data.toString('latin1', position, position + 4) === 'xref') {
+      let cursor = position + 4;
+      for (;;) {
+        const token = this.readToken(cursor);
+        if (token.value === 'trailer') {
+          return { trailer: this.parseValue(token.end).value, isStream: false };
+        }
+
+        const start = parseInt(token.value, 10);
+        const countToken = this.readToken(token.end);
+        const count = parseInt(countToken.value, 10);
+        if (!Number.isInteger(start) || !Number.isInteger(count)) {
+          throw unsupportedError('PDF cross-reference table is malformed');
+        }
+
+        cursor = countToken.end;
+        for (let i = 0; i < count; i++) {
+          const fieldOffset = this.readToken(cursor);
+          const fieldGen = this.readToken(fieldOffset.end);
+          const fieldType = this.readToken(fieldGen.end);
+          cursor = fieldType.end;
+
+          if (!this.entries.has(start + i)) {
+            this.entries.set(start + i, fieldType.value === 'n'
+              ? { type: 1, offset: parseInt(fieldOffset.value, 10), gen: parseInt(fieldGen.value, 10) }
+              : { type: 0 });
+          }
+        }
+      }
+    }
+
+    const { value: stream } = this.parseIndirectObject(position);
+    if (!(stream instanceof PdfStream) || this.nameOf(stream.dict.get('Type')) !== 'XRef') {
+      throw unsupportedError('PDF cross-reference offset does not point at a cross-reference section');
+    }
+
+    const widths = stream.dict.get('W');
+    const index = stream.dict.get('Index') || [0, stream.dict.get('Size')];
+    const data = this.decodeStream(stream);
+    const entryLength = widths.reduce((sum, width) => sum + width, 0);
+    let cursor = 0;
+
+    const field = (width, fallback) => {
+      if (width === 0) {
+        return fallback;
+      }
+      let value = 0;
+      for (let i = 0; i < width; i++) {
+        value = value * 256 + data[cursor++];
+      }
+      return value;
+    };
+
+    for (let section = 0; section < index.length; section += 2) {
+      for (let i = 0; i < index[section + 1]; i++) {
+        if (cursor + entryLength > data.length) {
+          throw unsupportedError('PDF cross-reference stream is truncated');
+        }
+        const type = field(widths[0], 1);
+        const second = field(widths[1], 0);
+        const third = field(widths[2], 0);
+        const num = index[section] + i;
+
+        if (!this.entries.has(num)) {
+          this.entries.set(num, type === 1 ? { type, offset: second, gen: third }
+            : type === 2 ? { type, stream: second, index: third }
+              : { type: 0 });
+        }
+      }
+    }
+
+    return { trailer: stream.dict, isStream: true };
+  }
+
+  /**
+   * Get an indirect object
+   * @param {number} num - Object number
+   * @returns {*} Object value, or null if it does not exist
+   */
+  getObject(num) {
+    if (this.objects.has(num)) {
+      return this.objects.get(num);
+    }
+
+    const entry = this.entries.get(num);
+    let value = null;
+
+    if (entry && entry.type === 1) {
+      value = this.parseIndirectObject(entry.offset).value;
+    } else if (entry && entry.type === 2) {
+      value = this.getCompressedObject(entry.stream, entry.index);
+    }
+
+    this.objects.set(num, value);
+    return value;
+  }
+
+  /**
+   * Get an object packed into an object stream
+   * @param {number} streamNum - Object number of the object stream
+   * @param {number} index - Position of the object in the stream
+   * @returns {*} Object value
+   */
+  getCompressedObject(streamNum, index) {
+    if (!this.objectStreams.has(streamNum)) {
+      const stream = this.getObject(streamNum);
+      if (!(stream instanceof PdfStream)) {
+        throw unsupportedError(`PDF object stream ${streamNum} is missing`);
+      }
+
+      const reader = new PdfReader(this.decodeStream(stream));
+      const count = stream.dict.get('N');
+      const first = stream.dict.get('First');
+      const offsets = [];
+      let cursor = 0;
+      for (let i = 0; i < count; i++) {
+        const numToken = reader.readToken(cursor);
+        const offsetToken = reader.readToken(numToken.end);
+        offsets.push(first + parseInt(offsetToken.value, 10));
+        cursor = offsetToken.end;
+      }
+      this.objectStreams.set(streamNum, { reader, offsets });
+    }
+
+    const { reader, offsets } = this.objectStreams.get(streamNum);
+    if (index >= offsets.length) {
+      throw unsupportedError(`PDF object stream ${streamNum} has no object ${index}`);
+    }
+    return reader.parseValue(offsets[index]).value;
+  }
+
+  /**
+   * Follow a reference to its object
+   * @param {*} value - Any value
+   * @returns {*} The referenced object for a reference, otherwise the value itself
+   */
+  resolve(value) {
+    return value instanceof PdfRef ? this.getObject(value.num) : value;
+  }
+
+  /**
+   * Decode the data of a stream
+   * @param {PdfStream} stream - Stream
+   * @returns {Buffer} Decoded data
+   */
+  decodeStream(stream) {
+    const filter = this.resolve(stream.dict.get('Filter'));
+    const filters = Array.isArray(filter) ? filter : filter ? [filter] : [];
+    let data = stream.data;
+
+    for (const name of filters) {
+      if (this.nameOf(name) !== 'FlateDecode') {
+        throw unsupportedError(`PDF stream filter ${this.nameOf(name)} is not supported`);
+      }
+      try {
+        data = zlib.inflateSync(data, { maxOutputLength: MAX_DECODED_LENGTH });
+      } catch (error) {
+        throw unsupportedError(`PDF stream cannot be decoded: ${error.message}`);
+      }
+    }
+
+    const params = this.resolve(stream.dict.get('DecodeParms'));
+    const predictor = params instanceof Map ? params.get('Predictor') : null;
+    if (predictor >= 10) {
+      data = unpredict(data, params.get('Columns') || 1);
+    } else if (predictor && predictor !== 1) {
+      throw unsupportedError(`PDF predictor ${predictor} is not supported`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the text of a name
+   * @param {*} value - Value
+   * @returns {string|null} Name without its slash, or null if the value is not a name
+   */
+  nameOf(value) {
+    return value instanceof PdfName ? value.raw : null;
+  }
+
+  /**
+   * Parse `num gen obj ... endobj` at an offset
+   * @param {number} offset - Offset of the object
+   * @returns {Object} { value, end }
+   */
+  parseIndirectObject(offset) {
+    const num = this.readToken(offset);
+    const gen = this.readToken(num.end);
+    const keyword = this.readToken(gen.end);
+    if (keyword.value !== 'obj') {
+      throw unsupportedError(`PDF object at offset ${offset} is malformed`);
+    }
+
+    const { value, end } = this.parseValue(keyword.end);
+    const next = this.readToken(end);
+    if (!(value instanceof Map) || next.value !== 'stream') {
+      return { value, end };
+    }
+
+    // Stream data starts after the end of line that follows the keyword
+    let start = next.end;
+    if (this.data[start] === 0x0d) {
+      start++;
+    }
+    if (this.data[start] === 0x0a) {
+      start++;
+    }
+
+    let length = value.get('Length');
+    if (length instanceof PdfRef) {
+      length = this.getObject(length.num);
+    }
+    if (!Number.isInteger(length) || start + length > this.data.length) {
+      throw unsupportedError(`PDF stream at offset ${offset} has no usable length`);
+    }
+
+    return { value: new PdfStream(value, this.data.subarray(start, start + length)), end: start + length };
+  }
+
+  /**
+   * Parse one value
+   * @param {number} offset - Offset to start at
+   * @param {number} depth - Nesting depth
+   * @returns {Object} { value, end }
+   */
+  parseValue(offset, depth = 0) {
+    if (depth > MAX_DEPTH) {
+      throw unsupportedError('PDF objects are nested too deeply');
+    }
+
+    const token = this.readToken(offset);
+
+    switch (token.type) {
+      case 'dict': {
+        const dict = new Map();
+        let cursor = token.end;
+        for (;;) {
+          const key = this.readToken(cursor);
+          if (key.type === 'dictEnd') {
+            return { value: dict, end: key.end };
+          }
+          if (key.type !== 'name') {
+            throw unsupportedError(`PDF dictionary at offset ${offset} is malformed`);
+          }
+          const entry = this.parseValue(key.end, depth + 1);
+          dict.set(key.value, entry.value);
+          cursor = entry.end;
+        }
+      }
+      case 'array': {
+        const array = [];
+        let cursor = token.end;
+        for (;;) {
+          const next = this.readToken(cursor);
+          if (next.type === 'arrayEnd') {
+            return { value: array, end: next.end };
+          }
+          const item = this.parseValue(cursor, depth + 1);
+          array.push(item.value);
+          cursor = item.end;
+        }
+      }
+      case 'name':
+        return { value: new PdfName(token.value), end: token.end };
+      case 'string':
+        return { value: new PdfString(this.data.subarray(token.start, token.end)), end: token.end };
+      case 'number': {
+        // `num gen R` is a reference
+        const hasMore = position => this.skipWhitespace(position) < this.data.length;
+        if (/^\d+$/.test(token.value) && hasMore(token.end)) {
+          const gen = this.readToken(token.end);
+          if (gen.type === 'number' && /^\d+$/.test(gen.value) && hasMore(gen.end)) {
+            const keyword = this.readToken(gen.end);
+            if (keyword.value === 'R') {
+              return { value: new PdfRef(parseInt(token.value, 10), parseInt(gen.value, 10)), end: keyword.end };
+            }
+          }
+        }
+        return { value: parseFloat(token.value), end: token.end };
+      }
+      case 'keyword':
+        if (['true', 'false', 'null'].includes(token.value)) {
+          return { value: new PdfKeyword(token.value), end: token.end };
+        }
+        throw unsupportedError(`Unexpected "${token.value}" in PDF at offset ${token.start}`);
+      default:
+        throw unsupportedError(`Unexpected ${token.type} in PDF at offset ${token.start}`);
+    }
+  }
+
+  /**
+   * Skip whitespace and comments
+   * @param {number} offset - Offset to start at
+   * @returns {number} Offset of the next token
+   */
+  skipWhitespace(offset) {
+    const data = this.data;
+    let position = offset;
+    while (position < data.length) {
+      if (WHITESPACE.has(data[position])) {
+        position++;
+      } else if (data[position] === 0x25) {
+        while (position < data.length && data[position] !== 0x0a && data[position] !== 0x0d) {
+          position++;
+        }
+      } else {
+        break;
+      }
+    }
+    return position;
+  }
+
+  /**
+   * Read the next token
+   * @param {number} offset - Offset to start at
+   * @returns {Object} { type, value, start, end }
+   */
+  readToken(offset) {
+    const data = this.data;
+    const start = this.skipWhitespace(offset);
+    if (start >= data.length) {
+      throw unsupportedError('PDF ends unexpectedly');
+    }
+
+    const byte = data[start];
+
+    if (byte === 0x3c && data[start + 1] === 0x3c) {
+      return { type: 'dict', start, end: start + 2 };
+    }
+    if (byte === 0x3e && data[start + 1] === 0x3e) {
+      return { type: 'dictEnd', start, end: start + 2 };
+    }
+    if (byte === 0x5b) {
+      return { type: 'array', start, end: start + 1 };
+    }
+    if (byte === 0x5d) {
+      return { type: 'arrayEnd', start, end: start + 1 };
+    }
+
+    if (byte === 0x3c) {
+      const end = data.indexOf(0x3e, start);
+      if (end === -1) {
+        throw unsupportedError('PDF hex string is not terminated');
+      }
+      return { type: 'string', start, end: end + 1 };
+    }
+
+    if (byte === 0x28) {
+      let depth = 0;
+      for (let position = start; position < data.length; position++) {
+        if (data[position] === 0x5c) {
+          position++;
+        } else if (data[position] === 0x28) {
+          depth++;
+        } else if (data[position] === 0x29 && --depth === 0) {
+          return { type: 'string', start, end: position + 1 };
+        }
+      }
+      throw unsupportedError('PDF string is not terminated');
+    }
+
+    let end = start + 1;
+    while (end < data.length && !WHITESPACE.has(data[end]) && !DELIMITERS.has(data[end])) {
+      end++;
+    }
+
+    if (byte === 0x2f) {
+      return { type: 'name', value: data.toString('latin1', start + 1, end), start, end };
+    }
+
+    const value = data.toString('latin1', start, end);
+    if (DELIMITERS.has(byte)) {
+      throw unsupportedError(`Unexpected "${String.fromCharCode(byte)}" in PDF at offset ${start}`);
+    }
+    return { type: /^[+-]?(\d+\.?\d*|\.\d+)$/.test(value) ? 'number' : 'keyword', value, start, end };
+  }
+}
+
+/**
+ * Write a value in PDF syntax
+ * @param {*} value - Value read by PdfReader or built from the same types
+ * @returns {Buffer} PDF bytes
+ */
+function serialize(value) {
+  if (value instanceof Map) {
+    const parts = [Buffer.from('<<')];
+    for (const [key, entry] of value) {
+      parts.push(Buffer.from(`/${key} `), serialize(entry), Buffer.from(' '));
+    }
+    parts.push(Buffer.from('>>'));
+    return Buffer.concat(parts);
+  }
+  if (Array.isArray(value)) {
+    const parts = [Buffer.from('[')];
+    value.forEach((item, index) => parts.push(Buffer.from(index > 0 ? ' ' : ''), serialize(item)));
+    parts.push(Buffer.from(']'));
+    return Buffer.concat(parts);
+  }
+  if (value instanceof PdfName) {
+    return Buffer.from(`/${value.raw}`, 'latin1');
+  }
+  if (value instanceof PdfRef) {
+    return Buffer.from(`${value.num} ${value.gen} R`);
+  }
+  if (value instanceof PdfString) {
+    return value.raw;
+  }
+  if (value instanceof PdfKeyword) {
+    return Buffer.from(value.value);
+  }
+  if (typeof value === 'number') {
+    // Exponent notation is not valid PDF
+    return Buffer.from(Number.isInteger(value) ? String(value) : value.toFixed(6).replace(/\.?0+$/, ''));
+  }
+  throw new Error(`Cannot write ${typeof value} as PDF`);
+}
+
+/**
+ * Build a literal PDF string from text
+ * @param {string} text - Text; characters outside printable ASCII are replaced
+ * @returns {PdfString} String
+ */
+function literalString(text) {
+  const escaped = text.replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, match => `\\${match}`);
+  return new PdfString(Buffer.from(`(${escaped})`, 'latin1'));
+}
+
+module.exports = {
+  PdfReader,
+  PdfName,
+  PdfRef,
+  PdfString,
+  PdfKeyword,
+  PdfStream,
+  serialize,
+  literalString,
+};
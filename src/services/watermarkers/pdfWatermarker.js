@@ -0,0 +1,391 @@
+const zlib = require('zlib');
+const {
+  PdfReader,
+  PdfName,
+  PdfRef,
+  PdfStream,
+  serialize,
+  literalString,
+} = require('./pdfObjects');
+const { formatStamp, watermarkFailedError } = require('./index');
+
+// Page attributes a page inherits from its ancestors in the page tree
+const INHERITED_ATTRIBUTES = ['Resources', 'MediaBox', 'CropBox', 'Rotate'];
+
+const MAX_TREE_DEPTH = 64;
+
+// Resource names of the watermark's font and transparency
+const FONT_NAME = 'SDLWatermarkFont';
+const GRAPHICS_STATE_NAME = 'SDLWatermarkGS';
+
+const FOOTER_FONT_SIZE = 7;
+
+// Objects that only describe how the original file was laid out; the rewritten file has its own
+const LAYOUT_STREAM_TYPES = ['XRef', 'ObjStm'];
+
+// Average Helvetica glyph width as a fraction of the font size, for centring the diagonal mark
+const GLYPH_WIDTH = 0.5;
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Number
+ * @returns {string} Number with at most three decimals
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Build the matrix that maps the page as displayed onto its unrotated user space
+ * @param {Array<number>} box - Visible page box [x0, y0, x1, y1]
+ * @param {number} rotate - Page rotation, a multiple of 90 degrees clockwise
+ * @returns {Array<number>} Transformation matrix [a, b, c, d, e, f]
+ */
+function displayMatrix(box, rotate) {
+  const [x0, y0, x1, y1] = box;
+  switch (rotate) {
+    case 90:
+      return [0, 1, -1, 0, x1, y0];
+    case 180:
+      return [-1, 0, 0, -1, x1, y1];
+    case 270:
+      return [0, -1, 1, 0, x0, y1];
+    default:
+      return [1, 0, 0, 1, x0, y0];
+  }
+}
+
+/**
+ * PDF watermarker.
+ *
+ * The file is rewritten as a single revision. Each page's content streams are merged with
+ * a stamp drawn across the page and along its bottom edge into one new stream, bracketed so
+ * the page's own graphics state cannot displace the stamp, and the stamp is recorded in the
+ * document information dictionary. The original content streams, earlier revisions and the
+ * old cross-reference data are left out, so there is no unstamped revision to cut the file
+ * back to and no separate stamp stream to unlink. Digital signatures of the original no
+ * longer validate in the copy. Encrypted PDFs are not supported.
+ */
+class PdfWatermarker {
+  async apply(data, stamp) {
+    try {
+      return this.stamp(new PdfReader(data).load(), data, stamp);
+    } catch (error) {
+      if (error.code === 'WATERMARK_FAILED') {
+        throw error;
+      }
+      throw watermarkFailedError(`PDF could not be watermarked: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Build the stamped file
+   * @param {PdfReader} reader - Reader of the original file
+   * @param {Buffer} data - Original file
+   * @param {Object} stamp - { recipient, timestamp, requestId }
+   * @returns {Buffer} Watermarked file
+   */
+  stamp(reader, data, stamp) {
+    const trailer = reader.trailer;
+    if (trailer.has('Encrypt')) {
+      throw watermarkFailedError('Encrypted PDFs cannot be watermarked');
+    }
+
+    const text = formatStamp(stamp);
+    const replaced = new Map();
+    const dropped = new Set();
+    let nextNumber = trailer.get('Size');
+    const set = (ref, value) => replaced.set(ref.num, { ref, value });
+    const add = value => {
+      const ref = new PdfRef(nextNumber++, 0);
+      set(ref, value);
+      return ref;
+    };
+
+    const fontRef = add(new Map([
+      ['Type', new PdfName('Font')],
+      ['Subtype', new PdfName('Type1')],
+      ['BaseFont', new PdfName('Helvetica')],
+      ['Encoding', new PdfName('WinAnsiEncoding')],
+    ]));
+    const graphicsStateRef = add(new Map([
+      ['Type', new PdfName('ExtGState')],
+      ['ca', 0.25],
+      ['CA', 0.25],
+    ]));
+
+    for (const page of this.getPages(reader)) {
+      const resources = new Map(this.resolveDict(reader, page.attributes.Resources));
+      resources.set('Font', new Map(this.resolveDict(reader, resources.get('Font'))).set(FONT_NAME, fontRef));
+      resources.set('ExtGState', new Map(this.resolveDict(reader, resources.get('ExtGState')))
+        .set(GRAPHICS_STATE_NAME, graphicsStateRef));
+
+      let contents = page.dict.get('Contents');
+      if (contents instanceof PdfRef && Array.isArray(reader.getObject(contents.num))) {
+        dropped.add(contents.num);
+        contents = reader.getObject(contents.num);
+      }
+      contents = Array.isArray(contents) ? contents : contents ? [contents] : [];
+
+      // Streams of an array are read as one, so each is ended with a line break
+      const content = [Buffer.from('q\n')];
+      for (const ref of contents) {
+        const stream = reader.resolve(ref);
+        if (!(stream instanceof PdfStream)) {
+          throw watermarkFailedError('PDF page content is malformed');
+        }
+        content.push(reader.decodeStream(stream), Buffer.from('\n'));
+        if (ref instanceof PdfRef) {
+          dropped.add(ref.num);
+        }
+      }
+      content.push(this.buildStampContent(reader, page.attributes, text));
+
+      const pageDict = new Map(page.dict);
+      pageDict.set('Resources', resources);
+      pageDict.set('Contents', add(new PdfStream(
+        new Map([['Filter', new PdfName('FlateDecode')]]),
+        zlib.deflateSync(Buffer.concat(content))
+      )));
+      set(page.ref, pageDict);
+    }
+
+    // The stamp is also recorded in the document information dictionary
+    const infoRef = trailer.get('Info');
+    const info = new Map(this.resolveDict(reader, infoRef));
+    info.set('WatermarkRecipient', literalString(stamp.recipient));
+    info.set('WatermarkTimestamp', literalString(stamp.timestamp));
+    info.set('WatermarkRequestId', literalString(stamp.requestId));
+    const newInfoRef = infoRef instanceof PdfRef ? infoRef : add(info);
+    if (infoRef instanceof PdfRef) {
+      set(infoRef, info);
+    }
+
+    return this.writeFile(reader, data, replaced, dropped, nextNumber, newInfoRef);
+  }
+
+  /**
+   * List the pages in document order with the attributes they inherit
+   * @param {PdfReader} reader - PDF reader
+   * @returns {Array<Object>} Pages ({ ref, dict, attributes })
+   */
+  getPages(reader) {
+    const catalog = reader.resolve(reader.trailer.get('Root'));
+    if (!(catalog instanceof Map)) {
+      throw watermarkFailedError('PDF document catalog is malformed');
+    }
+
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (ref, inherited, depth) => {
+      if (!(ref instanceof PdfRef) || visited.has(ref.num) || depth > MAX_TREE_DEPTH) {
+        throw watermarkFailedError('PDF page tree is malformed');
+      }
+      visited.add(ref.num);
+
+      const node = reader.getObject(ref.num);
+      if (!(node instanceof Map)) {
+        throw watermarkFailedError('PDF page tree is malformed');
+      }
+
+      const attributes = { ...inherited };
+      INHERITED_ATTRIBUTES.filter(name => node.has(name)).forEach(name => {
+        attributes[name] = node.get(name);
+      });
+
+      if (node.has('Kids')) {
+        for (const kid of reader.resolve(node.get('Kids'))) {
+          walk(kid, attributes, depth + 1);
+        }
+      } else {
+        pages.push({ ref, dict: node, attributes });
+      }
+    };
+
+    walk(catalog.get('Pages'), {}, 0);
+    if (pages.length === 0) {
+      throw watermarkFailedError('PDF has no pages');
+    }
+    return pages;
+  }
+
+  /**
+   * Build the content stream that draws the stamp on a page
+   * @param {PdfReader} reader - PDF reader
+   * @param {Object} attributes - Page attributes, inherited ones included
+   * @param {string} text - Stamp text
+   * @returns {Buffer} Content stream
+   */
+  buildStampContent(reader, attributes, text) {
+    const rawBox = reader.resolve(attributes.CropBox || attributes.MediaBox) || [0, 0, 612, 792];
+    const [ax, ay, bx, by] = rawBox.map(value => reader.resolve(value));
+    const box = [Math.min(ax, bx), Math.min(ay, by), Math.max(ax, bx), Math.max(ay, by)];
+    const rotate = ((Math.round((reader.resolve(attributes.Rotate) || 0) / 90) * 90) % 360 + 360) % 360;
+
+    // Width and height of the page as displayed
+    const [width, height] = rotate % 180 === 0
+      ? [box[2] - box[0], box[3] - box[1]]
+      : [box[3] - box[1], box[2] - box[0]];
+
+    const diagonal = Math.hypot(width, height);
+    const fontSize = Math.min(48, Math.max(8, (diagonal * 0.8) / (text.length * GLYPH_WIDTH)));
+    const cos = width / diagonal;
+    const sin = height / diagonal;
+    const textWidth = text.length * fontSize * GLYPH_WIDTH;
+    const string = serialize(literalString(text)).toString('latin1');
+
+    return Buffer.from([
+      'Q',
+      'q',
+      `${displayMatrix(box, rotate).map(formatNumber).join(' ')} cm`,
+      'q',
+      `/${GRAPHICS_STATE_NAME} gs`,
+      'BT',
+      `/${FONT_NAME} ${formatNumber(fontSize)} Tf`,
+      '0.5 0.5 0.5 rg',
+      `${[cos, sin, -sin, cos, width / 2 - (cos * textWidth) / 2, height / 2 - (sin * textWidth) / 2].map(formatNumber).join(' ')} Tm`,
+      `${string} Tj`,
+      'ET',
+      'Q',
+      'BT',
+      `/${FONT_NAME} ${FOOTER_FONT_SIZE} Tf`,
+      '0.3 0.3 0.3 rg',
+      '1 0 0 1 18 10 Tm',
+      `${string} Tj`,
+      'ET',
+      'Q',
+      '',
+    ].join('\n'), 'latin1');
+  }
+
+  /**
+   * Resolve a value that should be a dictionary
+   * @param {PdfReader} reader - PDF reader
+   * @param {*} value - Dictionary or reference to one
+   * @returns {Map} Dictionary, empty if there is none
+   */
+  resolveDict(reader, value) {
+    const dict = reader.resolve(value);
+    return dict instanceof Map ? dict : new Map();
+  }
+
+  /**
+   * Write the current revision of every object, with replacements, as a new file with a
+   * classic cross-reference table
+   * @param {PdfReader} reader - Reader of the original file
+   * @param {Buffer} data - Original file
+   * @param {Map} replaced - New or changed objects by object number ({ ref, value })
+   * @param {Set<number>} dropped - Object numbers to leave out
+   * @param {number} nextNumber - First unused object number
+   * @param {PdfRef} infoRef - Document information dictionary
+   * @returns {Buffer} New file
+   */
+  writeFile(reader, data, replaced, dropped, nextNumber, infoRef) {
+    const chunks = [];
+    let length = 0;
+    const write = chunk => {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+      chunks.push(buffer);
+      length += buffer.length;
+    };
+
+    // Same version as the original; the binary comment marks the file as binary for transfer tools
+    const version = /^%PDF-\d\.\d/.exec(data.toString('latin1', 0, 8));
+    write(`${version ? version[0] : '%PDF-1.7'}\n%\xe2\xe3\xcf\xd3\n`);
+
+    const offsets = new Map();
+    const writeObject = (ref, value) => {
+      offsets.set(ref.num, { offset: length, gen: ref.gen });
+      if (value instanceof PdfStream) {
+        const dict = new Map(value.dict).set('Length', value.data.length);
+        write(Buffer.concat([
+          Buffer.from(`${ref.num} ${ref.gen} obj\n`),
+          serialize(dict),
+          Buffer.from('\nstream\n'),
+          value.data,
+          Buffer.from('\nendstream\nendobj\n'),
+        ]));
+      } else {
+        write(Buffer.concat([Buffer.from(`${ref.num} ${ref.gen} obj\n`), serialize(value), Buffer.from('\nendobj\n')]));
+      }
+    };
+
+    const live = [...reader.entries].filter(([, entry]) => entry.type !== 0).map(([num]) => num);
+    const numbers = [...new Set([...live, ...replaced.keys()])].sort((a, b) => a - b);
+
+    for (const num of numbers) {
+      if (replaced.has(num)) {
+        writeObject(replaced.get(num).ref, replaced.get(num).value);
+        continue;
+      }
+
+      const value = dropped.has(num) ? null : reader.getObject(num);
+      if (value === null || this.isLayoutObject(reader, value)) {
+        continue;
+      }
+      writeObject(new PdfRef(num, reader.entries.get(num).gen || 0), value);
+    }
+
+    // Object 0 heads the free list
+    offsets.set(0, { offset: 0, gen: 65535, free: true });
+
+    const trailer = new Map([
+      ['Size', Math.max(nextNumber, numbers[numbers.length - 1] + 1)],
+      ['Root', reader.trailer.get('Root')],
+      ['Info', infoRef],
+    ]);
+    if (reader.trailer.has('ID')) {
+      trailer.set('ID', reader.trailer.get('ID'));
+    }
+
+    const xrefOffset = length;
+    write('xref\n');
+    for (const { start, count } of this.getSubsections([...offsets.keys()].sort((a, b) => a - b))) {
+      write(`${start} ${count}\n`);
+      for (let num = start; num < start + count; num++) {
+        const { offset, gen, free } = offsets.get(num);
+        write(`${String(offset).padStart(10, '0')} ${String(gen).padStart(5, '0')} ${free ? 'f' : 'n'}\r\n`);
+      }
+    }
+    write(Buffer.concat([Buffer.from('trailer\n'), serialize(trailer), Buffer.from('\n')]));
+    write(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Check whether an object only describes the layout of the original file: cross-reference
+   * and object streams, whose objects are written out individually, and the linearization
+   * dictionary, whose offsets no longer hold
+   * @param {PdfReader} reader - PDF reader
+   * @param {*} value - Object value
+   * @returns {boolean} True if the object is left out of the rewritten file
+   */
+  isLayoutObject(reader, value) {
+    if (value instanceof PdfStream) {
+      return LAYOUT_STREAM_TYPES.includes(reader.nameOf(value.dict.get('Type')));
+    }
+    return value instanceof Map && value.has('Linearized');
+  }
+
+  /**
+   * Group sorted object numbers into runs of consecutive numbers
+   * @param {Array<number>} numbers - Sorted object numbers
+   * @returns {Array<Object>} Subsections ({ start, count })
+   */
+  getSubsections(numbers) {
+    const subsections = [];
+    for (const num of numbers) {
+      const last = subsections[subsections.length - 1];
+      if (last && last.start + last.count === num) {
+        last.count++;
+      } else {
+        subsections.push({ start: num, count: 1 });
+      }
+    }
+    return subsections;
+  }
+}
+
+module.exports = PdfWatermarker;
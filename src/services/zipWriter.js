@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline, Transform } = require('stream');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const METHOD_AES = 99;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+// WinZip AES (AE-2) with a 256-bit key: https://www.winzip.com/en/support/aes-encryption/
+const AES_EXTRA_FIELD = 0x9901;
+const AES_SALT_LENGTH = 16;
+const AES_KEY_LENGTH = 32;
+const AES_PBKDF2_ITERATIONS = 1000;
+const AES_AUTH_CODE_LENGTH = 10;
+
+// Archives are written without ZIP64 extensions
+const MAX_ZIP_OFFSET = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * Update a CRC-32 with more data
+ * @param {number} crc - CRC of the data so far
+ * @param {Buffer} data - Next data
+ * @returns {number} Updated CRC
+ */
+function updateCrc32(crc, data) {
+  let c = ~crc;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS date and time fields
+ * @param {Date} date - Date
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  // MS-DOS dates start in 1980
+  const value = date.getFullYear() < 1980 ? new Date(1980, 0, 1) : date;
+  return {
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | (value.getSeconds() >> 1),
+    date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate(),
+  };
+}
+
+/**
+ * Build a zip error
+ * @param {string} message - Error message
+ * @returns {Error} Error with code ZIP_TOO_LARGE
+ */
+function zipTooLargeError(message) {
+  const error = new Error(message);
+  error.code = 'ZIP_TOO_LARGE';
+  return error;
+}
+
+/**
+ * AES-256 in CTR mode with the little-endian counter of WinZip AES, authenticated with
+ * HMAC-SHA1 over the ciphertext
+ */
+class AesEntryCipher {
+  /**
+   * @param {string} password - Archive password
+   */
+  constructor(password) {
+    this.salt = crypto.randomBytes(AES_SALT_LENGTH);
+    const derived = crypto.pbkdf2Sync(password, this.salt, AES_PBKDF2_ITERATIONS, AES_KEY_LENGTH * 2 + 2, 'sha1');
+    this.passwordVerifier = derived.subarray(AES_KEY_LENGTH * 2);
+    this.cipher = crypto.createCipheriv('aes-256-ecb', derived.subarray(0, AES_KEY_LENGTH), null).setAutoPadding(false);
+    this.hmac = crypto.createHmac('sha1', derived.subarray(AES_KEY_LENGTH, AES_KEY_LENGTH * 2));
+    this.counter = 1;
+    this.keystream = Buffer.alloc(0);
+  }
+
+  /**
+   * Bytes written before the entry's encrypted data
+   * @returns {Buffer} Salt and password verifier
+   */
+  header() {
+    return Buffer.concat([this.salt, this.passwordVerifier]);
+  }
+
+  /**
+   * Encrypt the next part of the entry
+   * @param {Buffer} data - Plaintext
+   * @returns {Buffer} Ciphertext
+   */
+  update(data) {
+    if (data.length > this.keystream.length) {
+      const blocks = Math.ceil((data.length - this.keystream.length) / 16);
+      const counters = Buffer.alloc(blocks * 16);
+      for (let i = 0; i < blocks; i++, this.counter++) {
+        counters.writeUInt32LE(this.counter % 0x100000000, i * 16);
+        counters.writeUInt32LE(Math.floor(this.counter / 0x100000000), i * 16 + 4);
+      }
+      this.keystream = Buffer.concat([this.keystream, this.cipher.update(counters)]);
+    }
+
+    const output = Buffer.allocUnsafe(data.length);
+    for (let i = 0; i < data.length; i++) {
+      output[i] = data[i] ^ this.keystream[i];
+    }
+    this.keystream = this.keystream.subarray(data.length);
+    this.hmac.update(output);
+    return output;
+  }
+
+  /**
+   * Bytes written after the entry's encrypted data
+   * @returns {Buffer} Authentication code
+   */
+  final() {
+    return this.hmac.digest().subarray(0, AES_AUTH_CODE_LENGTH);
+  }
+}
+
+/**
+ * Streaming ZIP archive writer.
+ *
+ * Entries are produced by async generators that yield the archive's bytes in order, so an
+ * archive can be streamed to a client with backpressure and without knowing entry sizes up
+ * front (sizes follow each entry in a data descriptor). With a password, entries are
+ * encrypted with WinZip AES-256, which 7-Zip, WinZip, macOS Archive Utility and libarchive
+ * can open; the legacy ZipCrypto scheme is not offered. Archives are limited to 4 GiB and
+ * 65,535 entries.
+ */
+class ZipWriter {
+  /**
+   * @param {Object} options - Archive options
+   * @param {string} options.password - Password to encrypt entries with, if any
+   */
+  constructor(options = {}) {
+    this.password = options.password || null;
+    this.entries = [];
+    this.offset = 0;
+  }
+
+  /**
+   * Write an entry
+   * @param {string} name - Path of the entry in the archive
+   * @param {Readable} source - Entry content
+   * @param {Object} options - Entry options
+   * @param {Date} options.modifiedAt - Modification time
+   * @param {boolean} options.compress - Deflate the entry instead of storing it
+   * @yields {Buffer} Archive bytes
+   * @returns {Promise<Object>} Entry summary ({ name, size, compressedSize, sha256 })
+   */
+  async *addEntry(name, source, options = {}) {
+    if (this.entries.length >= MAX_ZIP_ENTRIES) {
+      throw zipTooLargeError(`Archives hold at most ${MAX_ZIP_ENTRIES} entries`);
+    }
+
+    const fileName = Buffer.from(name, 'utf8');
+    const method = options.compress ? METHOD_DEFLATED : METHOD_STORED;
+    const cipher = this.password ? new AesEntryCipher(this.password) : null;
+    const extraField = cipher ? this.buildAesExtraField(method) : Buffer.alloc(0);
+    const entry = {
+      fileName,
+      extraField,
+      flags: FLAG_DATA_DESCRIPTOR | FLAG_UTF8 | (cipher ? FLAG_ENCRYPTED : 0),
+      method: cipher ? METHOD_AES : method,
+      versionNeeded: cipher ? 51 : 20,
+      ...toDosDateTime(options.modifiedAt || new Date()),
+      crc32: 0,
+      size: 0,
+      compressedSize: 0,
+      offset: this.offset,
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    header.writeUInt16LE(entry.versionNeeded, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    // CRC and sizes follow the data in the data descriptor
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(extraField.length, 28);
+    yield this.track(Buffer.concat([header, fileName, extraField]));
+
+    const hash = crypto.createHash('sha256');
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        entry.crc32 = updateCrc32(entry.crc32, chunk);
+        entry.size += chunk.length;
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+
+    // Errors in any stage surface through the iteration below
+    const data = options.compress
+      ? pipeline(source, measure, zlib.createDeflateRaw(), () => {})
+      : pipeline(source, measure, () => {});
+
+    if (cipher) {
+      yield this.track(cipher.header(), entry);
+    }
+    for await (const chunk of data) {
+      yield this.track(cipher ? cipher.update(chunk) : chunk, entry);
+    }
+    if (cipher) {
+      yield this.track(cipher.final(), entry);
+      // AE-2 leaves the CRC out; the authentication code protects the data
+      entry.crc32 = 0;
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+    descriptor.writeUInt32LE(entry.crc32, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    yield this.track(descriptor);
+
+    this.entries.push(entry);
+    return {
+      name,
+      size: entry.size,
+      compressedSize: entry.compressedSize,
+      sha256: hash.digest('hex'),
+    };
+  }
+
+  /**
+   * Write the central directory that ends the archive
+   * @yields {Buffer} Archive bytes
+   */
+  *finish() {
+    const directoryOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+      header.writeUInt16LE((3 << 8) | 63, 4); // Made by Unix, spec 6.3
+      header.writeUInt16LE(entry.versionNeeded, 6);
+      header.writeUInt16LE(entry.flags, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc32, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt16LE(entry.extraField.length, 30);
+      header.writeUInt32LE((0o100600 << 16) >>> 0, 38); // Regular file, owner read/write
+      header.writeUInt32LE(entry.offset, 42);
+      yield this.track(Buffer.concat([header, entry.fileName, entry.extraField]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    yield this.track(end);
+  }
+
+  /**
+   * Account for bytes about to be written
+   * @param {Buffer} chunk - Archive bytes
+   * @param {Object} entry - Entry the bytes are data of, if any
+   * @returns {Buffer} The same bytes
+   */
+  track(chunk, entry = null) {
+    this.offset += chunk.length;
+    if (this.offset > MAX_ZIP_OFFSET) {
+      throw zipTooLargeError('Archives are limited to 4 GiB');
+    }
+    if (entry) {
+      entry.compressedSize += chunk.length;
+    }
+    return chunk;
+  }
+
+  /**
+   * Build the extra field that describes an AES-encrypted entry
+   * @param {number} method - Compression method of the entry's plaintext
+   * @returns {Buffer} Extra field
+   */
+  buildAesExtraField(method) {
+    const field = Buffer.alloc(11);
+    field.writeUInt16LE(AES_EXTRA_FIELD, 0);
+    field.writeUInt16LE(7, 2);
+    field.writeUInt16LE(2, 4); // AE-2
+    field.write('AE', 6, 'latin1');
+    field.writeUInt8(3, 8); // AES-256
+    field.writeUInt16LE(method, 9);
+    return field;
+  }
+}
+
+module.exports = ZipWriter;
@@ -60,6 +60,93 @@ const documentValidators = {
         'array.max': 'Maximum 10 editors allowed',
         'string.guid': 'Invalid editor ID format',
       }),
+
+    // JSON-encoded envelope for files encrypted in the browser (see clientEncryption)
+    clientEncryption: Joi.string()
+      .max(32768)
+      .optional(),
+  }),
+
+  // New document version upload validation
+  versionUpload: Joi.object({
+    comment: Joi.string()
+      .max(500)
+      .optional()
+      .allow('')
+      .messages({
+        'string.max': 'Comment must not exceed 500 characters',
+      }),
+
+    // JSON-encoded envelope for files encrypted in the browser (see clientEncryption)
+    clientEncryption: Joi.string()
+      .max(32768)
+      .optional(),
+  }),
+
+  // Client-side encryption envelope sent with zero-knowledge uploads
+  clientEncryption: Joi.object({
+    version: Joi.number()
+      .valid(1)
+      .required(),
+
+    documentId: Joi.string()
+      .guid({ version: 'uuidv4' })
+      .required()
+      .messages({
+        'string.guid': 'Invalid document ID format',
+      }),
+
+    recipients: Joi.array()
+      .items(Joi.object({
+        uid: Joi.string().max(128).required(),
+        keyFingerprint: Joi.string().hex().length(64).required(),
+        wrappedKey: Joi.string().base64().max(2048).required(),
+      }))
+      .min(1)
+      .max(20)
+      .unique('uid')
+      .required()
+      .messages({
+        'array.min': 'At least one recipient is required',
+        'array.max': 'Maximum 20 recipients allowed',
+        'array.unique': 'Duplicate recipient',
+      }),
+  }),
+
+  // Recipient key lookup for client-side encryption
+  recipients: Joi.object({
+    employeeId: Joi.string()
+      .alphanum()
+      .min(3)
+      .max(50)
+      .required(),
+
+    documentType: Joi.string()
+      .valid(...Object.values(config.documentTypes))
+      .required(),
+  }),
+
+  // Resumable upload session parameter validation
+  uploadSessionId: Joi.object({
+    sessionId: Joi.string()
+      .guid({ version: 'uuidv4' })
+      .required()
+      .messages({
+        'string.guid': 'Invalid upload session ID format',
+        'any.required': 'Upload session ID is required',
+      }),
+  }),
+
+  // Resumable upload finalization
+  uploadFinalize: Joi.object({
+    sha256: Joi.string()
+      .hex()
+      .length(64)
+      .optional()
+      .messages({
+        'string.hex': 'SHA-256 must be hexadecimal',
+        'string.length': 'SHA-256 must be 64 hexadecimal characters',
+      }),
   }),
 
   // Document listing validation
@@ -88,6 +175,13 @@ const documentValidators = {
         'date.format': 'Upload date must be in ISO format',
       }),
 
+    tag: Joi.string()
+      .max(50)
+      .optional()
+      .messages({
+        'string.max': 'Tag must not exceed 50 characters',
+      }),
+
     limit: Joi.number()
       .integer()
       .min(1)
@@ -128,6 +222,149 @@ const documentValidators = {
       }),
   }),
 
+  // Document version parameter validation
+  version: Joi.object({
+    documentId: Joi.string()
+      .guid({ version: 'uuidv4' })
+      .required()
+      .messages({
+        'string.guid': 'Invalid document ID format',
+        'any.required': 'Document ID is required',
+      }),
+
+    version: Joi.number()
+      .integer()
+      .min(1)
+      .required()
+      .messages({
+        'number.base': 'Version must be a number',
+        'number.min': 'Version must be at least 1',
+        'any.required': 'Version is required',
+      }),
+  }),
+
+  // Document download validation
+  download: Joi.object({
+    disposition: Joi.string()
+      .valid('attachment', 'inline')
+      .optional()
+      .default('attachment')
+      .messages({
+        'any.only': 'Disposition must be either "attachment" or "inline"',
+      }),
+  }),
+
+  // Document preview validation
+  preview: Joi.object({
+    size: Joi.string()
+      .valid('thumbnail', 'page')
+      .optional()
+      .default('thumbnail')
+      .messages({
+        'any.only': 'Size must be either "thumbnail" or "page"',
+      }),
+  }),
+
+  // Document rollback validation
+  rollback: Joi.object({
+    reason: Joi.string()
+      .min(3)
+      .max(200)
+      .required()
+      .messages({
+        'string.min': 'Rollback reason must be at least 3 characters long',
+        'string.max': 'Rollback reason must not exceed 200 characters',
+        'any.required': 'Rollback reason is required',
+      }),
+  }),
+
+  // Legal hold validation
+  legalHold: Joi.object({
+    scope: Joi.string()
+      .valid('document', 'employee', 'documentType')
+      .required()
+      .messages({
+        'any.only': 'Scope must be one of: document, employee, documentType',
+        'any.required': 'Scope is required',
+      }),
+
+    targetId: Joi.alternatives()
+      .conditional('scope', {
+        switch: [
+          { is: 'document', then: Joi.string().guid({ version: 'uuidv4' }) },
+          { is: 'employee', then: Joi.string().alphanum().min(3).max(50) },
+          { is: 'documentType', then: Joi.string().valid(...Object.values(config.documentTypes)) },
+        ],
+      })
+      .required()
+      .messages({
+        'any.required': 'Target ID is required',
+      }),
+
+    reason: Joi.string()
+      .min(3)
+      .max(500)
+      .required()
+      .messages({
+        'string.min': 'Hold reason must be at least 3 characters long',
+        'string.max': 'Hold reason must not exceed 500 characters',
+        'any.required': 'Hold reason is required',
+      }),
+
+    matter: Joi.string()
+      .max(100)
+      .optional()
+      .messages({
+        'string.max': 'Matter reference must not exceed 100 characters',
+      }),
+  }),
+
+  legalHoldId: Joi.object({
+    holdId: Joi.string()
+      .guid({ version: 'uuidv4' })
+      .required()
+      .messages({
+        'string.guid': 'Invalid legal hold ID format',
+        'any.required': 'Legal hold ID is required',
+      }),
+  }),
+
+  legalHoldRelease: Joi.object({
+    reason: Joi.string()
+      .min(3)
+      .max(500)
+      .required()
+      .messages({
+        'string.min': 'Release reason must be at least 3 characters long',
+        'string.max': 'Release reason must not exceed 500 characters',
+        'any.required': 'Release reason is required',
+      }),
+  }),
+
+  legalHoldList: Joi.object({
+    status: Joi.string()
+      .valid('active', 'released')
+      .optional(),
+
+    targetId: Joi.string()
+      .max(50)
+      .optional(),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .optional()
+      .default(20),
+
+    startAfter: Joi.string()
+      .guid({ version: 'uuidv4' })
+      .optional()
+      .messages({
+        'string.guid': 'Invalid legal hold ID format for pagination',
+      }),
+  }),
+
   // Document sharing validation
   share: Joi.object({
     shareWith: Joi.array()
@@ -197,6 +434,46 @@ const documentValidators = {
       .default(false),
   }),
 
+  // Bulk export validation
+  export: Joi.object({
+    employeeId: Joi.string()
+      .alphanum()
+      .min(3)
+      .max(50)
+      .required(),
+
+    documentTypes: Joi.array()
+      .items(Joi.string().valid(...Object.values(config.documentTypes)))
+      .min(1)
+      .unique()
+      .optional(),
+
+    uploadedAfter: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.format': 'Upload date must be in ISO format',
+      }),
+
+    uploadedBefore: Joi.date()
+      .iso()
+      .optional()
+      .when('uploadedAfter', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('uploadedAfter')) })
+      .messages({
+        'date.format': 'Upload date must be in ISO format',
+        'date.greater': 'uploadedBefore must be after uploadedAfter',
+      }),
+
+    password: Joi.string()
+      .min(8)
+      .max(128)
+      .optional()
+      .messages({
+        'string.min': 'Archive password must be at least 8 characters long',
+        'string.max': 'Archive password must not exceed 128 characters',
+      }),
+  }),
+
   // Document search validation
   search: Joi.object({
     query: Joi.string()
@@ -301,6 +578,34 @@ const documentValidators = {
   }),
 };
 
+// Resumable upload session creation: the upload form fields plus the file's name, type and
+// size, which a multipart upload would have taken from the file part. The client encryption
+// envelope is sent as an object since the request body is JSON.
+documentValidators.uploadSession = documentValidators.upload.keys({
+  fileName: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'File name is required',
+    }),
+
+  mimeType: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'MIME type is required',
+    }),
+
+  totalSize: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.min': 'File cannot be empty',
+      'any.required': 'Total file size is required',
+    }),
+
+  clientEncryption: documentValidators.clientEncryption.optional(),
+});
+
 // Validation for file extension based on document type
 const validateFileType = (file, documentType) => {
   const allowedExtensions = {
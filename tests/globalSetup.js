@@ -0,0 +1,10 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create the scratch directory the test environment keeps its keyfiles and stored objects in
+ */
+module.exports = async () => {
+  process.env.TEST_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-digital-locker-test-'));
+};
@@ -0,0 +1,8 @@
+const fs = require('fs');
+
+/**
+ * Remove the scratch directory created by globalSetup
+ */
+module.exports = async () => {
+  fs.rmSync(process.env.TEST_DATA_DIR, { recursive: true, force: true });
+};
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the parts of firebase-admin the services use.
+ *
+ * Tests replace the module with `jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'))`.
+ * Documents live in a map keyed by path; queries support the filters, ordering and paging
+ * the services issue. Writes in batches and transactions apply when they commit.
+ */
+
+const documents = new Map();
+
+class Timestamp {
+  constructor(date) {
+    this.date = date;
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date);
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(new Date(millis));
+  }
+
+  static now() {
+    return new Timestamp(new Date());
+  }
+
+  toDate() {
+    return this.date;
+  }
+
+  toMillis() {
+    return this.date.getTime();
+  }
+}
+
+const FieldValue = {
+  delete: () => ({ fieldValue: 'delete' }),
+  serverTimestamp: () => ({ fieldValue: 'serverTimestamp' }),
+  increment: amount => ({ fieldValue: 'increment', amount }),
+  arrayUnion: (...elements) => ({ fieldValue: 'arrayUnion', elements }),
+  arrayRemove: (...elements) => ({ fieldValue: 'arrayRemove', elements }),
+};
+
+/**
+ * Build the error Firestore reports for a failed precondition
+ * @param {number} code - gRPC status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+function firestoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Timestamp) && !(value instanceof Date) && !Buffer.isBuffer(value);
+
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function resolveValue(current, value) {
+  if (value === undefined) {
+    throw new Error('Cannot use "undefined" as a Firestore value');
+  }
+  switch (value && value.fieldValue) {
+    case 'serverTimestamp':
+      return Timestamp.now();
+    case 'increment':
+      return (current || 0) + value.amount;
+    case 'arrayUnion':
+      return [...(current || []), ...value.elements.filter(element => !(current || []).includes(element))];
+    case 'arrayRemove':
+      return (current || []).filter(element => !value.elements.includes(element));
+  }
+  if (isPlainObject(value)) {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (!(item && item.fieldValue === 'delete')) {
+        resolved[key] = resolveValue(undefined, item);
+      }
+    }
+    return resolved;
+  }
+  return clone(value);
+}
+
+function setField(data, fieldPath, value) {
+  const parts = fieldPath.split('.');
+  let target = data;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(target[part])) {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+  const last = parts[parts.length - 1];
+  if (value && value.fieldValue === 'delete') {
+    delete target[last];
+  } else {
+    target[last] = resolveValue(target[last], value);
+  }
+}
+
+const getField = (data, fieldPath) => fieldPath.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+
+const comparable = value => (value instanceof Timestamp ? value.toMillis() : value instanceof Date ? value.getTime() : value);
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.storedData = data;
+  }
+
+  data() {
+    return this.storedData === undefined ? undefined : clone(this.storedData);
+  }
+
+  get(fieldPath) {
+    return getField(this.storedData, fieldPath);
+  }
+}
+
+class DocumentReference {
+  constructor(path) {
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new Query(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, documents.get(this.path));
+  }
+
+  async set(data, options) {
+    this.applySet(data, options);
+  }
+
+  async create(data) {
+    this.applyCreate(data);
+  }
+
+  async update(data) {
+    this.applyUpdate(data);
+  }
+
+  async delete() {
+    documents.delete(this.path);
+  }
+
+  applySet(data, options = {}) {
+    if (options.merge && documents.has(this.path)) {
+      const current = documents.get(this.path);
+      Object.entries(data).forEach(([key, value]) => setField(current, key, value));
+    } else {
+      documents.set(this.path, resolveValue(undefined, data));
+    }
+  }
+
+  applyCreate(data) {
+    if (documents.has(this.path)) {
+      throw firestoreError(6, `ALREADY_EXISTS: ${this.path}`);
+    }
+    documents.set(this.path, resolveValue(undefined, data));
+  }
+
+  applyUpdate(data) {
+    if (!documents.has(this.path)) {
+      throw firestoreError(5, `NOT_FOUND: ${this.path}`);
+    }
+    const current = documents.get(this.path);
+    Object.entries(data).forEach(([key, value]) => setField(current, key, value));
+  }
+}
+
+const FILTERS = {
+  '==': (value, operand) => comparable(value) === comparable(operand),
+  '!=': (value, operand) => value !== undefined && comparable(value) !== comparable(operand),
+  '<': (value, operand) => value !== undefined && comparable(value) < comparable(operand),
+  '<=': (value, operand) => value !== undefined && comparable(value) <= comparable(operand),
+  '>': (value, operand) => value !== undefined && comparable(value) > comparable(operand),
+  '>=': (value, operand) => value !== undefined && comparable(value) >= comparable(operand),
+  'array-contains': (value, operand) => Array.isArray(value) && value.includes(operand),
+  'in': (value, operand) => operand.includes(value),
+};
+
+class Query {
+  constructor(path, query = {}) {
+    this.path = path;
+    this.query = { filters: [], orders: [], limit: null, startAfter: null, ...query };
+  }
+
+  doc(id) {
+    return new DocumentReference(`${this.path}/${id || crypto.randomUUID()}`);
+  }
+
+  where(fieldPath, operator, operand) {
+    if (!FILTERS[operator]) {
+      throw new Error(`Unsupported operator: ${operator}`);
+    }
+    return this.refine({ filters: [...this.query.filters, [fieldPath, operator, operand]] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return this.refine({ orders: [...this.query.orders, [fieldPath, direction]] });
+  }
+
+  limit(limit) {
+    return this.refine({ limit });
+  }
+
+  startAfter(cursor) {
+    return this.refine({ startAfter: cursor });
+  }
+
+  select() {
+    return this;
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const { size } = await this.get();
+        return { data: () => ({ count: size }) };
+      },
+    };
+  }
+
+  refine(query) {
+    return new Query(this.path, { ...this.query, ...query });
+  }
+
+  async get() {
+    const prefix = `${this.path}/`;
+    const field = (snapshot, fieldPath) => (fieldPath === '__name__' ? snapshot.id : snapshot.get(fieldPath));
+
+    let docs = [...documents.entries()]
+      .filter(([path]) => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+      .map(([path, data]) => new DocumentSnapshot(new DocumentReference(path), data));
+
+    for (const [fieldPath, operator, operand] of this.query.filters) {
+      docs = docs.filter(snapshot => FILTERS[operator](field(snapshot, fieldPath), operand));
+    }
+
+    // Ordering on a field leaves out documents without it
+    for (const [fieldPath] of this.query.orders) {
+      docs = docs.filter(snapshot => field(snapshot, fieldPath) !== undefined);
+    }
+    const orders = this.query.orders.length ? this.query.orders : [['__name__', 'asc']];
+    docs.sort((a, b) => {
+      for (const [fieldPath, direction] of orders) {
+        const x = comparable(field(a, fieldPath));
+        const y = comparable(field(b, fieldPath));
+        if (x !== y) {
+          return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+        }
+      }
+      return 0;
+    });
+
+    const cursor = this.query.startAfter;
+    if (cursor) {
+      const cursorId = typeof cursor === 'string' ? cursor : cursor.id;
+      docs = docs.slice(docs.findIndex(snapshot => snapshot.id === cursorId) + 1);
+    }
+    if (this.query.limit !== null) {
+      docs = docs.slice(0, this.query.limit);
+    }
+
+    return { docs, size: docs.length, empty: docs.length === 0, forEach: callback => docs.forEach(callback) };
+  }
+}
+
+/**
+ * Collect writes to apply together
+ * @returns {Object} Write methods and the queued operations
+ */
+function createWriteQueue() {
+  const operations = [];
+  return {
+    operations,
+    set: (ref, data, options) => operations.push(() => ref.applySet(data, options)),
+    create: (ref, data) => operations.push(() => ref.applyCreate(data)),
+    update: (ref, data) => operations.push(() => ref.applyUpdate(data)),
+    delete: ref => operations.push(() => documents.delete(ref.path)),
+  };
+}
+
+/**
+ * Apply queued writes, all or nothing
+ * @param {Array<Function>} operations - Queued writes
+ */
+function commit(operations) {
+  const snapshot = new Map([...documents].map(([path, data]) => [path, clone(data)]));
+  try {
+    operations.forEach(operation => operation());
+  } catch (error) {
+    documents.clear();
+    snapshot.forEach((data, path) => documents.set(path, data));
+    throw error;
+  }
+}
+
+const db = {
+  collection: name => new Query(name),
+  doc: path => new DocumentReference(path),
+
+  batch() {
+    const queue = createWriteQueue();
+    const batch = {
+      set: (...args) => (queue.set(...args), batch),
+      create: (...args) => (queue.create(...args), batch),
+      update: (...args) => (queue.update(...args), batch),
+      delete: (...args) => (queue.delete(...args), batch),
+      commit: async () => commit(queue.operations),
+    };
+    return batch;
+  },
+
+  async runTransaction(updateFunction) {
+    const queue = createWriteQueue();
+    const transaction = {
+      get: ref => ref.get(),
+      set: (...args) => (queue.set(...args), transaction),
+      create: (...args) => (queue.create(...args), transaction),
+      update: (...args) => (queue.update(...args), transaction),
+      delete: (...args) => (queue.delete(...args), transaction),
+    };
+    const result = await updateFunction(transaction);
+    commit(queue.operations);
+    return result;
+  },
+};
+
+const firestore = () => db;
+Object.assign(firestore, {
+  FieldValue,
+  Timestamp,
+  FieldPath: { documentId: () => '__name__' },
+});
+
+module.exports = {
+  apps: [],
+  initializeApp: () => ({}),
+  firestore,
+  auth: () => ({}),
+  credential: { applicationDefault: () => ({}) },
+
+  /**
+   * Remove every stored document
+   */
+  reset() {
+    documents.clear();
+  },
+
+  /**
+   * Read a stored document by path, for assertions
+   * @param {string} path - Document path
+   * @returns {Object|undefined} Stored data
+   */
+  getDocument(path) {
+    return clone(documents.get(path));
+  },
+};
@@ -0,0 +1,34 @@
+const { Readable } = require('stream');
+
+/**
+ * Read a stream to the end
+ * @param {Readable} stream - Stream to read
+ * @returns {Promise<Buffer>} Everything the stream produced
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Run data through a transform stream
+ * @param {Buffer} data - Input
+ * @param {Transform} transform - Transform stream
+ * @param {number} writeSize - Bytes per write, to exercise chunk boundaries
+ * @returns {Promise<Buffer>} Transformed output
+ */
+function transformAll(data, transform, writeSize = data.length || 1) {
+  const parts = [];
+  for (let offset = 0; offset < data.length; offset += writeSize) {
+    parts.push(data.subarray(offset, offset + writeSize));
+  }
+  return readAll(Readable.from(parts).pipe(transform));
+}
+
+module.exports = {
+  readAll,
+  transformAll,
+};
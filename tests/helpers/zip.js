@@ -0,0 +1,51 @@
+/**
+ * Read the entries of an archive through its central directory
+ * @param {Buffer} archive - Archive bytes
+ * @returns {Array<Object>} Entries with their header fields and raw data
+ */
+function readArchive(archive) {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+
+  const entryCount = archive.readUInt16LE(end + 10);
+  const directoryOffset = archive.readUInt32LE(end + 16);
+  expect(directoryOffset + archive.readUInt32LE(end + 12)).toBe(end);
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    expect(archive.readUInt32LE(offset)).toBe(0x02014b50);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const entry = {
+      flags: archive.readUInt16LE(offset + 8),
+      method: archive.readUInt16LE(offset + 10),
+      crc32: archive.readUInt32LE(offset + 16),
+      compressedSize: archive.readUInt32LE(offset + 20),
+      size: archive.readUInt32LE(offset + 24),
+      name: archive.subarray(offset + 46, offset + 46 + nameLength).toString('utf8'),
+      extraField: archive.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength),
+      localOffset: archive.readUInt32LE(offset + 42),
+    };
+    offset += 46 + nameLength + extraLength;
+
+    const local = entry.localOffset;
+    expect(archive.readUInt32LE(local)).toBe(0x04034b50);
+    expect(archive.readUInt16LE(local + 8)).toBe(entry.method);
+    const dataStart = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+    entry.data = archive.subarray(dataStart, dataStart + entry.compressedSize);
+
+    const descriptor = dataStart + entry.compressedSize;
+    expect(archive.readUInt32LE(descriptor)).toBe(0x08074b50);
+    expect(archive.readUInt32LE(descriptor + 4)).toBe(entry.crc32);
+    expect(archive.readUInt32LE(descriptor + 8)).toBe(entry.compressedSize);
+    expect(archive.readUInt32LE(descriptor + 12)).toBe(entry.size);
+
+    entries.push(entry);
+  }
+  return entries;
+}
+
+module.exports = {
+  readArchive,
+};
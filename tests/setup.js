@@ -0,0 +1,21 @@
+const fs = require('fs');
+const path = require('path');
+const LocalKeyfileProvider = require('../src/services/keyProviders/localKeyfileProvider');
+
+// Each test file gets its own master keyfile and local storage directory
+const dataDir = fs.mkdtempSync(path.join(process.env.TEST_DATA_DIR, 'run-'));
+const keyfilePath = path.join(dataDir, 'master.key');
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  GCP_PROJECT_ID: 'test-project',
+  JWT_SECRET: 'test-jwt-secret',
+  BLIND_INDEX_KEY: '00'.repeat(32),
+  KMS_PROVIDER: 'local',
+  KMS_LOCAL_KEYFILE: keyfilePath,
+  KMS_LOCAL_KEYFILE_PASSWORD: 'test-keyfile-password',
+  STORAGE_DRIVER: 'local',
+  STORAGE_LOCAL_PATH: path.join(dataDir, 'storage'),
+});
+
+LocalKeyfileProvider.createKeyfile(keyfilePath, process.env.KMS_LOCAL_KEYFILE_PASSWORD);
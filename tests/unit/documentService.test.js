@@ -0,0 +1,262 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const storageService = require('../../src/services/storageService');
+const previewService = require('../../src/services/previewService');
+const documentService = require('../../src/services/documentService');
+const legalHoldService = require('../../src/services/legalHoldService');
+const { readAll } = require('../helpers/streams');
+
+const hrUser = { uid: 'hr-1', email: 'hr@example.com', role: config.roles.HR, employeeId: 'HR001' };
+const employeeUser = { uid: 'emp-1', email: 'employee@example.com', role: config.roles.EMPLOYEE, employeeId: 'EMP001' };
+const adminUser = { uid: 'admin-1', email: 'admin@example.com', role: config.roles.ADMIN, employeeId: 'ADM001' };
+
+const payslip = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n');
+
+function upload(content = payslip, employeeId = 'EMP001') {
+  return documentService.uploadDocument(content, {
+    originalName: 'payslip.pdf',
+    mimeType: 'application/pdf',
+    documentType: 'salary_slip',
+    employeeId,
+  }, hrUser);
+}
+
+function getRecord(documentId) {
+  return admin.getDocument(`${config.firestore.collections.documents}/${documentId}`);
+}
+
+/**
+ * Move a document to the recycle bin and let its time there run out
+ * @param {string} documentId - Document ID
+ * @returns {Promise<void>}
+ */
+async function expireInRecycleBin(documentId) {
+  await documentService.deleteDocument(documentId, hrUser);
+  await documentService.documentsCollection.doc(documentId).update({
+    purgeAfter: admin.firestore.Timestamp.fromMillis(Date.now() - 1000),
+  });
+}
+
+async function storedObjects() {
+  await storageService.init();
+  return (await storageService.driver.list()).objects.map(object => object.key);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  // Previews are stored next to the document, so their cleanup is covered too
+  previewService.renderer = { render: async () => Buffer.from('png') };
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  admin.reset();
+  await Promise.all((await storedObjects()).map(key => storageService.driver.delete(key)));
+});
+
+describe('documentService.uploadDocument', () => {
+  test('refuses a file the employee already has and removes its objects', async () => {
+    const original = await upload();
+    const objects = await storedObjects();
+    expect(objects.filter(key => key.endsWith('.png'))).toHaveLength(2);
+
+    await expect(upload()).rejects.toMatchObject({
+      code: 'DUPLICATE_DOCUMENT',
+      existingDocumentId: original.documentId,
+    });
+    expect(await storedObjects()).toEqual(objects);
+  });
+
+  test('refuses a duplicate recorded after the early check when the document is committed', async () => {
+    const original = await upload();
+    const objects = await storedObjects();
+
+    // As if the other upload committed while this one was rendering its previews
+    jest.spyOn(documentService, 'findDuplicateDocument').mockResolvedValueOnce(null);
+
+    await expect(upload()).rejects.toMatchObject({
+      code: 'DUPLICATE_DOCUMENT',
+      existingDocumentId: original.documentId,
+    });
+    expect(await storedObjects()).toEqual(objects);
+  });
+
+  test('refuses to record a document under an ID that is already taken', async () => {
+    const original = await upload();
+    const record = getRecord(original.documentId);
+    const objects = await storedObjects();
+
+    // As if a browser-encrypted upload with the same ID passed validation before the other committed
+    const other = Buffer.from(payslip.toString().replace('%PDF-1.4', '%PDF-1.5'));
+    await expect(documentService.uploadDocument(other, {
+      originalName: 'payslip.pdf',
+      mimeType: 'application/pdf',
+      documentType: 'salary_slip',
+      employeeId: 'EMP002',
+      documentId: original.documentId,
+    }, hrUser)).rejects.toMatchObject({ code: 'DOCUMENT_ID_CONFLICT' });
+
+    expect(getRecord(original.documentId)).toEqual(record);
+    expect(await storedObjects()).toEqual(objects);
+  });
+
+  test('removes the stored objects when the document cannot be recorded', async () => {
+    jest.spyOn(documentService.firestore, 'runTransaction').mockRejectedValueOnce(new Error('unavailable'));
+
+    await expect(upload()).rejects.toThrow('unavailable');
+    expect(await storedObjects()).toEqual([]);
+  });
+
+  test('accepts the same file for another employee or after the original is deleted', async () => {
+    const original = await upload();
+    await expect(upload(payslip, 'EMP002')).resolves.toMatchObject({ success: true });
+
+    await documentService.documentsCollection.doc(original.documentId).update({ isActive: false });
+    const again = await upload();
+
+    expect(again.documentId).not.toBe(original.documentId);
+    await expect(upload()).rejects.toMatchObject({ existingDocumentId: again.documentId });
+  });
+});
+
+describe('documentService.listDocuments', () => {
+  test('lists documents with their upload time, filtered by it', async () => {
+    const old = await upload();
+    const recent = await upload(Buffer.from(payslip.toString().replace('%PDF-1.4', '%PDF-1.5')));
+    await documentService.documentsCollection.doc(old.documentId).update({
+      uploadedAt: new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString(),
+    });
+
+    const { documents } = await documentService.listDocuments(hrUser);
+    expect(documents.map(document => document.id)).toEqual([recent.documentId, old.documentId]);
+    expect(documents[0].uploadedAt).toEqual(new Date(getRecord(recent.documentId).uploadedAt));
+
+    const uploadedAfter = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const filtered = await documentService.listDocuments(hrUser, { uploadedAfter });
+    expect(filtered.documents.map(document => document.id)).toEqual([recent.documentId]);
+
+    await expect(documentService.getDocumentStatistics(hrUser)).resolves.toMatchObject({ totalDocuments: 2, recentUploads: 1 });
+  });
+});
+
+describe('documentService.purgeExpiredDocuments', () => {
+  test('keeps documents in the recycle bin until their time has run out', async () => {
+    const { documentId } = await upload();
+    const objects = await storedObjects();
+    await documentService.deleteDocument(documentId, hrUser);
+
+    await expect(documentService.purgeExpiredDocuments()).resolves.toEqual({ purged: 0, held: 0, failed: 0 });
+    expect(await storedObjects()).toEqual(objects);
+
+    await documentService.restoreDocument(documentId, hrUser);
+    expect(getRecord(documentId)).toMatchObject({ isActive: true, trashed: false });
+  });
+
+  test('deletes the objects of expired documents and keeps their record', async () => {
+    const { documentId } = await upload();
+    await expireInRecycleBin(documentId);
+
+    await expect(documentService.purgeExpiredDocuments()).resolves.toEqual({ purged: 1, held: 0, failed: 0 });
+
+    expect(await storedObjects()).toEqual([]);
+    expect(getRecord(documentId)).toMatchObject({ isActive: false, trashed: false, purgedBy: 'system' });
+    expect(getRecord(documentId).purgedAt).toBeDefined();
+    await expect(documentService.restoreDocument(documentId, hrUser)).rejects.toThrow();
+  });
+
+  test('leaves expired documents under legal hold in the recycle bin', async () => {
+    const { documentId } = await upload();
+    const objects = await storedObjects();
+    await expireInRecycleBin(documentId);
+    await legalHoldService.placeHold({ scope: 'document', targetId: documentId, reason: 'Pending litigation' }, hrUser);
+
+    await expect(documentService.purgeExpiredDocuments()).resolves.toEqual({ purged: 0, held: 1, failed: 0 });
+    expect(await storedObjects()).toEqual(objects);
+    expect(getRecord(documentId)).toMatchObject({ trashed: true });
+  });
+});
+
+describe('client-side encryption', () => {
+  /**
+   * Register a user with a browser encryption key
+   * @param {Object} user - User information
+   * @returns {Promise<void>}
+   */
+  async function registerKey(user) {
+    await documentService.firestore.collection(config.firestore.collections.users).doc(user.uid).set({
+      email: user.email,
+      role: user.role,
+      employeeId: user.employeeId,
+      isActive: true,
+      encryptionKey: { publicKey: { kty: 'RSA' }, fingerprint: `fp-${user.uid}` },
+    });
+  }
+
+  function envelope(recipients) {
+    return {
+      version: 1,
+      documentId: crypto.randomUUID(),
+      recipients: recipients.map(user => ({
+        uid: user.uid,
+        keyFingerprint: `fp-${user.uid}`,
+        wrappedKey: Buffer.from(`key wrapped for ${user.uid}`).toString('base64'),
+      })),
+    };
+  }
+
+  function uploadEncrypted(ciphertext, clientEncryption, documentType = 'id_proof') {
+    return documentService.uploadDocument(ciphertext, {
+      originalName: 'passport.pdf',
+      mimeType: 'application/pdf',
+      documentType,
+      employeeId: 'EMP001',
+      clientEncryption,
+    }, hrUser);
+  }
+
+  beforeEach(async () => {
+    await registerKey(employeeUser);
+    await registerKey(hrUser);
+  });
+
+  test('stores the ciphertext as received and serves it with each recipient\'s wrapped key', async () => {
+    const ciphertext = crypto.randomBytes(256);
+    const clientEncryption = envelope([employeeUser, hrUser]);
+
+    const { documentId } = await uploadEncrypted(ciphertext, clientEncryption);
+
+    expect(documentId).toBe(clientEncryption.documentId);
+    expect(getRecord(documentId)).toMatchObject({ previews: null, encryptionInfo: { clientSide: true } });
+
+    const download = await documentService.downloadDocument(documentId, employeeUser);
+    expect((await readAll(download.stream)).equals(ciphertext)).toBe(true);
+    expect(download.metadata.clientEncryption).toMatchObject({
+      keyFingerprint: 'fp-emp-1',
+      wrappedKey: clientEncryption.recipients[0].wrappedKey,
+    });
+
+    // Not even an admin can read it without a wrapped key
+    await expect(documentService.downloadDocument(documentId, adminUser)).rejects.toMatchObject({ code: 'NOT_A_RECIPIENT' });
+  });
+
+  test('refuses an envelope that leaves out a recipient or names a stale key', async () => {
+    await expect(uploadEncrypted(crypto.randomBytes(256), envelope([hrUser])))
+      .rejects.toMatchObject({ code: 'CLIENT_ENCRYPTION_INVALID' });
+
+    const stale = envelope([employeeUser, hrUser]);
+    stale.recipients[0].keyFingerprint = 'fp-replaced';
+    await expect(uploadEncrypted(crypto.randomBytes(256), stale))
+      .rejects.toMatchObject({ code: 'CLIENT_ENCRYPTION_INVALID' });
+
+    expect(await storedObjects()).toEqual([]);
+  });
+
+  test('refuses browser encryption for document types that do not allow it', async () => {
+    await expect(uploadEncrypted(crypto.randomBytes(256), envelope([employeeUser, hrUser]), 'salary_slip'))
+      .rejects.toMatchObject({ code: 'CLIENT_ENCRYPTION_INVALID' });
+  });
+});
@@ -0,0 +1,224 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const encryptionService = require('../../src/services/encryptionService');
+const { transformAll } = require('../helpers/streams');
+
+const HEADER_LENGTH = 16;
+const TAG_LENGTH = 16;
+const CHUNK_SIZE = 64;
+
+const context = { documentId: 'doc-1', employeeId: 'EMP001', version: 1 };
+
+async function encrypt(plaintext, writeSize) {
+  const { stream, encryptionMetadata } = await encryptionService.createEncryptStream(context, { chunkSize: CHUNK_SIZE });
+  return { ciphertext: await transformAll(plaintext, stream, writeSize), encryptionMetadata };
+}
+
+async function decrypt(ciphertext, encryptionMetadata, decryptContext = context, options = {}) {
+  const stream = await encryptionService.createDecryptStream(encryptionMetadata, decryptContext, options);
+  return transformAll(ciphertext, stream, 50);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('chunked stream encryption', () => {
+  test.each([
+    ['empty', 0],
+    ['shorter than a chunk', 10],
+    ['exactly one chunk', CHUNK_SIZE],
+    ['a whole number of chunks', CHUNK_SIZE * 3],
+    ['a partial last chunk', CHUNK_SIZE * 3 + 17],
+  ])('round-trips content %s', async (_, length) => {
+    const plaintext = crypto.randomBytes(length);
+    const { ciphertext, encryptionMetadata } = await encrypt(plaintext, 7);
+
+    expect(ciphertext.length).toBe(encryptionService.getChunkedCiphertextLength(length, CHUNK_SIZE));
+    expect(encryptionService.getChunkedPlaintextLength(ciphertext.length, CHUNK_SIZE)).toBe(length);
+    expect(encryptionMetadata).toMatchObject({ format: 'chunked-v2', chunkSize: CHUNK_SIZE, employeeKeyId: 'EMP001' });
+    expect((await decrypt(ciphertext, encryptionMetadata)).equals(plaintext)).toBe(true);
+  });
+
+  describe('tamper detection', () => {
+    const plaintext = crypto.randomBytes(CHUNK_SIZE * 3 + 5);
+    const frameSize = CHUNK_SIZE + TAG_LENGTH;
+    let ciphertext;
+    let encryptionMetadata;
+
+    beforeAll(async () => {
+      ({ ciphertext, encryptionMetadata } = await encrypt(plaintext));
+    });
+
+    const expectRejected = promise => expect(promise).rejects.toMatchObject({ code: 'DECRYPTION_FAILED' });
+
+    test('rejects a flipped ciphertext bit', async () => {
+      const tampered = Buffer.from(ciphertext);
+      tampered[HEADER_LENGTH + frameSize + 3] ^= 0x01;
+      await expectRejected(decrypt(tampered, encryptionMetadata));
+    });
+
+    test('rejects a flipped tag bit', async () => {
+      const tampered = Buffer.from(ciphertext);
+      tampered[HEADER_LENGTH + frameSize - 1] ^= 0x80;
+      await expectRejected(decrypt(tampered, encryptionMetadata));
+    });
+
+    test('rejects a stream truncated at a frame boundary', async () => {
+      await expectRejected(decrypt(ciphertext.subarray(0, HEADER_LENGTH + frameSize * 2), encryptionMetadata));
+    });
+
+    test('rejects a stream with a frame dropped', async () => {
+      const tampered = Buffer.concat([
+        ciphertext.subarray(0, HEADER_LENGTH + frameSize),
+        ciphertext.subarray(HEADER_LENGTH + frameSize * 2),
+      ]);
+      await expectRejected(decrypt(tampered, encryptionMetadata));
+    });
+
+    test('rejects reordered frames', async () => {
+      const frame = index => ciphertext.subarray(HEADER_LENGTH + frameSize * index, HEADER_LENGTH + frameSize * (index + 1));
+      const tampered = Buffer.concat([
+        ciphertext.subarray(0, HEADER_LENGTH),
+        frame(1),
+        frame(0),
+        ciphertext.subarray(HEADER_LENGTH + frameSize * 2),
+      ]);
+      await expectRejected(decrypt(tampered, encryptionMetadata));
+    });
+
+    test('rejects bytes appended after the final frame', async () => {
+      await expectRejected(decrypt(Buffer.concat([ciphertext, Buffer.from('extra')]), encryptionMetadata));
+    });
+
+    test('rejects ciphertext moved to another document', async () => {
+      await expectRejected(decrypt(ciphertext, encryptionMetadata, { ...context, documentId: 'doc-2' }));
+    });
+
+    test('rejects ciphertext presented as another version', async () => {
+      await expectRejected(decrypt(ciphertext, encryptionMetadata, { ...context, version: 2 }));
+    });
+  });
+
+  test('decrypts a byte range from the frames that hold it', async () => {
+    const plaintext = crypto.randomBytes(CHUNK_SIZE * 5 + 9);
+    const { ciphertext, encryptionMetadata } = await encrypt(plaintext);
+
+    for (const [start, end] of [[0, 0], [70, 200], [CHUNK_SIZE, CHUNK_SIZE * 2 - 1], [300, plaintext.length - 1]]) {
+      const range = encryptionService.getChunkedByteRange(start, end, CHUNK_SIZE, ciphertext.length);
+      const decrypted = await decrypt(ciphertext.subarray(range.start, range.end + 1), encryptionMetadata, context, {
+        header: ciphertext.subarray(0, range.headerLength),
+        firstFrame: range.firstFrame,
+        partial: range.partial,
+      });
+
+      expect(decrypted.subarray(range.skip, range.skip + end - start + 1).equals(plaintext.subarray(start, end + 1))).toBe(true);
+    }
+  });
+});
+
+describe('getChunkedByteRange', () => {
+  const frameSize = CHUNK_SIZE + TAG_LENGTH;
+  // 7 frames: 6 full and a final one of 16 bytes
+  const plaintextLength = CHUNK_SIZE * 6 + 16;
+  const ciphertextLength = HEADER_LENGTH + plaintextLength + 7 * TAG_LENGTH;
+
+  test('maps a range inside one frame', () => {
+    expect(encryptionService.getChunkedByteRange(70, 80, CHUNK_SIZE, ciphertextLength)).toEqual({
+      start: HEADER_LENGTH + frameSize,
+      end: HEADER_LENGTH + frameSize * 2 - 1,
+      headerLength: HEADER_LENGTH,
+      firstFrame: 1,
+      partial: true,
+      skip: 6,
+    });
+  });
+
+  test('maps a range spanning frames', () => {
+    expect(encryptionService.getChunkedByteRange(CHUNK_SIZE - 1, CHUNK_SIZE * 3, CHUNK_SIZE, ciphertextLength)).toMatchObject({
+      start: HEADER_LENGTH,
+      end: HEADER_LENGTH + frameSize * 4 - 1,
+      firstFrame: 0,
+      partial: true,
+      skip: CHUNK_SIZE - 1,
+    });
+  });
+
+  test('ends at the object end and marks the final frame', () => {
+    expect(encryptionService.getChunkedByteRange(CHUNK_SIZE * 5, plaintextLength - 1, CHUNK_SIZE, ciphertextLength)).toMatchObject({
+      start: HEADER_LENGTH + frameSize * 5,
+      end: ciphertextLength - 1,
+      firstFrame: 5,
+      partial: false,
+      skip: 0,
+    });
+  });
+
+  test('handles an object of a single frame', () => {
+    const length = HEADER_LENGTH + 10 + TAG_LENGTH;
+    expect(encryptionService.getChunkedByteRange(2, 5, CHUNK_SIZE, length)).toEqual({
+      start: HEADER_LENGTH,
+      end: length - 1,
+      headerLength: HEADER_LENGTH,
+      firstFrame: 0,
+      partial: false,
+      skip: 2,
+    });
+  });
+});
+
+describe('single-blob encryption', () => {
+  test('round-trips and binds the payload to its document', async () => {
+    const payload = await encryptionService.encryptData('salary details', context);
+
+    expect((await encryptionService.decryptData(payload, context)).toString()).toBe('salary details');
+    await expect(encryptionService.decryptData(payload, { ...context, documentId: 'doc-2' }))
+      .rejects.toMatchObject({ code: 'DECRYPTION_FAILED' });
+  });
+
+  test('rejects a modified auth tag', async () => {
+    const payload = await encryptionService.encryptData('salary details', context);
+    const authTag = Buffer.from(payload.authTag, 'base64');
+    authTag[0] ^= 0x01;
+
+    await expect(encryptionService.decryptData({ ...payload, authTag: authTag.toString('base64') }, context))
+      .rejects.toMatchObject({ code: 'DECRYPTION_FAILED' });
+  });
+
+  test('does not report a key that cannot be unwrapped as tampering', async () => {
+    const payload = await encryptionService.encryptData('salary details', context);
+    const { employeeKeyId, ...withoutEmployeeKey } = payload;
+
+    expect(employeeKeyId).toBe('EMP001');
+    const error = await encryptionService.decryptData(withoutEmployeeKey, context).catch(e => e);
+    expect(error.message).toBe('Decryption failed');
+    expect(error.code).toBeUndefined();
+  });
+});
+
+describe('createIntegrityStream', () => {
+  const data = crypto.randomBytes(1000);
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+
+  test('passes content with the expected hash through', async () => {
+    expect((await transformAll(data, encryptionService.createIntegrityStream(hash), 100)).equals(data)).toBe(true);
+  });
+
+  test('fails on a hash mismatch without releasing the last chunk', async () => {
+    const stream = Readable.from([data.subarray(0, 500), data.subarray(500)]).pipe(encryptionService.createIntegrityStream('0'.repeat(64)));
+    const received = [];
+
+    await expect((async () => {
+      for await (const chunk of stream) {
+        received.push(chunk);
+      }
+    })()).rejects.toMatchObject({ code: 'INTEGRITY_FAILURE', actualHash: hash });
+    expect(Buffer.concat(received).length).toBeLessThanOrEqual(500);
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const storageService = require('../../src/services/storageService');
+const documentService = require('../../src/services/documentService');
+const exportService = require('../../src/services/exportService');
+const { readAll } = require('../helpers/streams');
+const { readArchive } = require('../helpers/zip');
+
+const hrUser = { uid: 'hr-1', email: 'hr@example.com', role: config.roles.HR, employeeId: 'HR001' };
+const employeeUser = { uid: 'emp-1', email: 'employee@example.com', role: config.roles.EMPLOYEE, employeeId: 'EMP001' };
+
+function pdf(title) {
+  return Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Title (${title}) >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n`);
+}
+
+async function upload(content, documentType, originalName) {
+  const { documentId } = await documentService.uploadDocument(content, {
+    originalName,
+    mimeType: 'application/pdf',
+    documentType,
+    employeeId: 'EMP001',
+  }, hrUser);
+  return documentId;
+}
+
+/**
+ * Run an export and read back its archive
+ * @param {Object} options - Export options
+ * @returns {Promise<Object>} Entry contents by path and the parsed manifest
+ */
+async function exportDocuments(options = {}) {
+  const { stream } = await exportService.createExport('EMP001', options, hrUser);
+  const entries = readArchive(await readAll(stream));
+
+  const files = Object.fromEntries(entries.map(entry => [
+    entry.name,
+    entry.method === 8 ? zlib.inflateRawSync(entry.data) : entry.data,
+  ]));
+  const manifest = JSON.parse(files['manifest.json']);
+  delete files['manifest.json'];
+
+  return { files, manifest };
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+async function storedObjects() {
+  await storageService.init();
+  return (await storageService.driver.list()).objects.map(object => object.key);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  admin.reset();
+  await Promise.all((await storedObjects()).map(key => storageService.driver.delete(key)));
+});
+
+describe('exportService.createExport', () => {
+  test('archives every document in a folder per type with a manifest of their hashes', async () => {
+    const contract = pdf('contract');
+    const payslips = [pdf('january'), pdf('february')];
+    const contractId = await upload(contract, 'contract', 'contract.pdf');
+    await upload(payslips[0], 'salary_slip', 'payslip.pdf');
+    await upload(payslips[1], 'salary_slip', 'payslip.pdf');
+
+    const { files, manifest } = await exportDocuments();
+
+    expect(Object.keys(files).sort()).toEqual(['contract/contract.pdf', 'salary_slip/payslip (2).pdf', 'salary_slip/payslip.pdf']);
+    expect(files['contract/contract.pdf'].equals(contract)).toBe(true);
+    expect(manifest).toMatchObject({ employeeId: 'EMP001', passwordProtected: false, skipped: [] });
+    expect(manifest.documents).toHaveLength(3);
+    expect(manifest.documents.find(document => document.id === contractId)).toMatchObject({
+      path: 'contract/contract.pdf',
+      sha256: sha256(contract),
+      watermarked: false,
+    });
+    for (const document of manifest.documents) {
+      expect(sha256(files[document.path])).toBe(document.sha256);
+    }
+  });
+
+  test('exports only the requested document types', async () => {
+    await upload(pdf('contract'), 'contract', 'contract.pdf');
+    await upload(pdf('january'), 'salary_slip', 'payslip.pdf');
+
+    const { files, manifest } = await exportDocuments({ documentTypes: ['salary_slip'] });
+
+    expect(Object.keys(files)).toEqual(['salary_slip/payslip.pdf']);
+    expect(manifest.filters).toMatchObject({ documentTypes: ['salary_slip'] });
+  });
+
+  test('lists quarantined documents as skipped', async () => {
+    await upload(pdf('contract'), 'contract', 'contract.pdf');
+    const quarantinedId = await upload(pdf('january'), 'salary_slip', 'payslip.pdf');
+    await documentService.quarantineDocument(quarantinedId, { reason: 'integrity_failure' });
+
+    const { files, manifest } = await exportDocuments();
+
+    expect(Object.keys(files)).toEqual(['contract/contract.pdf']);
+    expect(manifest.skipped).toEqual([expect.objectContaining({ id: quarantinedId, reason: 'quarantined' })]);
+  });
+
+  test('refuses exports over the limits before sending anything', async () => {
+    await upload(pdf('contract'), 'contract', 'contract.pdf');
+    await upload(pdf('january'), 'salary_slip', 'payslip.pdf');
+    jest.replaceProperty(config.export, 'maxDocuments', 1);
+
+    await expect(exportService.createExport('EMP001', {}, hrUser))
+      .rejects.toMatchObject({ code: 'EXPORT_TOO_LARGE', documentCount: 2 });
+  });
+
+  test('is only available to HR and admins', async () => {
+    await upload(pdf('contract'), 'contract', 'contract.pdf');
+
+    await expect(exportService.createExport('EMP001', {}, employeeUser))
+      .rejects.toThrow('Insufficient permissions to export documents');
+  });
+});
@@ -0,0 +1,130 @@
+const { Readable } = require('stream');
+const fileTypeService = require('../../src/services/fileTypeService');
+const ZipWriter = require('../../src/services/zipWriter');
+const { readAll, transformAll } = require('../helpers/streams');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const CONTENT_TYPES = '<?xml version="1.0"?><Types><Default Extension="xml" ContentType="application/xml"/></Types>';
+
+const pdf = (body = '') => Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\n${body}trailer\n<< /Root 1 0 R >>\n%%EOF\n`);
+const png = () => Buffer.concat([
+  Buffer.from('89504e470d0a1a0a', 'hex'),
+  Buffer.alloc(2000, 0x11),
+  Buffer.from('0000000049454e44ae426082', 'hex'),
+]);
+const jpeg = () => Buffer.concat([Buffer.from('ffd8ffe0', 'hex'), Buffer.alloc(2000, 0x22), Buffer.from('ffd9', 'hex')]);
+
+async function zip(parts, options = {}) {
+  const writer = new ZipWriter(options);
+  async function* write() {
+    for (const [name, content] of Object.entries(parts)) {
+      yield* writer.addEntry(name, Readable.from([Buffer.from(content)]));
+    }
+    yield* writer.finish();
+  }
+  return readAll(Readable.from(write()));
+}
+
+const docx = (parts = {}, options) => zip({
+  '[Content_Types].xml': CONTENT_TYPES,
+  'word/document.xml': '<w:document/>',
+  ...parts,
+}, options);
+
+function inspect(content, extension, mimeType) {
+  return transformAll(content, fileTypeService.createInspectionStream({ extension, mimeType }), 4096);
+}
+
+const expectAccepted = async (...args) => expect((await inspect(...args)).equals(args[0])).toBe(true);
+const expectRejected = (message, ...args) => expect(inspect(...args)).rejects.toMatchObject({
+  code: 'INVALID_FILE_CONTENT',
+  message: expect.stringMatching(message),
+});
+
+describe('fileTypeService', () => {
+  describe('well-formed files', () => {
+    test('accepts a PDF', () => expectAccepted(pdf(), 'pdf', 'application/pdf'));
+    test('accepts a PNG', () => expectAccepted(png(), 'png', 'image/png'));
+    test('accepts a JPEG', () => expectAccepted(jpeg(), 'jpg', 'image/jpeg'));
+    test('accepts a DOCX package', async () => expectAccepted(await docx(), 'docx', DOCX_MIME_TYPE));
+  });
+
+  describe('declared type checks', () => {
+    test('rejects content that does not match its extension', () => {
+      return expectRejected(/\.png extension/, pdf(), 'png', 'image/png');
+    });
+
+    test('rejects content that does not match its MIME type', () => {
+      return expectRejected(/declared type image\/png/, pdf(), 'pdf', 'image/png');
+    });
+
+    test('rejects a known format uploaded under an extension without a signature', () => {
+      return expectRejected(/\.txt extension/, pdf(), 'txt', 'text/plain');
+    });
+  });
+
+  describe('polyglots', () => {
+    test('rejects a PDF with an archive appended', async () => {
+      return expectRejected(/archive appended/, Buffer.concat([pdf(), await zip({ 'payload.exe': 'MZ' })]), 'pdf', 'application/pdf');
+    });
+
+    test('rejects a PNG with an archive appended', async () => {
+      return expectRejected(/archive appended/, Buffer.concat([png(), await zip({ 'index.html': '<html>' })]), 'png', 'image/png');
+    });
+
+    test('rejects a JPEG with an archive appended', async () => {
+      return expectRejected(/archive appended/, Buffer.concat([jpeg(), await zip({ 'a.js': 'alert(1)' })]), 'jpg', 'image/jpeg');
+    });
+
+    test('rejects a PDF with content after its end-of-file marker', () => {
+      return expectRejected(/after its end-of-file marker/, Buffer.concat([pdf(), Buffer.from('1 0 obj << /JavaScript (app.alert(1)) >> endobj')]), 'pdf', 'application/pdf');
+    });
+
+    test('rejects a PNG with content after its final chunk', () => {
+      return expectRejected(/after its final chunk/, Buffer.concat([png(), Buffer.from('trailing')]), 'png', 'image/png');
+    });
+
+    test('rejects a JPEG with content after its end-of-image marker', () => {
+      return expectRejected(/end-of-image marker/, Buffer.concat([jpeg(), Buffer.from('trailing')]), 'jpg', 'image/jpeg');
+    });
+
+    test('rejects markup in the leading bytes', () => {
+      return expectRejected(/markup/, pdf('<html><body><script>alert(1)</script></body></html>\n'), 'pdf', 'application/pdf');
+    });
+
+    test('rejects plain text that is an HTML page', () => {
+      return expectRejected(/markup/, Buffer.from('<!DOCTYPE html><p>hello</p>'), 'txt', 'text/plain');
+    });
+
+    test('rejects plain text with an archive appended', async () => {
+      return expectRejected(/archive appended/, Buffer.concat([Buffer.from('notes\n'), await zip({ 'a.txt': 'a' })]), 'txt', 'text/plain');
+    });
+  });
+
+  describe('DOCX packages', () => {
+    test('rejects a package with a VBA project', async () => {
+      return expectRejected(/Macro-enabled/, await docx({ 'word/vbaProject.bin': 'vba' }), 'docx', DOCX_MIME_TYPE);
+    });
+
+    test('rejects a package whose content types declare macros', async () => {
+      const contentTypes = '<Types><Override PartName="/word/document.xml" ContentType="application/vnd.ms-word.document.macroEnabled.main+xml"/></Types>';
+      return expectRejected(/Macro-enabled/, await docx({ '[Content_Types].xml': contentTypes }), 'docx', DOCX_MIME_TYPE);
+    });
+
+    test('rejects a package without the main document part', async () => {
+      return expectRejected(/missing word\/document.xml/, await zip({ '[Content_Types].xml': CONTENT_TYPES }), 'docx', DOCX_MIME_TYPE);
+    });
+
+    test('rejects a package with encrypted parts', async () => {
+      return expectRejected(/encrypted parts/, await docx({}, { password: 'secret' }), 'docx', DOCX_MIME_TYPE);
+    });
+
+    test('rejects a package with data after its central directory', async () => {
+      return expectRejected(/no central directory/, Buffer.concat([await docx(), Buffer.from('trailing')]), 'docx', DOCX_MIME_TYPE);
+    });
+
+    test('rejects a package prepended with other content', async () => {
+      return expectRejected(/\.docx extension/, Buffer.concat([pdf(), await docx()]), 'docx', DOCX_MIME_TYPE);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const firebaseService = require('../../src/services/firebaseService');
+
+const browserKey = { kty: 'RSA', n: 'browser', e: 'AQAB', alg: 'RSA-OAEP-256' };
+const otherBrowserKey = { kty: 'RSA', n: 'other-browser', e: 'AQAB', alg: 'RSA-OAEP-256' };
+
+function getUser(uid) {
+  return admin.getDocument(`${config.firestore.collections.users}/${uid}`);
+}
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await firebaseService.firestore.collection(config.firestore.collections.users).doc('user-1').set({
+    email: 'employee@example.com',
+    role: config.roles.EMPLOYEE,
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  admin.reset();
+});
+
+describe('firebaseService.setEncryptionPublicKey', () => {
+  test('registers the first key and accepts it again', async () => {
+    await expect(firebaseService.setEncryptionPublicKey('user-1', browserKey, 'fp-1'))
+      .resolves.toEqual({ replacedFingerprint: null });
+    await expect(firebaseService.setEncryptionPublicKey('user-1', browserKey, 'fp-1'))
+      .resolves.toEqual({ replacedFingerprint: null });
+
+    expect(getUser('user-1').encryptionKey).toMatchObject({ publicKey: browserKey, fingerprint: 'fp-1' });
+  });
+
+  test('keeps the registered key when another browser registers its own', async () => {
+    await firebaseService.setEncryptionPublicKey('user-1', browserKey, 'fp-1');
+
+    await expect(firebaseService.setEncryptionPublicKey('user-1', otherBrowserKey, 'fp-2'))
+      .rejects.toMatchObject({ code: 'ENCRYPTION_KEY_EXISTS', fingerprint: 'fp-1' });
+
+    expect(getUser('user-1').encryptionKey).toMatchObject({ publicKey: browserKey, fingerprint: 'fp-1' });
+  });
+
+  test('replaces the registered key when asked to', async () => {
+    await firebaseService.setEncryptionPublicKey('user-1', browserKey, 'fp-1');
+
+    await expect(firebaseService.setEncryptionPublicKey('user-1', otherBrowserKey, 'fp-2', true))
+      .resolves.toEqual({ replacedFingerprint: 'fp-1' });
+
+    expect(getUser('user-1').encryptionKey).toMatchObject({ publicKey: otherBrowserKey, fingerprint: 'fp-2' });
+  });
+});
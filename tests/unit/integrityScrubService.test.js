@@ -0,0 +1,76 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const encryptionService = require('../../src/services/encryptionService');
+const storageService = require('../../src/services/storageService');
+const documentService = require('../../src/services/documentService');
+const integrityScrubService = require('../../src/services/integrityScrubService');
+
+const hrUser = { uid: 'hr-1', email: 'hr@example.com', role: config.roles.HR, employeeId: 'HR001' };
+
+async function uploadDocument() {
+  const content = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n');
+  const { documentId } = await documentService.uploadDocument(content, {
+    originalName: 'contract.pdf',
+    mimeType: 'application/pdf',
+    documentType: 'contract',
+    employeeId: 'EMP001',
+  }, hrUser);
+
+  return { documentId, fileName: getRecord(documentId).fileName };
+}
+
+function getRecord(documentId) {
+  return admin.getDocument(`${config.firestore.collections.documents}/${documentId}`);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  encryptionService.dataKeyCache?.clear();
+  admin.reset();
+});
+
+describe('integrityScrubService.scrub', () => {
+  test('verifies intact documents', async () => {
+    const { documentId } = await uploadDocument();
+
+    const run = await integrityScrubService.scrub();
+
+    expect(run).toMatchObject({ examined: 1, verified: 1, objectsVerified: 1, corrupted: 0, failed: 0 });
+    expect(getRecord(documentId).lastVerifiedAt).toBeDefined();
+  });
+
+  test('quarantines a document whose ciphertext fails authentication', async () => {
+    const { documentId, fileName } = await uploadDocument();
+    const ciphertext = await storageService.driver.get(fileName);
+    ciphertext[ciphertext.length - 1] ^= 0x01;
+    await storageService.driver.put(fileName, ciphertext);
+
+    const run = await integrityScrubService.scrub();
+
+    expect(run).toMatchObject({ corrupted: 1, failed: 0 });
+    expect(getRecord(documentId)).toMatchObject({ quarantined: true, quarantine: { reason: 'integrity_failure' } });
+  });
+
+  test('records a DEK that cannot be unwrapped as a failure without quarantining', async () => {
+    const { documentId, fileName } = await uploadDocument();
+    const encryptionMetadata = await storageService.getEncryptionMetadata(fileName);
+    await storageService.saveEncryptionMetadata(fileName, {
+      ...encryptionMetadata,
+      encryptedDEK: crypto.randomBytes(60).toString('base64'),
+    }, documentId);
+
+    const run = await integrityScrubService.scrub();
+
+    expect(run).toMatchObject({ corrupted: 0, failed: 1 });
+    expect(run.documents).toEqual([expect.objectContaining({ documentId, status: 'failed' })]);
+    expect(getRecord(documentId).quarantined).toBeUndefined();
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const encryptionService = require('../../src/services/encryptionService');
+const storageService = require('../../src/services/storageService');
+const keyRotationService = require('../../src/services/keyRotationService');
+const documentService = require('../../src/services/documentService');
+const { readAll } = require('../helpers/streams');
+
+const adminUser = { uid: 'admin-1', email: 'admin@example.com', role: config.roles.ADMIN };
+
+/**
+ * Store a document the way payloadVersion 1 uploads were stored: a single AES-GCM blob
+ * without AAD whose DEK is wrapped by the master key
+ * @param {string} documentId - Document ID
+ * @param {string} employeeId - Owning employee
+ * @param {Buffer} plaintext - Document content
+ * @returns {Promise<string>} Secure file name
+ */
+async function storeLegacyDocument(documentId, employeeId, plaintext) {
+  const fileName = `documents/${employeeId}/${documentId}.pdf`;
+  const dek = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', dek, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const { encryptedDEK, keyVersion } = await encryptionService.keyProvider.wrap(dek);
+
+  await storageService.init();
+  await storageService.driver.put(fileName, ciphertext, {
+    contentType: 'application/octet-stream',
+    metadata: { documentId, originalName: 'payslip.pdf', uploadedBy: 'hr-1' },
+  });
+  await storageService.saveEncryptionMetadata(fileName, {
+    payloadVersion: 1,
+    encryptedDEK,
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    algorithm: 'aes-256-gcm',
+    kmsKeyId: encryptionService.keyId,
+    kmsKeyVersion: keyVersion,
+  }, documentId);
+
+  await admin.firestore().collection(config.firestore.collections.documents).doc(documentId).set({
+    fileName,
+    employeeId,
+    isActive: true,
+    version: 1,
+    encryptionInfo: { keyVersion },
+  });
+
+  return fileName;
+}
+
+/**
+ * Move a legacy document's DEK onto its employee's KEK with a key rotation job
+ * @param {string} documentId - Document ID
+ * @param {string} employeeId - Owning employee
+ * @returns {Promise<string>} Secure file name
+ */
+async function storeMigratedDocument(documentId, employeeId) {
+  const fileName = await storeLegacyDocument(documentId, employeeId, Buffer.from('%PDF-1.4 legacy payslip'));
+  const job = await keyRotationService.startJob({}, adminUser);
+  await keyRotationService.runJob(job.id);
+  return fileName;
+}
+
+function eraseEmployee(employeeId) {
+  return documentService.eraseEmployee(employeeId, { reason: 'Right to erasure request' }, adminUser);
+}
+
+beforeAll(() => {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  config.erasure.signingKeyFile = path.join(path.dirname(process.env.KMS_LOCAL_KEYFILE), 'erasure.pem');
+  fs.writeFileSync(config.erasure.signingKeyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  // Jobs are run to completion by the test instead
+  jest.spyOn(keyRotationService, 'runInBackground').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('keyRotationService', () => {
+  test('legacy single-blob documents stay readable after their DEK moves to the employee key', async () => {
+    const plaintext = Buffer.from('%PDF-1.4 legacy payslip');
+    const context = { documentId: 'legacy-1', employeeId: 'EMP001', version: 1 };
+    const fileName = await storeLegacyDocument(context.documentId, context.employeeId, plaintext);
+
+    const job = await keyRotationService.startJob({}, adminUser);
+    await keyRotationService.runJob(job.id);
+
+    const status = await keyRotationService.getJobStatus(job.id);
+    expect(status).toMatchObject({ status: 'completed', rewrapped: 1, failed: 0 });
+
+    const encryptionMetadata = await storageService.getEncryptionMetadata(fileName);
+    expect(encryptionMetadata).toMatchObject({ payloadVersion: 1, employeeKeyId: 'EMP001', kmsKeyVersion: null });
+
+    const download = await storageService.downloadDocument(fileName, adminUser, context);
+    expect((await readAll(download.stream)).equals(plaintext)).toBe(true);
+  });
+
+  test('erasure does not claim to shred a migrated document while its replaced sidecar may survive', async () => {
+    await storeMigratedDocument('legacy-2', 'EMP002');
+
+    const certificate = await eraseEmployee('EMP002');
+
+    expect(certificate.documents).toMatchObject({ shredded: [], notShredded: ['legacy-2'] });
+  });
+
+  test('erasure shreds a migrated document once its replaced sidecar has expired', async () => {
+    await storeMigratedDocument('legacy-3', 'EMP003');
+    const expired = admin.firestore.Timestamp.fromMillis(
+      Date.now() - (config.storage.noncurrentVersionDays + 1) * 24 * 60 * 60 * 1000);
+    await admin.firestore().collection(config.firestore.collections.documents).doc('legacy-3')
+      .update({ 'encryptionInfo.rewrappedAt': expired });
+
+    const certificate = await eraseEmployee('EMP003');
+
+    expect(certificate.documents).toMatchObject({ shredded: ['legacy-3'], notShredded: [] });
+  });
+});
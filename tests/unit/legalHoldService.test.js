@@ -0,0 +1,101 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const storageService = require('../../src/services/storageService');
+const documentService = require('../../src/services/documentService');
+const legalHoldService = require('../../src/services/legalHoldService');
+
+const hrUser = { uid: 'hr-1', email: 'hr@example.com', role: config.roles.HR, employeeId: 'HR001' };
+const adminUser = { uid: 'admin-1', email: 'admin@example.com', role: config.roles.ADMIN, employeeId: 'ADM001' };
+
+const pdf = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n');
+
+async function upload(documentType = 'contract', employeeId = 'EMP001') {
+  const content = Buffer.from(pdf.toString().replace('/Catalog', `/Catalog /Title (${documentType})`));
+  const { documentId } = await documentService.uploadDocument(content, {
+    originalName: `${documentType}.pdf`,
+    mimeType: 'application/pdf',
+    documentType,
+    employeeId,
+  }, hrUser);
+  return documentId;
+}
+
+function placeHold(scope, targetId) {
+  return legalHoldService.placeHold({ scope, targetId, reason: 'Pending litigation' }, hrUser);
+}
+
+function getRecord(documentId) {
+  return admin.getDocument(`${config.firestore.collections.documents}/${documentId}`);
+}
+
+async function storedObjects() {
+  await storageService.init();
+  return (await storageService.driver.list()).objects.map(object => object.key);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  admin.reset();
+  await Promise.all((await storedObjects()).map(key => storageService.driver.delete(key)));
+});
+
+describe('legalHoldService', () => {
+  test('a hold on a document blocks deleting and purging it until released', async () => {
+    const documentId = await upload();
+    const hold = await placeHold('document', documentId);
+
+    await expect(documentService.deleteDocument(documentId, hrUser))
+      .rejects.toMatchObject({ code: 'LEGAL_HOLD', holds: [hold.id] });
+    await expect(documentService.deleteDocument(documentId, adminUser, { permanentDelete: true }))
+      .rejects.toMatchObject({ code: 'LEGAL_HOLD' });
+    expect(getRecord(documentId)).toMatchObject({ isActive: true });
+
+    await legalHoldService.releaseHold(hold.id, { reason: 'Case settled' }, adminUser);
+
+    await expect(documentService.deleteDocument(documentId, hrUser)).resolves.toMatchObject({ success: true });
+    expect(getRecord(documentId)).toMatchObject({ isActive: false, trashed: true });
+  });
+
+  test('a hold on a document type covers only that type', async () => {
+    const contract = await upload('contract');
+    const payslip = await upload('salary_slip');
+    await placeHold('documentType', 'contract');
+
+    await expect(documentService.deleteDocument(contract, hrUser)).rejects.toMatchObject({ code: 'LEGAL_HOLD' });
+    await expect(documentService.deleteDocument(payslip, hrUser)).resolves.toMatchObject({ success: true });
+  });
+
+  test('a hold on an employee blocks erasing them before anything is destroyed', async () => {
+    const documentId = await upload();
+    const objects = await storedObjects();
+    await placeHold('employee', 'EMP001');
+    jest.replaceProperty(config.erasure, 'signingKeyFile', 'erasure-signing-key.pem');
+
+    await expect(documentService.eraseEmployee('EMP001', { reason: 'Right to erasure request' }, adminUser))
+      .rejects.toMatchObject({ code: 'LEGAL_HOLD' });
+
+    expect(getRecord(documentId)).toMatchObject({ isActive: true });
+    expect(getRecord(documentId).erased).toBeUndefined();
+    expect(await storedObjects()).toEqual(objects);
+  });
+
+  test('only admins release holds, and only once', async () => {
+    const documentId = await upload();
+    const hold = await placeHold('document', documentId);
+
+    await expect(legalHoldService.releaseHold(hold.id, { reason: 'Case settled' }, hrUser))
+      .rejects.toThrow('Insufficient permissions to release legal hold');
+
+    await expect(legalHoldService.releaseHold(hold.id, { reason: 'Case settled' }, adminUser))
+      .resolves.toMatchObject({ status: 'released', releaseReason: 'Case settled' });
+    await expect(legalHoldService.releaseHold(hold.id, { reason: 'Case settled' }, adminUser))
+      .rejects.toMatchObject({ code: 'LEGAL_HOLD_RELEASED' });
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const storageService = require('../../src/services/storageService');
+const documentService = require('../../src/services/documentService');
+const malwareScanService = require('../../src/services/malwareScanService');
+const { readAll } = require('../helpers/streams');
+
+const hrUser = { uid: 'hr-1', email: 'hr@example.com', role: config.roles.HR, employeeId: 'HR001' };
+
+const pdf = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n');
+const infectedPdf = Buffer.from(pdf.toString().replace('/Catalog', '/Catalog /Title (MALWARE-TEST-SIGNATURE)'));
+
+/**
+ * Scanner that flags files containing a marker its current signatures know about
+ */
+class FakeScanner {
+  constructor() {
+    this.version = 'FakeAV 1.0/1';
+    this.signatures = ['MALWARE-TEST-SIGNATURE'];
+  }
+
+  async scan(stream) {
+    const content = (await readAll(stream)).toString('latin1');
+    const signature = this.signatures.find(marker => content.includes(marker));
+    return { infected: Boolean(signature), signature: signature || null };
+  }
+
+  async getVersion() {
+    return this.version;
+  }
+
+  describe() {
+    return { scanner: 'fake', endpoint: null };
+  }
+}
+
+async function upload(content, employeeId = 'EMP001') {
+  const { documentId } = await documentService.uploadDocument(content, {
+    originalName: 'contract.pdf',
+    mimeType: 'application/pdf',
+    documentType: 'contract',
+    employeeId,
+  }, hrUser);
+  return documentId;
+}
+
+function getRecord(documentId) {
+  return admin.getDocument(`${config.firestore.collections.documents}/${documentId}`);
+}
+
+async function storedObjects() {
+  await storageService.init();
+  return (await storageService.driver.list()).objects.map(object => object.key);
+}
+
+let scanner;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  scanner = new FakeScanner();
+  jest.replaceProperty(storageService, 'scanner', scanner);
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  admin.reset();
+  await Promise.all((await storedObjects()).map(key => storageService.driver.delete(key)));
+});
+
+describe('malware scanning on upload', () => {
+  test('records the verdict of a clean upload', async () => {
+    const documentId = await upload(pdf);
+
+    expect(getRecord(documentId).malwareScan).toMatchObject({ status: 'clean', engine: 'FakeAV 1.0/1' });
+  });
+
+  test('refuses an infected upload and removes its objects', async () => {
+    await expect(upload(infectedPdf)).rejects.toMatchObject({
+      code: 'MALWARE_DETECTED',
+      signature: 'MALWARE-TEST-SIGNATURE',
+    });
+
+    expect(await storedObjects()).toEqual([]);
+  });
+
+  test('stores an infected upload quarantined when configured to', async () => {
+    jest.replaceProperty(config.malwareScan, 'action', 'quarantine');
+
+    const documentId = await upload(infectedPdf);
+
+    expect(getRecord(documentId)).toMatchObject({
+      quarantined: true,
+      quarantine: { reason: 'malware', detectedDuring: 'upload', signature: 'MALWARE-TEST-SIGNATURE' },
+      malwareScan: { status: 'infected' },
+    });
+    await expect(documentService.downloadDocument(documentId, hrUser)).rejects.toMatchObject({ code: 'DOCUMENT_QUARANTINED' });
+  });
+});
+
+describe('malwareScanService.rescan', () => {
+  test('quarantines stored documents that newer signatures detect', async () => {
+    const clean = await upload(pdf);
+    const infected = await upload(Buffer.from(pdf.toString().replace('/Catalog', '/Catalog /Title (NEW-THREAT)')));
+
+    // Nothing to do while every verdict comes from the current engine
+    await expect(malwareScanService.rescan()).resolves.toMatchObject({ examined: 0 });
+
+    scanner.version = 'FakeAV 1.0/2';
+    scanner.signatures.push('NEW-THREAT');
+
+    const run = await malwareScanService.rescan();
+
+    expect(run).toMatchObject({ engine: 'FakeAV 1.0/2', examined: 2, rescanned: 2, infected: 1, failed: 0 });
+    expect(getRecord(infected)).toMatchObject({
+      quarantined: true,
+      quarantine: { reason: 'malware', detectedDuring: 'rescan', signature: 'NEW-THREAT' },
+    });
+    expect(getRecord(clean).quarantined).toBeUndefined();
+    expect(getRecord(clean).malwareScan).toMatchObject({ status: 'clean', engine: 'FakeAV 1.0/2' });
+
+    // Stored objects are kept for examination
+    expect(await storedObjects()).toContain(getRecord(infected).fileName);
+  });
+});
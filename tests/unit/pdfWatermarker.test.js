@@ -0,0 +1,185 @@
+const zlib = require('zlib');
+const PdfWatermarker = require('../../src/services/watermarkers/pdfWatermarker');
+const { PdfReader, PdfRef, PdfStream } = require('../../src/services/watermarkers/pdfObjects');
+
+const stamp = { recipient: 'emp1@example.com', timestamp: '2026-10-19T10:00:00.000Z', requestId: 'req-123' };
+
+const PAGE_TEXT = '(Original payslip text) Tj';
+
+/**
+ * Write a PDF with a classic cross-reference table
+ * @param {Object} objects - Object bodies by number
+ * @param {Object} trailer - Extra trailer entries, written as is
+ * @param {Buffer} previous - Earlier revision to append to, if any
+ * @returns {Buffer} PDF file
+ */
+function writeClassicPdf(objects, trailer = '', previous = null) {
+  let out = previous ? Buffer.from(previous) : Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1');
+  const offsets = {};
+  for (const [num, body] of Object.entries(objects)) {
+    offsets[num] = out.length;
+    out = Buffer.concat([out, Buffer.from(`${num} 0 obj\n`), Buffer.from(body, 'latin1'), Buffer.from('\nendobj\n')]);
+  }
+
+  const xref = out.length;
+  const rows = Object.keys(offsets).map(num => `${num} 1\n${String(offsets[num]).padStart(10, '0')} 00000 n\r\n`);
+  const prev = previous ? ` /Prev ${/startxref\s+(\d+)/.exec(previous.toString('latin1').slice(-64))[1]}` : '';
+  const size = Math.max(...Object.keys(objects).map(Number)) + 1;
+  return Buffer.concat([out, Buffer.from(
+    `xref\n0 1\n0000000000 65535 f\r\n${rows.join('')}trailer\n<< /Size ${size} /Root 1 0 R${prev} ${trailer}>>\nstartxref\n${xref}\n%%EOF\n`,
+    'latin1'
+  )]);
+}
+
+function originalPdf() {
+  const content = `q BT /F1 12 Tf 72 720 Td ${PAGE_TEXT} ET`;
+  return writeClassicPdf({
+    1: '<< /Type /Catalog /Pages 2 0 R >>',
+    2: '<< /Type /Pages /Kids [3 0 R] /Count 1 /MediaBox [0 0 595 842] >>',
+    3: '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    4: '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>',
+    5: `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    6: '<< /Title (Payslip) >>',
+  }, '/Info 6 0 R');
+}
+
+/**
+ * Write a PDF 1.5 file whose page and font live in an object stream and whose
+ * cross-reference data is a stream
+ * @returns {Buffer} PDF file
+ */
+function objectStreamPdf() {
+  const content = zlib.deflateSync(Buffer.from(`BT /F1 14 Tf 50 500 Td ${PAGE_TEXT} ET`));
+  const packed = {
+    3: '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 400 600] /Contents [5 0 R] >>',
+    4: '<< /Type /Font /Subtype /Type1 /BaseFont /Times-Roman >>',
+  };
+  let header = '';
+  let body = '';
+  for (const [num, object] of Object.entries(packed)) {
+    header += `${num} ${body.length} `;
+    body += `${object} `;
+  }
+  const objectStream = zlib.deflateSync(Buffer.from(header + body));
+
+  let out = Buffer.from('%PDF-1.5\n%\xe2\xe3\xcf\xd3\n', 'latin1');
+  const offsets = {};
+  const add = (num, dict, data) => {
+    offsets[num] = out.length;
+    out = Buffer.concat([
+      out,
+      Buffer.from(`${num} 0 obj\n${dict}`),
+      ...(data ? [Buffer.from('\nstream\n'), data, Buffer.from('\nendstream')] : []),
+      Buffer.from('\nendobj\n'),
+    ]);
+  };
+  add(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  add(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 4 0 R >> >> >>');
+  add(5, `<< /Length ${content.length} /Filter /FlateDecode >>`, content);
+  add(6, `<< /Type /ObjStm /N 2 /First ${header.length} /Length ${objectStream.length} /Filter /FlateDecode >>`, objectStream);
+
+  const xref = out.length;
+  const entries = [[0, 0, 65535], [1, offsets[1], 0], [1, offsets[2], 0], [2, 6, 0], [2, 6, 1], [1, offsets[5], 0], [1, offsets[6], 0], [1, xref, 0]];
+  const rows = Buffer.alloc(entries.length * 7);
+  entries.forEach(([type, second, third], index) => {
+    rows.writeUInt8(type, index * 7);
+    rows.writeUInt32BE(second, index * 7 + 1);
+    rows.writeUInt16BE(third, index * 7 + 5);
+  });
+  add(7, `<< /Type /XRef /Size 8 /W [1 4 2] /Root 1 0 R /Length ${rows.length} >>`, rows);
+  return Buffer.concat([out, Buffer.from(`startxref\n${xref}\n%%EOF\n`)]);
+}
+
+function readPage(file) {
+  const reader = new PdfReader(file).load();
+  const catalog = reader.resolve(reader.trailer.get('Root'));
+  const pages = reader.resolve(catalog.get('Pages'));
+  const page = reader.resolve(reader.resolve(pages.get('Kids'))[0]);
+  return { reader, page };
+}
+
+describe('PdfWatermarker', () => {
+  test('merges the stamp into a single content stream of each page', async () => {
+    const output = await new PdfWatermarker().apply(originalPdf(), stamp);
+    const { reader, page } = readPage(output);
+
+    const contents = page.get('Contents');
+    expect(contents).toBeInstanceOf(PdfRef);
+    const content = reader.decodeStream(reader.getObject(contents.num)).toString('latin1');
+    expect(content).toContain(PAGE_TEXT);
+    expect(content).toContain(`Downloaded by ${stamp.recipient} on ${stamp.timestamp} - request ${stamp.requestId}`);
+    // The page's own content cannot leave the stamp clipped or transformed
+    expect(content.startsWith('q\n')).toBe(true);
+
+    const fonts = reader.resolve(page.get('Resources')).get('Font');
+    expect([...fonts.keys()]).toEqual(['F1', 'SDLWatermarkFont']);
+  });
+
+  test('leaves no unstamped revision or content stream in the file', async () => {
+    const output = await new PdfWatermarker().apply(originalPdf(), stamp);
+    const text = output.toString('latin1');
+
+    expect(text.match(/%%EOF/g)).toHaveLength(1);
+    expect(text.match(/startxref/g)).toHaveLength(1);
+    expect(text).not.toContain('/Prev');
+    expect(text).not.toContain(PAGE_TEXT);
+
+    const { reader } = readPage(output);
+    const streams = [...reader.entries.keys()].map(num => reader.getObject(num)).filter(value => value instanceof PdfStream);
+    expect(streams).toHaveLength(1);
+  });
+
+  test('drops earlier revisions of an incrementally updated original', async () => {
+    const updated = writeClassicPdf({ 6: '<< /Title (Payslip, corrected) >>' }, '/Info 6 0 R', originalPdf());
+    const output = await new PdfWatermarker().apply(updated, stamp);
+    const text = output.toString('latin1');
+
+    expect(text.match(/%%EOF/g)).toHaveLength(1);
+    expect(text).toContain('(Payslip, corrected)');
+    expect(text).not.toContain('(Payslip)');
+  });
+
+  test('records the stamp in the document information', async () => {
+    const output = await new PdfWatermarker().apply(originalPdf(), stamp);
+    const reader = new PdfReader(output).load();
+    const info = reader.resolve(reader.trailer.get('Info'));
+
+    expect(info.get('Title').raw.toString()).toBe('(Payslip)');
+    expect(info.get('WatermarkRecipient').raw.toString()).toBe(`(${stamp.recipient})`);
+    expect(info.get('WatermarkRequestId').raw.toString()).toBe(`(${stamp.requestId})`);
+  });
+
+  test('writes objects from object streams out individually', async () => {
+    const output = await new PdfWatermarker().apply(objectStreamPdf(), stamp);
+    const text = output.toString('latin1');
+    const { reader, page } = readPage(output);
+
+    expect(text).not.toContain('/ObjStm');
+    expect(text).not.toContain('/XRef');
+    expect(reader.xrefStream).toBe(false);
+    expect(reader.resolve(reader.resolve(page.get('Resources')).get('Font').get('F1')).get('BaseFont').raw).toBe('Times-Roman');
+
+    const content = reader.decodeStream(reader.getObject(page.get('Contents').num)).toString('latin1');
+    expect(content).toContain(PAGE_TEXT);
+    expect(content).toContain(stamp.requestId);
+  });
+
+  test('refuses encrypted files', async () => {
+    const encrypted = writeClassicPdf({
+      1: '<< /Type /Catalog /Pages 2 0 R >>',
+      2: '<< /Type /Pages /Kids [] /Count 0 >>',
+      3: '<< /Filter /Standard /V 2 /R 3 /O <00> /U <00> /P -4 >>',
+    }, '/Encrypt 3 0 R');
+
+    await expect(new PdfWatermarker().apply(encrypted, stamp)).rejects.toMatchObject({
+      code: 'WATERMARK_FAILED',
+      message: 'Encrypted PDFs cannot be watermarked',
+    });
+  });
+
+  test('reports unreadable files as watermark failures', async () => {
+    await expect(new PdfWatermarker().apply(Buffer.from('%PDF-1.4\nnot a pdf'), stamp)).rejects.toMatchObject({
+      code: 'WATERMARK_FAILED',
+    });
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const storageService = require('../../src/services/storageService');
+const previewService = require('../../src/services/previewService');
+const documentService = require('../../src/services/documentService');
+const { readAll } = require('../helpers/streams');
+
+const hrUser = { uid: 'hr-1', email: 'hr@example.com', role: config.roles.HR, employeeId: 'HR001' };
+
+const pdf = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n');
+
+async function upload(documentType = 'contract') {
+  const { documentId } = await documentService.uploadDocument(pdf, {
+    originalName: 'contract.pdf',
+    mimeType: 'application/pdf',
+    documentType,
+    employeeId: 'EMP001',
+  }, hrUser);
+  return documentId;
+}
+
+async function readPreview(documentId, size) {
+  const { stream } = await documentService.getDocumentPreview(documentId, hrUser, {}, { size });
+  return (await readAll(stream)).toString();
+}
+
+function getRecord(documentId) {
+  return admin.getDocument(`${config.firestore.collections.documents}/${documentId}`);
+}
+
+async function storedObjects() {
+  await storageService.init();
+  return (await storageService.driver.list()).objects.map(object => object.key);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  // Renders name what they were asked for, so each preview can be told apart
+  jest.replaceProperty(previewService, 'renderer', {
+    render: async (stream, { format, size }) => {
+      await readAll(stream);
+      return Buffer.from(`${format} at ${size}px`);
+    },
+  });
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  admin.reset();
+  await Promise.all((await storedObjects()).map(key => storageService.driver.delete(key)));
+});
+
+describe('previews', () => {
+  test('stores an encrypted thumbnail and page render of each upload', async () => {
+    const documentId = await upload();
+    const { fileName } = getRecord(documentId);
+
+    expect(await readPreview(documentId, 'page')).toBe(`pdf at ${config.previews.pageSize}px`);
+    expect(await readPreview(documentId, 'thumbnail')).toBe(`png at ${config.previews.thumbnailSize}px`);
+
+    const stored = await storageService.driver.get(`${fileName}.thumbnail.png`);
+    expect(stored.includes(Buffer.from('png at'))).toBe(false);
+  });
+
+  test('binds each preview to its kind', async () => {
+    const documentId = await upload();
+    const { fileName } = getRecord(documentId);
+    for (const suffix of ['', '.enc']) {
+      const page = await storageService.driver.get(`${fileName}.page.png${suffix}`);
+      await storageService.driver.put(`${fileName}.thumbnail.png${suffix}`, page);
+    }
+
+    await expect(readPreview(documentId, 'thumbnail')).rejects.toMatchObject({ code: 'DECRYPTION_FAILED' });
+  });
+
+  test('keeps only a thumbnail of watermarked document types', async () => {
+    jest.replaceProperty(config.documentTypePolicies.contract, 'watermark', true);
+    const documentId = await upload();
+
+    expect(getRecord(documentId).previews.page).toBeUndefined();
+    expect((await storedObjects()).filter(key => key.endsWith('.png'))).toHaveLength(1);
+    await expect(readPreview(documentId, 'thumbnail')).resolves.toMatch(/^png/);
+    await expect(readPreview(documentId, 'page')).rejects.toMatchObject({ code: 'PREVIEW_NOT_AVAILABLE' });
+  });
+
+  test('leaves the document without previews when rendering fails', async () => {
+    jest.replaceProperty(previewService, 'renderer', {
+      render: async () => {
+        throw new Error('renderer crashed');
+      },
+    });
+
+    const documentId = await upload();
+
+    expect(getRecord(documentId)).toMatchObject({ isActive: true, previews: null });
+    expect((await storedObjects()).filter(key => key.endsWith('.png'))).toEqual([]);
+    await expect(readPreview(documentId, 'thumbnail')).rejects.toMatchObject({ code: 'PREVIEW_NOT_AVAILABLE' });
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const storageService = require('../../src/services/storageService');
+const documentService = require('../../src/services/documentService');
+const legalHoldService = require('../../src/services/legalHoldService');
+const reconciliationService = require('../../src/services/reconciliationService');
+
+const hrUser = { uid: 'hr-1', email: 'hr@example.com', role: config.roles.HR, employeeId: 'HR001' };
+const adminUser = { uid: 'admin-1', email: 'admin@example.com', role: config.roles.ADMIN, employeeId: 'ADM001' };
+
+const pdf = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n');
+
+async function upload(employeeId = 'EMP001') {
+  const { documentId } = await documentService.uploadDocument(pdf, {
+    originalName: 'contract.pdf',
+    mimeType: 'application/pdf',
+    documentType: 'contract',
+    employeeId,
+  }, hrUser);
+  return { documentId, fileName: getRecord(documentId).fileName };
+}
+
+/**
+ * Start a job and run it to completion in the foreground
+ * @param {Object} options - Job options
+ * @param {Object} clock - Clock options
+ * @param {number} clock.laterMs - Run the job this many milliseconds from now
+ * @returns {Promise<Object>} Completed job record
+ */
+async function reconcile(options, { laterMs = 0 } = {}) {
+  jest.spyOn(reconciliationService, 'runInBackground').mockImplementation(() => {});
+  const { id } = await reconciliationService.startJob(options, adminUser);
+
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now + laterMs);
+  await reconciliationService.runJob(id);
+  Date.now.mockRestore();
+
+  return admin.getDocument(`${config.firestore.collections.reconciliationJobs}/${id}`);
+}
+
+// Past the grace period that spares objects of uploads still in flight
+const AFTER_GRACE_MS = (config.reconciliation.graceMinutes + 1) * 60 * 1000;
+
+function getRecord(documentId) {
+  return admin.getDocument(`${config.firestore.collections.documents}/${documentId}`);
+}
+
+async function storedObjects() {
+  await storageService.init();
+  return (await storageService.driver.list()).objects.map(object => object.key);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  admin.reset();
+  await Promise.all((await storedObjects()).map(key => storageService.driver.delete(key)));
+});
+
+describe('reconciliationService.runJob', () => {
+  test('only reports what it finds unless asked to repair', async () => {
+    const missing = await upload();
+    await storageService.driver.delete(missing.fileName);
+    await storageService.driver.put('orphan', pdf);
+    const objects = await storedObjects();
+
+    const job = await reconcile({}, { laterMs: AFTER_GRACE_MS });
+
+    expect(job).toMatchObject({
+      status: 'completed',
+      // The missing object's sidecar is left without it
+      findings: expect.objectContaining({ orphaned_object: 1, missing_object: 1, orphaned_encryption_metadata: 1 }),
+      repaired: 0,
+    });
+    expect(await storedObjects()).toEqual(objects);
+    expect(getRecord(missing.documentId).quarantined).toBeUndefined();
+  });
+
+  test('leaves objects younger than the grace period alone', async () => {
+    await storageService.driver.put('orphan', pdf);
+
+    const job = await reconcile({ repair: true });
+
+    expect(job.findings.orphaned_object).toBe(0);
+    expect(await storedObjects()).toContain('orphan');
+  });
+
+  test('deletes orphans and quarantines documents whose object is missing', async () => {
+    const intact = await upload();
+    const missing = await upload('EMP002');
+    await storageService.driver.delete(missing.fileName);
+    await storageService.driver.put('orphan', pdf);
+
+    const job = await reconcile({ repair: true }, { laterMs: AFTER_GRACE_MS });
+
+    expect(job).toMatchObject({ status: 'completed', repaired: 3, failed: 0 });
+    expect(await storedObjects()).toEqual(expect.arrayContaining([intact.fileName, `${intact.fileName}.enc`]));
+    expect(await storedObjects()).not.toContain('orphan');
+    expect(await storedObjects()).not.toContain(`${missing.fileName}.enc`);
+    expect(getRecord(missing.documentId)).toMatchObject({
+      quarantined: true,
+      quarantine: { reason: 'missing_object', detectedDuring: 'reconciliation' },
+    });
+    expect(getRecord(intact.documentId).quarantined).toBeUndefined();
+  });
+
+  test('deletes objects left behind by purged documents unless they are on legal hold', async () => {
+    const purged = await upload();
+    const held = await upload('EMP002');
+    for (const { documentId } of [purged, held]) {
+      // As if the purge stopped after marking the record
+      await documentService.documentsCollection.doc(documentId).update({ isActive: false });
+    }
+    await legalHoldService.placeHold({ scope: 'employee', targetId: 'EMP002', reason: 'Pending litigation' }, hrUser);
+
+    const job = await reconcile({ repair: true });
+
+    expect(job).toMatchObject({ findings: expect.objectContaining({ deleted_document_object: 2 }), repaired: 1 });
+    expect(await storedObjects()).not.toContain(purged.fileName);
+    expect(await storedObjects()).toContain(held.fileName);
+  });
+});
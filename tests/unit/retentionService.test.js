@@ -0,0 +1,129 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const storageService = require('../../src/services/storageService');
+const documentService = require('../../src/services/documentService');
+const legalHoldService = require('../../src/services/legalHoldService');
+const retentionService = require('../../src/services/retentionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hrUser = { uid: 'hr-1', email: 'hr@example.com', role: config.roles.HR, employeeId: 'HR001' };
+
+const pdf = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n');
+
+async function upload(documentType, employeeId = 'EMP001') {
+  const { documentId } = await documentService.uploadDocument(pdf, {
+    originalName: `${documentType}.pdf`,
+    mimeType: 'application/pdf',
+    documentType,
+    employeeId,
+  }, hrUser);
+  return documentId;
+}
+
+/**
+ * Move a document's upload back in time
+ * @param {string} documentId - Document ID
+ * @param {number} days - Days ago it was uploaded
+ * @returns {Promise<void>}
+ */
+async function uploadedDaysAgo(documentId, days) {
+  await documentService.documentsCollection.doc(documentId).update({
+    createdAt: admin.firestore.Timestamp.fromMillis(Date.now() - days * DAY_MS),
+  });
+}
+
+function getRecord(documentId) {
+  return admin.getDocument(`${config.firestore.collections.documents}/${documentId}`);
+}
+
+async function storedObjects() {
+  await storageService.init();
+  return (await storageService.driver.list()).objects.map(object => object.key);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  admin.reset();
+  await Promise.all((await storedObjects()).map(key => storageService.driver.delete(key)));
+});
+
+describe('retentionService.sweep', () => {
+  test('disposes of documents past their retention period and keeps the rest', async () => {
+    const expired = await upload('salary_slip');
+    const current = await upload('salary_slip', 'EMP002');
+    await uploadedDaysAgo(expired, 8 * 365 + 1);
+    await uploadedDaysAgo(current, 8 * 365 - 1);
+    const { fileName } = getRecord(current);
+
+    const run = await retentionService.sweep();
+
+    expect(run).toMatchObject({ evaluated: 2, due: 1, disposed: 1, held: 0, failed: 0 });
+    expect(run.documents).toEqual([expect.objectContaining({ documentId: expired, status: 'disposed' })]);
+    expect(getRecord(expired)).toMatchObject({ isActive: false, deleteReason: 'retention_expired', purgedBy: 'system' });
+    expect(getRecord(current)).toMatchObject({ isActive: true });
+    const objects = await storedObjects();
+    expect(objects).toContain(fileName);
+    expect(objects.every(key => key.startsWith(fileName))).toBe(true);
+  });
+
+  test('counts offboarding-based periods from the day the employee left', async () => {
+    const contract = await upload('contract');
+    await uploadedDaysAgo(contract, 20 * 365);
+
+    await expect(retentionService.sweep()).resolves.toMatchObject({ due: 0, disposed: 0 });
+
+    await retentionService.recordOffboarding('EMP001', {
+      offboardedAt: new Date(Date.now() - (7 * 365 + 1) * DAY_MS).toISOString(),
+    }, hrUser);
+
+    await expect(retentionService.sweep()).resolves.toMatchObject({ due: 1, disposed: 1 });
+    expect(await storedObjects()).toEqual([]);
+  });
+
+  test('disposes of expired documents in the recycle bin too', async () => {
+    const documentId = await upload('salary_slip');
+    await uploadedDaysAgo(documentId, 8 * 365 + 1);
+    await documentService.deleteDocument(documentId, hrUser);
+
+    await expect(retentionService.sweep()).resolves.toMatchObject({ due: 1, disposed: 1 });
+    expect(getRecord(documentId)).toMatchObject({ isActive: false, trashed: false });
+    expect(await storedObjects()).toEqual([]);
+  });
+
+  test('leaves documents under legal hold in place', async () => {
+    const documentId = await upload('salary_slip');
+    await uploadedDaysAgo(documentId, 8 * 365 + 1);
+    const objects = await storedObjects();
+    const hold = await legalHoldService.placeHold({ scope: 'employee', targetId: 'EMP001', reason: 'Pending litigation' }, hrUser);
+
+    const run = await retentionService.sweep();
+
+    expect(run).toMatchObject({ due: 1, disposed: 0, held: 1 });
+    expect(run.documents).toEqual([expect.objectContaining({ documentId, status: 'held', holds: [hold.id] })]);
+    expect(getRecord(documentId)).toMatchObject({ isActive: true });
+    expect(await storedObjects()).toEqual(objects);
+  });
+
+  test('only reports what a dry run would dispose of', async () => {
+    const expired = await upload('salary_slip');
+    const soon = await upload('salary_slip', 'EMP002');
+    await uploadedDaysAgo(expired, 8 * 365 + 1);
+    await uploadedDaysAgo(soon, 8 * 365 - 10);
+    const objects = await storedObjects();
+
+    const run = await retentionService.sweep({ dryRun: true, withinDays: 30 });
+
+    expect(run).toMatchObject({ dryRun: true, due: 2, disposed: 0 });
+    expect(run.documents.map(item => item.status)).toEqual(['due', 'due']);
+    expect(getRecord(expired)).toMatchObject({ isActive: true });
+    expect(await storedObjects()).toEqual(objects);
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const config = require('../../src/config/config');
+const storageService = require('../../src/services/storageService');
+const documentService = require('../../src/services/documentService');
+const uploadSessionService = require('../../src/services/uploadSessionService');
+const { readAll } = require('../helpers/streams');
+
+const hrUser = { uid: 'hr-1', email: 'hr@example.com', role: config.roles.HR, employeeId: 'HR001' };
+
+const contract = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n');
+
+/**
+ * Open a session and send the whole file as its only chunk
+ * @returns {Promise<string>} Session ID
+ */
+async function stageUpload() {
+  const { sessionId } = await uploadSessionService.createSession({
+    originalName: 'contract.pdf',
+    mimeType: 'application/pdf',
+    documentType: 'contract',
+    employeeId: 'EMP001',
+    totalSize: contract.length,
+  }, hrUser);
+
+  await uploadSessionService.appendChunk(sessionId, { offset: 0, totalSize: contract.length }, contract, hrUser);
+  return sessionId;
+}
+
+async function stagedObjects(sessionId) {
+  await storageService.init();
+  const { objects } = await storageService.driver.list({ prefix: uploadSessionService.getStagingPrefix(sessionId) });
+  return objects.map(object => object.key);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  admin.reset();
+});
+
+describe('uploadSessionService', () => {
+  test('assembles the staged chunks into a document on finalize', async () => {
+    const sessionId = await stageUpload();
+    // The chunk and its .enc sidecar
+    expect(await stagedObjects(sessionId)).toHaveLength(2);
+
+    const sha256 = crypto.createHash('sha256').update(contract).digest('hex');
+    const result = await uploadSessionService.finalizeSession(sessionId, { sha256 }, hrUser);
+
+    const download = await documentService.downloadDocument(result.documentId, hrUser);
+    expect((await readAll(download.stream)).equals(contract)).toBe(true);
+    expect(await stagedObjects(sessionId)).toEqual([]);
+
+    // A retried finalize returns the same document
+    await expect(uploadSessionService.finalizeSession(sessionId, { sha256 }, hrUser))
+      .resolves.toMatchObject({ documentId: result.documentId });
+  });
+
+  test('collects expired sessions with their staged chunks', async () => {
+    const expiredId = await stageUpload();
+    const liveId = await stageUpload();
+    await uploadSessionService.sessionsCollection.doc(expiredId).update({
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1000),
+    });
+
+    await expect(uploadSessionService.collectExpiredSessions()).resolves.toEqual({ sessions: 1, objects: 2 });
+
+    expect(await stagedObjects(expiredId)).toEqual([]);
+    expect((await uploadSessionService.sessionsCollection.doc(expiredId).get()).exists).toBe(false);
+
+    expect(await stagedObjects(liveId)).toHaveLength(2);
+    await expect(uploadSessionService.getSessionStatus(liveId, hrUser)).resolves.toMatchObject({ receivedBytes: contract.length });
+  });
+});
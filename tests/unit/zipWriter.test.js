@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const ZipWriter = require('../../src/services/zipWriter');
+const { readAll } = require('../helpers/streams');
+const { readArchive } = require('../helpers/zip');
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write an archive and collect the entry summaries
+ * @param {Array<Array>} entries - [name, content, options] of each entry
+ * @param {Object} options - Archive options
+ * @returns {Promise<Object>} Archive bytes, entry summaries and the writer
+ */
+async function writeArchive(entries, options = {}) {
+  const writer = new ZipWriter(options);
+  const summaries = [];
+  async function* write() {
+    for (const [name, content, entryOptions] of entries) {
+      summaries.push(yield* writer.addEntry(name, Readable.from([content]), entryOptions));
+    }
+    yield* writer.finish();
+  }
+  return { archive: await readAll(Readable.from(write())), summaries, writer };
+}
+
+/**
+ * Decrypt a WinZip AES-256 entry, checking its password verifier and authentication code
+ * @param {Object} entry - Entry read by readArchive
+ * @param {string} password - Archive password
+ * @returns {Buffer} Entry data as stored before encryption
+ */
+function decryptAesEntry(entry, password) {
+  const salt = entry.data.subarray(0, 16);
+  const verifier = entry.data.subarray(16, 18);
+  const ciphertext = entry.data.subarray(18, entry.data.length - 10);
+  const authCode = entry.data.subarray(entry.data.length - 10);
+
+  const derived = crypto.pbkdf2Sync(password, salt, 1000, 66, 'sha1');
+  expect(verifier.equals(derived.subarray(64))).toBe(true);
+  expect(crypto.createHmac('sha1', derived.subarray(32, 64)).update(ciphertext).digest().subarray(0, 10).equals(authCode)).toBe(true);
+
+  const cipher = crypto.createCipheriv('aes-256-ecb', derived.subarray(0, 32), null).setAutoPadding(false);
+  const plaintext = Buffer.alloc(ciphertext.length);
+  for (let block = 0; block * 16 < ciphertext.length; block++) {
+    const counter = Buffer.alloc(16);
+    counter.writeUInt32LE(block + 1, 0);
+    const keystream = cipher.update(counter);
+    for (let i = block * 16; i < Math.min(ciphertext.length, block * 16 + 16); i++) {
+      plaintext[i] = ciphertext[i] ^ keystream[i - block * 16];
+    }
+  }
+  return plaintext;
+}
+
+describe('ZipWriter', () => {
+  const text = Buffer.from('Employee handbook\n'.repeat(200));
+  const binary = crypto.randomBytes(5000);
+
+  test('writes stored and deflated entries with matching directory records', async () => {
+    const { archive, summaries, writer } = await writeArchive([
+      ['offer_letter/offer.pdf', binary],
+      ['manifest.json', text, { compress: true }],
+    ]);
+    const entries = readArchive(archive);
+
+    expect(entries.map(entry => entry.name)).toEqual(['offer_letter/offer.pdf', 'manifest.json']);
+    expect(writer.offset).toBe(archive.length);
+
+    const [stored, deflated] = entries;
+    expect(stored).toMatchObject({ method: 0, size: binary.length, compressedSize: binary.length, crc32: crc32(binary) });
+    expect(stored.data.equals(binary)).toBe(true);
+
+    expect(deflated).toMatchObject({ method: 8, size: text.length, crc32: crc32(text) });
+    expect(deflated.compressedSize).toBeLessThan(text.length);
+    expect(zlib.inflateRawSync(deflated.data).equals(text)).toBe(true);
+
+    // Sizes follow the data and names are UTF-8
+    entries.forEach(entry => expect(entry.flags).toBe(0x0808));
+
+    expect(summaries).toEqual([
+      {
+        name: 'offer_letter/offer.pdf',
+        size: binary.length,
+        compressedSize: binary.length,
+        sha256: crypto.createHash('sha256').update(binary).digest('hex'),
+      },
+      {
+        name: 'manifest.json',
+        size: text.length,
+        compressedSize: deflated.compressedSize,
+        sha256: crypto.createHash('sha256').update(text).digest('hex'),
+      },
+    ]);
+  });
+
+  test('encodes non-ASCII entry names as UTF-8', async () => {
+    const { archive } = await writeArchive([['contract/Vertrag für Jürgen.pdf', binary]]);
+    expect(readArchive(archive)[0].name).toBe('contract/Vertrag für Jürgen.pdf');
+  });
+
+  test('writes an empty archive', async () => {
+    const { archive } = await writeArchive([]);
+    expect(archive.length).toBe(22);
+    expect(readArchive(archive)).toEqual([]);
+  });
+
+  test('encrypts entries with WinZip AES-256 when given a password', async () => {
+    const { archive, summaries } = await writeArchive([
+      ['salary_slip/march.pdf', binary],
+      ['manifest.json', text, { compress: true }],
+    ], { password: 'correct horse' });
+    const [stored, deflated] = readArchive(archive);
+
+    for (const entry of [stored, deflated]) {
+      expect(entry.method).toBe(99);
+      expect(entry.flags & 0x0001).toBe(1);
+      // AE-2 leaves the CRC to the authentication code
+      expect(entry.crc32).toBe(0);
+      expect(entry.extraField.readUInt16LE(0)).toBe(0x9901);
+      expect(entry.extraField.readUInt16LE(4)).toBe(2);
+      expect(entry.extraField.subarray(6, 8).toString('latin1')).toBe('AE');
+      expect(entry.extraField.readUInt8(8)).toBe(3);
+    }
+
+    expect(stored.extraField.readUInt16LE(9)).toBe(0);
+    expect(stored.compressedSize).toBe(binary.length + 28);
+    expect(decryptAesEntry(stored, 'correct horse').equals(binary)).toBe(true);
+
+    expect(deflated.extraField.readUInt16LE(9)).toBe(8);
+    expect(zlib.inflateRawSync(decryptAesEntry(deflated, 'correct horse')).equals(text)).toBe(true);
+
+    // Summaries describe the plaintext
+    expect(summaries[0].sha256).toBe(crypto.createHash('sha256').update(binary).digest('hex'));
+  });
+
+  test('uses a fresh salt for every entry', async () => {
+    const { archive } = await writeArchive([['a.pdf', binary], ['b.pdf', binary]], { password: 'pw' });
+    const [first, second] = readArchive(archive);
+    expect(first.data.subarray(0, 16).equals(second.data.subarray(0, 16))).toBe(false);
+    expect(first.data.equals(second.data)).toBe(false);
+  });
+
+  test('passes source errors through', async () => {
+    const writer = new ZipWriter();
+    const failing = new Readable({
+      read() {
+        this.destroy(new Error('read failed'));
+      },
+    });
+
+    await expect(readAll(Readable.from(writer.addEntry('a.pdf', failing)))).rejects.toThrow('read failed');
+  });
+});